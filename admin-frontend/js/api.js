@@ -46,7 +46,8 @@ const API = {
             const response = await fetch(url, config);
             const data = await response.json();
             
-            if (response.status === 401 || response.status === 403) {
+            // Session expired; 403 is a permission error shown to the user
+            if (response.status === 401) {
                 this.clearToken();
                 window.location.reload();
                 return;
@@ -102,10 +103,35 @@ const API = {
         return this.put(`/appointments/${appointmentId}/assign`, { agentId });
     },
 
+    getOverdueAppointments() {
+        return this.get('/appointments/overdue');
+    },
+
+    getSlaStats(params = {}) {
+        const queryString = new URLSearchParams(params).toString();
+        return this.get(`/appointments/sla-stats${queryString ? '?' + queryString : ''}`);
+    },
+
+    getAssignmentHistory(appointmentId) {
+        return this.get(`/appointments/${appointmentId}/assignments`);
+    },
+
     getAppointmentStats() {
         return this.get('/appointments/stats');
     },
 
+    getQuarantine() {
+        return this.get('/appointments/quarantine');
+    },
+
+    releaseAppointment(appointmentId) {
+        return this.put(`/appointments/${appointmentId}/release`);
+    },
+
+    markSpam(appointmentId) {
+        return this.put(`/appointments/${appointmentId}/mark-spam`);
+    },
+
     getCalendar(params = {}) {
         const queryString = new URLSearchParams(params).toString();
         return this.get(`/appointments/calendar${queryString ? '?' + queryString : ''}`);
@@ -129,11 +155,50 @@ const API = {
         return this.delete(`/properties/${id}`);
     },
 
+    approveListing(id, data) {
+        return this.put(`/properties/${id}/approve`, data);
+    },
+
+    returnListing(id, comments) {
+        return this.put(`/properties/${id}/return`, { comments });
+    },
+
     getSalesReport(params = {}) {
         const queryString = new URLSearchParams(params).toString();
         return this.get(`/properties/sold/all${queryString ? '?' + queryString : ''}`);
     },
 
+    voidSale(id, data) {
+        return this.put(`/properties/${id}/void-sale`, data);
+    },
+
+    getVoidedSales() {
+        return this.get('/properties/sold/voided');
+    },
+
+    // Commission splits
+    getCommissionSplits() {
+        return this.get('/commissions/splits');
+    },
+
+    updateDefaultSplit(data) {
+        return this.put('/commissions/splits/default', data);
+    },
+
+    // Commission plans
+    getCommissionPlans() {
+        return this.get('/commissions/plans');
+    },
+
+    // Commission payouts
+    getCommissionBalances() {
+        return this.get('/commissions/balances');
+    },
+
+    recordPayout(data) {
+        return this.post('/commissions/payouts', data);
+    },
+
     // Users
     getAgents() {
         return this.get('/users/agents');
@@ -155,6 +220,104 @@ const API = {
     getPerformanceReport(params = {}) {
         const queryString = new URLSearchParams(params).toString();
         return this.get(`/users/reports/performance${queryString ? '?' + queryString : ''}`);
+    },
+
+    // Holidays
+    getHolidays() {
+        return this.get('/availability/holidays');
+    },
+
+    addHoliday(data) {
+        return this.post('/availability/holidays', data);
+    },
+
+    deleteHoliday(id) {
+        return this.delete(`/availability/holidays/${id}`);
+    },
+
+    // Contacts
+    getContacts(params = {}) {
+        const queryString = new URLSearchParams(params).toString();
+        return this.get(`/contacts${queryString ? '?' + queryString : ''}`);
+    },
+
+    getContact(id) {
+        return this.get(`/contacts/${id}`);
+    },
+
+    addContactNote(id, note) {
+        return this.post(`/contacts/${id}/notes`, { note });
+    },
+
+    updateContactReliability(id, data) {
+        return this.put(`/contacts/${id}/reliability`, data);
+    },
+
+    // Email outbox
+    getEmails(params = {}) {
+        const queryString = new URLSearchParams(params).toString();
+        return this.get(`/emails${queryString ? '?' + queryString : ''}`);
+    },
+
+    getEmail(id) {
+        return this.get(`/emails/${id}`);
+    },
+
+    resendEmail(id) {
+        return this.post(`/emails/${id}/resend`);
+    },
+
+    resendFailedEmails() {
+        return this.post('/emails/resend-failed');
+    },
+
+    // Settings
+    getAssignmentSettings() {
+        return this.get('/settings/assignment');
+    },
+
+    updateAssignmentStrategies(strategies) {
+        return this.put('/settings/assignment', { strategies });
+    },
+
+    updateTerritory(agentId, cities) {
+        return this.put(`/settings/assignment/territories/${agentId}`, { cities });
+    },
+
+    getSlaSettings() {
+        return this.get('/settings/sla');
+    },
+
+    updateSlaSettings(data) {
+        return this.put('/settings/sla', data);
+    },
+
+    getLeadScoringSettings() {
+        return this.get('/settings/lead-scoring');
+    },
+
+    updateLeadScoringSettings(data) {
+        return this.put('/settings/lead-scoring', data);
+    },
+
+    getEmailTemplates() {
+        return this.get('/settings/email-templates');
+    },
+
+    getEmailTemplate(key, locale) {
+        return this.get(`/settings/email-templates/${key}/${locale}`);
+    },
+
+    updateEmailTemplate(key, locale, data) {
+        return this.put(`/settings/email-templates/${key}/${locale}`, data);
+    },
+
+    resetEmailTemplate(key, locale) {
+        return this.delete(`/settings/email-templates/${key}/${locale}`);
+    },
+
+    previewEmailTemplate(key, locale, data) {
+        return this.post(`/settings/email-templates/${key}/${locale}/preview`, data);
     }
 };
 
@@ -177,6 +340,12 @@ const Utils = {
         });
     },
 
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML;
+    },
+
     getStatusBadge(status) {
         const badges = {
             'pending': '<span class="badge badge-pending">Pending</span>',
@@ -184,9 +353,15 @@ const Utils = {
             'scheduled': '<span class="badge badge-scheduled">Scheduled</span>',
             'completed': '<span class="badge badge-completed">Completed</span>',
             'cancelled': '<span class="badge badge-cancelled">Cancelled</span>',
+            'quarantined': '<span class="badge bg-warning text-dark">Quarantined</span>',
+            'spam': '<span class="badge bg-dark">Spam</span>',
             'available': '<span class="badge bg-success">Available</span>',
             'reserved': '<span class="badge bg-warning">Reserved</span>',
-            'sold': '<span class="badge bg-danger">Sold</span>'
+            'sold': '<span class="badge bg-danger">Sold</span>',
+            'draft': '<span class="badge bg-secondary">Draft</span>',
+            'in_review': '<span class="badge bg-info">In Review</span>',
+            'returned': '<span class="badge bg-warning">Returned</span>',
+            'published': '<span class="badge bg-success">Published</span>'
         };
         return badges[status] || `<span class="badge bg-secondary">${status}</span>`;
     },
@@ -108,6 +108,12 @@ function navigateTo(page) {
         case 'appointments':
             loadAppointments();
             break;
+        case 'contacts':
+            loadContacts();
+            break;
+        case 'quarantine':
+            loadQuarantine();
+            break;
         case 'calendar':
             loadCalendar();
             break;
@@ -120,6 +126,12 @@ function navigateTo(page) {
         case 'sales':
             loadSalesReport();
             break;
+        case 'emails':
+            loadEmails();
+            break;
+        case 'settings':
+            loadSettings();
+            break;
     }
 }
 
@@ -145,6 +157,10 @@ async function loadDashboard() {
         document.getElementById('stat-pending').textContent = appointmentStats.stats?.pending || 0;
         document.getElementById('stat-properties').textContent = propertiesResponse.pagination?.total || 0;
         document.getElementById('stat-agents').textContent = agentsResponse.agents?.length || 0;
+        updateQuarantineCount(appointmentStats.stats?.quarantined || 0);
+        
+        loadOverdueQueue();
+        loadSlaStats();
         
         // Load recent appointments
         const appointments = await API.getAppointments({ limit: 5 });
@@ -155,6 +171,96 @@ async function loadDashboard() {
     }
 }
 
+/**
+ * Requests past their response time target, most overdue first
+ */
+async function loadOverdueQueue() {
+    const tbody = document.getElementById('overdue-appointments');
+    
+    try {
+        const response = await API.getOverdueAppointments();
+        const overdue = response.appointments || [];
+        const settings = response.settings;
+        
+        document.getElementById('overdue-count').textContent = overdue.length;
+        document.getElementById('sla-targets-label').textContent = settings.isEnabled
+            ? `Targets: agent assigned within ${settings.pendingHours}h, viewing scheduled within ${settings.assignedHours}h`
+            : 'Escalation is turned off in Settings';
+        
+        if (overdue.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="6" class="text-center py-3 text-muted">No overdue requests</td>
+                </tr>
+            `;
+            return;
+        }
+        
+        tbody.innerHTML = overdue.map(apt => `
+            <tr>
+                <td>
+                    <strong>${apt.customerName}</strong><br>
+                    <a href="tel:${apt.customerPhone}" class="small">${apt.customerPhone}</a>
+                </td>
+                <td>${apt.propertyTitle}<br><small class="text-muted">${apt.propertyCity}</small></td>
+                <td>
+                    ${Utils.getStatusBadge(apt.status)}
+                    ${apt.slaFlaggedAt ? '<span class="badge bg-danger ms-1">Escalated</span>' : ''}
+                </td>
+                <td>${apt.assignedAgentName || '<span class="text-muted">-</span>'}</td>
+                <td class="text-danger">
+                    ${apt.hoursWaiting}h
+                    <br><small>${apt.hoursOverdue}h over ${apt.thresholdHours}h target</small>
+                </td>
+                <td>
+                    <button class="btn btn-sm btn-outline-primary" onclick="openAssignModal(${apt.id})">
+                        ${apt.status === 'pending' ? 'Assign' : 'Reassign'}
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+    } catch (error) {
+        console.error('Load overdue queue error:', error);
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="6" class="text-center py-3 text-danger">Failed to load overdue requests</td>
+            </tr>
+        `;
+    }
+}
+
+/**
+ * Per-agent response time compliance for the last 30 days
+ */
+async function loadSlaStats() {
+    const tbody = document.getElementById('sla-stats-list');
+    
+    try {
+        const response = await API.getSlaStats();
+        const agents = response.agents || [];
+        
+        tbody.innerHTML = agents.length === 0
+            ? '<tr><td colspan="6" class="text-center py-3 text-muted">No agents found</td></tr>'
+            : agents.map(agent => {
+                const rate = agent.complianceRate;
+                const rateClass = rate === null ? 'text-muted' : rate >= 0.9 ? 'text-success' : rate >= 0.7 ? 'text-warning' : 'text-danger';
+                return `
+                    <tr>
+                        <td>${agent.agentName}</td>
+                        <td>${agent.assignments}</td>
+                        <td>${agent.breaches}</td>
+                        <td class="fw-bold ${rateClass}">${rate === null ? '-' : `${Math.round(rate * 100)}%`}</td>
+                        <td>${agent.avgHoursToSchedule === null ? '-' : `${agent.avgHoursToSchedule}h`}</td>
+                        <td>${agent.openAssigned}</td>
+                    </tr>
+                `;
+            }).join('');
+    } catch (error) {
+        console.error('Load SLA stats error:', error);
+        tbody.innerHTML = '<tr><td colspan="6" class="text-center py-3 text-danger">Failed to load response times</td></tr>';
+    }
+}
+
 function renderRecentAppointments(appointments) {
     const tbody = document.getElementById('recent-appointments');
     
@@ -189,17 +295,52 @@ function renderRecentAppointments(appointments) {
 
 // ============ Appointments ============
 
+// Score filter bands (same limits as SCORE_BANDS in the backend)
+const SCORE_FILTERS = {
+    hot: { minScore: 70 },
+    warm: { minScore: 40, maxScore: 69 },
+    cold: { maxScore: 39 }
+};
+
+const SCORE_BAND_CLASSES = {
+    hot: 'bg-danger',
+    warm: 'bg-warning text-dark',
+    cold: 'bg-secondary'
+};
+
+function leadScoreBadge(apt) {
+    if (apt.leadScore === null || apt.leadScore === undefined) {
+        return '<span class="text-muted">-</span>';
+    }
+    
+    const f = apt.leadScoreFactors || {};
+    const title = [
+        `Intent ${Math.round((f.intent || 0) * 100)}%`,
+        `Message ${Math.round((f.message || 0) * 100)}%`,
+        `Earlier requests ${f.previousRequests || 0}`,
+        `Price band ${Math.round((f.price || 0) * 100)}%`,
+        `No-shows ${f.noShowCount || 0}`
+    ].join(' | ');
+    
+    return `<span class="badge ${SCORE_BAND_CLASSES[apt.leadScoreBand]}" title="${title}">${apt.leadScore}</span>`;
+}
+
 async function loadAppointments() {
     const status = document.getElementById('appointment-status-filter').value;
+    const scoreFilter = document.getElementById('appointment-score-filter').value;
+    const sort = document.getElementById('appointment-sort').value;
     const tbody = document.getElementById('appointments-list');
     
     try {
-        const response = await API.getAppointments({ status: status || undefined });
+        const params = { sort, ...(SCORE_FILTERS[scoreFilter] || {}) };
+        if (status) params.status = status;
+        
+        const response = await API.getAppointments(params);
         
         if (!response.appointments || response.appointments.length === 0) {
             tbody.innerHTML = `
                 <tr>
-                    <td colspan="7" class="text-center py-4 text-muted">No appointments found</td>
+                    <td colspan="8" class="text-center py-4 text-muted">No appointments found</td>
                 </tr>
             `;
             return;
@@ -208,8 +349,13 @@ async function loadAppointments() {
         tbody.innerHTML = response.appointments.map(apt => `
             <tr>
                 <td>${apt.priorityNumber}</td>
+                <td>${leadScoreBadge(apt)}</td>
                 <td>
-                    <strong>${apt.customerName}</strong><br>
+                    ${apt.contactId
+                        ? `<a href="#" onclick="openContactModal(${apt.contactId}); return false;"><strong>${apt.customerName}</strong></a>`
+                        : `<strong>${apt.customerName}</strong>`}
+                    ${reliabilityBadges(apt.contactNoShowCount, apt.isRepeatNoShow, apt.contactReliability)}
+                    ${apt.needsPhoneConfirmation ? '<span class="badge bg-warning text-dark">Confirm by phone</span>' : ''}<br>
                     <small class="text-muted">${apt.customerMessage ? apt.customerMessage.substring(0, 50) + '...' : ''}</small>
                 </td>
                 <td>
@@ -220,14 +366,25 @@ async function loadAppointments() {
                     <a href="tel:${apt.customerPhone}">${apt.customerPhone}</a><br>
                     <small class="text-muted">${apt.customerEmail}</small>
                 </td>
-                <td>${Utils.getStatusBadge(apt.status)}</td>
-                <td>${apt.assignedAgentName || '<span class="text-muted">-</span>'}</td>
+                <td>
+                    ${Utils.getStatusBadge(apt.status)}
+                    ${apt.slaFlaggedAt ? '<span class="badge bg-danger ms-1" title="Missed a response time target">Escalated</span>' : ''}
+                </td>
+                <td>
+                    ${apt.assignedAgentName || '<span class="text-muted">-</span>'}
+                    ${apt.assignmentRule ? `<br><small class="text-muted">${ASSIGNMENT_RULE_LABELS[apt.assignmentRule]}</small>` : ''}
+                </td>
                 <td>
                     ${apt.status === 'pending' ? `
                         <button class="btn btn-sm btn-primary" onclick="openAssignModal(${apt.id})">
                             <i class="bi bi-person-plus"></i> Assign
                         </button>
                     ` : ''}
+                    ${apt.status === 'assigned' ? `
+                        <button class="btn btn-sm btn-outline-primary" onclick="openAssignModal(${apt.id})">
+                            <i class="bi bi-arrow-left-right"></i> Reassign
+                        </button>
+                    ` : ''}
                     ${apt.scheduledDate ? `
                         <span class="badge bg-info">
                             <i class="bi bi-calendar"></i> ${Utils.formatDate(apt.scheduledDate)}
@@ -241,17 +398,28 @@ async function loadAppointments() {
         console.error('Load appointments error:', error);
         tbody.innerHTML = `
             <tr>
-                <td colspan="7" class="text-center py-4 text-danger">Failed to load appointments</td>
+                <td colspan="8" class="text-center py-4 text-danger">Failed to load appointments</td>
             </tr>
         `;
     }
     
-    // Setup filter
+    // Setup filters
     document.getElementById('appointment-status-filter').onchange = loadAppointments;
+    document.getElementById('appointment-score-filter').onchange = loadAppointments;
+    document.getElementById('appointment-sort').onchange = loadAppointments;
 }
 
 let agentsList = [];
 
+const ASSIGNMENT_RULE_LABELS = {
+    manual: 'Assigned manually',
+    listing_agent: 'Listing agent',
+    territory: 'City territory',
+    least_loaded: 'Fewest open appointments',
+    round_robin: 'Round robin',
+    sla_escalation: 'Reassigned after missed response time'
+};
+
 async function openAssignModal(appointmentId) {
     document.getElementById('assign-appointment-id').value = appointmentId;
     
@@ -286,6 +454,8 @@ async function openAssignModal(appointmentId) {
         select.innerHTML = '<option value="">Failed to load agents</option>';
     }
     
+    loadAssignmentHistory(appointmentId);
+    
     // Setup assign button
     document.getElementById('confirm-assign-btn').onclick = async () => {
         const agentId = select.value;
@@ -306,23 +476,358 @@ async function openAssignModal(appointmentId) {
     };
 }
 
+/**
+ * Show who the request was assigned to before, and by which rule
+ */
+async function loadAssignmentHistory(appointmentId) {
+    const list = document.getElementById('assignment-history');
+    list.innerHTML = '';
+    
+    try {
+        const response = await API.getAssignmentHistory(appointmentId);
+        const assignments = response.assignments || [];
+        
+        list.innerHTML = assignments.length === 0 ? '' : `
+            <label class="form-label mt-3">Assignment History</label>
+            <ul class="list-group list-group-flush small">
+                ${assignments.map(a => `
+                    <li class="list-group-item px-0">
+                        <strong>${a.agentName || 'Removed agent'}</strong> - ${a.ruleLabel}
+                        ${a.assignedByName ? ` by ${a.assignedByName}` : ''}
+                        <br><span class="text-muted">${Utils.formatDate(a.createdAt)}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    } catch (error) {
+        console.error('Load assignment history error:', error);
+    }
+}
+
+// ============ Contacts ============
+
+const OUTCOME_LABELS = {
+    interested: 'Interested',
+    offer_made: 'Offer made',
+    not_interested: 'Not interested',
+    no_show: 'No-show',
+    needs_followup: 'Needs follow-up'
+};
+
+const RELIABILITY_LABELS = {
+    normal: 'No restriction',
+    confirm_phone: 'Phone confirmation required',
+    blocked: 'Blocked'
+};
+
+/**
+ * Badges for a customer's no-shows and any admin restriction
+ */
+function reliabilityBadges(noShowCount, isRepeatNoShow, reliability) {
+    return [
+        noShowCount > 0
+            ? `<span class="badge ${isRepeatNoShow ? 'bg-danger' : 'bg-warning text-dark'}" title="Missed viewings">${noShowCount} no-show${noShowCount > 1 ? 's' : ''}</span>`
+            : '',
+        reliability === 'blocked' ? '<span class="badge bg-dark">Blocked</span>' : ''
+    ].join(' ');
+}
+
+async function loadContacts() {
+    const tbody = document.getElementById('contacts-list');
+    const search = document.getElementById('contact-search').value.trim();
+    const flaggedOnly = document.getElementById('contact-flagged-filter').checked;
+    
+    document.getElementById('contact-search').onchange = loadContacts;
+    document.getElementById('contact-flagged-filter').onchange = loadContacts;
+    
+    try {
+        const params = { limit: 50 };
+        if (search) params.search = search;
+        if (flaggedOnly) params.flagged = true;
+        
+        const response = await API.getContacts(params);
+        const contacts = response.contacts || [];
+        
+        document.getElementById('contacts-total').textContent = `${response.pagination.total} contact(s)`;
+        
+        if (contacts.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="7" class="text-center py-4 text-muted">No contacts found</td></tr>';
+            return;
+        }
+        
+        tbody.innerHTML = contacts.map(contact => `
+            <tr>
+                <td>
+                    <strong>${Utils.escapeHtml(contact.name)}</strong>
+                    ${reliabilityBadges(contact.noShowCount, contact.isRepeatNoShow, contact.reliability)}
+                    ${contact.reliability === 'confirm_phone' ? '<span class="badge bg-warning text-dark">Confirm by phone</span>' : ''}
+                </td>
+                <td>
+                    ${contact.phone ? `<a href="tel:${Utils.escapeHtml(contact.phone)}">${Utils.escapeHtml(contact.phone)}</a><br>` : ''}
+                    <small class="text-muted">${Utils.escapeHtml(contact.email)}</small>
+                </td>
+                <td>${contact.requestCount}</td>
+                <td>${contact.viewingCount}</td>
+                <td>${contact.offerCount}</td>
+                <td>${Utils.formatDate(contact.lastActivityAt)}</td>
+                <td>
+                    <button class="btn btn-sm btn-outline-primary" onclick="openContactModal(${contact.id})">
+                        <i class="bi bi-eye"></i> View
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+    } catch (error) {
+        console.error('Load contacts error:', error);
+        tbody.innerHTML = '<tr><td colspan="7" class="text-center py-4 text-danger">Failed to load contacts</td></tr>';
+    }
+}
+
+async function openContactModal(contactId) {
+    try {
+        const response = await API.getContact(contactId);
+        renderContact(response.contact);
+        
+        document.getElementById('add-contact-note-btn').onclick = addContactNote;
+        document.getElementById('save-contact-reliability-btn').onclick = saveContactReliability;
+        
+        const modalEl = document.getElementById('contactModal');
+        (bootstrap.Modal.getInstance(modalEl) || new bootstrap.Modal(modalEl)).show();
+    } catch (error) {
+        Utils.showToast(error.message || 'Failed to load contact', 'error');
+    }
+}
+
+function renderContact(contact) {
+    document.getElementById('contact-id').value = contact.id;
+    document.getElementById('contact-name').textContent = contact.name;
+    document.getElementById('contact-meta').textContent =
+        [contact.email, contact.phone, `customer since ${Utils.formatDate(contact.createdAt)}`].filter(Boolean).join(' - ');
+    
+    document.getElementById('contact-flags').innerHTML = `
+        ${reliabilityBadges(contact.noShowCount, contact.isRepeatNoShow, contact.reliability)}
+        ${contact.isRepeatNoShow ? '<small class="text-danger ms-1">Repeat no-show</small>' : ''}
+        ${contact.reliability !== 'normal' ? `<small class="text-muted ms-1">${RELIABILITY_LABELS[contact.reliability]}${contact.reliabilityNotes ? `: ${Utils.escapeHtml(contact.reliabilityNotes)}` : ''}</small>` : ''}
+    `;
+    document.getElementById('contact-reliability').value = contact.reliability;
+    document.getElementById('contact-reliability-notes').value = contact.reliabilityNotes || '';
+    
+    document.getElementById('contact-appointments').innerHTML = contact.appointments.length === 0
+        ? '<p class="text-muted small mb-0">No viewing requests</p>'
+        : `<table class="table table-sm mb-0">
+            <thead><tr><th>Requested</th><th>Property</th><th>Status</th><th>Agent</th><th>Notes</th></tr></thead>
+            <tbody>
+                ${contact.appointments.map(apt => `
+                    <tr>
+                        <td class="text-nowrap">${Utils.formatDate(apt.createdAt)}</td>
+                        <td>
+                            ${apt.propertyTitle}<br>
+                            <small class="text-muted">${apt.propertyCity} - ${Utils.formatPrice(apt.propertyPrice)}</small>
+                        </td>
+                        <td>
+                            ${Utils.getStatusBadge(apt.status)}
+                            ${apt.outcome ? `<br><small>${OUTCOME_LABELS[apt.outcome]}</small>` : ''}
+                            ${apt.scheduledDate ? `<br><small class="text-muted">${Utils.formatDate(apt.scheduledDate)}</small>` : ''}
+                        </td>
+                        <td>${apt.agentName || '<span class="text-muted">-</span>'}</td>
+                        <td class="small">
+                            ${apt.customerMessage ? `<div class="text-muted">"${Utils.escapeHtml(apt.customerMessage)}"</div>` : ''}
+                            ${apt.outcomeNotes ? `<div>${Utils.escapeHtml(apt.outcomeNotes)}</div>` : ''}
+                            ${apt.agentNotes ? `<div>${Utils.escapeHtml(apt.agentNotes)}</div>` : ''}
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>`;
+    
+    document.getElementById('contact-offers').innerHTML = contact.offers.length === 0
+        ? '<p class="text-muted small mb-0">No offers</p>'
+        : `<table class="table table-sm mb-0">
+            <thead><tr><th>Date</th><th>Property</th><th>Amount</th><th>Status</th><th>Agent</th></tr></thead>
+            <tbody>
+                ${contact.offers.map(offer => `
+                    <tr>
+                        <td class="text-nowrap">${Utils.formatDate(offer.createdAt)}</td>
+                        <td>${offer.propertyTitle}</td>
+                        <td>${Utils.formatPrice(offer.currentAmount)}</td>
+                        <td>${Utils.getStatusBadge(offer.status)}</td>
+                        <td>${offer.agentName || '-'}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>`;
+    
+    document.getElementById('contact-tasks').innerHTML = contact.tasks.length === 0
+        ? '<p class="text-muted small mb-0">No follow-up tasks</p>'
+        : `<ul class="list-unstyled small mb-0">
+            ${contact.tasks.map(task => `
+                <li class="mb-1">
+                    <i class="bi ${task.status === 'completed' ? 'bi-check-circle text-success' : 'bi-circle text-muted'} me-1"></i>
+                    ${Utils.escapeHtml(task.title)}
+                    <span class="text-muted">- due ${Utils.formatDate(task.dueDate)}</span>
+                </li>
+            `).join('')}
+        </ul>`;
+    
+    document.getElementById('contact-notes').innerHTML = contact.notes.length === 0
+        ? '<p class="text-muted small mb-0">No notes yet</p>'
+        : contact.notes.map(note => `
+            <div class="border-start border-3 ps-2 mb-2">
+                <div style="white-space: pre-wrap;">${Utils.escapeHtml(note.note)}</div>
+                <small class="text-muted">${note.authorName || 'Former user'} - ${new Date(note.createdAt).toLocaleString('en-PH')}</small>
+            </div>
+        `).join('');
+}
+
+async function saveContactReliability() {
+    const contactId = document.getElementById('contact-id').value;
+    
+    try {
+        const response = await API.updateContactReliability(contactId, {
+            reliability: document.getElementById('contact-reliability').value,
+            notes: document.getElementById('contact-reliability-notes').value.trim()
+        });
+        Utils.showToast(response.message, 'success');
+        
+        const contactResponse = await API.getContact(contactId);
+        renderContact(contactResponse.contact);
+        
+        if (!document.getElementById('page-contacts').classList.contains('d-none')) {
+            loadContacts();
+        } else if (!document.getElementById('page-appointments').classList.contains('d-none')) {
+            loadAppointments();
+        }
+    } catch (error) {
+        Utils.showToast(error.message || 'Failed to update contact', 'error');
+    }
+}
+
+async function addContactNote() {
+    const contactId = document.getElementById('contact-id').value;
+    const noteInput = document.getElementById('contact-note');
+    const note = noteInput.value.trim();
+    
+    if (!note) {
+        Utils.showToast('Please enter a note', 'error');
+        return;
+    }
+    
+    try {
+        await API.addContactNote(contactId, note);
+        noteInput.value = '';
+        const response = await API.getContact(contactId);
+        renderContact(response.contact);
+        Utils.showToast('Note added', 'success');
+    } catch (error) {
+        Utils.showToast(error.message || 'Failed to add note', 'error');
+    }
+}
+
+// ============ Quarantine ============
+
+/**
+ * Requests held by the spam checks; submitted text is escaped since it may come from a bot
+ */
+async function loadQuarantine() {
+    const tbody = document.getElementById('quarantine-list');
+    
+    try {
+        const response = await API.getQuarantine();
+        const appointments = response.appointments || [];
+        
+        updateQuarantineCount(appointments.length);
+        
+        if (appointments.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" class="text-center py-4 text-muted">No quarantined requests</td></tr>';
+            return;
+        }
+        
+        tbody.innerHTML = appointments.map(apt => `
+            <tr>
+                <td class="text-nowrap">${Utils.formatDate(apt.createdAt)}</td>
+                <td>
+                    <strong>${Utils.escapeHtml(apt.customerName)}</strong><br>
+                    <small class="text-muted">${Utils.escapeHtml(apt.customerEmail)} - ${Utils.escapeHtml(apt.customerPhone)}</small>
+                    ${apt.customerMessage ? `<br><small class="text-muted fst-italic">${Utils.escapeHtml(apt.customerMessage)}</small>` : ''}
+                </td>
+                <td>${apt.propertyTitle}<br><small class="text-muted">${apt.propertyCity}</small></td>
+                <td>
+                    ${apt.spamReasons.map(r => `<span class="badge bg-warning text-dark me-1">${r.label}</span>`).join('')}
+                    <br><small class="text-muted">
+                        ${apt.formFillSeconds !== null ? `Filled in ${apt.formFillSeconds}s` : ''}
+                        ${apt.recaptchaScore !== null ? ` - reCAPTCHA ${apt.recaptchaScore}` : ''}
+                    </small>
+                </td>
+                <td><small>${Utils.escapeHtml(apt.ipAddress || '-')}</small></td>
+                <td class="text-nowrap">
+                    <button class="btn btn-sm btn-outline-success" onclick="releaseAppointment(${apt.id})">
+                        <i class="bi bi-check-lg"></i> Release
+                    </button>
+                    <button class="btn btn-sm btn-outline-danger" onclick="markSpam(${apt.id})">
+                        <i class="bi bi-slash-circle"></i> Spam
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+    } catch (error) {
+        console.error('Load quarantine error:', error);
+        tbody.innerHTML = '<tr><td colspan="6" class="text-center py-4 text-danger">Failed to load quarantined requests</td></tr>';
+    }
+}
+
+function updateQuarantineCount(count) {
+    const badge = document.getElementById('quarantine-count');
+    badge.textContent = count;
+    badge.classList.toggle('d-none', !count);
+}
+
+async function releaseAppointment(appointmentId) {
+    if (!confirm('Release this request? It will be assigned and the customer will get the usual confirmation email.')) return;
+    
+    try {
+        await API.releaseAppointment(appointmentId);
+        Utils.showToast('Request released', 'success');
+        loadQuarantine();
+    } catch (error) {
+        Utils.showToast(error.message || 'Failed to release request', 'error');
+    }
+}
+
+async function markSpam(appointmentId) {
+    try {
+        await API.markSpam(appointmentId);
+        Utils.showToast('Request marked as spam', 'success');
+        loadQuarantine();
+    } catch (error) {
+        Utils.showToast(error.message || 'Failed to mark request as spam', 'error');
+    }
+}
+
 // ============ Properties ============
 
+let propertiesList = [];
+
 async function loadProperties() {
     const tbody = document.getElementById('properties-list');
+    const listingFilter = document.getElementById('listing-status-filter');
+    listingFilter.onchange = loadProperties;
     
     try {
-        const response = await API.getProperties({ limit: 50, status: '' });
+        const params = { limit: 50, status: '' };
+        if (listingFilter.value) params.listingStatus = listingFilter.value;
+        
+        const response = await API.getProperties(params);
         
         if (!response.properties || response.properties.length === 0) {
             tbody.innerHTML = `
                 <tr>
-                    <td colspan="6" class="text-center py-4 text-muted">No properties found</td>
+                    <td colspan="7" class="text-center py-4 text-muted">No properties found</td>
                 </tr>
             `;
             return;
         }
         
+        propertiesList = response.properties;
         tbody.innerHTML = response.properties.map(prop => `
             <tr>
                 <td>
@@ -334,6 +839,15 @@ async function loadProperties() {
                 <td>${Utils.formatPrice(prop.price)}</td>
                 <td>${Utils.getStatusBadge(prop.status)}</td>
                 <td>
+                    ${Utils.getStatusBadge(prop.listingStatus)}
+                    ${prop.listingStatus === 'published' && !prop.isLive ? `<small class="d-block text-muted">Live ${new Date(prop.publishAt).toLocaleString('en-PH')}</small>` : ''}
+                </td>
+                <td>
+                    ${prop.listingStatus !== 'published' ? `
+                        <button class="btn btn-sm btn-outline-success" title="Review" onclick="openReviewModal(${prop.id})">
+                            <i class="bi bi-clipboard-check"></i>
+                        </button>
+                    ` : ''}
                     <button class="btn btn-sm btn-outline-primary" onclick="editProperty(${prop.id})">
                         <i class="bi bi-pencil"></i>
                     </button>
@@ -348,7 +862,7 @@ async function loadProperties() {
         console.error('Load properties error:', error);
         tbody.innerHTML = `
             <tr>
-                <td colspan="6" class="text-center py-4 text-danger">Failed to load properties</td>
+                <td colspan="7" class="text-center py-4 text-danger">Failed to load properties</td>
             </tr>
         `;
     }
@@ -374,7 +888,7 @@ async function saveProperty() {
     
     try {
         await API.createProperty(data);
-        Utils.showToast('Property created successfully', 'success');
+        Utils.showToast('Property created as a draft - approve it to publish', 'success');
         bootstrap.Modal.getInstance(document.getElementById('propertyModal')).hide();
         document.getElementById('property-form').reset();
         loadProperties();
@@ -383,6 +897,60 @@ async function saveProperty() {
     }
 }
 
+function openReviewModal(id) {
+    const prop = propertiesList.find(p => p.id === id);
+    
+    document.getElementById('review-listing-id').value = id;
+    document.getElementById('review-listing-title').textContent = prop ? prop.title : '';
+    document.getElementById('review-comments').value = '';
+    document.getElementById('review-publish-at').value = '';
+    
+    // Returning only applies to listings an agent has submitted
+    document.getElementById('return-listing-btn').classList.toggle('d-none', !prop || prop.listingStatus !== 'in_review');
+    document.getElementById('approve-listing-btn').onclick = approveListing;
+    document.getElementById('return-listing-btn').onclick = returnListing;
+    
+    new bootstrap.Modal(document.getElementById('reviewListingModal')).show();
+}
+
+async function approveListing() {
+    const id = document.getElementById('review-listing-id').value;
+    const comments = document.getElementById('review-comments').value.trim();
+    const publishAt = document.getElementById('review-publish-at').value;
+    
+    const data = {};
+    if (comments) data.comments = comments;
+    if (publishAt) data.publishAt = new Date(publishAt).toISOString();
+    
+    try {
+        const response = await API.approveListing(id, data);
+        Utils.showToast(response.message || 'Listing published', 'success');
+        bootstrap.Modal.getInstance(document.getElementById('reviewListingModal')).hide();
+        loadProperties();
+    } catch (error) {
+        Utils.showToast(error.message || 'Failed to approve listing', 'error');
+    }
+}
+
+async function returnListing() {
+    const id = document.getElementById('review-listing-id').value;
+    const comments = document.getElementById('review-comments').value.trim();
+    
+    if (!comments) {
+        Utils.showToast('Please add comments for the agent', 'error');
+        return;
+    }
+    
+    try {
+        await API.returnListing(id, comments);
+        Utils.showToast('Listing returned to agent', 'success');
+        bootstrap.Modal.getInstance(document.getElementById('reviewListingModal')).hide();
+        loadProperties();
+    } catch (error) {
+        Utils.showToast(error.message || 'Failed to return listing', 'error');
+    }
+}
+
 function editProperty(id) {
     Utils.showToast('Edit feature coming soon', 'info');
 }
@@ -404,8 +972,14 @@ async function deleteProperty(id) {
 async function loadAgents() {
     const container = document.getElementById('agents-list');
     
+    loadHolidays();
+    
     try {
-        const response = await API.getUsers({ role: 'agent' });
+        const [response, plansResponse] = await Promise.all([
+            API.getUsers({ role: 'agent' }),
+            API.getCommissionPlans()
+        ]);
+        const plans = (plansResponse.plans || []).filter(plan => plan.isActive);
         
         if (!response.users || response.users.length === 0) {
             container.innerHTML = `
@@ -433,6 +1007,12 @@ async function loadAgents() {
                                 ${agent.isActive ? 'Active' : 'Inactive'}
                             </span>
                         </div>
+                        <select class="form-select form-select-sm mt-3" onchange="assignCommissionPlan(${agent.id}, this.value)">
+                            <option value="">Flat rate (no plan)</option>
+                            ${plans.map(plan => `
+                                <option value="${plan.id}" ${plan.id === agent.commissionPlanId ? 'selected' : ''}>${plan.name}</option>
+                            `).join('')}
+                        </select>
                     </div>
                 </div>
             </div>
@@ -473,61 +1053,728 @@ async function saveAgent() {
     }
 }
 
-// ============ Sales Report ============
+async function assignCommissionPlan(agentId, planId) {
+    try {
+        await API.updateUser(agentId, { commissionPlanId: planId ? parseInt(planId) : null });
+        Utils.showToast('Commission plan updated', 'success');
+    } catch (error) {
+        Utils.showToast(error.message || 'Failed to update commission plan', 'error');
+        loadAgents();
+    }
+}
 
-async function loadSalesReport() {
-    const startDate = document.getElementById('sales-start-date').value;
-    const endDate = document.getElementById('sales-end-date').value;
-    const tbody = document.getElementById('sales-list');
+// ============ Holidays ============
+
+async function loadHolidays() {
+    const list = document.getElementById('holidays-list');
     
     try {
-        const params = {};
-        if (startDate) params.startDate = startDate;
-        if (endDate) params.endDate = endDate;
-        
-        const response = await API.getSalesReport(params);
-        
-        // Update summary
-        document.getElementById('sales-total-count').textContent = response.summary?.totalSales || 0;
-        document.getElementById('sales-total-value').textContent = Utils.formatPrice(response.summary?.totalValue || 0);
-        document.getElementById('sales-total-commission').textContent = Utils.formatPrice(response.summary?.totalCommission || 0);
-        
-        if (!response.sales || response.sales.length === 0) {
-            tbody.innerHTML = `
-                <tr>
-                    <td colspan="6" class="text-center py-4 text-muted">No sales found</td>
-                </tr>
-            `;
-            return;
-        }
-        
-        tbody.innerHTML = response.sales.map(sale => `
-            <tr>
-                <td><strong>${sale.title}</strong></td>
-                <td>${sale.city}</td>
-                <td>${sale.agentName}</td>
-                <td>${Utils.formatPrice(sale.salePrice)}</td>
-                <td class="text-success">${Utils.formatPrice(sale.commission)}</td>
-                <td>${Utils.formatDate(sale.soldDate)}</td>
-            </tr>
-        `).join('');
+        const response = await API.getHolidays();
+        const holidays = response.holidays || [];
         
+        list.innerHTML = holidays.length === 0
+            ? '<li class="list-group-item text-muted">No upcoming holidays</li>'
+            : holidays.map(h => `
+                <li class="list-group-item d-flex justify-content-between align-items-center">
+                    <span><strong>${Utils.formatDate(h.date)}</strong> - ${h.name}</span>
+                    <button class="btn btn-sm btn-outline-danger" onclick="deleteHoliday(${h.id})">
+                        <i class="bi bi-trash"></i>
+                    </button>
+                </li>
+            `).join('');
     } catch (error) {
-        console.error('Load sales error:', error);
-        tbody.innerHTML = `
-            <tr>
-                <td colspan="6" class="text-center py-4 text-danger">Failed to load sales report</td>
-            </tr>
-        `;
+        console.error('Load holidays error:', error);
+        list.innerHTML = '<li class="list-group-item text-danger">Failed to load holidays</li>';
     }
     
-    // Setup filter button
-    document.getElementById('filter-sales-btn').onclick = loadSalesReport;
-    
+    document.getElementById('add-holiday-btn').onclick = addHoliday;
+}
+
+async function addHoliday() {
+    const date = document.getElementById('holiday-date').value;
+    const name = document.getElementById('holiday-name').value.trim();
+    
+    if (!date || !name) {
+        Utils.showToast('Please enter the date and name of the holiday', 'error');
+        return;
+    }
+    
+    try {
+        await API.addHoliday({ date, name });
+        Utils.showToast('Holiday added', 'success');
+        document.getElementById('holiday-date').value = '';
+        document.getElementById('holiday-name').value = '';
+        loadHolidays();
+    } catch (error) {
+        Utils.showToast(error.message || 'Failed to add holiday', 'error');
+    }
+}
+
+async function deleteHoliday(id) {
+    if (!confirm('Remove this holiday?')) return;
+    
+    try {
+        await API.deleteHoliday(id);
+        Utils.showToast('Holiday removed', 'success');
+        loadHolidays();
+    } catch (error) {
+        Utils.showToast(error.message || 'Failed to remove holiday', 'error');
+    }
+}
+
+// ============ Email Log ============
+
+const EMAIL_STATUS_BADGES = {
+    pending: '<span class="badge bg-info">Queued</span>',
+    sending: '<span class="badge bg-primary">Sending</span>',
+    sent: '<span class="badge bg-success">Sent</span>',
+    failed: '<span class="badge bg-danger">Failed</span>'
+};
+
+async function loadEmails() {
+    const tbody = document.getElementById('emails-list');
+    const status = document.getElementById('email-status-filter').value;
+    const search = document.getElementById('email-search').value.trim();
+    
+    document.getElementById('email-status-filter').onchange = loadEmails;
+    document.getElementById('email-search').onchange = loadEmails;
+    document.getElementById('resend-failed-btn').onclick = resendFailedEmails;
+    
+    try {
+        const params = { limit: 50 };
+        if (status) params.status = status;
+        if (search) params.search = search;
+        
+        const response = await API.getEmails(params);
+        const emails = response.emails || [];
+        const counts = response.counts;
+        
+        document.getElementById('email-counts').textContent =
+            `${counts.pending + counts.sending} queued, ${counts.sent} sent, ${counts.failed} failed`;
+        document.getElementById('email-transport-notice').classList.toggle('d-none', response.transport !== 'file');
+        
+        if (emails.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" class="text-center py-4 text-muted">No emails found</td></tr>';
+            return;
+        }
+        
+        tbody.innerHTML = emails.map(email => `
+            <tr>
+                <td class="text-nowrap">${new Date(email.createdAt).toLocaleString('en-PH')}</td>
+                <td>${Utils.escapeHtml(email.to)}</td>
+                <td>
+                    ${Utils.escapeHtml(email.subject)}
+                    ${email.hasCalendarInvite ? '<i class="bi bi-calendar-event text-muted ms-1" title="Calendar invite attached"></i>' : ''}
+                    ${email.lastError ? `<br><small class="text-danger">${Utils.escapeHtml(email.lastError)}</small>` : ''}
+                </td>
+                <td>${EMAIL_STATUS_BADGES[email.status]}</td>
+                <td>${email.attempts}/${email.maxAttempts}</td>
+                <td class="text-nowrap">
+                    <button class="btn btn-sm btn-outline-secondary" onclick="previewEmail(${email.id})" title="View">
+                        <i class="bi bi-eye"></i>
+                    </button>
+                    ${['failed', 'sent'].includes(email.status) ? `
+                        <button class="btn btn-sm btn-outline-primary" onclick="resendEmail(${email.id})" title="Resend">
+                            <i class="bi bi-arrow-repeat"></i>
+                        </button>
+                    ` : ''}
+                </td>
+            </tr>
+        `).join('');
+    } catch (error) {
+        console.error('Load emails error:', error);
+        tbody.innerHTML = '<tr><td colspan="6" class="text-center py-4 text-danger">Failed to load emails</td></tr>';
+    }
+}
+
+async function previewEmail(id) {
+    try {
+        const response = await API.getEmail(id);
+        const email = response.email;
+        
+        document.getElementById('email-preview-subject').textContent = email.subject;
+        document.getElementById('email-preview-meta').textContent =
+            `To ${email.to} - ${email.status}${email.sentAt ? ` ${new Date(email.sentAt).toLocaleString('en-PH')}` : ''}`;
+        
+        const errorBox = document.getElementById('email-preview-error');
+        errorBox.textContent = email.lastError || '';
+        errorBox.classList.toggle('d-none', !email.lastError);
+        
+        // Sandboxed so the stored HTML cannot run scripts in the admin page
+        document.getElementById('email-preview-frame').srcdoc = email.html;
+        
+        const textBox = document.getElementById('email-preview-text');
+        textBox.textContent = email.text || '';
+        textBox.classList.toggle('d-none', !email.text);
+        
+        const resendBtn = document.getElementById('email-preview-resend-btn');
+        resendBtn.classList.toggle('d-none', !['failed', 'sent'].includes(email.status));
+        resendBtn.onclick = async () => {
+            await resendEmail(id);
+            bootstrap.Modal.getInstance(document.getElementById('emailPreviewModal')).hide();
+        };
+        
+        new bootstrap.Modal(document.getElementById('emailPreviewModal')).show();
+    } catch (error) {
+        Utils.showToast(error.message || 'Failed to load email', 'error');
+    }
+}
+
+async function resendEmail(id) {
+    try {
+        const response = await API.resendEmail(id);
+        Utils.showToast(response.message, 'success');
+        loadEmails();
+    } catch (error) {
+        Utils.showToast(error.message || 'Failed to resend email', 'error');
+    }
+}
+
+async function resendFailedEmails() {
+    if (!confirm('Queue all failed emails for resending?')) return;
+    
+    try {
+        const response = await API.resendFailedEmails();
+        Utils.showToast(response.message, 'success');
+        loadEmails();
+    } catch (error) {
+        Utils.showToast(error.message || 'Failed to resend emails', 'error');
+    }
+}
+
+// ============ Settings ============
+
+let assignmentStrategies = [];
+
+async function loadSettings() {
+    loadAssignmentSettings();
+    loadSlaSettings();
+    loadLeadScoringSettings();
+    loadEmailTemplates();
+}
+
+async function loadSlaSettings() {
+    document.getElementById('save-sla-btn').onclick = saveSlaSettings;
+    
+    try {
+        const response = await API.getSlaSettings();
+        const settings = response.settings;
+        document.getElementById('sla-enabled').checked = settings.isEnabled;
+        document.getElementById('sla-pending-hours').value = settings.pendingHours;
+        document.getElementById('sla-assigned-hours').value = settings.assignedHours;
+        document.getElementById('sla-reassign').checked = settings.reassignOverdue;
+    } catch (error) {
+        console.error('Load SLA settings error:', error);
+    }
+}
+
+async function saveSlaSettings() {
+    try {
+        await API.updateSlaSettings({
+            isEnabled: document.getElementById('sla-enabled').checked,
+            pendingHours: parseInt(document.getElementById('sla-pending-hours').value),
+            assignedHours: parseInt(document.getElementById('sla-assigned-hours').value),
+            reassignOverdue: document.getElementById('sla-reassign').checked
+        });
+        Utils.showToast('Response time targets saved', 'success');
+    } catch (error) {
+        Utils.showToast(error.message || 'Failed to save targets', 'error');
+    }
+}
+
+const LEAD_SCORING_FIELDS = {
+    intentWeight: 'score-intent-weight',
+    messageWeight: 'score-message-weight',
+    repeatWeight: 'score-repeat-weight',
+    priceWeight: 'score-price-weight',
+    noShowPenalty: 'score-no-show-penalty'
+};
+
+async function loadLeadScoringSettings() {
+    document.getElementById('save-lead-scoring-btn').onclick = saveLeadScoringSettings;
+    
+    try {
+        const response = await API.getLeadScoringSettings();
+        Object.entries(LEAD_SCORING_FIELDS).forEach(([key, id]) => {
+            document.getElementById(id).value = response.settings[key];
+        });
+    } catch (error) {
+        console.error('Load lead scoring settings error:', error);
+    }
+}
+
+async function saveLeadScoringSettings() {
+    const data = {};
+    Object.entries(LEAD_SCORING_FIELDS).forEach(([key, id]) => {
+        data[key] = parseInt(document.getElementById(id).value) || 0;
+    });
+    
+    try {
+        const response = await API.updateLeadScoringSettings(data);
+        Utils.showToast(response.message, 'success');
+    } catch (error) {
+        Utils.showToast(error.message || 'Failed to save lead scoring', 'error');
+    }
+}
+
+async function loadEmailTemplates() {
+    const select = document.getElementById('template-key');
+    
+    select.onchange = loadEmailTemplate;
+    document.getElementById('template-locale').onchange = loadEmailTemplate;
+    document.getElementById('preview-template-btn').onclick = previewEmailTemplate;
+    document.getElementById('save-template-btn').onclick = saveEmailTemplate;
+    document.getElementById('reset-template-btn').onclick = resetEmailTemplate;
+    
+    try {
+        const response = await API.getEmailTemplates();
+        const selected = select.value;
+        
+        select.innerHTML = response.templates.map(t => {
+            const customized = t.locales.filter(l => l.isCustomized).map(l => l.locale.toUpperCase());
+            return `<option value="${t.key}">${t.label}${customized.length ? ` (edited: ${customized.join(', ')})` : ''}</option>`;
+        }).join('');
+        
+        if (selected) select.value = selected;
+        loadEmailTemplate();
+    } catch (error) {
+        console.error('Load email templates error:', error);
+    }
+}
+
+async function loadEmailTemplate() {
+    const key = document.getElementById('template-key').value;
+    const locale = document.getElementById('template-locale').value;
+    
+    try {
+        const response = await API.getEmailTemplate(key, locale);
+        const template = response.template;
+        
+        document.getElementById('template-subject').value = template.subject;
+        document.getElementById('template-html').value = template.html;
+        document.getElementById('template-text').value = template.text;
+        
+        document.getElementById('template-status').innerHTML = template.isCustomized
+            ? '<span class="badge bg-primary">Edited</span>'
+            : template.isFallback
+                ? '<span class="badge bg-warning text-dark">No Filipino version - English is sent</span>'
+                : '<span class="badge bg-secondary">Default</span>';
+        
+        document.getElementById('template-variables').innerHTML = Object.entries(template.variables).map(([name, description]) => `
+            <li class="mb-1"><code>{{${name}}}</code> - ${description}</li>
+        `).join('');
+        
+        previewEmailTemplate();
+    } catch (error) {
+        Utils.showToast(error.message || 'Failed to load template', 'error');
+    }
+}
+
+function getTemplateEditorParts() {
+    return {
+        subject: document.getElementById('template-subject').value,
+        html: document.getElementById('template-html').value,
+        text: document.getElementById('template-text').value
+    };
+}
+
+async function previewEmailTemplate() {
+    const key = document.getElementById('template-key').value;
+    const locale = document.getElementById('template-locale').value;
+    
+    try {
+        const response = await API.previewEmailTemplate(key, locale, getTemplateEditorParts());
+        document.getElementById('template-preview-subject').textContent = response.preview.subject;
+        // Sandboxed so template HTML cannot run scripts in the admin page
+        document.getElementById('template-preview-frame').srcdoc = response.preview.html;
+        document.getElementById('template-preview-text').textContent = response.preview.text;
+    } catch (error) {
+        Utils.showToast(error.message || 'Failed to preview template', 'error');
+    }
+}
+
+async function saveEmailTemplate() {
+    const key = document.getElementById('template-key').value;
+    const locale = document.getElementById('template-locale').value;
+    
+    try {
+        await API.updateEmailTemplate(key, locale, getTemplateEditorParts());
+        Utils.showToast('Email template saved', 'success');
+        loadEmailTemplates();
+    } catch (error) {
+        Utils.showToast(error.message || 'Failed to save template', 'error');
+    }
+}
+
+async function resetEmailTemplate() {
+    if (!confirm('Discard your changes to this template and use the default?')) return;
+    
+    const key = document.getElementById('template-key').value;
+    const locale = document.getElementById('template-locale').value;
+    
+    try {
+        await API.resetEmailTemplate(key, locale);
+        Utils.showToast('Email template reset to default', 'success');
+        loadEmailTemplates();
+    } catch (error) {
+        Utils.showToast(error.message || 'Failed to reset template', 'error');
+    }
+}
+
+async function loadAssignmentSettings() {
+    const tbody = document.getElementById('assignment-strategies-list');
+    const territories = document.getElementById('territories-list');
+    
+    document.getElementById('save-strategies-btn').onclick = saveAssignmentStrategies;
+    
+    try {
+        const response = await API.getAssignmentSettings();
+        assignmentStrategies = response.strategies || [];
+        
+        tbody.innerHTML = assignmentStrategies.map((s, index) => `
+            <tr>
+                <td>${s.label}</td>
+                <td>
+                    <input type="number" class="form-control form-control-sm" min="1" max="100"
+                           id="strategy-priority-${index}" value="${s.priority}">
+                </td>
+                <td>
+                    <div class="form-check form-switch">
+                        <input class="form-check-input" type="checkbox" id="strategy-enabled-${index}" ${s.isEnabled ? 'checked' : ''}>
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+        
+        territories.innerHTML = (response.territories || []).map(t => `
+            <div class="mb-3">
+                <label class="form-label mb-1" for="territory-${t.agentId}">
+                    ${t.agentName}
+                    ${t.isActive ? '' : '<span class="badge bg-danger ms-1">Inactive</span>'}
+                </label>
+                <div class="input-group input-group-sm">
+                    <input type="text" class="form-control" id="territory-${t.agentId}"
+                           value="${t.cities.join(', ')}" placeholder="e.g. Makati City, Pasig City">
+                    <button class="btn btn-outline-primary" onclick="saveTerritory(${t.agentId})">Save</button>
+                </div>
+            </div>
+        `).join('') || '<p class="text-muted mb-0">No agents found</p>';
+    } catch (error) {
+        console.error('Load assignment settings error:', error);
+        tbody.innerHTML = '<tr><td colspan="3" class="text-center text-danger py-3">Failed to load assignment rules</td></tr>';
+    }
+}
+
+async function saveAssignmentStrategies() {
+    const strategies = assignmentStrategies.map((s, index) => ({
+        strategy: s.strategy,
+        priority: parseInt(document.getElementById(`strategy-priority-${index}`).value) || 1,
+        isEnabled: document.getElementById(`strategy-enabled-${index}`).checked
+    }));
+    
+    try {
+        await API.updateAssignmentStrategies(strategies);
+        Utils.showToast('Assignment rules saved', 'success');
+        loadAssignmentSettings();
+    } catch (error) {
+        Utils.showToast(error.message || 'Failed to save assignment rules', 'error');
+    }
+}
+
+async function saveTerritory(agentId) {
+    const cities = document.getElementById(`territory-${agentId}`).value
+        .split(',')
+        .map(city => city.trim())
+        .filter(Boolean);
+    
+    try {
+        await API.updateTerritory(agentId, cities);
+        Utils.showToast('Territory saved', 'success');
+    } catch (error) {
+        Utils.showToast(error.message || 'Failed to save territory', 'error');
+    }
+}
+
+// ============ Sales Report ============
+
+let salesList = [];
+
+async function loadSalesReport() {
+    const startDate = document.getElementById('sales-start-date').value;
+    const endDate = document.getElementById('sales-end-date').value;
+    const tbody = document.getElementById('sales-list');
+    
+    try {
+        const params = {};
+        if (startDate) params.startDate = startDate;
+        if (endDate) params.endDate = endDate;
+        
+        const response = await API.getSalesReport(params);
+        
+        // Update summary
+        document.getElementById('sales-total-count').textContent = response.summary?.totalSales || 0;
+        document.getElementById('sales-total-value').textContent = Utils.formatPrice(response.summary?.totalValue || 0);
+        document.getElementById('sales-total-commission').textContent = Utils.formatPrice(response.summary?.totalCommission || 0);
+        document.getElementById('sales-agent-commission').textContent = Utils.formatPrice(response.summary?.totalAgentCommission || 0);
+        document.getElementById('sales-house-commission').textContent = Utils.formatPrice(response.summary?.totalHouseCommission || 0);
+        
+        if (!response.sales || response.sales.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="8" class="text-center py-4 text-muted">No sales found</td>
+                </tr>
+            `;
+        } else {
+            salesList = response.sales;
+            tbody.innerHTML = response.sales.map(sale => `
+                <tr>
+                    <td><strong>${sale.title}</strong></td>
+                    <td>${sale.city}</td>
+                    <td>${sale.agentName}</td>
+                    <td>${sale.listingAgentName || '<span class="text-muted">-</span>'}</td>
+                    <td>
+                        ${Utils.formatPrice(sale.salePrice)}
+                        <small class="d-block text-muted">
+                            Asked ${Utils.formatPrice(sale.finalAskingPrice)}${sale.originalAskingPrice !== sale.finalAskingPrice ? ` (orig. ${Utils.formatPrice(sale.originalAskingPrice)})` : ''}
+                        </small>
+                        <small class="d-block text-muted">${sale.discountFromOriginalPercent.toFixed(1)}% below original</small>
+                    </td>
+                    <td>
+                        <strong class="text-success">${Utils.formatPrice(sale.commission)}</strong><br>
+                        ${sale.commissionTier ? `<small class="d-block"><span class="badge bg-info">${sale.commissionTier}</span></small>` : ''}
+                        ${sale.splits.map(line => `
+                            <small class="d-block text-muted">
+                                ${line.role}${line.agentName ? ` (${line.agentName})` : ''}: ${Utils.formatPrice(line.amount)}
+                            </small>
+                        `).join('')}
+                    </td>
+                    <td>${Utils.formatDate(sale.soldDate)}</td>
+                    <td>
+                        <button class="btn btn-sm btn-outline-danger" title="Void sale"
+                                onclick="openVoidSaleModal(${sale.id})">
+                            <i class="bi bi-x-circle"></i>
+                        </button>
+                    </td>
+                </tr>
+            `).join('');
+        }
+        
+    } catch (error) {
+        console.error('Load sales error:', error);
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="8" class="text-center py-4 text-danger">Failed to load sales report</td>
+            </tr>
+        `;
+    }
+    
+    loadDefaultSplit();
+    loadCommissionBalances();
+    loadVoidedSales();
+    
+    // Setup filter button
+    document.getElementById('filter-sales-btn').onclick = loadSalesReport;
+    
     // Setup export button
     document.getElementById('export-csv-btn').onclick = exportSalesCSV;
 }
 
+function openVoidSaleModal(propertyId) {
+    const sale = salesList.find(s => s.id === propertyId);
+    
+    document.getElementById('void-sale-property-id').value = propertyId;
+    document.getElementById('void-sale-title').textContent = sale ? sale.title : '';
+    document.getElementById('void-sale-reason').value = '';
+    document.getElementById('void-sale-restore').value = 'available';
+    document.getElementById('void-sale-expiry').value = '';
+    document.getElementById('void-sale-expiry-group').classList.add('d-none');
+    
+    document.getElementById('void-sale-restore').onchange = (e) => {
+        document.getElementById('void-sale-expiry-group').classList.toggle('d-none', e.target.value !== 'reserved');
+    };
+    document.getElementById('confirm-void-sale-btn').onclick = voidSale;
+    
+    new bootstrap.Modal(document.getElementById('voidSaleModal')).show();
+}
+
+async function voidSale() {
+    const propertyId = document.getElementById('void-sale-property-id').value;
+    const reason = document.getElementById('void-sale-reason').value.trim();
+    const restoreStatus = document.getElementById('void-sale-restore').value;
+    const expiryDate = document.getElementById('void-sale-expiry').value;
+    
+    if (!reason) {
+        Utils.showToast('Please enter a reason', 'error');
+        return;
+    }
+    
+    const data = { reason, restoreStatus };
+    if (restoreStatus === 'reserved' && expiryDate) data.expiryDate = expiryDate;
+    
+    try {
+        await API.voidSale(propertyId, data);
+        Utils.showToast('Sale voided', 'success');
+        bootstrap.Modal.getInstance(document.getElementById('voidSaleModal')).hide();
+        loadSalesReport();
+    } catch (error) {
+        Utils.showToast(error.message || 'Failed to void sale', 'error');
+    }
+}
+
+async function loadVoidedSales() {
+    const tbody = document.getElementById('voided-sales-list');
+    
+    try {
+        const response = await API.getVoidedSales();
+        
+        if (!response.voidedSales || response.voidedSales.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="6" class="text-center py-3 text-muted">No voided sales</td>
+                </tr>
+            `;
+            return;
+        }
+        
+        tbody.innerHTML = response.voidedSales.map(sale => `
+            <tr>
+                <td>${sale.title}</td>
+                <td>${sale.agentName || '-'}</td>
+                <td>${sale.salePrice !== null ? Utils.formatPrice(sale.salePrice) : '-'}</td>
+                <td>${sale.reason}</td>
+                <td>${Utils.getStatusBadge(sale.restoredStatus)}</td>
+                <td>
+                    ${Utils.formatDate(sale.voidedAt)}
+                    <small class="text-muted d-block">${sale.voidedBy || ''}</small>
+                </td>
+            </tr>
+        `).join('');
+    } catch (error) {
+        console.error('Load voided sales error:', error);
+    }
+}
+
+async function loadCommissionBalances() {
+    const tbody = document.getElementById('balances-list');
+    
+    try {
+        const response = await API.getCommissionBalances();
+        
+        document.getElementById('balances-paid').textContent = Utils.formatPrice(response.summary?.totalPaid || 0);
+        document.getElementById('balances-outstanding').textContent = Utils.formatPrice(response.summary?.totalOutstanding || 0);
+        
+        if (!response.balances || response.balances.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="5" class="text-center py-3 text-muted">No agents found</td>
+                </tr>
+            `;
+            return;
+        }
+        
+        tbody.innerHTML = response.balances.map(balance => `
+            <tr>
+                <td>${balance.agentName}</td>
+                <td>${Utils.formatPrice(balance.earned)}</td>
+                <td>${Utils.formatPrice(balance.paid)}</td>
+                <td class="${balance.outstanding > 0 ? 'text-danger fw-bold' : ''}">${Utils.formatPrice(balance.outstanding)}</td>
+                <td class="text-end">
+                    <button class="btn btn-sm btn-outline-success" ${balance.outstanding > 0 ? '' : 'disabled'}
+                            onclick="openPayoutModal(${balance.agentId}, '${balance.agentName}', ${balance.outstanding})">
+                        <i class="bi bi-cash"></i> Record Payout
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+    } catch (error) {
+        console.error('Load commission balances error:', error);
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="5" class="text-center py-3 text-danger">Failed to load balances</td>
+            </tr>
+        `;
+    }
+}
+
+function openPayoutModal(agentId, agentName, outstanding) {
+    document.getElementById('payout-agent-id').value = agentId;
+    document.getElementById('payout-agent-name').textContent = agentName;
+    document.getElementById('payout-outstanding').textContent = Utils.formatPrice(outstanding);
+    document.getElementById('payout-date').value = new Date().toISOString().split('T')[0];
+    document.getElementById('payout-amount').value = outstanding.toFixed(2);
+    document.getElementById('payout-withholding').value = 0;
+    document.getElementById('payout-reference').value = '';
+    document.getElementById('payout-notes').value = '';
+    
+    document.getElementById('confirm-payout-btn').onclick = recordPayout;
+    
+    new bootstrap.Modal(document.getElementById('payoutModal')).show();
+}
+
+async function recordPayout() {
+    const data = {
+        agentId: parseInt(document.getElementById('payout-agent-id').value),
+        payoutDate: document.getElementById('payout-date').value,
+        amount: parseFloat(document.getElementById('payout-amount').value),
+        withholdingTax: parseFloat(document.getElementById('payout-withholding').value) || 0
+    };
+    
+    const reference = document.getElementById('payout-reference').value.trim();
+    const notes = document.getElementById('payout-notes').value.trim();
+    if (reference) data.reference = reference;
+    if (notes) data.notes = notes;
+    
+    if (!data.payoutDate || !data.amount) {
+        Utils.showToast('Please enter a payout date and amount', 'error');
+        return;
+    }
+    
+    try {
+        await API.recordPayout(data);
+        Utils.showToast('Payout recorded', 'success');
+        bootstrap.Modal.getInstance(document.getElementById('payoutModal')).hide();
+        loadCommissionBalances();
+    } catch (error) {
+        Utils.showToast(error.message || 'Failed to record payout', 'error');
+    }
+}
+
+async function loadDefaultSplit() {
+    try {
+        const response = await API.getCommissionSplits();
+        const split = response.defaultSplit;
+        document.getElementById('split-listing').value = +(split.listingShare * 100).toFixed(2);
+        document.getElementById('split-selling').value = +(split.sellingShare * 100).toFixed(2);
+        document.getElementById('split-house').value = +(split.houseShare * 100).toFixed(2);
+    } catch (error) {
+        console.error('Load commission split error:', error);
+    }
+    
+    document.getElementById('save-split-btn').onclick = saveDefaultSplit;
+}
+
+async function saveDefaultSplit() {
+    const listing = parseFloat(document.getElementById('split-listing').value) || 0;
+    const selling = parseFloat(document.getElementById('split-selling').value) || 0;
+    const house = parseFloat(document.getElementById('split-house').value) || 0;
+    
+    if (Math.abs(listing + selling + house - 100) > 0.01) {
+        Utils.showToast('Split percentages must add up to 100%', 'error');
+        return;
+    }
+    
+    try {
+        await API.updateDefaultSplit({
+            listingShare: listing / 100,
+            sellingShare: selling / 100,
+            houseShare: house / 100
+        });
+        Utils.showToast('Default commission split saved', 'success');
+    } catch (error) {
+        Utils.showToast(error.message || 'Failed to save split', 'error');
+    }
+}
+
 function exportSalesCSV() {
     const startDate = document.getElementById('sales-start-date').value;
     const endDate = document.getElementById('sales-end-date').value;
@@ -655,7 +1902,7 @@ function renderCalendar() {
                     <div class="appointment-preview">
                         ${dayAppointments.slice(0, 2).map(apt => `
                             <div class="preview-item">
-                                <small>${Utils.formatTime(apt.scheduledTime)} - ${apt.propertyTitle.substring(0, 15)}...</small>
+                                <small>${Utils.formatTime(apt.scheduledTime)}-${Utils.formatTime(apt.endTime)} ${apt.propertyTitle.substring(0, 15)}...</small>
                             </div>
                         `).join('')}
                         ${dayAppointments.length > 2 ? `<small class="text-muted">+${dayAppointments.length - 2} more</small>` : ''}
@@ -696,7 +1943,10 @@ function showDayAppointments(dateStr) {
     } else {
         tbody.innerHTML = dayAppointments.map(apt => `
             <tr>
-                <td><strong>${Utils.formatTime(apt.scheduledTime)}</strong></td>
+                <td>
+                    <strong>${Utils.formatTime(apt.scheduledTime)} - ${Utils.formatTime(apt.endTime)}</strong>
+                    ${apt.travelBufferMinutes ? `<br><small class="text-muted">+${apt.travelBufferMinutes} min travel before</small>` : ''}
+                </td>
                 <td>
                     ${apt.propertyTitle}<br>
                     <small class="text-muted">${apt.propertyCity}</small>
@@ -708,10 +1958,80 @@ function showDayAppointments(dateStr) {
         `).join('');
     }
     
+    renderDayTimeline(dayAppointments);
+    
     card.style.display = 'block';
     card.scrollIntoView({ behavior: 'smooth' });
 }
 
+function timeToMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Draw the day's viewings as blocks on one lane per agent,
+ * with each travel buffer shaded before its viewing
+ */
+function renderDayTimeline(dayAppointments) {
+    const container = document.getElementById('day-timeline');
+    
+    if (dayAppointments.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+    
+    // Working day by default, stretched to fit early or late viewings
+    const dayStart = Math.min(8 * 60, ...dayAppointments.map(apt => timeToMinutes(apt.scheduledTime) - apt.travelBufferMinutes));
+    const dayEnd = Math.max(19 * 60, ...dayAppointments.map(apt => timeToMinutes(apt.endTime)));
+    const firstHour = Math.floor(dayStart / 60);
+    const lastHour = Math.ceil(dayEnd / 60);
+    const span = (lastHour - firstHour) * 60;
+    const position = (minutes) => ((minutes - firstHour * 60) / span * 100).toFixed(2);
+    
+    const lanes = {};
+    dayAppointments.forEach(apt => {
+        const key = apt.assignedAgentId || 0;
+        if (!lanes[key]) {
+            lanes[key] = { agentName: apt.agentName || 'Unassigned', appointments: [] };
+        }
+        lanes[key].appointments.push(apt);
+    });
+    
+    const hours = [];
+    for (let hour = firstHour; hour < lastHour; hour++) {
+        hours.push(`<span style="left: ${position(hour * 60)}%">${Utils.formatTime(`${hour}:00`)}</span>`);
+    }
+    
+    container.innerHTML = `
+        <div class="timeline-lane">
+            <div class="lane-label"></div>
+            <div class="timeline-scale">${hours.join('')}</div>
+        </div>
+        ${Object.entries(lanes).map(([agentId, lane]) => `
+            <div class="timeline-lane">
+                <div class="lane-label">${lane.agentName}</div>
+                <div class="lane-track">
+                    ${lane.appointments.map(apt => {
+                        const start = timeToMinutes(apt.scheduledTime);
+                        const end = timeToMinutes(apt.endTime);
+                        return `
+                            ${apt.travelBufferMinutes ? `
+                                <div class="timeline-buffer" style="left: ${position(start - apt.travelBufferMinutes)}%; width: ${(apt.travelBufferMinutes / span * 100).toFixed(2)}%"
+                                     title="Travel (${apt.travelBufferMinutes} min)"></div>
+                            ` : ''}
+                            <div class="timeline-block" style="left: ${position(start)}%; width: ${((end - start) / span * 100).toFixed(2)}%"
+                                 title="${Utils.formatTime(apt.scheduledTime)} - ${Utils.formatTime(apt.endTime)}: ${apt.propertyTitle}">
+                                ${apt.propertyTitle}
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+            </div>
+        `).join('')}
+    `;
+}
+
 // Add formatTime utility if not exists
 if (!Utils.formatTime) {
     Utils.formatTime = function(timeString) {
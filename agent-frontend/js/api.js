@@ -46,7 +46,8 @@ const API = {
             const response = await fetch(url, config);
             const data = await response.json();
             
-            if (response.status === 401 || response.status === 403) {
+            // Session expired; 403 is a permission error shown to the user
+            if (response.status === 401) {
                 this.clearToken();
                 window.location.reload();
                 return;
@@ -102,6 +103,11 @@ const API = {
         return this.get(`/appointments/my${queryString ? '?' + queryString : ''}`);
     },
 
+    getAvailableSlots(id, params = {}) {
+        const queryString = new URLSearchParams(params).toString();
+        return this.get(`/appointments/${id}/available-slots${queryString ? '?' + queryString : ''}`);
+    },
+
     scheduleAppointment(id, data) {
         return this.put(`/appointments/${id}/schedule`, data);
     },
@@ -110,18 +116,117 @@ const API = {
         return this.put(`/appointments/${id}/complete`, data);
     },
 
+    confirmPhone(id) {
+        return this.put(`/appointments/${id}/confirm-phone`);
+    },
+
+    // Offers
+    getOffers(params = {}) {
+        const queryString = new URLSearchParams(params).toString();
+        return this.get(`/offers${queryString ? '?' + queryString : ''}`);
+    },
+
+    getOffer(id) {
+        return this.get(`/offers/${id}`);
+    },
+
+    counterOffer(id, data) {
+        return this.post(`/offers/${id}/counter`, data);
+    },
+
+    acceptOffer(id, data = {}) {
+        return this.put(`/offers/${id}/accept`, data);
+    },
+
+    rejectOffer(id, data = {}) {
+        return this.put(`/offers/${id}/reject`, data);
+    },
+
+    withdrawOffer(id, data = {}) {
+        return this.put(`/offers/${id}/withdraw`, data);
+    },
+
+    // Tasks
+    getTasks(params = {}) {
+        const queryString = new URLSearchParams(params).toString();
+        return this.get(`/tasks${queryString ? '?' + queryString : ''}`);
+    },
+
+    createTask(data) {
+        return this.post('/tasks', data);
+    },
+
+    updateTask(id, data) {
+        return this.put(`/tasks/${id}`, data);
+    },
+
+    completeTask(id, data = {}) {
+        return this.put(`/tasks/${id}/complete`, data);
+    },
+
+    reopenTask(id) {
+        return this.put(`/tasks/${id}/reopen`);
+    },
+
+    deleteTask(id) {
+        return this.delete(`/tasks/${id}`);
+    },
+
+    // Contacts
+    getContact(id) {
+        return this.get(`/contacts/${id}`);
+    },
+
+    addContactNote(id, note) {
+        return this.post(`/contacts/${id}/notes`, { note });
+    },
+
     // Shared Calendar - shows ALL appointments from ALL agents
     getCalendar(params = {}) {
         const queryString = new URLSearchParams(params).toString();
         return this.get(`/appointments/calendar${queryString ? '?' + queryString : ''}`);
     },
 
+    // Private calendar feed (webcal:// subscription)
+    getCalendarFeed() {
+        return this.get('/appointments/my/calendar-feed');
+    },
+
+    resetCalendarFeed() {
+        return this.post('/appointments/my/calendar-feed/reset');
+    },
+
+    // Availability
+    getAvailability(agentId) {
+        return this.get(`/availability/agents/${agentId}`);
+    },
+
+    saveWeeklyHours(agentId, weeklyHours) {
+        return this.put(`/availability/agents/${agentId}/weekly`, { weeklyHours });
+    },
+
+    addTimeOff(agentId, data) {
+        return this.post(`/availability/agents/${agentId}/time-off`, data);
+    },
+
+    deleteTimeOff(agentId, timeOffId) {
+        return this.delete(`/availability/agents/${agentId}/time-off/${timeOffId}`);
+    },
+
+    getHolidays() {
+        return this.get('/availability/holidays');
+    },
+
     // My Sales
     getMySales(params = {}) {
         const queryString = new URLSearchParams(params).toString();
         return this.get(`/properties/my-sales${queryString ? '?' + queryString : ''}`);
     },
 
+    getMyLedger() {
+        return this.get('/commissions/my-ledger');
+    },
+
     // Properties
     getProperties(params = {}) {
         const queryString = new URLSearchParams(params).toString();
@@ -130,6 +235,10 @@ const API = {
 
     markPropertySold(id, data) {
         return this.put(`/properties/${id}/mark-sold`, data);
+    },
+
+    submitListing(id) {
+        return this.put(`/properties/${id}/submit`);
     }
 };
 
@@ -161,15 +270,30 @@ const Utils = {
         return `${hour}:${minutes} ${ampm}`;
     },
 
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML;
+    },
+
     getStatusBadge(status) {
         const badges = {
             'assigned': '<span class="badge badge-assigned">Assigned</span>',
             'scheduled': '<span class="badge badge-scheduled">Scheduled</span>',
             'completed': '<span class="badge badge-completed">Completed</span>',
             'cancelled': '<span class="badge badge-cancelled">Cancelled</span>',
+            'pending': '<span class="badge bg-info">Pending</span>',
+            'countered': '<span class="badge bg-warning">Countered</span>',
+            'accepted': '<span class="badge bg-success">Accepted</span>',
+            'rejected': '<span class="badge bg-danger">Rejected</span>',
+            'withdrawn': '<span class="badge bg-secondary">Withdrawn</span>',
             'available': '<span class="badge bg-success">Available</span>',
             'reserved': '<span class="badge bg-warning">Reserved</span>',
-            'sold': '<span class="badge bg-danger">Sold</span>'
+            'sold': '<span class="badge bg-danger">Sold</span>',
+            'draft': '<span class="badge bg-secondary">Draft</span>',
+            'in_review': '<span class="badge bg-info">In Review</span>',
+            'returned': '<span class="badge bg-warning">Returned</span>',
+            'published': '<span class="badge bg-success">Published</span>'
         };
         return badges[status] || `<span class="badge bg-secondary">${status}</span>`;
     },
@@ -68,6 +68,7 @@ function showDashboard() {
     setupNavigation();
     setupLogout();
     loadDashboard();
+    refreshTaskBadge();
 }
 
 // ============ Navigation ============
@@ -109,8 +110,18 @@ function navigateTo(page) {
         case 'appointments':
             loadAppointments();
             break;
+        case 'tasks':
+            loadTasks();
+            break;
         case 'calendar':
             loadCalendar();
+            loadCalendarFeed();
+            break;
+        case 'availability':
+            loadAvailability();
+            break;
+        case 'offers':
+            loadOffers();
             break;
         case 'sales':
             loadMySales();
@@ -246,6 +257,8 @@ async function loadAppointments() {
                             </div>
                         </div>
                         
+                        ${reliabilityAlert(apt)}
+                        
                         <div class="mb-3">
                             <strong>${apt.propertyTitle}</strong><br>
                             <small class="text-muted">
@@ -265,6 +278,7 @@ async function loadAppointments() {
                                 <i class="bi bi-calendar-event text-primary me-2"></i>
                                 <strong>${Utils.formatDate(apt.scheduledDate)}</strong>
                                 at <strong>${Utils.formatTime(apt.scheduledTime)}</strong>
+                                <small class="text-muted">(${apt.durationMinutes} min)</small>
                             </div>
                         ` : ''}
                         
@@ -292,6 +306,19 @@ async function loadAppointments() {
                                 </div>
                             ` : ''}
                         </div>
+                        
+                        <div class="d-flex gap-3 mt-2">
+                            ${apt.status !== 'cancelled' ? `
+                                <button class="btn btn-sm btn-link px-0" onclick="openTaskModal(null, ${apt.id})">
+                                    <i class="bi bi-plus-circle me-1"></i>Add Task
+                                </button>
+                            ` : ''}
+                            ${apt.contactId ? `
+                                <button class="btn btn-sm btn-link px-0" onclick="openContactModal(${apt.contactId})">
+                                    <i class="bi bi-person-lines-fill me-1"></i>Customer History
+                                </button>
+                            ` : ''}
+                        </div>
                     </div>
                 </div>
             </div>
@@ -310,6 +337,47 @@ async function loadAppointments() {
     document.getElementById('appointment-filter').onchange = loadAppointments;
 }
 
+/**
+ * Warning on an appointment card for customers who missed earlier viewings
+ * or whose requests must be confirmed by phone before scheduling
+ */
+function reliabilityAlert(apt) {
+    if (apt.contactNoShowCount === 0 && !apt.needsPhoneConfirmation) {
+        return apt.phoneConfirmedAt
+            ? '<div class="small text-success mb-3"><i class="bi bi-telephone-check me-1"></i>Confirmed by phone</div>'
+            : '';
+    }
+    
+    return `
+        <div class="alert ${apt.isRepeatNoShow ? 'alert-danger' : 'alert-warning'} py-2 small mb-3">
+            ${apt.contactNoShowCount > 0 ? `
+                <div>
+                    <i class="bi bi-exclamation-triangle me-1"></i>
+                    ${apt.isRepeatNoShow ? '<strong>Repeat no-show:</strong> ' : ''}missed ${apt.contactNoShowCount} earlier viewing${apt.contactNoShowCount > 1 ? 's' : ''}
+                </div>
+            ` : ''}
+            ${apt.needsPhoneConfirmation ? `
+                <div class="d-flex align-items-center justify-content-between mt-1">
+                    <span><i class="bi bi-telephone me-1"></i>Confirm by phone before scheduling</span>
+                    <button class="btn btn-sm btn-outline-dark py-0" onclick="confirmPhone(${apt.id})">Confirmed</button>
+                </div>
+            ` : apt.phoneConfirmedAt ? '<div class="text-success mt-1"><i class="bi bi-telephone-check me-1"></i>Confirmed by phone</div>' : ''}
+        </div>
+    `;
+}
+
+async function confirmPhone(appointmentId) {
+    if (!confirm('Did the customer confirm this viewing request by phone?')) return;
+    
+    try {
+        await API.confirmPhone(appointmentId);
+        Utils.showToast('Phone confirmation recorded', 'success');
+        loadAppointments();
+    } catch (error) {
+        Utils.showToast(error.message || 'Failed to record confirmation', 'error');
+    }
+}
+
 function openScheduleModal(appointmentId) {
     document.getElementById('schedule-appointment-id').value = appointmentId;
     
@@ -318,14 +386,23 @@ function openScheduleModal(appointmentId) {
     tomorrow.setDate(tomorrow.getDate() + 1);
     document.getElementById('schedule-date').value = tomorrow.toISOString().split('T')[0];
     document.getElementById('schedule-time').value = '10:00';
+    document.getElementById('schedule-duration').value = '60';
+    document.getElementById('schedule-travel-buffer').value = '0';
     document.getElementById('schedule-notes').value = '';
     
+    // Open times depend on how long the viewing takes and the travel before it
+    loadScheduleSlots(appointmentId);
+    document.getElementById('schedule-duration').onchange = () => loadScheduleSlots(appointmentId);
+    document.getElementById('schedule-travel-buffer').onchange = () => loadScheduleSlots(appointmentId);
+    
     const modal = new bootstrap.Modal(document.getElementById('scheduleModal'));
     modal.show();
     
     document.getElementById('confirm-schedule-btn').onclick = async () => {
         const scheduledDate = document.getElementById('schedule-date').value;
         const scheduledTime = document.getElementById('schedule-time').value;
+        const durationMinutes = parseInt(document.getElementById('schedule-duration').value);
+        const travelBufferMinutes = parseInt(document.getElementById('schedule-travel-buffer').value);
         const agentNotes = document.getElementById('schedule-notes').value;
         
         if (!scheduledDate || !scheduledTime) {
@@ -337,6 +414,8 @@ function openScheduleModal(appointmentId) {
             await API.scheduleAppointment(appointmentId, {
                 scheduledDate,
                 scheduledTime,
+                durationMinutes,
+                travelBufferMinutes,
                 agentNotes
             });
             Utils.showToast('Viewing scheduled successfully', 'success');
@@ -349,11 +428,73 @@ function openScheduleModal(appointmentId) {
     };
 }
 
+async function loadScheduleSlots(appointmentId) {
+    const container = document.getElementById('schedule-slots');
+    container.innerHTML = '<div class="spinner-border spinner-border-sm text-primary"></div>';
+    
+    try {
+        const response = await API.getAvailableSlots(appointmentId, {
+            days: 7,
+            durationMinutes: document.getElementById('schedule-duration').value,
+            travelBufferMinutes: document.getElementById('schedule-travel-buffer').value
+        });
+        const days = response.days || [];
+        
+        if (!days.some(day => day.slots.length > 0)) {
+            container.innerHTML = '<small class="text-muted">No open times in the next 7 days. Enter a date and time below.</small>';
+            return;
+        }
+        
+        container.innerHTML = days.map(day => `
+            <div class="slot-day">
+                <small class="slot-day-label">${new Date(`${day.date}T00:00:00`).toLocaleDateString('en-PH', { weekday: 'short', month: 'short', day: 'numeric' })}</small>
+                ${day.slots.length > 0 ? day.slots.map(slot => `
+                    <button type="button" class="btn btn-sm btn-outline-primary slot-btn" data-date="${day.date}" data-time="${slot}">
+                        ${Utils.formatTime(slot)}
+                    </button>
+                `).join('') : `<small class="text-muted">${day.unavailableReason}</small>`}
+            </div>
+        `).join('');
+        
+        container.querySelectorAll('.slot-btn').forEach(btn => {
+            btn.onclick = () => selectScheduleSlot(btn);
+        });
+        
+        // Start from the earliest open time
+        selectScheduleSlot(container.querySelector('.slot-btn'));
+    } catch (error) {
+        container.innerHTML = `<small class="text-danger">${error.message || 'Failed to load open times'}</small>`;
+    }
+}
+
+function selectScheduleSlot(btn) {
+    document.querySelectorAll('#schedule-slots .slot-btn').forEach(b => b.classList.remove('active'));
+    btn.classList.add('active');
+    document.getElementById('schedule-date').value = btn.dataset.date;
+    document.getElementById('schedule-time').value = btn.dataset.time;
+}
+
 function openCompleteModal(appointmentId) {
     document.getElementById('complete-appointment-id').value = appointmentId;
     document.getElementById('complete-outcome').value = '';
     document.getElementById('complete-outcome-notes').value = '';
     document.getElementById('complete-notes').value = '';
+    document.getElementById('complete-offer-amount').value = '';
+    document.getElementById('complete-offer-terms').value = '';
+    document.getElementById('complete-offer-fields').classList.add('d-none');
+    document.getElementById('complete-followup-date').value = '';
+    document.getElementById('complete-followup-fields').classList.add('d-none');
+    
+    // Offer details are only relevant when an offer was made, the follow-up date when one is needed
+    document.getElementById('complete-outcome').onchange = (e) => {
+        document.getElementById('complete-offer-fields').classList.toggle('d-none', e.target.value !== 'offer_made');
+        
+        const followUpDays = FOLLOW_UP_DAYS[e.target.value];
+        document.getElementById('complete-followup-fields').classList.toggle('d-none', !followUpDays);
+        if (followUpDays) {
+            document.getElementById('complete-followup-date').value = daysFromToday(followUpDays);
+        }
+    };
     
     const modal = new bootstrap.Modal(document.getElementById('completeModal'));
     modal.show();
@@ -362,33 +503,662 @@ function openCompleteModal(appointmentId) {
         const outcome = document.getElementById('complete-outcome').value;
         const outcomeNotes = document.getElementById('complete-outcome-notes').value;
         const agentNotes = document.getElementById('complete-notes').value;
+        const offerAmount = parseFloat(document.getElementById('complete-offer-amount').value);
+        const offerTerms = document.getElementById('complete-offer-terms').value;
+        const followUpDate = document.getElementById('complete-followup-date').value;
         
         if (!outcome) {
             Utils.showToast('Please select an outcome', 'error');
             return;
         }
         
+        if (outcome === 'offer_made' && (!offerAmount || offerAmount <= 0)) {
+            Utils.showToast('Please enter the offer amount', 'error');
+            return;
+        }
+        
         try {
             await API.completeAppointment(appointmentId, {
                 outcome,
                 outcomeNotes,
-                agentNotes
+                agentNotes,
+                ...(outcome === 'offer_made' ? { offerAmount, offerTerms } : {}),
+                ...(FOLLOW_UP_DAYS[outcome] ? { followUpDate } : {})
             });
-            Utils.showToast('Viewing marked as completed', 'success');
+            Utils.showToast(
+                outcome === 'offer_made' ? 'Viewing completed and offer recorded'
+                    : FOLLOW_UP_DAYS[outcome] ? 'Viewing completed and follow-up added to My Tasks'
+                        : 'Viewing marked as completed',
+                'success'
+            );
             modal.hide();
             loadAppointments();
             loadDashboard();
+            refreshTaskBadge();
         } catch (error) {
             Utils.showToast(error.message || 'Failed to complete', 'error');
         }
     };
 }
 
+// ============ Tasks ============
+
+// Default follow-up due dates, in days, for outcomes that create a task
+const FOLLOW_UP_DAYS = {
+    interested: 1,
+    needs_followup: 2
+};
+
+let myTasks = [];
+
+/**
+ * YYYY-MM-DD for today plus a number of days, in local time
+ */
+function daysFromToday(days) {
+    const date = new Date();
+    date.setDate(date.getDate() + days);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function renderTaskBadge(counts) {
+    const badge = document.getElementById('tasks-overdue-badge');
+    badge.textContent = counts.overdue;
+    badge.classList.toggle('d-none', !counts.overdue);
+}
+
+async function refreshTaskBadge() {
+    try {
+        const response = await API.getTasks({ status: 'open' });
+        renderTaskBadge(response.counts);
+    } catch (error) {
+        console.error('Task count error:', error);
+    }
+}
+
+async function loadTasks() {
+    const tbody = document.getElementById('tasks-list');
+    const status = document.getElementById('task-filter').value;
+    
+    document.getElementById('task-filter').onchange = loadTasks;
+    document.getElementById('new-task-btn').onclick = () => openTaskModal();
+    
+    tbody.innerHTML = `
+        <tr>
+            <td colspan="5" class="text-center py-4">
+                <div class="spinner-border spinner-border-sm text-primary"></div>
+            </td>
+        </tr>
+    `;
+    
+    try {
+        const response = await API.getTasks(status ? { status } : {});
+        const counts = response.counts;
+        myTasks = response.tasks || [];
+        
+        renderTaskBadge(counts);
+        document.getElementById('task-counts').innerHTML = `
+            <span><strong>${counts.open}</strong> open</span>
+            <span class="${counts.overdue ? 'text-danger fw-semibold' : 'text-muted'}"><strong>${counts.overdue}</strong> overdue</span>
+            <span class="text-muted"><strong>${counts.dueToday}</strong> due today</span>
+            <span class="text-muted"><strong>${counts.completed}</strong> completed</span>
+        `;
+        
+        if (myTasks.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="5" class="text-center py-4 text-muted">
+                        ${status === 'open' ? 'No open tasks - you are all caught up' : 'No tasks found'}
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+        
+        tbody.innerHTML = myTasks.map(task => `
+            <tr class="${task.isOverdue ? 'table-danger' : ''}">
+                <td class="text-nowrap">
+                    ${task.status === 'completed' ? `
+                        <span class="text-muted text-decoration-line-through">${Utils.formatDate(task.dueDate)}</span><br>
+                        <small class="text-success"><i class="bi bi-check-circle me-1"></i>Done ${Utils.formatDate(task.completedAt)}</small>
+                    ` : `
+                        ${Utils.formatDate(task.dueDate)}<br>
+                        ${task.isOverdue ? '<span class="badge bg-danger">Overdue</span>' : task.isDueToday ? '<span class="badge bg-warning text-dark">Today</span>' : ''}
+                    `}
+                </td>
+                <td>
+                    <strong>${Utils.escapeHtml(task.title)}</strong>
+                    ${task.source !== 'manual' ? `<span class="badge bg-info ms-1">${task.source === 'interested' ? 'Interested' : 'Needs follow-up'}</span>` : ''}
+                    ${task.notes ? `<br><small class="text-muted">${Utils.escapeHtml(task.notes)}</small>` : ''}
+                    ${task.completionNotes ? `<br><small class="text-success">${Utils.escapeHtml(task.completionNotes)}</small>` : ''}
+                </td>
+                <td>
+                    ${task.customerName ? `
+                        ${Utils.escapeHtml(task.customerName)}<br>
+                        ${task.customerPhone ? `<a href="tel:${Utils.escapeHtml(task.customerPhone)}" class="small">${Utils.escapeHtml(task.customerPhone)}</a>` : ''}
+                    ` : '<span class="text-muted">-</span>'}
+                </td>
+                <td>${task.propertyTitle || '<span class="text-muted">-</span>'}</td>
+                <td class="text-nowrap">
+                    ${task.status === 'open' ? `
+                        <button class="btn btn-sm btn-success" onclick="openCompleteTaskModal(${task.id})" title="Complete">
+                            <i class="bi bi-check-lg"></i>
+                        </button>
+                        <button class="btn btn-sm btn-outline-secondary" onclick="openTaskModal(${task.id})" title="Edit">
+                            <i class="bi bi-pencil"></i>
+                        </button>
+                    ` : `
+                        <button class="btn btn-sm btn-outline-secondary" onclick="reopenTask(${task.id})">Reopen</button>
+                    `}
+                    ${task.source === 'manual' ? `
+                        <button class="btn btn-sm btn-outline-danger" onclick="deleteTask(${task.id})" title="Delete">
+                            <i class="bi bi-trash"></i>
+                        </button>
+                    ` : ''}
+                </td>
+            </tr>
+        `).join('');
+    } catch (error) {
+        console.error('Load tasks error:', error);
+        tbody.innerHTML = '<tr><td colspan="5" class="text-center py-4 text-danger">Failed to load tasks</td></tr>';
+    }
+}
+
+/**
+ * New task (optionally linked to a viewing) or edit an existing one
+ */
+function openTaskModal(taskId = null, appointmentId = null) {
+    const task = taskId ? myTasks.find(t => t.id === taskId) : null;
+    const linkedAppointmentId = task ? task.appointmentId : appointmentId;
+    
+    document.getElementById('task-modal-title').textContent = task ? 'Edit Task' : 'New Task';
+    document.getElementById('task-title').value = task ? task.title : '';
+    document.getElementById('task-due-date').value = task ? task.dueDate : daysFromToday(1);
+    document.getElementById('task-notes').value = task ? (task.notes || '') : '';
+    document.getElementById('task-customer-name').value = '';
+    document.getElementById('task-customer-phone').value = '';
+    document.getElementById('task-customer-email').value = '';
+    
+    // Customer details come from the viewing, and cannot be changed once a task exists
+    const label = document.getElementById('task-appointment-label');
+    label.textContent = linkedAppointmentId
+        ? `Linked to viewing #${linkedAppointmentId}${task && task.customerName ? ` with ${task.customerName}` : ''}`
+        : task && task.customerName ? `Customer: ${task.customerName}` : '';
+    label.classList.toggle('d-none', !label.textContent);
+    document.getElementById('task-customer-fields').classList.toggle('d-none', !!(task || linkedAppointmentId));
+    
+    const modal = new bootstrap.Modal(document.getElementById('taskModal'));
+    modal.show();
+    
+    document.getElementById('save-task-btn').onclick = async () => {
+        const data = {
+            title: document.getElementById('task-title').value.trim(),
+            dueDate: document.getElementById('task-due-date').value,
+            notes: document.getElementById('task-notes').value.trim()
+        };
+        
+        if (!data.title || !data.dueDate) {
+            Utils.showToast('Please enter the task and its due date', 'error');
+            return;
+        }
+        
+        try {
+            if (task) {
+                await API.updateTask(task.id, data);
+            } else {
+                await API.createTask({
+                    ...data,
+                    ...(appointmentId ? { appointmentId } : {
+                        customerName: document.getElementById('task-customer-name').value.trim(),
+                        customerPhone: document.getElementById('task-customer-phone').value.trim(),
+                        customerEmail: document.getElementById('task-customer-email').value.trim()
+                    })
+                });
+            }
+            Utils.showToast(task ? 'Task updated' : 'Task added to My Tasks', 'success');
+            modal.hide();
+            if (document.getElementById('page-tasks').classList.contains('d-none')) {
+                refreshTaskBadge();
+            } else {
+                loadTasks();
+            }
+        } catch (error) {
+            Utils.showToast(error.message || 'Failed to save task', 'error');
+        }
+    };
+}
+
+function openCompleteTaskModal(taskId) {
+    const task = myTasks.find(t => t.id === taskId);
+    
+    document.getElementById('complete-task-title').textContent = task ? task.title : '';
+    document.getElementById('complete-task-notes').value = '';
+    
+    const modal = new bootstrap.Modal(document.getElementById('completeTaskModal'));
+    modal.show();
+    
+    document.getElementById('confirm-complete-task-btn').onclick = async () => {
+        try {
+            await API.completeTask(taskId, {
+                completionNotes: document.getElementById('complete-task-notes').value.trim()
+            });
+            Utils.showToast('Task completed', 'success');
+            modal.hide();
+            loadTasks();
+        } catch (error) {
+            Utils.showToast(error.message || 'Failed to complete task', 'error');
+        }
+    };
+}
+
+async function reopenTask(taskId) {
+    try {
+        await API.reopenTask(taskId);
+        Utils.showToast('Task reopened', 'success');
+        loadTasks();
+    } catch (error) {
+        Utils.showToast(error.message || 'Failed to reopen task', 'error');
+    }
+}
+
+async function deleteTask(taskId) {
+    if (!confirm('Delete this task?')) return;
+    
+    try {
+        await API.deleteTask(taskId);
+        Utils.showToast('Task deleted', 'success');
+        loadTasks();
+    } catch (error) {
+        Utils.showToast(error.message || 'Failed to delete task', 'error');
+    }
+}
+
+// ============ Customer History ============
+
+const OUTCOME_LABELS = {
+    interested: 'Interested',
+    offer_made: 'Offer made',
+    not_interested: 'Not interested',
+    no_show: 'No-show',
+    needs_followup: 'Needs follow-up'
+};
+
+async function openContactModal(contactId) {
+    try {
+        const response = await API.getContact(contactId);
+        renderContact(response.contact);
+        
+        document.getElementById('add-contact-note-btn').onclick = addContactNote;
+        
+        const modalEl = document.getElementById('contactModal');
+        (bootstrap.Modal.getInstance(modalEl) || new bootstrap.Modal(modalEl)).show();
+    } catch (error) {
+        Utils.showToast(error.message || 'Failed to load contact', 'error');
+    }
+}
+
+function renderContact(contact) {
+    document.getElementById('contact-id').value = contact.id;
+    document.getElementById('contact-name').textContent = contact.name;
+    document.getElementById('contact-meta').textContent =
+        [contact.email, contact.phone, `customer since ${Utils.formatDate(contact.createdAt)}`].filter(Boolean).join(' - ');
+    
+    document.getElementById('contact-flags').innerHTML = [
+        contact.noShowCount > 0
+            ? `<span class="badge ${contact.isRepeatNoShow ? 'bg-danger' : 'bg-warning text-dark'}">${contact.noShowCount} no-show${contact.noShowCount > 1 ? 's' : ''}</span>`
+            : '',
+        contact.reliability === 'confirm_phone' ? '<span class="badge bg-warning text-dark">Confirm by phone</span>' : '',
+        contact.reliability === 'blocked' ? '<span class="badge bg-dark">Blocked</span>' : '',
+        contact.reliabilityNotes ? `<small class="text-muted ms-1">${Utils.escapeHtml(contact.reliabilityNotes)}</small>` : ''
+    ].join(' ');
+    
+    document.getElementById('contact-appointments').innerHTML = contact.appointments.length === 0
+        ? '<p class="text-muted small mb-0">No viewing requests</p>'
+        : `<table class="table table-sm mb-0">
+            <thead><tr><th>Requested</th><th>Property</th><th>Status</th><th>Agent</th><th>Notes</th></tr></thead>
+            <tbody>
+                ${contact.appointments.map(apt => `
+                    <tr>
+                        <td class="text-nowrap">${Utils.formatDate(apt.createdAt)}</td>
+                        <td>
+                            ${apt.propertyTitle}<br>
+                            <small class="text-muted">${apt.propertyCity} - ${Utils.formatPrice(apt.propertyPrice)}</small>
+                        </td>
+                        <td>
+                            ${Utils.getStatusBadge(apt.status)}
+                            ${apt.outcome ? `<br><small>${OUTCOME_LABELS[apt.outcome]}</small>` : ''}
+                            ${apt.scheduledDate ? `<br><small class="text-muted">${Utils.formatDate(apt.scheduledDate)}</small>` : ''}
+                        </td>
+                        <td>${apt.agentName || '<span class="text-muted">-</span>'}</td>
+                        <td class="small">
+                            ${apt.customerMessage ? `<div class="text-muted">"${Utils.escapeHtml(apt.customerMessage)}"</div>` : ''}
+                            ${apt.outcomeNotes ? `<div>${Utils.escapeHtml(apt.outcomeNotes)}</div>` : ''}
+                            ${apt.agentNotes ? `<div>${Utils.escapeHtml(apt.agentNotes)}</div>` : ''}
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>`;
+    
+    document.getElementById('contact-offers').innerHTML = contact.offers.length === 0
+        ? '<p class="text-muted small mb-0">No offers</p>'
+        : `<table class="table table-sm mb-0">
+            <thead><tr><th>Date</th><th>Property</th><th>Amount</th><th>Status</th><th>Agent</th></tr></thead>
+            <tbody>
+                ${contact.offers.map(offer => `
+                    <tr>
+                        <td class="text-nowrap">${Utils.formatDate(offer.createdAt)}</td>
+                        <td>${offer.propertyTitle}</td>
+                        <td>${Utils.formatPrice(offer.currentAmount)}</td>
+                        <td>${Utils.getStatusBadge(offer.status)}</td>
+                        <td>${offer.agentName || '-'}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>`;
+    
+    document.getElementById('contact-tasks').innerHTML = contact.tasks.length === 0
+        ? '<p class="text-muted small mb-0">No follow-up tasks</p>'
+        : `<ul class="list-unstyled small mb-0">
+            ${contact.tasks.map(task => `
+                <li class="mb-1">
+                    <i class="bi ${task.status === 'completed' ? 'bi-check-circle text-success' : 'bi-circle text-muted'} me-1"></i>
+                    ${Utils.escapeHtml(task.title)}
+                    <span class="text-muted">- due ${Utils.formatDate(task.dueDate)}</span>
+                </li>
+            `).join('')}
+        </ul>`;
+    
+    document.getElementById('contact-notes').innerHTML = contact.notes.length === 0
+        ? '<p class="text-muted small mb-0">No notes yet</p>'
+        : contact.notes.map(note => `
+            <div class="border-start border-3 ps-2 mb-2">
+                <div style="white-space: pre-wrap;">${Utils.escapeHtml(note.note)}</div>
+                <small class="text-muted">${note.authorName || 'Former user'} - ${new Date(note.createdAt).toLocaleString('en-PH')}</small>
+            </div>
+        `).join('');
+}
+
+async function addContactNote() {
+    const contactId = document.getElementById('contact-id').value;
+    const noteInput = document.getElementById('contact-note');
+    const note = noteInput.value.trim();
+    
+    if (!note) {
+        Utils.showToast('Please enter a note', 'error');
+        return;
+    }
+    
+    try {
+        await API.addContactNote(contactId, note);
+        noteInput.value = '';
+        const response = await API.getContact(contactId);
+        renderContact(response.contact);
+        Utils.showToast('Note added', 'success');
+    } catch (error) {
+        Utils.showToast(error.message || 'Failed to add note', 'error');
+    }
+}
+
+// ============ Availability ============
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+async function loadAvailability() {
+    const agentId = API.getUser().id;
+    
+    try {
+        const [response, holidaysResponse] = await Promise.all([
+            API.getAvailability(agentId),
+            API.getHolidays()
+        ]);
+        
+        document.getElementById('default-hours-badge').classList.toggle('d-none', !response.isDefault);
+        
+        // Monday first, Sunday last
+        document.getElementById('weekly-hours-list').innerHTML = [1, 2, 3, 4, 5, 6, 0].map(weekday => {
+            const day = response.weeklyHours.find(h => h.weekday === weekday);
+            return `
+                <tr>
+                    <td>${WEEKDAY_NAMES[weekday]}</td>
+                    <td><input type="checkbox" class="form-check-input" id="works-${weekday}" ${day ? 'checked' : ''}></td>
+                    <td><input type="time" class="form-control form-control-sm" id="start-${weekday}" value="${day ? day.startTime.slice(0, 5) : '09:00'}"></td>
+                    <td><input type="time" class="form-control form-control-sm" id="end-${weekday}" value="${day ? day.endTime.slice(0, 5) : '18:00'}"></td>
+                </tr>
+            `;
+        }).join('');
+        
+        const timeOff = response.timeOff || [];
+        document.getElementById('time-off-list').innerHTML = timeOff.length === 0
+            ? '<li class="list-group-item text-muted">No upcoming time off</li>'
+            : timeOff.map(t => `
+                <li class="list-group-item d-flex justify-content-between align-items-center">
+                    <span>
+                        ${formatDateTime(t.startAt)} - ${formatDateTime(t.endAt)}
+                        ${t.reason ? `<small class="d-block text-muted">${t.reason}</small>` : ''}
+                    </span>
+                    <button class="btn btn-sm btn-outline-danger" onclick="deleteTimeOff(${t.id})">
+                        <i class="bi bi-trash"></i>
+                    </button>
+                </li>
+            `).join('');
+        
+        const holidays = holidaysResponse.holidays || [];
+        document.getElementById('holidays-list').innerHTML = holidays.length === 0
+            ? '<li class="list-group-item text-muted">No upcoming holidays</li>'
+            : holidays.map(h => `
+                <li class="list-group-item d-flex justify-content-between">
+                    <span>${h.name}</span>
+                    <small class="text-muted">${Utils.formatDate(h.date)}</small>
+                </li>
+            `).join('');
+    } catch (error) {
+        console.error('Load availability error:', error);
+        Utils.showToast('Failed to load availability', 'error');
+    }
+    
+    document.getElementById('save-hours-btn').onclick = saveWeeklyHours;
+    document.getElementById('reset-hours-btn').onclick = () => {
+        if (!confirm('Go back to the office default hours (Monday to Saturday, 9:00 AM - 6:00 PM)?')) return;
+        saveWeeklyHours(true);
+    };
+    document.getElementById('add-time-off-btn').onclick = addTimeOff;
+}
+
+function formatDateTime(value) {
+    const date = new Date(value);
+    return `${Utils.formatDate(value)} ${Utils.formatTime(date.toTimeString().slice(0, 5))}`;
+}
+
+async function saveWeeklyHours(useDefault = false) {
+    const weeklyHours = useDefault === true ? [] : [0, 1, 2, 3, 4, 5, 6]
+        .filter(weekday => document.getElementById(`works-${weekday}`).checked)
+        .map(weekday => ({
+            weekday,
+            startTime: document.getElementById(`start-${weekday}`).value,
+            endTime: document.getElementById(`end-${weekday}`).value
+        }));
+    
+    try {
+        const response = await API.saveWeeklyHours(API.getUser().id, weeklyHours);
+        Utils.showToast(response.message, 'success');
+        loadAvailability();
+    } catch (error) {
+        Utils.showToast(error.message || 'Failed to save hours', 'error');
+    }
+}
+
+async function addTimeOff() {
+    const startAt = document.getElementById('time-off-start').value;
+    const endAt = document.getElementById('time-off-end').value;
+    const reason = document.getElementById('time-off-reason').value;
+    
+    if (!startAt || !endAt) {
+        Utils.showToast('Please select when your time off starts and ends', 'error');
+        return;
+    }
+    
+    try {
+        const response = await API.addTimeOff(API.getUser().id, { startAt, endAt, reason });
+        Utils.showToast(response.message, 'success');
+        document.getElementById('time-off-start').value = '';
+        document.getElementById('time-off-end').value = '';
+        document.getElementById('time-off-reason').value = '';
+        loadAvailability();
+    } catch (error) {
+        Utils.showToast(error.message || 'Failed to add time off', 'error');
+    }
+}
+
+async function deleteTimeOff(timeOffId) {
+    if (!confirm('Remove this time off?')) return;
+    
+    try {
+        await API.deleteTimeOff(API.getUser().id, timeOffId);
+        Utils.showToast('Time off removed', 'success');
+        loadAvailability();
+    } catch (error) {
+        Utils.showToast(error.message || 'Failed to remove time off', 'error');
+    }
+}
+
+// ============ Offers ============
+
+async function loadOffers() {
+    const tbody = document.getElementById('offers-list');
+    const status = document.getElementById('offer-filter').value;
+    
+    try {
+        const params = {};
+        if (status) params.status = status;
+        
+        const response = await API.getOffers(params);
+        const offers = response.offers || [];
+        
+        if (offers.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="6" class="text-center py-4 text-muted">No offers found</td>
+                </tr>
+            `;
+        } else {
+            tbody.innerHTML = offers.map(offer => `
+                <tr>
+                    <td><strong>${offer.propertyTitle}</strong></td>
+                    <td>${Utils.escapeHtml(offer.buyerName)}</td>
+                    <td>${offer.propertyPrice ? Utils.formatPrice(offer.propertyPrice) : '-'}</td>
+                    <td class="fw-bold">${Utils.formatPrice(offer.currentAmount)}</td>
+                    <td>${Utils.getStatusBadge(offer.status)}</td>
+                    <td>
+                        <button class="btn btn-sm btn-outline-primary" onclick="openOfferModal(${offer.id})">
+                            <i class="bi bi-chat-square-text"></i> View
+                        </button>
+                    </td>
+                </tr>
+            `).join('');
+        }
+    } catch (error) {
+        console.error('Load offers error:', error);
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="6" class="text-center py-4 text-danger">Failed to load offers</td>
+            </tr>
+        `;
+    }
+    
+    // Setup filter
+    document.getElementById('offer-filter').onchange = loadOffers;
+}
+
+async function openOfferModal(offerId) {
+    let offer;
+    try {
+        const response = await API.getOffer(offerId);
+        offer = response.offer;
+    } catch (error) {
+        Utils.showToast(error.message || 'Failed to load offer', 'error');
+        return;
+    }
+    
+    const isOpen = ['pending', 'countered'].includes(offer.status);
+    
+    document.getElementById('offer-property-title').textContent = offer.propertyTitle;
+    document.getElementById('offer-buyer-name').textContent = offer.buyerName;
+    document.getElementById('offer-asking-price').textContent = offer.propertyPrice ? Utils.formatPrice(offer.propertyPrice) : '-';
+    document.getElementById('offer-status-badge').innerHTML = Utils.getStatusBadge(offer.status);
+    document.getElementById('offer-current-amount').textContent = Utils.formatPrice(offer.currentAmount);
+    
+    document.getElementById('offer-thread').innerHTML = offer.thread.map(event => `
+        <li class="list-group-item">
+            <div class="d-flex justify-content-between">
+                <span>
+                    <span class="badge ${event.party === 'buyer' ? 'bg-primary' : 'bg-dark'}">${event.party}</span>
+                    <strong class="ms-1">${event.eventType}</strong>
+                    ${event.amount !== null ? `- ${Utils.formatPrice(event.amount)}` : ''}
+                </span>
+                <small class="text-muted">${Utils.formatDate(event.createdAt)}</small>
+            </div>
+            ${event.terms ? `<small class="d-block text-muted">Terms: ${Utils.escapeHtml(event.terms)}</small>` : ''}
+            ${event.message ? `<small class="d-block">"${Utils.escapeHtml(event.message)}"</small>` : ''}
+        </li>
+    `).join('');
+    
+    document.getElementById('counter-amount').value = offer.currentAmount;
+    document.getElementById('counter-terms').value = offer.currentTerms || '';
+    document.getElementById('counter-message').value = '';
+    document.getElementById('offer-counter-form').classList.toggle('d-none', !isOpen);
+    document.getElementById('offer-actions').classList.toggle('d-none', !isOpen);
+    
+    const modal = bootstrap.Modal.getOrCreateInstance(document.getElementById('offerModal'));
+    modal.show();
+    
+    const runAction = async (action, successMessage) => {
+        try {
+            await action();
+            Utils.showToast(successMessage, 'success');
+            modal.hide();
+            loadOffers();
+        } catch (error) {
+            Utils.showToast(error.message || 'Failed to update offer', 'error');
+        }
+    };
+    
+    document.getElementById('counter-offer-btn').onclick = () => {
+        const amount = parseFloat(document.getElementById('counter-amount').value);
+        if (!amount || amount <= 0) {
+            Utils.showToast('Please enter a valid amount', 'error');
+            return;
+        }
+        runAction(() => API.counterOffer(offerId, {
+            party: document.getElementById('counter-party').value,
+            amount,
+            terms: document.getElementById('counter-terms').value,
+            message: document.getElementById('counter-message').value
+        }), 'Counter-offer recorded');
+    };
+    
+    document.getElementById('accept-offer-btn').onclick = () => {
+        if (!confirm(`Accept ${Utils.formatPrice(offer.currentAmount)} from ${offer.buyerName} and mark the property as sold?`)) return;
+        runAction(() => API.acceptOffer(offerId), 'Offer accepted! Property marked as sold.');
+    };
+    
+    document.getElementById('reject-offer-btn').onclick = () => {
+        if (!confirm('Reject this offer?')) return;
+        runAction(() => API.rejectOffer(offerId), 'Offer rejected');
+    };
+    
+    document.getElementById('withdraw-offer-btn').onclick = () => {
+        if (!confirm('Record that the buyer withdrew this offer?')) return;
+        runAction(() => API.withdrawOffer(offerId), 'Offer withdrawn');
+    };
+}
+
 // ============ My Sales ============
 
 async function loadMySales() {
     const tbody = document.getElementById('sales-list');
     
+    loadLedger();
+    
     try {
         const response = await API.getMySales();
         
@@ -396,14 +1166,16 @@ async function loadMySales() {
         document.getElementById('sales-count').textContent = response.summary?.totalSales || 0;
         document.getElementById('sales-value').textContent = Utils.formatPrice(response.summary?.totalValue || 0);
         document.getElementById('total-commission').textContent = Utils.formatPrice(response.summary?.totalCommission || 0);
-        document.getElementById('commission-rate').textContent = `at ${(response.commissionRate * 100).toFixed(1)}% rate`;
+        document.getElementById('commission-rate').textContent = response.commissionPlanName
+            ? `on ${response.commissionPlanName} plan`
+            : `at ${(response.commissionRate * 100).toFixed(1)}% rate`;
         
         const sales = response.sales || [];
         
         if (sales.length === 0) {
             tbody.innerHTML = `
                 <tr>
-                    <td colspan="5" class="text-center py-4 text-muted">
+                    <td colspan="6" class="text-center py-4 text-muted">
                         No sales yet. Keep up the great work!
                     </td>
                 </tr>
@@ -416,7 +1188,14 @@ async function loadMySales() {
                 <td><strong>${sale.title}</strong></td>
                 <td>${sale.city}</td>
                 <td>${Utils.formatPrice(sale.salePrice)}</td>
-                <td class="text-success fw-bold">${Utils.formatPrice(sale.commission)}</td>
+                <td>
+                    ${sale.roles.map(role => `<span class="badge ${role === 'listing' ? 'bg-info' : role === 'bonus' ? 'bg-success' : 'bg-primary'} me-1">${role}</span>`).join('')}
+                    <small class="text-muted d-block">${(sale.share * 100).toFixed(0)}% share</small>
+                </td>
+                <td>
+                    <span class="text-success fw-bold">${Utils.formatPrice(sale.commission)}</span>
+                    ${sale.commissionTier ? `<small class="text-muted d-block">${sale.commissionTier}</small>` : ''}
+                </td>
                 <td>${Utils.formatDate(sale.soldDate)}</td>
             </tr>
         `).join('');
@@ -425,12 +1204,88 @@ async function loadMySales() {
         console.error('Load sales error:', error);
         tbody.innerHTML = `
             <tr>
-                <td colspan="5" class="text-center py-4 text-danger">Failed to load sales</td>
+                <td colspan="6" class="text-center py-4 text-danger">Failed to load sales</td>
             </tr>
         `;
     }
 }
 
+async function loadLedger() {
+    const tbody = document.getElementById('ledger-list');
+    const monthInput = document.getElementById('statement-month');
+    if (!monthInput.value) {
+        monthInput.value = new Date().toISOString().slice(0, 7);
+    }
+    document.getElementById('download-statement-btn').onclick = downloadStatement;
+    
+    try {
+        const response = await API.getMyLedger();
+        
+        document.getElementById('balance-earned').textContent = Utils.formatPrice(response.balance.earned);
+        document.getElementById('balance-paid').textContent = Utils.formatPrice(response.balance.paid);
+        document.getElementById('balance-outstanding').textContent = Utils.formatPrice(response.balance.outstanding);
+        
+        const ledger = response.ledger || [];
+        if (ledger.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="5" class="text-center py-3 text-muted">No entries yet</td>
+                </tr>
+            `;
+            return;
+        }
+        
+        // Newest first
+        tbody.innerHTML = ledger.slice().reverse().map(entry => `
+            <tr>
+                <td>${Utils.formatDate(entry.date)}</td>
+                <td>
+                    ${entry.description}
+                    ${entry.reference ? `<small class="text-muted d-block">Ref: ${entry.reference}</small>` : ''}
+                    ${entry.withholdingTax > 0 ? `<small class="text-muted d-block">Withholding tax: ${Utils.formatPrice(entry.withholdingTax)}</small>` : ''}
+                </td>
+                <td class="text-success">${entry.credit > 0 ? Utils.formatPrice(entry.credit) : ''}</td>
+                <td>${entry.debit > 0 ? Utils.formatPrice(entry.debit) : ''}</td>
+                <td class="fw-bold">${Utils.formatPrice(entry.balance)}</td>
+            </tr>
+        `).join('');
+    } catch (error) {
+        console.error('Load ledger error:', error);
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="5" class="text-center py-3 text-danger">Failed to load ledger</td>
+            </tr>
+        `;
+    }
+}
+
+function downloadStatement() {
+    const month = document.getElementById('statement-month').value;
+    if (!month) {
+        Utils.showToast('Please choose a month', 'error');
+        return;
+    }
+    
+    fetch(`${API.baseUrl}/commissions/my-statement?month=${month}`, {
+        headers: { 'Authorization': `Bearer ${API.getToken()}` }
+    })
+    .then(response => {
+        if (!response.ok) throw new Error('Request failed');
+        return response.blob();
+    })
+    .then(blob => {
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `commission-statement-${month}.csv`;
+        a.click();
+        window.URL.revokeObjectURL(url);
+    })
+    .catch(() => {
+        Utils.showToast('Failed to download statement', 'error');
+    });
+}
+
 // ============ Properties ============
 
 async function loadProperties() {
@@ -445,6 +1300,7 @@ async function loadProperties() {
     try {
         const response = await API.getProperties({ status: 'available', limit: 50 });
         const properties = response.properties || [];
+        const currentUser = API.getUser();
         
         if (properties.length === 0) {
             container.innerHTML = `
@@ -466,7 +1322,13 @@ async function loadProperties() {
                     <div class="card-body">
                         <span class="badge bg-primary mb-2">${prop.propertyType}</span>
                         ${prop.isFeatured ? '<span class="badge bg-warning mb-2 ms-1">Featured</span>' : ''}
+                        ${prop.listingStatus !== 'published' ? Utils.getStatusBadge(prop.listingStatus) : ''}
                         <h6>${prop.title}</h6>
+                        ${prop.listingStatus === 'returned' && prop.reviewComments ? `
+                            <div class="alert alert-warning small py-2 mb-2">
+                                <i class="bi bi-chat-left-text me-1"></i>${prop.reviewComments}
+                            </div>
+                        ` : ''}
                         <p class="text-muted mb-2">
                             <i class="bi bi-geo-alt me-1"></i>${prop.city}
                         </p>
@@ -477,6 +1339,11 @@ async function loadProperties() {
                                 ${prop.bathrooms ? `${prop.bathrooms}BA` : ''}
                             </small>
                         </div>
+                        ${['draft', 'returned'].includes(prop.listingStatus) && currentUser && prop.listedByAgentId === currentUser.id ? `
+                            <button class="btn btn-outline-primary w-100 mb-2" onclick="submitListing(${prop.id})">
+                                <i class="bi bi-send me-1"></i>Submit for Review
+                            </button>
+                        ` : ''}
                         <button class="btn btn-success w-100" onclick="openMarkSoldModal(${prop.id}, ${prop.price})">
                             <i class="bi bi-cash-coin me-1"></i>Mark as Sold
                         </button>
@@ -495,6 +1362,16 @@ async function loadProperties() {
     }
 }
 
+async function submitListing(propertyId) {
+    try {
+        await API.submitListing(propertyId);
+        Utils.showToast('Listing submitted for review', 'success');
+        loadProperties();
+    } catch (error) {
+        Utils.showToast(error.message || 'Failed to submit listing', 'error');
+    }
+}
+
 function openMarkSoldModal(propertyId, defaultPrice) {
     document.getElementById('sold-property-id').value = propertyId;
     document.getElementById('sold-buyer-name').value = '';
@@ -538,6 +1415,43 @@ function openMarkSoldModal(propertyId, defaultPrice) {
 
 // ============ Shared Calendar ============
 
+/**
+ * Show my private calendar feed link
+ */
+async function loadCalendarFeed() {
+    const input = document.getElementById('calendar-feed-url');
+
+    try {
+        const response = await API.getCalendarFeed();
+        input.value = response.url;
+    } catch (error) {
+        console.error('Load calendar feed error:', error);
+        input.value = '';
+    }
+
+    document.getElementById('copy-feed-btn').onclick = async () => {
+        if (!input.value) return;
+        try {
+            await navigator.clipboard.writeText(input.value);
+            Utils.showToast('Calendar link copied', 'success');
+        } catch (error) {
+            input.select();
+            Utils.showToast('Press Ctrl+C to copy the link', 'info');
+        }
+    };
+
+    document.getElementById('reset-feed-btn').onclick = async () => {
+        if (!confirm('Reset your calendar link? Calendars subscribed with the old link will stop updating.')) return;
+        try {
+            const response = await API.resetCalendarFeed();
+            input.value = response.url;
+            Utils.showToast(response.message, 'success');
+        } catch (error) {
+            Utils.showToast(error.message || 'Failed to reset calendar link', 'error');
+        }
+    };
+}
+
 let calendarDate = new Date();
 let calendarAppointments = [];
 
@@ -635,7 +1549,7 @@ function renderCalendar() {
                     <div class="appointment-preview">
                         ${dayAppointments.slice(0, 2).map(apt => `
                             <div class="preview-item ${apt.assignedAgentId === currentUserId ? 'my-appointment' : ''}">
-                                <small>${Utils.formatTime(apt.scheduledTime)} - ${apt.propertyTitle.substring(0, 12)}...</small>
+                                <small>${Utils.formatTime(apt.scheduledTime)}-${Utils.formatTime(apt.endTime)} ${apt.propertyTitle.substring(0, 12)}...</small>
                             </div>
                         `).join('')}
                         ${dayAppointments.length > 2 ? `<small class="text-muted">+${dayAppointments.length - 2} more</small>` : ''}
@@ -678,7 +1592,10 @@ function showDayAppointments(dateStr) {
     } else {
         tbody.innerHTML = dayAppointments.map(apt => `
             <tr class="${apt.assignedAgentId === currentUserId ? 'table-success' : ''}">
-                <td><strong>${Utils.formatTime(apt.scheduledTime)}</strong></td>
+                <td>
+                    <strong>${Utils.formatTime(apt.scheduledTime)} - ${Utils.formatTime(apt.endTime)}</strong>
+                    ${apt.travelBufferMinutes ? `<br><small class="text-muted">+${apt.travelBufferMinutes} min travel before</small>` : ''}
+                </td>
                 <td>
                     ${apt.propertyTitle}<br>
                     <small class="text-muted">${apt.propertyCity}</small>
@@ -693,6 +1610,76 @@ function showDayAppointments(dateStr) {
         `).join('');
     }
     
+    renderDayTimeline(dayAppointments, currentUserId);
+    
     card.style.display = 'block';
     card.scrollIntoView({ behavior: 'smooth' });
 }
+
+function timeToMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Draw the day's viewings as blocks on one lane per agent,
+ * with each travel buffer shaded before its viewing
+ */
+function renderDayTimeline(dayAppointments, currentUserId) {
+    const container = document.getElementById('day-timeline');
+    
+    if (dayAppointments.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+    
+    // Working day by default, stretched to fit early or late viewings
+    const dayStart = Math.min(8 * 60, ...dayAppointments.map(apt => timeToMinutes(apt.scheduledTime) - apt.travelBufferMinutes));
+    const dayEnd = Math.max(19 * 60, ...dayAppointments.map(apt => timeToMinutes(apt.endTime)));
+    const firstHour = Math.floor(dayStart / 60);
+    const lastHour = Math.ceil(dayEnd / 60);
+    const span = (lastHour - firstHour) * 60;
+    const position = (minutes) => ((minutes - firstHour * 60) / span * 100).toFixed(2);
+    
+    const lanes = {};
+    dayAppointments.forEach(apt => {
+        const key = apt.assignedAgentId || 0;
+        if (!lanes[key]) {
+            lanes[key] = { agentName: apt.agentName || 'Unassigned', appointments: [] };
+        }
+        lanes[key].appointments.push(apt);
+    });
+    
+    const hours = [];
+    for (let hour = firstHour; hour < lastHour; hour++) {
+        hours.push(`<span style="left: ${position(hour * 60)}%">${Utils.formatTime(`${hour}:00`)}</span>`);
+    }
+    
+    container.innerHTML = `
+        <div class="timeline-lane">
+            <div class="lane-label"></div>
+            <div class="timeline-scale">${hours.join('')}</div>
+        </div>
+        ${Object.entries(lanes).map(([agentId, lane]) => `
+            <div class="timeline-lane">
+                <div class="lane-label">${lane.agentName}${parseInt(agentId) === currentUserId ? ' (You)' : ''}</div>
+                <div class="lane-track">
+                    ${lane.appointments.map(apt => {
+                        const start = timeToMinutes(apt.scheduledTime);
+                        const end = timeToMinutes(apt.endTime);
+                        return `
+                            ${apt.travelBufferMinutes ? `
+                                <div class="timeline-buffer" style="left: ${position(start - apt.travelBufferMinutes)}%; width: ${(apt.travelBufferMinutes / span * 100).toFixed(2)}%"
+                                     title="Travel (${apt.travelBufferMinutes} min)"></div>
+                            ` : ''}
+                            <div class="timeline-block${apt.assignedAgentId === currentUserId ? ' mine' : ''}" style="left: ${position(start)}%; width: ${((end - start) / span * 100).toFixed(2)}%"
+                                 title="${Utils.formatTime(apt.scheduledTime)} - ${Utils.formatTime(apt.endTime)}: ${apt.propertyTitle}">
+                                ${apt.propertyTitle}
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+            </div>
+        `).join('')}
+    `;
+}
@@ -0,0 +1,79 @@
+/**
+ * Commission Rate Job
+ * Copies dated rate changes into users.commission_rate once they take effect,
+ * and starts a rate history for any agent that has none
+ */
+
+const { pool } = require('../config/database');
+require('dotenv').config();
+
+const SWEEP_INTERVAL_MINUTES = parseInt(process.env.COMMISSION_RATE_SWEEP_INTERVAL_MINUTES) || 60;
+
+/**
+ * Give agents without a rate history a starting entry from their current rate,
+ * effective from the day their account was created
+ */
+const seedRateHistory = async () => {
+    const [result] = await pool.query(
+        `INSERT INTO commission_rate_history (agent_id, commission_rate, effective_from)
+         SELECT u.id, u.commission_rate, DATE(u.created_at)
+         FROM users u
+         WHERE u.role = 'agent'
+         AND NOT EXISTS (SELECT 1 FROM commission_rate_history h WHERE h.agent_id = u.id)`
+    );
+
+    if (result.affectedRows > 0) {
+        console.log(`Started commission rate history for ${result.affectedRows} agent(s)`);
+    }
+
+    return result.affectedRows;
+};
+
+/**
+ * Set each agent's current rate to the latest history entry in effect today
+ */
+const applyDueRateChanges = async () => {
+    const [result] = await pool.query(
+        `UPDATE users u
+         JOIN (
+             SELECT h.agent_id, h.commission_rate
+             FROM commission_rate_history h
+             WHERE h.id = (
+                 SELECT latest.id FROM commission_rate_history latest
+                 WHERE latest.agent_id = h.agent_id AND latest.effective_from <= CURDATE()
+                 ORDER BY latest.effective_from DESC, latest.id DESC
+                 LIMIT 1
+             )
+         ) current_rate ON current_rate.agent_id = u.id
+         SET u.commission_rate = current_rate.commission_rate
+         WHERE u.commission_rate <> current_rate.commission_rate`
+    );
+
+    if (result.affectedRows > 0) {
+        console.log(`Applied ${result.affectedRows} scheduled commission rate change(s)`);
+    }
+
+    return result.affectedRows;
+};
+
+/**
+ * Run the sweep on startup and then on a fixed interval
+ */
+const startCommissionRateJob = () => {
+    const run = () => {
+        seedRateHistory()
+            .then(applyDueRateChanges)
+            .catch(error => {
+                console.error('Commission rate sweep error:', error);
+            });
+    };
+
+    run();
+    return setInterval(run, SWEEP_INTERVAL_MINUTES * 60 * 1000);
+};
+
+module.exports = {
+    seedRateHistory,
+    applyDueRateChanges,
+    startCommissionRateJob
+};
@@ -0,0 +1,41 @@
+/**
+ * Email Outbox Job
+ * Delivers queued notification emails, retrying failures with backoff
+ */
+
+const { processOutbox, EMAIL_TRANSPORT, EMAIL_FILE_DIR } = require('../utils/email');
+require('dotenv').config();
+
+const SWEEP_INTERVAL_SECONDS = parseInt(process.env.EMAIL_OUTBOX_INTERVAL_SECONDS) || 30;
+
+/**
+ * Run the worker on startup and then on a fixed interval
+ * A run is skipped while the previous one is still sending
+ */
+const startEmailOutboxJob = () => {
+    let running = false;
+
+    const run = () => {
+        if (running) return;
+        running = true;
+
+        processOutbox()
+            .catch(error => {
+                console.error('Email outbox error:', error);
+            })
+            .finally(() => {
+                running = false;
+            });
+    };
+
+    if (EMAIL_TRANSPORT === 'file') {
+        console.log(`📧 Emails are written to ${EMAIL_FILE_DIR} (set SMTP_USER or EMAIL_TRANSPORT=smtp to send)`);
+    }
+
+    run();
+    return setInterval(run, SWEEP_INTERVAL_SECONDS * 1000);
+};
+
+module.exports = {
+    startEmailOutboxJob
+};
@@ -0,0 +1,58 @@
+/**
+ * Reservation Expiry Job
+ * Returns properties with lapsed reservations to 'available'
+ */
+
+const { pool } = require('../config/database');
+require('dotenv').config();
+
+const SWEEP_INTERVAL_MINUTES = parseInt(process.env.RESERVATION_SWEEP_INTERVAL_MINUTES) || 15;
+
+/**
+ * Expire all active reservations whose expiry date has passed
+ */
+const expireReservations = async () => {
+    const [expired] = await pool.query(
+        `SELECT id, property_id FROM property_reservations
+         WHERE status = 'active' AND expiry_date < CURDATE()`
+    );
+
+    for (const reservation of expired) {
+        await pool.query(
+            `UPDATE property_reservations SET status = 'expired', closed_at = NOW()
+             WHERE id = ? AND status = 'active'`,
+            [reservation.id]
+        );
+
+        // Only release the property if nothing else has changed its status
+        await pool.query(
+            "UPDATE properties SET status = 'available' WHERE id = ? AND status = 'reserved'",
+            [reservation.property_id]
+        );
+    }
+
+    if (expired.length > 0) {
+        console.log(`Expired ${expired.length} reservation(s)`);
+    }
+
+    return expired.length;
+};
+
+/**
+ * Run the sweep on startup and then on a fixed interval
+ */
+const startReservationExpiryJob = () => {
+    const run = () => {
+        expireReservations().catch(error => {
+            console.error('Reservation expiry error:', error);
+        });
+    };
+
+    run();
+    return setInterval(run, SWEEP_INTERVAL_MINUTES * 60 * 1000);
+};
+
+module.exports = {
+    expireReservations,
+    startReservationExpiryJob
+};
@@ -0,0 +1,129 @@
+/**
+ * SLA Escalation Job
+ * Flags viewing requests that missed their response time, optionally reassigns them,
+ * and emails the admins
+ */
+
+const { pool } = require('../config/database');
+const { getSlaSettings } = require('../utils/sla');
+const { pickAgent, recordAssignment, sendAssignmentEmail } = require('../utils/assignment');
+const { sendAdminTemplateEmail } = require('../utils/emailTemplates');
+require('dotenv').config();
+
+const SWEEP_INTERVAL_MINUTES = parseInt(process.env.SLA_SWEEP_INTERVAL_MINUTES) || 15;
+
+/**
+ * Escalate requests that became overdue since the last sweep
+ * Each request is escalated once per stage, and once more each time it is handed to a new agent
+ */
+const escalateOverdueAppointments = async () => {
+    const settings = await getSlaSettings();
+
+    if (!settings.isEnabled) return 0;
+
+    const [overdue] = await pool.query(
+        `SELECT a.id, a.property_id, a.status, a.assigned_agent_id,
+                a.customer_name, a.customer_email, a.customer_phone,
+                p.title as property_title, p.address as property_address,
+                CONCAT(u.first_name, ' ', u.last_name) as agent_name
+         FROM appointments a
+         JOIN properties p ON p.id = a.property_id
+         LEFT JOIN users u ON u.id = a.assigned_agent_id
+         WHERE (a.status = 'pending' AND a.created_at < DATE_SUB(NOW(), INTERVAL ? HOUR)
+                AND NOT EXISTS (SELECT 1 FROM sla_breaches b
+                                WHERE b.appointment_id = a.id AND b.stage = 'pending'))
+         OR (a.status = 'assigned' AND a.assigned_at < DATE_SUB(NOW(), INTERVAL ? HOUR)
+                AND NOT EXISTS (SELECT 1 FROM sla_breaches b
+                                WHERE b.appointment_id = a.id AND b.stage = 'assigned'
+                                AND b.agent_id <=> a.assigned_agent_id AND b.created_at >= a.assigned_at))
+         ORDER BY a.created_at ASC`,
+        [settings.pendingHours, settings.assignedHours]
+    );
+
+    const escalated = [];
+
+    for (const appointment of overdue) {
+        const stage = appointment.status;
+        const thresholdHours = stage === 'pending' ? settings.pendingHours : settings.assignedHours;
+        let reassignedTo = null;
+
+        if (settings.reassignOverdue) {
+            const pick = await pickAgent(appointment.property_id, { excludeAgentId: appointment.assigned_agent_id });
+
+            if (pick) {
+                const reassigned = await recordAssignment({
+                    appointmentId: appointment.id,
+                    agentId: pick.agentId,
+                    rule: 'sla_escalation',
+                    expectedAgentId: appointment.assigned_agent_id
+                });
+
+                // The agent scheduled, cancelled or was replaced since the sweep started
+                if (!reassigned) continue;
+
+                const [agents] = await pool.query(
+                    'SELECT email, first_name, last_name FROM users WHERE id = ?',
+                    [pick.agentId]
+                );
+                reassignedTo = { id: pick.agentId, ...agents[0] };
+                await sendAssignmentEmail(agents[0], appointment, 'sla_escalation');
+            }
+        }
+
+        await pool.query(
+            `INSERT INTO sla_breaches
+             (appointment_id, stage, agent_id, threshold_hours, action, reassigned_to_agent_id)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [appointment.id, stage, appointment.assigned_agent_id, thresholdHours,
+             reassignedTo ? 'reassigned' : 'flagged', reassignedTo ? reassignedTo.id : null]
+        );
+
+        await pool.query(
+            'UPDATE appointments SET sla_flagged_at = COALESCE(sla_flagged_at, NOW()) WHERE id = ?',
+            [appointment.id]
+        );
+
+        escalated.push({ ...appointment, stage, thresholdHours, reassignedTo });
+    }
+
+    if (escalated.length > 0) {
+        await sendAdminTemplateEmail('admin_sla_overdue', {
+            count: escalated.length,
+            appointments: escalated.map(a => ({
+                id: a.id,
+                propertyTitle: a.property_title,
+                customerName: a.customer_name,
+                customerPhone: a.customer_phone,
+                isPending: a.stage === 'pending',
+                agentName: a.agent_name,
+                thresholdHours: a.thresholdHours,
+                reassignedToName: a.reassignedTo
+                    ? `${a.reassignedTo.first_name} ${a.reassignedTo.last_name}`
+                    : ''
+            }))
+        });
+
+        console.log(`Escalated ${escalated.length} overdue appointment(s)`);
+    }
+
+    return escalated.length;
+};
+
+/**
+ * Run the sweep on startup and then on a fixed interval
+ */
+const startSlaEscalationJob = () => {
+    const run = () => {
+        escalateOverdueAppointments().catch(error => {
+            console.error('SLA escalation error:', error);
+        });
+    };
+
+    run();
+    return setInterval(run, SWEEP_INTERVAL_MINUTES * 60 * 1000);
+};
+
+module.exports = {
+    escalateOverdueAppointments,
+    startSlaEscalationJob
+};
@@ -0,0 +1,123 @@
+/**
+ * Viewing Reminders Job
+ * Emails the customer and the assigned agent ahead of each scheduled viewing
+ */
+
+const { pool } = require('../config/database');
+const { sendTemplateEmail } = require('../utils/emailTemplates');
+const { manageLinkVars } = require('../utils/appointmentLinks');
+require('dotenv').config();
+
+const SWEEP_INTERVAL_MINUTES = parseInt(process.env.REMINDER_SWEEP_INTERVAL_MINUTES) || 5;
+
+// Hours before the viewing, smallest first (e.g. "24,2")
+const REMINDER_HOURS = [...new Set((process.env.VIEWING_REMINDER_HOURS || '24,2')
+    .split(',')
+    .map(hours => parseInt(hours))
+    .filter(hours => hours > 0))]
+    .sort((a, b) => a - b);
+
+/**
+ * Reminder email for one recipient
+ */
+const sendReminder = async (recipient, a, hoursBefore) => {
+    if (recipient === 'customer') {
+        await sendTemplateEmail(a.customer_email, 'customer_viewing_reminder', {
+            customerName: a.customer_name,
+            propertyTitle: a.property_title,
+            propertyAddress: a.property_address,
+            propertyCity: a.property_city,
+            scheduledDate: a.scheduled_day,
+            scheduledTime: a.scheduled_time,
+            agentName: a.agent_name,
+            agentPhone: a.agent_phone,
+            isDayBefore: hoursBefore >= 24,
+            ...manageLinkVars(a)
+        }, { locale: a.customer_locale });
+        return;
+    }
+
+    await sendTemplateEmail(a.agent_email, 'agent_viewing_reminder', {
+        agentFirstName: a.agent_first_name,
+        propertyTitle: a.property_title,
+        propertyAddress: a.property_address,
+        scheduledDate: a.scheduled_day,
+        scheduledTime: a.scheduled_time,
+        customerName: a.customer_name,
+        customerPhone: a.customer_phone
+    });
+};
+
+/**
+ * Send the reminders that are due
+ * Only the closest reminder is sent for each viewing, so a viewing scheduled 3 hours ahead
+ * gets the 2-hour reminder but never a late 24-hour one. Each reminder is claimed with a
+ * unique row before sending, so restarts and overlapping sweeps cannot send it twice.
+ */
+const sendDueReminders = async () => {
+    if (REMINDER_HOURS.length === 0) return 0;
+
+    const [viewings] = await pool.query(
+        `SELECT a.id, a.customer_name, a.customer_email, a.customer_phone, a.customer_locale,
+                DATE_FORMAT(a.scheduled_date, '%Y-%m-%d') as scheduled_day, a.scheduled_time,
+                TIMESTAMPDIFF(MINUTE, NOW(), TIMESTAMP(a.scheduled_date, a.scheduled_time)) as minutes_until,
+                p.title as property_title, p.address as property_address, p.city as property_city,
+                u.email as agent_email, u.first_name as agent_first_name, u.phone as agent_phone,
+                CONCAT(u.first_name, ' ', u.last_name) as agent_name
+         FROM appointments a
+         JOIN properties p ON p.id = a.property_id
+         LEFT JOIN users u ON u.id = a.assigned_agent_id
+         WHERE a.status = 'scheduled'
+         AND TIMESTAMP(a.scheduled_date, a.scheduled_time) > NOW()
+         AND TIMESTAMP(a.scheduled_date, a.scheduled_time) <= DATE_ADD(NOW(), INTERVAL ? HOUR)`,
+        [REMINDER_HOURS[REMINDER_HOURS.length - 1]]
+    );
+
+    let sent = 0;
+
+    for (const viewing of viewings) {
+        const hoursBefore = REMINDER_HOURS.find(hours => viewing.minutes_until <= hours * 60);
+        const recipients = viewing.agent_email ? ['customer', 'agent'] : ['customer'];
+
+        for (const recipient of recipients) {
+            // Keyed on the start time, so a rescheduled viewing gets fresh reminders
+            const [claim] = await pool.query(
+                `INSERT IGNORE INTO appointment_reminders (appointment_id, recipient, hours_before, starts_at)
+                 SELECT id, ?, ?, TIMESTAMP(scheduled_date, scheduled_time)
+                 FROM appointments WHERE id = ? AND status = 'scheduled'`,
+                [recipient, hoursBefore, viewing.id]
+            );
+
+            if (claim.affectedRows === 1) {
+                await sendReminder(recipient, viewing, hoursBefore);
+                sent++;
+            }
+        }
+    }
+
+    if (sent > 0) {
+        console.log(`Sent ${sent} viewing reminder(s)`);
+    }
+
+    return sent;
+};
+
+/**
+ * Run the sweep on startup and then on a fixed interval
+ */
+const startViewingRemindersJob = () => {
+    const run = () => {
+        sendDueReminders().catch(error => {
+            console.error('Viewing reminders error:', error);
+        });
+    };
+
+    run();
+    return setInterval(run, SWEEP_INTERVAL_MINUTES * 60 * 1000);
+};
+
+module.exports = {
+    REMINDER_HOURS,
+    sendDueReminders,
+    startViewingRemindersJob
+};
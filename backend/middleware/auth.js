@@ -31,8 +31,9 @@ const authenticateToken = (req, res, next) => {
     }
 
     jwt.verify(token, jwtSecret, (err, user) => {
+        // 401 so clients can tell an expired session from a permission error (403)
         if (err) {
-            return res.status(403).json({
+            return res.status(401).json({
                 success: false,
                 message: 'Invalid or expired token'
             });
@@ -42,6 +43,26 @@ const authenticateToken = (req, res, next) => {
     });
 };
 
+/**
+ * Attach the user if a valid token is sent, otherwise continue as a guest
+ * Used by public endpoints that show more to signed-in staff
+ */
+const optionalAuth = (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+        return next();
+    }
+
+    jwt.verify(token, jwtSecret, (err, user) => {
+        if (!err) {
+            req.user = user;
+        }
+        next();
+    });
+};
+
 /**
  * Check if user is admin
  */
@@ -87,6 +108,7 @@ const generateToken = (user) => {
 
 module.exports = {
     authenticateToken,
+    optionalAuth,
     isAdmin,
     isAgentOrAdmin,
     generateToken,
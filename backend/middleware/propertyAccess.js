@@ -0,0 +1,85 @@
+/**
+ * Property Access Middleware
+ * Listing ownership checks for agents (admins can act on any listing)
+ */
+
+const { pool } = require('../config/database');
+
+/**
+ * Check what an agent may do with a property
+ * - edit: the listing agent or a co-listing agent
+ * - sell: anyone who can edit, or an agent assigned to a viewing of the property
+ */
+const getPropertyAccess = async (propertyId, user) => {
+    const [properties] = await pool.query(
+        'SELECT id, listed_by_agent_id FROM properties WHERE id = ?',
+        [propertyId]
+    );
+
+    if (properties.length === 0) {
+        return { exists: false, canEdit: false, canSell: false };
+    }
+
+    if (user.role === 'admin') {
+        return { exists: true, canEdit: true, canSell: true };
+    }
+
+    const [coListings] = await pool.query(
+        'SELECT id FROM property_agents WHERE property_id = ? AND agent_id = ?',
+        [propertyId, user.id]
+    );
+    const canEdit = properties[0].listed_by_agent_id === user.id || coListings.length > 0;
+
+    if (canEdit) {
+        return { exists: true, canEdit: true, canSell: true };
+    }
+
+    const [appointments] = await pool.query(
+        'SELECT id FROM appointments WHERE property_id = ? AND assigned_agent_id = ? LIMIT 1',
+        [propertyId, user.id]
+    );
+
+    return { exists: true, canEdit: false, canSell: appointments.length > 0 };
+};
+
+const DENIED_MESSAGES = {
+    edit: 'You can only change listings you created or co-list',
+    sell: 'You can only sell or reserve listings you co-list or have shown to a customer'
+};
+
+/**
+ * Require edit or sell access to the property in req.params.id
+ * Must run after authenticateToken
+ */
+const requirePropertyAccess = (level) => async (req, res, next) => {
+    try {
+        const access = await getPropertyAccess(req.params.id, req.user);
+
+        if (!access.exists) {
+            return res.status(404).json({
+                success: false,
+                message: 'Property not found'
+            });
+        }
+
+        if (!(level === 'edit' ? access.canEdit : access.canSell)) {
+            return res.status(403).json({
+                success: false,
+                message: DENIED_MESSAGES[level]
+            });
+        }
+
+        next();
+    } catch (error) {
+        console.error('Property access check error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to check property access'
+        });
+    }
+};
+
+module.exports = {
+    getPropertyAccess,
+    requirePropertyAccess
+};
@@ -5,37 +5,60 @@
 
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
-const nodemailer = require('nodemailer');
+const { body, query, validationResult } = require('express-validator');
 const { pool } = require('../config/database');
 const { authenticateToken, isAdmin, isAgentOrAdmin } = require('../middleware/auth');
+const { createOffer } = require('../utils/offers');
+const { createFollowUpTask } = require('../utils/tasks');
+const {
+    CONTACT_FLAGS_SQL,
+    contactFlags,
+    findContact,
+    matchOrCreateContact,
+    updateNoShowCount
+} = require('../utils/contacts');
+const { LIVE_LISTING_SQL } = require('../utils/listings');
+const {
+    DEFAULT_DURATION_MINUTES,
+    toDateString,
+    toMinutes,
+    fromMinutes,
+    checkAgentAvailability,
+    findBookingConflict,
+    withBookingLock,
+    findAvailableSlots
+} = require('../utils/availability');
+const { verifyManageToken, buildManageUrl, manageLinkVars } = require('../utils/appointmentLinks');
+const { buildViewingEvent, buildCalendar, buildViewingInvite, generateFeedToken, buildFeedUrl } = require('../utils/icalendar');
+const { pickAgent, recordAssignment, getAssignmentHistory, sendAssignmentEmail } = require('../utils/assignment');
+const { LOCALES, sendTemplateEmail } = require('../utils/emailTemplates');
+const { getSlaSettings, getOverdueAppointments, getAgentSlaStats } = require('../utils/sla');
+const { scoreAppointment, rescoreContactAppointments, scoreBand } = require('../utils/leadScoring');
+const {
+    HONEYPOT_FIELD,
+    SPAM_REASONS,
+    createFormToken,
+    getFormFillSeconds,
+    getPhoneProblem,
+    checkThrottles,
+    getSpamReasons
+} = require('../utils/spamProtection');
 require('dotenv').config();
 
-// Email transporter (configure in production)
-const transporter = nodemailer.createTransport({
-    host: process.env.SMTP_HOST || 'smtp.ethereal.email',
-    port: process.env.SMTP_PORT || 587,
-    secure: false,
-    auth: {
-        user: process.env.SMTP_USER,
-        pass: process.env.SMTP_PASS
-    }
-});
-
 /**
  * Verify reCAPTCHA token (v3)
+ * Returns null when reCAPTCHA is not configured (the local spam checks still apply);
+ * once it is configured, a request without a token fails
  */
 const verifyRecaptcha = async (token) => {
-    if (!process.env.RECAPTCHA_SECRET_KEY) {
-        // Skip verification if not configured
-        return { success: true, score: 1.0 };
-    }
+    if (!process.env.RECAPTCHA_SECRET_KEY) return null;
+    if (!token) return { success: false };
 
     try {
         const response = await fetch('https://www.google.com/recaptcha/api/siteverify', {
             method: 'POST',
             headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-            body: `secret=${process.env.RECAPTCHA_SECRET_KEY}&response=${token}`
+            body: new URLSearchParams({ secret: process.env.RECAPTCHA_SECRET_KEY, response: token })
         });
         return await response.json();
     } catch (error) {
@@ -45,29 +68,144 @@ const verifyRecaptcha = async (token) => {
 };
 
 /**
- * Send notification email
+ * Load a viewing in the shape the iCalendar helpers expect
+ */
+const getCalendarViewing = async (appointmentId) => {
+    const [rows] = await pool.query(
+        `SELECT a.id, a.customer_name, a.customer_email, a.customer_phone, a.customer_locale,
+                DATE_FORMAT(a.scheduled_date, '%Y-%m-%d') as scheduled_day, a.scheduled_time,
+                a.duration_minutes, a.calendar_sequence,
+                p.title as property_title, p.address as property_address, p.city as property_city,
+                u.email as agent_email, u.first_name as agent_first_name,
+                CONCAT(u.first_name, ' ', u.last_name) as agent_name
+         FROM appointments a
+         JOIN properties p ON p.id = a.property_id
+         LEFT JOIN users u ON u.id = a.assigned_agent_id
+         WHERE a.id = ?`,
+        [appointmentId]
+    );
+
+    return rows.length > 0 ? formatCalendarViewing(rows[0]) : null;
+};
+
+const formatCalendarViewing = (a) => ({
+    id: a.id,
+    customerName: a.customer_name,
+    customerEmail: a.customer_email,
+    customerPhone: a.customer_phone,
+    customerLocale: a.customer_locale,
+    scheduledDate: a.scheduled_day,
+    scheduledTime: a.scheduled_time,
+    durationMinutes: a.duration_minutes,
+    sequence: a.calendar_sequence,
+    propertyTitle: a.property_title,
+    propertyAddress: a.property_address,
+    propertyCity: a.property_city,
+    agentEmail: a.agent_email,
+    agentFirstName: a.agent_first_name,
+    agentName: a.agent_name
+});
+
+/**
+ * nodemailer icalEvent for a viewing; the customer's copy carries their manage link
+ * method is REQUEST for new and updated invites, CANCEL to remove them
+ */
+const calendarInvite = (viewing, method, forCustomer) => ({
+    icalEvent: {
+        filename: 'viewing.ics',
+        method,
+        content: buildViewingInvite({
+            ...viewing,
+            manageUrl: forCustomer ? buildManageUrl({ id: viewing.id, customer_email: viewing.customerEmail }) : null
+        }, method)
+    }
+});
+
+/**
+ * Finish accepting a viewing request that passed the spam checks (or was released by an admin)
+ * Links the customer's contact, scores and auto-assigns the request, and confirms it to the customer
  */
-const sendNotificationEmail = async (to, subject, html) => {
-    if (!process.env.SMTP_USER) {
-        console.log('Email not configured, skipping notification');
-        return;
+const acceptViewingRequest = async (appointmentId) => {
+    const [appointments] = await pool.query(
+        `SELECT a.*, p.title as property_title, p.address as property_address
+         FROM appointments a
+         JOIN properties p ON p.id = a.property_id
+         WHERE a.id = ?`,
+        [appointmentId]
+    );
+    const appointment = appointments[0];
+
+    // Same customer as an earlier request (by email or phone) shares that contact
+    const contactId = await matchOrCreateContact({
+        name: appointment.customer_name,
+        email: appointment.customer_email,
+        phone: appointment.customer_phone
+    });
+
+    await pool.query('UPDATE appointments SET contact_id = ? WHERE id = ?', [contactId, appointment.id]);
+
+    try {
+        await scoreAppointment(appointment.id);
+    } catch (error) {
+        console.error('Lead score error:', error);
     }
 
+    // Auto-assign with the enabled strategies; without a match the request waits for an admin
     try {
-        await transporter.sendMail({
-            from: process.env.EMAIL_FROM || 'noreply@realestate.com',
-            to,
-            subject,
-            html
-        });
+        const pick = await pickAgent(appointment.property_id);
+
+        if (pick) {
+            const assigned = await recordAssignment({
+                appointmentId: appointment.id,
+                agentId: pick.agentId,
+                rule: pick.rule,
+                expectedAgentId: null
+            });
+
+            if (assigned) {
+                const [agents] = await pool.query('SELECT email, first_name FROM users WHERE id = ?', [pick.agentId]);
+                await sendAssignmentEmail(agents[0], appointment, pick.rule);
+            }
+        }
     } catch (error) {
-        console.error('Email send error:', error);
+        console.error('Auto-assign error:', error);
     }
+
+    // Send confirmation email to customer
+    await sendTemplateEmail(appointment.customer_email, 'customer_request_received', {
+        customerName: appointment.customer_name,
+        propertyTitle: appointment.property_title,
+        ...manageLinkVars(appointment)
+    }, { locale: appointment.customer_locale });
 };
 
+/**
+ * GET /api/appointments/form-token?propertyId=
+ * Public - Signed token for the viewing request form, used to time how long the form took
+ */
+router.get('/form-token', [
+    query('propertyId').isInt({ min: 1 })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    res.json({
+        success: true,
+        formToken: createFormToken(req.query.propertyId)
+    });
+});
+
 /**
  * POST /api/appointments
  * Public - Submit viewing request
+ * Requests that trip the spam checks are quarantined for admin review; the customer sees the
+ * usual confirmation so bots learn nothing, but no contact, email or assignment is made
  */
 router.post('/', [
     body('propertyId').isInt({ min: 1 }),
@@ -75,7 +213,9 @@ router.post('/', [
     body('customerEmail').isEmail().normalizeEmail(),
     body('customerPhone').trim().notEmpty().isLength({ max: 20 }),
     body('customerIntent').isIn(['buy', 'rent', 'invest', 'inquire']),
-    body('customerMessage').optional().trim().isLength({ max: 1000 })
+    body('customerMessage').optional().trim().isLength({ max: 1000 }),
+    body('customerLocale').optional().isIn(LOCALES),
+    body('formToken').isString().notEmpty().withMessage('formToken is required; get one from GET /api/appointments/form-token')
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -87,12 +227,30 @@ router.post('/', [
             });
         }
 
-        const { propertyId, customerName, customerEmail, customerPhone, customerIntent, customerMessage, recaptchaToken } = req.body;
+        const { propertyId, customerName, customerEmail, customerPhone, customerIntent, customerMessage, recaptchaToken, formToken } = req.body;
+        const customerLocale = req.body.customerLocale || 'en';
 
-        // Verify reCAPTCHA
+        // The form token proves the form was loaded from our site and says when;
+        // a token that is present but no longer verifies has expired or is for another property
+        const fillSeconds = getFormFillSeconds(formToken, propertyId);
+        if (fillSeconds === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'Your form has expired. Please reload the page and try again.'
+            });
+        }
+
+        if (getPhoneProblem(customerPhone) === 'invalid') {
+            return res.status(400).json({
+                success: false,
+                message: 'Please enter a valid phone number'
+            });
+        }
+
+        // Verify reCAPTCHA (when configured)
         let recaptchaScore = null;
-        if (recaptchaToken) {
-            const recaptchaResult = await verifyRecaptcha(recaptchaToken);
+        const recaptchaResult = await verifyRecaptcha(recaptchaToken);
+        if (recaptchaResult) {
             if (!recaptchaResult.success) {
                 return res.status(400).json({
                     success: false,
@@ -110,9 +268,20 @@ router.post('/', [
             }
         }
 
-        // Verify property exists and is available
+        // Get client IP (using socket.remoteAddress for Node.js compatibility)
+        const ipAddress = req.ip || req.socket?.remoteAddress || 'unknown';
+
+        const throttleMessage = await checkThrottles(ipAddress, customerEmail);
+        if (throttleMessage) {
+            return res.status(429).json({
+                success: false,
+                message: throttleMessage
+            });
+        }
+
+        // Verify property exists, is live and is available
         const [properties] = await pool.query(
-            'SELECT id, title, status FROM properties WHERE id = ?',
+            `SELECT p.id, p.title, p.address, p.status FROM properties p WHERE p.id = ? AND ${LIVE_LISTING_SQL}`,
             [propertyId]
         );
 
@@ -130,6 +299,15 @@ router.post('/', [
             });
         }
 
+        // Contacts blocked by an admin cannot book online
+        const existingContact = await findContact({ email: customerEmail, phone: customerPhone });
+        if (existingContact && existingContact.reliability === 'blocked') {
+            return res.status(403).json({
+                success: false,
+                message: 'We are unable to accept online viewing requests from this contact. Please call our office.'
+            });
+        }
+
         // Check for duplicate requests (same email + property within 24 hours)
         const [duplicates] = await pool.query(
             `SELECT id FROM appointments 
@@ -145,33 +323,30 @@ router.post('/', [
             });
         }
 
-        // Get client IP (using socket.remoteAddress for Node.js compatibility)
-        const ipAddress = req.ip || req.socket?.remoteAddress || 'unknown';
+        const spamReasons = getSpamReasons({
+            honeypot: req.body[HONEYPOT_FIELD],
+            fillSeconds,
+            email: customerEmail,
+            phone: customerPhone,
+            message: customerMessage,
+            recaptchaScore
+        });
 
         // Insert appointment (priority_number is auto-assigned by trigger)
         const [result] = await pool.query(
             `INSERT INTO appointments 
              (property_id, customer_name, customer_email, customer_phone, customer_intent, customer_message, 
-              recaptcha_score, ip_address)
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+              customer_locale, recaptcha_score, ip_address, form_fill_seconds, status, spam_reasons)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
             [propertyId, customerName, customerEmail, customerPhone, customerIntent || 'inquire', customerMessage || null, 
-             recaptchaScore, ipAddress]
+             customerLocale, recaptchaScore, ipAddress, fillSeconds,
+             spamReasons.length > 0 ? 'quarantined' : 'pending',
+             spamReasons.length > 0 ? JSON.stringify(spamReasons) : null]
         );
 
-        // Send confirmation email to customer
-        await sendNotificationEmail(
-            customerEmail,
-            'Viewing Request Received - Real Estate Simplified',
-            `
-            <h2>Thank you for your viewing request!</h2>
-            <p>Dear ${customerName},</p>
-            <p>We have received your request to view <strong>${properties[0].title}</strong>.</p>
-            <p>One of our agents will contact you within 24 hours to schedule a viewing.</p>
-            <p>If you have any urgent questions, please call us at +63-917-123-4567.</p>
-            <br>
-            <p>Best regards,<br>Real Estate Simplified Team</p>
-            `
-        );
+        if (spamReasons.length === 0) {
+            await acceptViewingRequest(result.insertId);
+        }
 
         res.status(201).json({
             success: true,
@@ -187,13 +362,498 @@ router.post('/', [
     }
 });
 
+/**
+ * Load the appointment a customer's signed link points to into req.appointment
+ * The token comes from the query string (GET) or the body (PUT)
+ */
+const requireManageToken = async (req, res, next) => {
+    try {
+        const link = verifyManageToken(req.query.token || req.body.token || '');
+
+        if (!link) {
+            return res.status(401).json({
+                success: false,
+                message: 'This link is invalid or has expired. Please contact us to change your viewing.'
+            });
+        }
+
+        const [appointments] = await pool.query(
+            `SELECT a.*, ${CONTACT_FLAGS_SQL}, DATE_FORMAT(a.scheduled_date, '%Y-%m-%d') as scheduled_day,
+                    TIMESTAMP(a.scheduled_date, a.scheduled_time) < NOW() as is_past,
+                    p.title as property_title, p.address as property_address, p.city as property_city,
+                    u.email as agent_email, u.first_name as agent_first_name
+             FROM appointments a
+             JOIN properties p ON p.id = a.property_id
+             LEFT JOIN users u ON u.id = a.assigned_agent_id
+             WHERE a.id = ? AND a.customer_email = ?`,
+            [link.appointmentId, link.email]
+        );
+
+        if (appointments.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Appointment not found'
+            });
+        }
+
+        req.appointment = appointments[0];
+        next();
+    } catch (error) {
+        console.error('Manage link check error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load appointment'
+        });
+    }
+};
+
+/**
+ * Whether a request still needs the phone confirmation an admin asked for before its first schedule
+ * The appointment row must be selected with CONTACT_FLAGS_SQL
+ */
+const awaitsPhoneConfirmation = (a) => a.status === 'assigned' && contactFlags(a).needsPhoneConfirmation;
+
+/**
+ * What a customer may still do with their appointment
+ * Viewings that have already started can no longer be changed online, and
+ * requests awaiting phone confirmation can only be scheduled by the agent
+ */
+const getCustomerActions = (a) => {
+    const isOpen = ['pending', 'assigned', 'scheduled'].includes(a.status) && !(a.status === 'scheduled' && a.is_past);
+    return {
+        canCancel: isOpen,
+        canReschedule: isOpen && a.status !== 'pending' && !!a.assigned_agent_id && !awaitsPhoneConfirmation(a)
+    };
+};
+
+/**
+ * GET /api/appointments/manage?token=
+ * Public (signed link) - View an appointment
+ */
+router.get('/manage', requireManageToken, async (req, res) => {
+    const a = req.appointment;
+
+    res.json({
+        success: true,
+        appointment: {
+            id: a.id,
+            propertyId: a.property_id,
+            propertyTitle: a.property_title,
+            propertyAddress: a.property_address,
+            propertyCity: a.property_city,
+            customerName: a.customer_name,
+            status: a.status,
+            scheduledDate: a.scheduled_day,
+            scheduledTime: a.scheduled_time,
+            durationMinutes: a.duration_minutes,
+            agentName: a.agent_first_name,
+            ...getCustomerActions(a)
+        }
+    });
+});
+
+/**
+ * GET /api/appointments/manage/slots?token=&days=
+ * Public (signed link) - Open times with the assigned agent
+ */
+router.get('/manage/slots', requireManageToken, [
+    query('days').optional().isInt({ min: 1, max: 30 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const a = req.appointment;
+
+        if (!getCustomerActions(a).canReschedule) {
+            return res.status(400).json({
+                success: false,
+                message: 'This viewing can no longer be rescheduled online'
+            });
+        }
+
+        const days = await findAvailableSlots({
+            appointmentId: a.id,
+            propertyId: a.property_id,
+            agentId: a.assigned_agent_id,
+            days: parseInt(req.query.days) || 14,
+            durationMinutes: a.duration_minutes,
+            travelBufferMinutes: a.travel_buffer_minutes
+        });
+
+        res.json({
+            success: true,
+            days
+        });
+    } catch (error) {
+        console.error('Get customer slots error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to find available times'
+        });
+    }
+});
+
+/**
+ * PUT /api/appointments/manage/reschedule
+ * Public (signed link) - Move the viewing to a new slot
+ */
+router.put('/manage/reschedule', [
+    body('scheduledDate').isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/),
+    body('scheduledTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/)
+], requireManageToken, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const a = req.appointment;
+        const { scheduledDate, scheduledTime } = req.body;
+
+        if (!getCustomerActions(a).canReschedule) {
+            return res.status(400).json({
+                success: false,
+                message: 'This viewing can no longer be rescheduled online'
+            });
+        }
+
+        // Pad a single-digit hour (9:00) so the combined value parses
+        const requested = new Date(`${scheduledDate}T${scheduledTime.replace(/^(\d):/, '0$1:')}`);
+
+        if (Number.isNaN(requested.getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please choose a valid date and time'
+            });
+        }
+
+        if (requested <= new Date()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please choose a time in the future'
+            });
+        }
+
+        // Same rules as when the agent schedules
+        const unavailable = await checkAgentAvailability(a.assigned_agent_id, scheduledDate, scheduledTime, a.duration_minutes);
+        if (unavailable) {
+            return res.status(409).json({
+                success: false,
+                message: 'Your agent is not available at this time. Please choose a different time.'
+            });
+        }
+
+        const previous = a.scheduled_day ? `${a.scheduled_day} ${a.scheduled_time}` : 'not yet scheduled';
+
+        // Check and book under the property/agent lock so a concurrent booking can't take the same slot
+        const booking = await withBookingLock({ propertyId: a.property_id, agentId: a.assigned_agent_id }, async () => {
+            const conflict = await findBookingConflict({
+                appointmentId: a.id,
+                propertyId: a.property_id,
+                agentId: a.assigned_agent_id,
+                date: scheduledDate,
+                time: scheduledTime,
+                durationMinutes: a.duration_minutes,
+                travelBufferMinutes: a.travel_buffer_minutes
+            });
+
+            if (conflict) {
+                return { conflict, updated: false };
+            }
+
+            // Conditional on status so an agent's cancel or complete since the link was opened is not undone
+            const [result] = await pool.query(
+                `UPDATE appointments SET
+                 scheduled_date = ?,
+                 scheduled_time = ?,
+                 status = 'scheduled',
+                 scheduled_at = COALESCE(scheduled_at, NOW()),
+                 calendar_sequence = calendar_sequence + 1,
+                 agent_notes = CONCAT(COALESCE(agent_notes, ''), '\nRescheduled by customer from ', ?)
+                 WHERE id = ? AND status IN ('assigned', 'scheduled')`,
+                [scheduledDate, scheduledTime, previous, a.id]
+            );
+
+            return { conflict: null, updated: result.affectedRows > 0 };
+        });
+
+        if (booking.conflict) {
+            return res.status(409).json({
+                success: false,
+                message: 'This time is already taken. Please choose a different time.'
+            });
+        }
+
+        if (!booking.updated) {
+            return res.status(409).json({
+                success: false,
+                message: 'This viewing was changed by our office. Please reload the page.'
+            });
+        }
+
+        const viewing = await getCalendarViewing(a.id);
+
+        await sendTemplateEmail(a.agent_email, 'agent_viewing_rescheduled', {
+            agentFirstName: a.agent_first_name,
+            customerName: a.customer_name,
+            customerPhone: a.customer_phone,
+            propertyTitle: a.property_title,
+            previousSchedule: previous,
+            scheduledDate,
+            scheduledTime
+        }, { extra: calendarInvite(viewing, 'REQUEST', false) });
+
+        await sendTemplateEmail(a.customer_email, 'customer_viewing_rescheduled', {
+            customerName: a.customer_name,
+            propertyTitle: a.property_title,
+            scheduledDate,
+            scheduledTime,
+            ...manageLinkVars(a)
+        }, { locale: a.customer_locale, extra: calendarInvite(viewing, 'REQUEST', true) });
+
+        res.json({
+            success: true,
+            message: 'Your viewing has been rescheduled'
+        });
+    } catch (error) {
+        console.error('Customer reschedule error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reschedule viewing'
+        });
+    }
+});
+
+/**
+ * PUT /api/appointments/manage/cancel
+ * Public (signed link) - Cancel the viewing with a reason
+ */
+router.put('/manage/cancel', [
+    body('reason').trim().notEmpty().isLength({ max: 500 })
+], requireManageToken, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const a = req.appointment;
+        const { reason } = req.body;
+
+        if (!getCustomerActions(a).canCancel) {
+            return res.status(400).json({
+                success: false,
+                message: 'This viewing can no longer be cancelled online'
+            });
+        }
+
+        // Conditional on status so an agent's cancel or complete since the link was opened is not undone
+        // (pending requests can be cancelled by the customer too)
+        const [result] = await pool.query(
+            `UPDATE appointments SET
+             status = 'cancelled',
+             calendar_sequence = calendar_sequence + 1,
+             agent_notes = CONCAT(COALESCE(agent_notes, ''), '\nCancelled by customer: ', ?)
+             WHERE id = ? AND status IN ('pending', 'assigned', 'scheduled')`,
+            [reason, a.id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'This viewing was changed by our office. Please reload the page.'
+            });
+        }
+
+        // Only scheduled viewings were ever sent as calendar invites
+        const viewing = a.status === 'scheduled' ? await getCalendarViewing(a.id) : null;
+
+        if (viewing) {
+            await sendTemplateEmail(a.customer_email, 'customer_viewing_cancelled', {
+                customerName: a.customer_name,
+                propertyTitle: a.property_title,
+                scheduledDate: a.scheduled_day,
+                scheduledTime: a.scheduled_time
+            }, { locale: a.customer_locale, extra: calendarInvite(viewing, 'CANCEL', true) });
+        }
+
+        if (a.agent_email) {
+            await sendTemplateEmail(a.agent_email, 'agent_viewing_cancelled', {
+                agentFirstName: a.agent_first_name,
+                customerName: a.customer_name,
+                propertyTitle: a.property_title,
+                scheduledDate: a.scheduled_day,
+                scheduledTime: a.scheduled_time,
+                cancelledByCustomer: true,
+                reason
+            }, { extra: viewing ? calendarInvite(viewing, 'CANCEL', false) : {} });
+        }
+
+        res.json({
+            success: true,
+            message: 'Your viewing has been cancelled'
+        });
+    } catch (error) {
+        console.error('Customer cancel error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to cancel viewing'
+        });
+    }
+});
+
+/**
+ * GET /api/appointments/feed/:token.ics
+ * Public - Private subscribable calendar of an agent's viewings (token in URL)
+ */
+router.get('/feed/:token.ics', async (req, res) => {
+    try {
+        const [agents] = await pool.query(
+            'SELECT id, first_name, last_name FROM users WHERE calendar_feed_token = ? AND is_active = TRUE',
+            [req.params.token]
+        );
+
+        if (agents.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Calendar feed not found'
+            });
+        }
+
+        const agent = agents[0];
+
+        // Recent history plus everything upcoming
+        const [rows] = await pool.query(
+            `SELECT a.id, a.customer_name, a.customer_email, a.customer_phone,
+                    DATE_FORMAT(a.scheduled_date, '%Y-%m-%d') as scheduled_day, a.scheduled_time,
+                    a.duration_minutes, a.calendar_sequence,
+                    p.title as property_title, p.address as property_address, p.city as property_city,
+                    u.email as agent_email, CONCAT(u.first_name, ' ', u.last_name) as agent_name
+             FROM appointments a
+             JOIN properties p ON p.id = a.property_id
+             JOIN users u ON u.id = a.assigned_agent_id
+             WHERE a.assigned_agent_id = ?
+             AND a.status IN ('scheduled', 'completed')
+             AND a.scheduled_date >= DATE_SUB(CURDATE(), INTERVAL 90 DAY)
+             ORDER BY a.scheduled_date ASC, a.scheduled_time ASC`,
+            [agent.id]
+        );
+
+        const events = rows.flatMap(row => buildViewingEvent(formatCalendarViewing(row)));
+
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Cache-Control', 'private, max-age=300');
+        res.send(buildCalendar(events, {
+            method: 'PUBLISH',
+            name: `Viewings - ${agent.first_name} ${agent.last_name}`
+        }));
+    } catch (error) {
+        console.error('Calendar feed error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to build calendar feed'
+        });
+    }
+});
+
+/**
+ * GET /api/appointments/my/calendar-feed
+ * Agent - Get my private calendar feed URL (created on first use)
+ */
+router.get('/my/calendar-feed', authenticateToken, isAgentOrAdmin, async (req, res) => {
+    try {
+        const [users] = await pool.query(
+            'SELECT calendar_feed_token FROM users WHERE id = ?',
+            [req.user.id]
+        );
+
+        let token = users[0] && users[0].calendar_feed_token;
+
+        if (!token) {
+            token = generateFeedToken();
+            await pool.query(
+                'UPDATE users SET calendar_feed_token = ? WHERE id = ?',
+                [token, req.user.id]
+            );
+        }
+
+        res.json({
+            success: true,
+            url: buildFeedUrl(token)
+        });
+    } catch (error) {
+        console.error('Get calendar feed error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch calendar feed'
+        });
+    }
+});
+
+/**
+ * POST /api/appointments/my/calendar-feed/reset
+ * Agent - Replace my feed URL; the old one stops working
+ */
+router.post('/my/calendar-feed/reset', authenticateToken, isAgentOrAdmin, async (req, res) => {
+    try {
+        const token = generateFeedToken();
+
+        await pool.query(
+            'UPDATE users SET calendar_feed_token = ? WHERE id = ?',
+            [token, req.user.id]
+        );
+
+        res.json({
+            success: true,
+            message: 'Calendar feed link reset. Re-subscribe with the new link.',
+            url: buildFeedUrl(token)
+        });
+    } catch (error) {
+        console.error('Reset calendar feed error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reset calendar feed'
+        });
+    }
+});
+
 /**
  * GET /api/appointments
  * Admin - Get all appointments
+ * sort=score lists the highest lead scores first; minScore/maxScore filter by score
+ * Quarantined and spam requests are only listed when asked for by status
  */
-router.get('/', authenticateToken, isAdmin, async (req, res) => {
+router.get('/', authenticateToken, isAdmin, [
+    query('sort').optional().isIn(['priority', 'score']),
+    query('minScore').optional().isInt({ min: 0, max: 100 }),
+    query('maxScore').optional().isInt({ min: 0, max: 100 })
+], async (req, res) => {
     try {
-        const { status, page = 1, limit = 20 } = req.query;
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { status, sort = 'priority', minScore, maxScore, page = 1, limit = 20 } = req.query;
         const offset = (parseInt(page) - 1) * parseInt(limit);
 
         let whereClause = 'WHERE 1=1';
@@ -202,8 +862,32 @@ router.get('/', authenticateToken, isAdmin, async (req, res) => {
         if (status) {
             whereClause += ' AND a.status = ?';
             params.push(status);
+        } else {
+            // Quarantined and spam requests are reviewed on the quarantine queue
+            whereClause += " AND a.status NOT IN ('quarantined', 'spam')";
+        }
+
+        if (minScore !== undefined) {
+            whereClause += ' AND a.lead_score >= ?';
+            params.push(parseInt(minScore));
         }
 
+        if (maxScore !== undefined) {
+            whereClause += ' AND a.lead_score <= ?';
+            params.push(parseInt(maxScore));
+        }
+
+        const orderBy = sort === 'score'
+            ? 'a.lead_score IS NULL, a.lead_score DESC, a.created_at DESC'
+            : `CASE a.status 
+                    WHEN 'pending' THEN 1 
+                    WHEN 'assigned' THEN 2 
+                    WHEN 'scheduled' THEN 3 
+                    ELSE 4 
+                END,
+                a.priority_number ASC,
+                a.created_at DESC`;
+
         // Get total count
         const [countResult] = await pool.query(
             `SELECT COUNT(*) as total FROM appointments a ${whereClause}`,
@@ -213,22 +897,14 @@ router.get('/', authenticateToken, isAdmin, async (req, res) => {
 
         // Get appointments
         const [appointments] = await pool.query(
-            `SELECT a.*, 
+            `SELECT a.*, ${CONTACT_FLAGS_SQL},
                     p.title as property_title, p.address as property_address, p.city as property_city,
                     CONCAT(u.first_name, ' ', u.last_name) as assigned_agent_name
              FROM appointments a
              JOIN properties p ON p.id = a.property_id
              LEFT JOIN users u ON u.id = a.assigned_agent_id
              ${whereClause}
-             ORDER BY 
-                CASE a.status 
-                    WHEN 'pending' THEN 1 
-                    WHEN 'assigned' THEN 2 
-                    WHEN 'scheduled' THEN 3 
-                    ELSE 4 
-                END,
-                a.priority_number ASC,
-                a.created_at DESC
+             ORDER BY ${orderBy}
              LIMIT ? OFFSET ?`,
             [...params, parseInt(limit), offset]
         );
@@ -241,18 +917,27 @@ router.get('/', authenticateToken, isAdmin, async (req, res) => {
                 propertyTitle: a.property_title,
                 propertyAddress: a.property_address,
                 propertyCity: a.property_city,
+                contactId: a.contact_id,
+                ...contactFlags(a),
                 customerName: a.customer_name,
                 customerEmail: a.customer_email,
                 customerPhone: a.customer_phone,
                 customerIntent: a.customer_intent,
                 customerMessage: a.customer_message,
                 priorityNumber: a.priority_number,
+                leadScore: a.lead_score,
+                leadScoreBand: scoreBand(a.lead_score),
+                leadScoreFactors: a.lead_score_factors,
                 status: a.status,
                 assignedAgentId: a.assigned_agent_id,
                 assignedAgentName: a.assigned_agent_name,
                 assignedAt: a.assigned_at,
+                assignmentRule: a.assignment_rule,
+                slaFlaggedAt: a.sla_flagged_at,
                 scheduledDate: a.scheduled_date,
                 scheduledTime: a.scheduled_time,
+                durationMinutes: a.duration_minutes,
+                travelBufferMinutes: a.travel_buffer_minutes,
                 outcome: a.outcome,
                 agentNotes: a.agent_notes,
                 createdAt: a.created_at
@@ -299,7 +984,7 @@ router.get('/my', authenticateToken, isAgentOrAdmin, async (req, res) => {
 
         // Get appointments
         const [appointments] = await pool.query(
-            `SELECT a.*, 
+            `SELECT a.*, ${CONTACT_FLAGS_SQL},
                     p.title as property_title, p.address as property_address, 
                     p.city as property_city, p.price as property_price
              FROM appointments a
@@ -326,6 +1011,8 @@ router.get('/my', authenticateToken, isAgentOrAdmin, async (req, res) => {
                 propertyAddress: a.property_address,
                 propertyCity: a.property_city,
                 propertyPrice: a.property_price ? parseFloat(a.property_price) : null,
+                contactId: a.contact_id,
+                ...contactFlags(a),
                 customerName: a.customer_name,
                 customerEmail: a.customer_email,
                 customerPhone: a.customer_phone,
@@ -335,6 +1022,8 @@ router.get('/my', authenticateToken, isAgentOrAdmin, async (req, res) => {
                 status: a.status,
                 scheduledDate: a.scheduled_date,
                 scheduledTime: a.scheduled_time,
+                durationMinutes: a.duration_minutes,
+                travelBufferMinutes: a.travel_buffer_minutes,
                 outcome: a.outcome,
                 agentNotes: a.agent_notes,
                 createdAt: a.created_at
@@ -347,20 +1036,132 @@ router.get('/my', authenticateToken, isAgentOrAdmin, async (req, res) => {
             }
         });
     } catch (error) {
-        console.error('Get my appointments error:', error);
+        console.error('Get my appointments error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch appointments'
+        });
+    }
+});
+
+/**
+ * PUT /api/appointments/:id/assign
+ * Admin - Assign agent to appointment
+ */
+router.put('/:id/assign', authenticateToken, isAdmin, [
+    body('agentId').isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const { agentId } = req.body;
+
+        // Verify appointment exists
+        const [appointments] = await pool.query(
+            `SELECT a.*, p.title as property_title, p.address as property_address
+             FROM appointments a
+             JOIN properties p ON p.id = a.property_id
+             WHERE a.id = ?`,
+            [id]
+        );
+
+        if (appointments.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Appointment not found'
+            });
+        }
+
+        // Verify agent exists and is an agent
+        const [agents] = await pool.query(
+            "SELECT id, email, first_name FROM users WHERE id = ? AND role = 'agent' AND is_active = TRUE",
+            [agentId]
+        );
+
+        if (agents.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Agent not found or inactive'
+            });
+        }
+
+        const appointment = appointments[0];
+        const agent = agents[0];
+
+        if (!['pending', 'assigned'].includes(appointment.status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only pending or assigned requests can be assigned'
+            });
+        }
+
+        // Update appointment and the audit trail, unless it changed since it was loaded
+        const assigned = await recordAssignment({
+            appointmentId: appointment.id,
+            agentId: agent.id,
+            rule: 'manual',
+            assignedByUserId: req.user.id,
+            expectedAgentId: appointment.assigned_agent_id
+        });
+
+        if (!assigned) {
+            return res.status(409).json({
+                success: false,
+                message: 'Appointment was updated by someone else, please reload'
+            });
+        }
+
+        // Send email to agent
+        await sendAssignmentEmail(agent, appointment, 'manual');
+
+        res.json({
+            success: true,
+            message: 'Agent assigned successfully'
+        });
+    } catch (error) {
+        console.error('Assign agent error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to fetch appointments'
+            message: 'Failed to assign agent'
         });
     }
 });
 
 /**
- * PUT /api/appointments/:id/assign
- * Admin - Assign agent to appointment
+ * GET /api/appointments/:id/assignments
+ * Admin - Assignment history with the rule that picked each agent
  */
-router.put('/:id/assign', authenticateToken, isAdmin, [
-    body('agentId').isInt({ min: 1 })
+router.get('/:id/assignments', authenticateToken, isAdmin, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            assignments: await getAssignmentHistory(req.params.id)
+        });
+    } catch (error) {
+        console.error('Get assignment history error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch assignment history'
+        });
+    }
+});
+
+/**
+ * GET /api/appointments/:id/available-slots
+ * Agent/Admin - Open viewing times for the assigned agent over the next few days
+ */
+router.get('/:id/available-slots', authenticateToken, isAgentOrAdmin, [
+    query('days').optional().isInt({ min: 1, max: 30 }),
+    query('durationMinutes').optional().isInt({ min: 15, max: 480 }),
+    query('travelBufferMinutes').optional().isInt({ min: 0, max: 240 })
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -373,80 +1174,64 @@ router.put('/:id/assign', authenticateToken, isAdmin, [
         }
 
         const { id } = req.params;
-        const { agentId } = req.body;
+        const days = parseInt(req.query.days) || 7;
+        const durationMinutes = parseInt(req.query.durationMinutes) || DEFAULT_DURATION_MINUTES;
+        const travelBufferMinutes = parseInt(req.query.travelBufferMinutes) || 0;
 
-        // Verify appointment exists
-        const [appointments] = await pool.query(
-            `SELECT a.*, p.title as property_title, p.address as property_address
-             FROM appointments a
-             JOIN properties p ON p.id = a.property_id
-             WHERE a.id = ?`,
-            [id]
-        );
+        // Agents can only look up slots for their own appointments
+        let sql = 'SELECT id, property_id, assigned_agent_id, status FROM appointments WHERE id = ?';
+        const params = [id];
+
+        if (req.user.role === 'agent') {
+            sql += ' AND assigned_agent_id = ?';
+            params.push(req.user.id);
+        }
+
+        const [appointments] = await pool.query(sql, params);
 
         if (appointments.length === 0) {
             return res.status(404).json({
                 success: false,
-                message: 'Appointment not found'
+                message: 'Appointment not found or not assigned to you'
             });
         }
 
-        // Verify agent exists and is an agent
-        const [agents] = await pool.query(
-            "SELECT id, email, first_name FROM users WHERE id = ? AND role = 'agent' AND is_active = TRUE",
-            [agentId]
-        );
+        const appointment = appointments[0];
 
-        if (agents.length === 0) {
+        if (!appointment.assigned_agent_id) {
             return res.status(400).json({
                 success: false,
-                message: 'Agent not found or inactive'
+                message: 'Assign an agent before looking for viewing times'
             });
         }
 
-        const appointment = appointments[0];
-        const agent = agents[0];
-
-        // Update appointment
-        await pool.query(
-            `UPDATE appointments SET 
-             assigned_agent_id = ?, 
-             assigned_at = NOW(),
-             status = 'assigned'
-             WHERE id = ?`,
-            [agentId, id]
-        );
+        if (!['assigned', 'scheduled'].includes(appointment.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot schedule a ${appointment.status} appointment`
+            });
+        }
 
-        // Send email to agent
-        await sendNotificationEmail(
-            agent.email,
-            'New Viewing Request Assigned - Real Estate Simplified',
-            `
-            <h2>New Viewing Request Assigned</h2>
-            <p>Dear ${agent.first_name},</p>
-            <p>You have been assigned a new viewing request:</p>
-            <ul>
-                <li><strong>Property:</strong> ${appointment.property_title}</li>
-                <li><strong>Address:</strong> ${appointment.property_address}</li>
-                <li><strong>Customer:</strong> ${appointment.customer_name}</li>
-                <li><strong>Phone:</strong> ${appointment.customer_phone}</li>
-                <li><strong>Email:</strong> ${appointment.customer_email}</li>
-            </ul>
-            <p>Please contact the customer within 24 hours to schedule a viewing.</p>
-            <br>
-            <p>Best regards,<br>Real Estate Simplified</p>
-            `
-        );
+        const slotDays = await findAvailableSlots({
+            appointmentId: appointment.id,
+            propertyId: appointment.property_id,
+            agentId: appointment.assigned_agent_id,
+            days,
+            durationMinutes,
+            travelBufferMinutes
+        });
 
         res.json({
             success: true,
-            message: 'Agent assigned successfully'
+            durationMinutes,
+            travelBufferMinutes,
+            days: slotDays
         });
     } catch (error) {
-        console.error('Assign agent error:', error);
+        console.error('Get available slots error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to assign agent'
+            message: 'Failed to find available slots'
         });
     }
 });
@@ -458,6 +1243,8 @@ router.put('/:id/assign', authenticateToken, isAdmin, [
 router.put('/:id/schedule', authenticateToken, isAgentOrAdmin, [
     body('scheduledDate').isISO8601(),
     body('scheduledTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/),
+    body('durationMinutes').optional().isInt({ min: 15, max: 480 }),
+    body('travelBufferMinutes').optional().isInt({ min: 0, max: 240 }),
     body('agentNotes').optional().trim()
 ], async (req, res) => {
     try {
@@ -472,10 +1259,12 @@ router.put('/:id/schedule', authenticateToken, isAgentOrAdmin, [
 
         const { id } = req.params;
         const { scheduledDate, scheduledTime, agentNotes } = req.body;
+        const durationMinutes = parseInt(req.body.durationMinutes) || DEFAULT_DURATION_MINUTES;
+        const travelBufferMinutes = parseInt(req.body.travelBufferMinutes) || 0;
 
         // Verify appointment exists and is assigned to this agent
         const [appointments] = await pool.query(
-            `SELECT a.*, p.title as property_title
+            `SELECT a.*, ${CONTACT_FLAGS_SQL}, p.title as property_title
              FROM appointments a
              JOIN properties p ON p.id = a.property_id
              WHERE a.id = ? AND a.assigned_agent_id = ?`,
@@ -491,52 +1280,87 @@ router.put('/:id/schedule', authenticateToken, isAgentOrAdmin, [
 
         const appointment = appointments[0];
 
-        // Check for double-booking conflicts (same property, date, and time)
-        const [conflicts] = await pool.query(
-            `SELECT id FROM appointments 
-             WHERE property_id = ? 
-             AND scheduled_date = ? 
-             AND scheduled_time = ?
-             AND id != ?
-             AND status != 'cancelled'`,
-            [appointment.property_id, scheduledDate, scheduledTime, id]
-        );
+        // Contacts flagged by an admin must be confirmed by phone before the first schedule
+        if (awaitsPhoneConfirmation(appointment)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Confirm this request with the customer by phone before scheduling'
+            });
+        }
 
-        if (conflicts.length > 0) {
+        // The agent must be working, not on time off, and it must not be a holiday
+        const unavailable = await checkAgentAvailability(req.user.id, scheduledDate, scheduledTime, durationMinutes);
+        if (unavailable) {
             return res.status(409).json({
                 success: false,
-                message: 'This time slot is already booked for this property. Please choose a different time.'
+                message: `${unavailable}. Please choose a different time.`
             });
         }
 
-        // Update appointment
-        await pool.query(
-            `UPDATE appointments SET 
-             scheduled_date = ?,
-             scheduled_time = ?,
-             agent_notes = ?,
-             status = 'scheduled'
-             WHERE id = ?`,
-            [scheduledDate, scheduledTime, agentNotes || null, id]
-        );
+        // Check for overlapping viewings at this property, or anywhere the agent is booked,
+        // and book under the property/agent lock so a concurrent booking can't take the same slot
+        const conflict = await withBookingLock({ propertyId: appointment.property_id, agentId: req.user.id }, async () => {
+            const found = await findBookingConflict({
+                appointmentId: id,
+                propertyId: appointment.property_id,
+                agentId: req.user.id,
+                date: scheduledDate,
+                time: scheduledTime,
+                durationMinutes,
+                travelBufferMinutes
+            });
+
+            if (!found) {
+                await pool.query(
+                    `UPDATE appointments SET 
+                     scheduled_date = ?,
+                     scheduled_time = ?,
+                     duration_minutes = ?,
+                     travel_buffer_minutes = ?,
+                     agent_notes = ?,
+                     status = 'scheduled',
+                     scheduled_at = COALESCE(scheduled_at, NOW()),
+                     calendar_sequence = calendar_sequence + 1
+                     WHERE id = ?`,
+                    [scheduledDate, scheduledTime, durationMinutes, travelBufferMinutes, agentNotes || null, id]
+                );
+            }
+
+            return found;
+        });
+
+        if (conflict) {
+            return res.status(409).json({
+                success: false,
+                message: conflict.sameProperty
+                    ? 'This time slot is already booked for this property. Please choose a different time.'
+                    : `You already have a viewing at ${conflict.propertyTitle} from ${conflict.scheduledTime.slice(0, 5)} to ${conflict.endTime.slice(0, 5)}. Please choose a different time.`,
+                conflict
+            });
+        }
+
+        const viewing = await getCalendarViewing(id);
 
         // Send confirmation email to customer
-        await sendNotificationEmail(
-            appointment.customer_email,
-            'Viewing Scheduled - Real Estate Simplified',
-            `
-            <h2>Your Viewing is Scheduled!</h2>
-            <p>Dear ${appointment.customer_name},</p>
-            <p>Your viewing for <strong>${appointment.property_title}</strong> has been scheduled:</p>
-            <ul>
-                <li><strong>Date:</strong> ${scheduledDate}</li>
-                <li><strong>Time:</strong> ${scheduledTime}</li>
-            </ul>
-            <p>Please arrive 5 minutes early. If you need to reschedule, please contact us.</p>
-            <br>
-            <p>Best regards,<br>Real Estate Simplified Team</p>
-            `
-        );
+        await sendTemplateEmail(appointment.customer_email, 'customer_viewing_scheduled', {
+            customerName: appointment.customer_name,
+            propertyTitle: appointment.property_title,
+            scheduledDate,
+            scheduledTime,
+            durationMinutes,
+            ...manageLinkVars(appointment)
+        }, { locale: appointment.customer_locale, extra: calendarInvite(viewing, 'REQUEST', true) });
+
+        // Calendar copy for the agent
+        if (viewing.agentEmail) {
+            await sendTemplateEmail(viewing.agentEmail, 'agent_viewing_scheduled', {
+                customerName: appointment.customer_name,
+                customerPhone: appointment.customer_phone,
+                propertyTitle: appointment.property_title,
+                scheduledDate,
+                scheduledTime
+            }, { extra: calendarInvite(viewing, 'REQUEST', false) });
+        }
 
         res.json({
             success: true,
@@ -544,16 +1368,46 @@ router.put('/:id/schedule', authenticateToken, isAgentOrAdmin, [
         });
     } catch (error) {
         console.error('Schedule error:', error);
-        // Handle unique constraint violation
-        if (error.code === 'ER_DUP_ENTRY') {
-            return res.status(409).json({
+        res.status(500).json({
+            success: false,
+            message: 'Failed to schedule viewing'
+        });
+    }
+});
+
+/**
+ * PUT /api/appointments/:id/confirm-phone
+ * Agent - Record that the customer confirmed the request by phone
+ */
+router.put('/:id/confirm-phone', authenticateToken, isAgentOrAdmin, async (req, res) => {
+    try {
+        let sql = `UPDATE appointments SET phone_confirmed_at = NOW(), phone_confirmed_by_user_id = ?
+                   WHERE id = ? AND status IN ('pending', 'assigned', 'scheduled') AND phone_confirmed_at IS NULL`;
+        const params = [req.user.id, req.params.id];
+
+        if (req.user.role === 'agent') {
+            sql += ' AND assigned_agent_id = ?';
+            params.push(req.user.id);
+        }
+
+        const [result] = await pool.query(sql, params);
+
+        if (result.affectedRows === 0) {
+            return res.status(400).json({
                 success: false,
-                message: 'This time slot is already booked for this property. Please choose a different time.'
+                message: 'Appointment not found, closed or already confirmed'
             });
         }
+
+        res.json({
+            success: true,
+            message: 'Phone confirmation recorded'
+        });
+    } catch (error) {
+        console.error('Confirm phone error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to schedule viewing'
+            message: 'Failed to record phone confirmation'
         });
     }
 });
@@ -565,7 +1419,10 @@ router.put('/:id/schedule', authenticateToken, isAgentOrAdmin, [
 router.put('/:id/complete', authenticateToken, isAgentOrAdmin, [
     body('outcome').isIn(['interested', 'offer_made', 'not_interested', 'no_show', 'needs_followup']),
     body('outcomeNotes').optional().trim(),
-    body('agentNotes').optional().trim()
+    body('agentNotes').optional().trim(),
+    body('offerAmount').optional({ nullable: true }).isFloat({ min: 0 }),
+    body('offerTerms').optional().trim(),
+    body('followUpDate').optional({ checkFalsy: true }).isISO8601()
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -578,7 +1435,7 @@ router.put('/:id/complete', authenticateToken, isAgentOrAdmin, [
         }
 
         const { id } = req.params;
-        const { outcome, outcomeNotes, agentNotes } = req.body;
+        const { outcome, outcomeNotes, agentNotes, offerAmount, offerTerms, followUpDate } = req.body;
 
         // Verify appointment exists and is assigned to this agent
         const [appointments] = await pool.query(
@@ -593,21 +1450,70 @@ router.put('/:id/complete', authenticateToken, isAgentOrAdmin, [
             });
         }
 
-        // Update appointment
-        await pool.query(
+        if (appointments[0].status !== 'scheduled') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only scheduled viewings can be completed'
+            });
+        }
+
+        // Conditional update so a repeat submit or a concurrent cancel can't complete it twice
+        // (and record a second offer)
+        const [result] = await pool.query(
             `UPDATE appointments SET 
              status = 'completed',
              outcome = ?,
              outcome_notes = ?,
              agent_notes = COALESCE(?, agent_notes),
              completed_at = NOW()
-             WHERE id = ?`,
+             WHERE id = ? AND status = 'scheduled'`,
             [outcome, outcomeNotes || null, agentNotes, id]
         );
 
+        if (result.affectedRows === 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'Viewing was updated by someone else, please reload'
+            });
+        }
+
+        // Record the offer itself so it can be negotiated
+        let offerId = null;
+        if (outcome === 'offer_made' && offerAmount !== undefined && offerAmount !== null) {
+            const appointment = appointments[0];
+            offerId = await createOffer({
+                propertyId: appointment.property_id,
+                appointmentId: appointment.id,
+                contactId: appointment.contact_id,
+                buyerName: appointment.customer_name,
+                buyerEmail: appointment.customer_email,
+                buyerPhone: appointment.customer_phone,
+                amount: offerAmount,
+                terms: offerTerms,
+                message: outcomeNotes,
+                agentId: req.user.id,
+                userId: req.user.id
+            });
+        }
+
+        // A no-show changes the customer's count and the score of their other open requests
+        if (outcome === 'no_show') {
+            await updateNoShowCount(appointments[0].contact_id);
+            await rescoreContactAppointments(appointments[0].contact_id);
+        }
+
+        // Interested and needs-follow-up outcomes go on the agent's task list
+        const taskId = await createFollowUpTask(appointments[0], outcome, {
+            dueDate: followUpDate ? followUpDate.slice(0, 10) : null,
+            notes: outcomeNotes,
+            userId: req.user.id
+        });
+
         res.json({
             success: true,
-            message: 'Viewing marked as completed'
+            message: 'Viewing marked as completed',
+            offerId,
+            taskId
         });
     } catch (error) {
         console.error('Complete error:', error);
@@ -649,11 +1555,35 @@ router.put('/:id/cancel', authenticateToken, isAgentOrAdmin, async (req, res) =>
         await pool.query(
             `UPDATE appointments SET 
              status = 'cancelled',
+             calendar_sequence = calendar_sequence + 1,
              agent_notes = CONCAT(COALESCE(agent_notes, ''), '\nCancelled: ', ?)
              WHERE id = ?`,
             [reason || 'No reason provided', id]
         );
 
+        // Withdraw the calendar invites sent when the viewing was scheduled
+        if (appointments[0].status === 'scheduled') {
+            const viewing = await getCalendarViewing(id);
+
+            await sendTemplateEmail(viewing.customerEmail, 'customer_viewing_cancelled', {
+                customerName: viewing.customerName,
+                propertyTitle: viewing.propertyTitle,
+                scheduledDate: viewing.scheduledDate,
+                scheduledTime: viewing.scheduledTime,
+                cancelledByOffice: true
+            }, { locale: viewing.customerLocale, extra: calendarInvite(viewing, 'CANCEL', true) });
+
+            if (viewing.agentEmail) {
+                await sendTemplateEmail(viewing.agentEmail, 'agent_viewing_cancelled', {
+                    agentFirstName: viewing.agentFirstName,
+                    customerName: viewing.customerName,
+                    propertyTitle: viewing.propertyTitle,
+                    scheduledDate: viewing.scheduledDate,
+                    scheduledTime: viewing.scheduledTime
+                }, { extra: calendarInvite(viewing, 'CANCEL', false) });
+            }
+        }
+
         res.json({
             success: true,
             message: 'Appointment cancelled'
@@ -667,6 +1597,114 @@ router.put('/:id/cancel', authenticateToken, isAgentOrAdmin, async (req, res) =>
     }
 });
 
+/**
+ * GET /api/appointments/quarantine
+ * Admin - Requests held by the spam checks, newest first, with why each was held
+ */
+router.get('/quarantine', authenticateToken, isAdmin, async (req, res) => {
+    try {
+        const [appointments] = await pool.query(
+            `SELECT a.*, p.title as property_title, p.city as property_city
+             FROM appointments a
+             JOIN properties p ON p.id = a.property_id
+             WHERE a.status = 'quarantined'
+             ORDER BY a.created_at DESC, a.id DESC`
+        );
+
+        res.json({
+            success: true,
+            appointments: appointments.map(a => ({
+                id: a.id,
+                propertyId: a.property_id,
+                propertyTitle: a.property_title,
+                propertyCity: a.property_city,
+                customerName: a.customer_name,
+                customerEmail: a.customer_email,
+                customerPhone: a.customer_phone,
+                customerIntent: a.customer_intent,
+                customerMessage: a.customer_message,
+                spamReasons: (a.spam_reasons || []).map(code => ({ code, label: SPAM_REASONS[code] || code })),
+                formFillSeconds: a.form_fill_seconds,
+                recaptchaScore: a.recaptcha_score !== null ? parseFloat(a.recaptcha_score) : null,
+                ipAddress: a.ip_address,
+                createdAt: a.created_at
+            }))
+        });
+    } catch (error) {
+        console.error('Get quarantine error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch quarantined requests'
+        });
+    }
+});
+
+/**
+ * PUT /api/appointments/:id/release
+ * Admin - Release a quarantined request as genuine: it is then handled like any new request
+ */
+router.put('/:id/release', authenticateToken, isAdmin, async (req, res) => {
+    try {
+        const [result] = await pool.query(
+            `UPDATE appointments SET status = 'pending', reviewed_by_user_id = ?, reviewed_at = NOW()
+             WHERE id = ? AND status = 'quarantined'`,
+            [req.user.id, req.params.id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quarantined request not found'
+            });
+        }
+
+        await acceptViewingRequest(req.params.id);
+
+        res.json({
+            success: true,
+            message: 'Request released'
+        });
+    } catch (error) {
+        console.error('Release appointment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to release request'
+        });
+    }
+});
+
+/**
+ * PUT /api/appointments/:id/mark-spam
+ * Admin - Reject a quarantined request as spam; it is kept for the throttles and records
+ */
+router.put('/:id/mark-spam', authenticateToken, isAdmin, async (req, res) => {
+    try {
+        const [result] = await pool.query(
+            `UPDATE appointments SET status = 'spam', reviewed_by_user_id = ?, reviewed_at = NOW()
+             WHERE id = ? AND status = 'quarantined'`,
+            [req.user.id, req.params.id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quarantined request not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Request marked as spam'
+        });
+    } catch (error) {
+        console.error('Mark spam error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to mark request as spam'
+        });
+    }
+});
+
 /**
  * GET /api/appointments/stats
  * Admin - Get appointment statistics
@@ -675,7 +1713,8 @@ router.get('/stats', authenticateToken, isAdmin, async (req, res) => {
     try {
         const [stats] = await pool.query(`
             SELECT 
-                COUNT(*) as total,
+                SUM(CASE WHEN status NOT IN ('quarantined', 'spam') THEN 1 ELSE 0 END) as total,
+                SUM(CASE WHEN status = 'quarantined' THEN 1 ELSE 0 END) as quarantined,
                 SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending,
                 SUM(CASE WHEN status = 'assigned' THEN 1 ELSE 0 END) as assigned,
                 SUM(CASE WHEN status = 'scheduled' THEN 1 ELSE 0 END) as scheduled,
@@ -695,6 +1734,7 @@ router.get('/stats', authenticateToken, isAdmin, async (req, res) => {
             success: true,
             stats: {
                 total: stats[0].total,
+                quarantined: stats[0].quarantined,
                 pending: stats[0].pending,
                 assigned: stats[0].assigned,
                 scheduled: stats[0].scheduled,
@@ -715,6 +1755,65 @@ router.get('/stats', authenticateToken, isAdmin, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/appointments/overdue
+ * Admin - Open requests past their response time target
+ */
+router.get('/overdue', authenticateToken, isAdmin, async (req, res) => {
+    try {
+        const settings = await getSlaSettings();
+
+        res.json({
+            success: true,
+            settings,
+            appointments: await getOverdueAppointments(settings)
+        });
+    } catch (error) {
+        console.error('Get overdue appointments error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch overdue appointments'
+        });
+    }
+});
+
+/**
+ * GET /api/appointments/sla-stats
+ * Admin - Per-agent response time compliance (defaults to the last 30 days)
+ */
+router.get('/sla-stats', authenticateToken, isAdmin, [
+    query('startDate').optional().isDate(),
+    query('endDate').optional().isDate()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const endDate = req.query.endDate || toDateString(new Date());
+        const startDate = req.query.startDate || toDateString(new Date(Date.now() - 29 * 24 * 60 * 60 * 1000));
+
+        res.json({
+            success: true,
+            startDate,
+            endDate,
+            settings: await getSlaSettings(),
+            agents: await getAgentSlaStats({ startDate, endDate })
+        });
+    } catch (error) {
+        console.error('Get SLA stats error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch SLA statistics'
+        });
+    }
+});
+
 /**
  * GET /api/appointments/calendar
  * Admin/Agent - Get all scheduled appointments for shared calendar view
@@ -738,7 +1837,8 @@ router.get('/calendar', authenticateToken, isAgentOrAdmin, async (req, res) => {
         }
 
         const [appointments] = await pool.query(
-            `SELECT a.id, a.property_id, a.scheduled_date, a.scheduled_time, a.status,
+            `SELECT a.id, a.property_id, a.scheduled_date, a.scheduled_time, a.duration_minutes,
+                    a.travel_buffer_minutes, a.status,
                     a.customer_name, a.assigned_agent_id,
                     p.title as property_title, p.address as property_address, p.city as property_city,
                     CONCAT(u.first_name, ' ', u.last_name) as agent_name
@@ -761,6 +1861,9 @@ router.get('/calendar', authenticateToken, isAgentOrAdmin, async (req, res) => {
                 customerName: a.customer_name,
                 scheduledDate: a.scheduled_date,
                 scheduledTime: a.scheduled_time,
+                endTime: fromMinutes(toMinutes(a.scheduled_time) + a.duration_minutes),
+                durationMinutes: a.duration_minutes,
+                travelBufferMinutes: a.travel_buffer_minutes,
                 status: a.status,
                 assignedAgentId: a.assigned_agent_id,
                 agentName: a.agent_name
@@ -9,6 +9,7 @@ const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
 const { pool } = require('../config/database');
 const { authenticateToken, generateToken, isAdmin } = require('../middleware/auth');
+const { recordRateChange } = require('../utils/commissions');
 
 /**
  * POST /api/auth/login
@@ -121,6 +122,11 @@ router.post('/register', authenticateToken, isAdmin, [
             [email, passwordHash, firstName, lastName, phone || null, role, commissionRate || 0.03]
         );
 
+        // Start the agent's rate history
+        if (role === 'agent') {
+            await recordRateChange(result.insertId, commissionRate || 0.03, null, req.user.id);
+        }
+
         res.status(201).json({
             success: true,
             message: 'User registered successfully',
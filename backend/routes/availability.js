@@ -0,0 +1,318 @@
+/**
+ * Availability Routes
+ * Agent weekly hours, time off and office holidays
+ * Agents manage their own availability; admins manage everyone's and the holidays
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { pool } = require('../config/database');
+const { authenticateToken, isAdmin, isAgentOrAdmin } = require('../middleware/auth');
+const {
+    formatTimeOff,
+    formatHoliday,
+    getWeeklyHours,
+    saveWeeklyHours,
+    validateWeeklyHours
+} = require('../utils/availability');
+
+/**
+ * Allow admins to act on any agent, and agents only on themselves
+ * Must run after authenticateToken
+ */
+const canManageAgent = async (req, res, next) => {
+    try {
+        const agentId = parseInt(req.params.agentId);
+
+        if (req.user.role !== 'admin' && req.user.id !== agentId) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only manage your own availability'
+            });
+        }
+
+        const [agents] = await pool.query(
+            "SELECT id FROM users WHERE id = ? AND role = 'agent'",
+            [agentId]
+        );
+
+        if (agents.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Agent not found'
+            });
+        }
+
+        next();
+    } catch (error) {
+        console.error('Agent access check error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to check agent access'
+        });
+    }
+};
+
+/**
+ * GET /api/availability/holidays
+ * Agent/Admin - Get upcoming office holidays
+ */
+router.get('/holidays', authenticateToken, isAgentOrAdmin, async (req, res) => {
+    try {
+        const [holidays] = await pool.query(
+            'SELECT * FROM holidays WHERE holiday_date >= CURDATE() ORDER BY holiday_date'
+        );
+
+        res.json({
+            success: true,
+            holidays: holidays.map(formatHoliday)
+        });
+    } catch (error) {
+        console.error('Get holidays error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch holidays'
+        });
+    }
+});
+
+/**
+ * POST /api/availability/holidays
+ * Admin - Add an office holiday
+ */
+router.post('/holidays', authenticateToken, isAdmin, [
+    body('date').isISO8601(),
+    body('name').trim().notEmpty().isLength({ max: 100 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { date, name } = req.body;
+
+        const [result] = await pool.query(
+            'INSERT INTO holidays (holiday_date, name) VALUES (?, ?)',
+            [date, name]
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Holiday added',
+            holidayId: result.insertId
+        });
+    } catch (error) {
+        console.error('Add holiday error:', error);
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({
+                success: false,
+                message: 'There is already a holiday on this date'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add holiday'
+        });
+    }
+});
+
+/**
+ * DELETE /api/availability/holidays/:id
+ * Admin - Remove an office holiday
+ */
+router.delete('/holidays/:id', authenticateToken, isAdmin, async (req, res) => {
+    try {
+        const [result] = await pool.query('DELETE FROM holidays WHERE id = ?', [req.params.id]);
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Holiday not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Holiday removed'
+        });
+    } catch (error) {
+        console.error('Delete holiday error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove holiday'
+        });
+    }
+});
+
+/**
+ * GET /api/availability/agents/:agentId
+ * Agent (self)/Admin - Get an agent's weekly hours and upcoming time off
+ */
+router.get('/agents/:agentId', authenticateToken, isAgentOrAdmin, canManageAgent, async (req, res) => {
+    try {
+        const { agentId } = req.params;
+        const weekly = await getWeeklyHours(agentId);
+
+        const [timeOff] = await pool.query(
+            `SELECT * FROM agent_time_off
+             WHERE agent_id = ? AND end_at > NOW()
+             ORDER BY start_at`,
+            [agentId]
+        );
+
+        res.json({
+            success: true,
+            isDefault: weekly.isDefault,
+            weeklyHours: weekly.hours,
+            timeOff: timeOff.map(formatTimeOff)
+        });
+    } catch (error) {
+        console.error('Get availability error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch availability'
+        });
+    }
+});
+
+/**
+ * PUT /api/availability/agents/:agentId/weekly
+ * Agent (self)/Admin - Replace an agent's weekly hours
+ * Days left out are days off; an empty list goes back to the office default
+ */
+router.put('/agents/:agentId/weekly', authenticateToken, isAgentOrAdmin, canManageAgent, [
+    body('weeklyHours').isArray()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { weeklyHours } = req.body;
+
+        const invalid = validateWeeklyHours(weeklyHours);
+        if (invalid) {
+            return res.status(400).json({
+                success: false,
+                message: invalid
+            });
+        }
+
+        await saveWeeklyHours(req.params.agentId, weeklyHours);
+
+        res.json({
+            success: true,
+            message: weeklyHours.length > 0 ? 'Weekly hours saved' : 'Weekly hours reset to office default'
+        });
+    } catch (error) {
+        console.error('Save weekly hours error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to save weekly hours'
+        });
+    }
+});
+
+/**
+ * POST /api/availability/agents/:agentId/time-off
+ * Agent (self)/Admin - Block out time off
+ */
+router.post('/agents/:agentId/time-off', authenticateToken, isAgentOrAdmin, canManageAgent, [
+    body('startAt').isISO8601(),
+    body('endAt').isISO8601(),
+    body('reason').optional().trim().isLength({ max: 255 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { startAt, endAt, reason } = req.body;
+
+        if (new Date(startAt) >= new Date(endAt)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Time off must end after it starts'
+            });
+        }
+
+        // Warn about viewings already booked inside the block; they are not moved automatically
+        const [booked] = await pool.query(
+            `SELECT COUNT(*) as total FROM appointments
+             WHERE assigned_agent_id = ? AND status = 'scheduled'
+             AND TIMESTAMP(scheduled_date, scheduled_time) >= ?
+             AND TIMESTAMP(scheduled_date, scheduled_time) < ?`,
+            [req.params.agentId, startAt, endAt]
+        );
+
+        const [result] = await pool.query(
+            `INSERT INTO agent_time_off (agent_id, start_at, end_at, reason, created_by_user_id)
+             VALUES (?, ?, ?, ?, ?)`,
+            [req.params.agentId, startAt, endAt, reason || null, req.user.id]
+        );
+
+        res.status(201).json({
+            success: true,
+            message: booked[0].total > 0
+                ? `Time off added. ${booked[0].total} scheduled viewing(s) fall in this period and still need to be moved.`
+                : 'Time off added',
+            timeOffId: result.insertId,
+            affectedViewings: booked[0].total
+        });
+    } catch (error) {
+        console.error('Add time off error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add time off'
+        });
+    }
+});
+
+/**
+ * DELETE /api/availability/agents/:agentId/time-off/:timeOffId
+ * Agent (self)/Admin - Remove a time off block
+ */
+router.delete('/agents/:agentId/time-off/:timeOffId', authenticateToken, isAgentOrAdmin, canManageAgent, async (req, res) => {
+    try {
+        const [result] = await pool.query(
+            'DELETE FROM agent_time_off WHERE id = ? AND agent_id = ?',
+            [req.params.timeOffId, req.params.agentId]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Time off not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Time off removed'
+        });
+    } catch (error) {
+        console.error('Delete time off error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove time off'
+        });
+    }
+});
+
+module.exports = router;
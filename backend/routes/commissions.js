@@ -0,0 +1,661 @@
+/**
+ * Commissions Routes
+ * Commission split rules, plans and payouts
+ * Admin only, except the agent's own ledger and statements
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const { pool } = require('../config/database');
+const { authenticateToken, isAdmin, isAgentOrAdmin } = require('../middleware/auth');
+const { formatSplitRule, isValidSplit, getSplitRule } = require('../utils/commissions');
+const { getPlan, validatePlan, savePlanRules } = require('../utils/commissionPlans');
+const { formatPayout, getAgentBalances, getLedger, buildStatement } = require('../utils/payouts');
+
+const splitValidators = [
+    body('listingShare').isFloat({ min: 0, max: 1 }),
+    body('sellingShare').isFloat({ min: 0, max: 1 }),
+    body('houseShare').isFloat({ min: 0, max: 1 })
+];
+
+/**
+ * Validate a split request body, sending the error response if invalid
+ * Returns true if the request can continue
+ */
+const checkSplitBody = (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+        return false;
+    }
+
+    if (!isValidSplit(req.body)) {
+        res.status(400).json({
+            success: false,
+            message: 'Listing, selling and house shares must add up to 100%'
+        });
+        return false;
+    }
+
+    return true;
+};
+
+/**
+ * GET /api/commissions/splits
+ * Admin - Get the global default split and all per-property overrides
+ */
+router.get('/splits', authenticateToken, isAdmin, async (req, res) => {
+    try {
+        const [rules] = await pool.query(
+            `SELECT r.*, p.title as property_title
+             FROM commission_split_rules r
+             LEFT JOIN properties p ON p.id = r.property_id
+             ORDER BY r.property_id IS NOT NULL, p.title`
+        );
+
+        const defaultRule = rules.find(r => r.property_id === null);
+
+        res.json({
+            success: true,
+            defaultSplit: defaultRule ? formatSplitRule(defaultRule) : await getSplitRule(null),
+            overrides: rules
+                .filter(r => r.property_id !== null)
+                .map(r => ({ ...formatSplitRule(r), propertyTitle: r.property_title }))
+        });
+    } catch (error) {
+        console.error('Get commission splits error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch commission splits'
+        });
+    }
+});
+
+/**
+ * PUT /api/commissions/splits/default
+ * Admin - Update the global default split
+ */
+router.put('/splits/default', authenticateToken, isAdmin, splitValidators, async (req, res) => {
+    try {
+        if (!checkSplitBody(req, res)) return;
+
+        const { listingShare, sellingShare, houseShare } = req.body;
+
+        const [result] = await pool.query(
+            `UPDATE commission_split_rules SET
+             listing_share = ?, selling_share = ?, house_share = ?, updated_by_user_id = ?
+             WHERE property_id IS NULL`,
+            [listingShare, sellingShare, houseShare, req.user.id]
+        );
+
+        if (result.affectedRows === 0) {
+            await pool.query(
+                `INSERT INTO commission_split_rules (property_id, listing_share, selling_share, house_share, updated_by_user_id)
+                 VALUES (NULL, ?, ?, ?, ?)`,
+                [listingShare, sellingShare, houseShare, req.user.id]
+            );
+        }
+
+        res.json({
+            success: true,
+            message: 'Default commission split updated'
+        });
+    } catch (error) {
+        console.error('Update default split error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update default split'
+        });
+    }
+});
+
+/**
+ * PUT /api/commissions/splits/property/:propertyId
+ * Admin - Set a split override for one property
+ */
+router.put('/splits/property/:propertyId', authenticateToken, isAdmin, splitValidators, async (req, res) => {
+    try {
+        if (!checkSplitBody(req, res)) return;
+
+        const { propertyId } = req.params;
+        const { listingShare, sellingShare, houseShare } = req.body;
+
+        const [properties] = await pool.query('SELECT id FROM properties WHERE id = ?', [propertyId]);
+        if (properties.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Property not found'
+            });
+        }
+
+        await pool.query(
+            `INSERT INTO commission_split_rules (property_id, listing_share, selling_share, house_share, updated_by_user_id)
+             VALUES (?, ?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE
+                listing_share = VALUES(listing_share),
+                selling_share = VALUES(selling_share),
+                house_share = VALUES(house_share),
+                updated_by_user_id = VALUES(updated_by_user_id)`,
+            [propertyId, listingShare, sellingShare, houseShare, req.user.id]
+        );
+
+        res.json({
+            success: true,
+            message: 'Property commission split updated'
+        });
+    } catch (error) {
+        console.error('Update property split error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update property split'
+        });
+    }
+});
+
+/**
+ * DELETE /api/commissions/splits/property/:propertyId
+ * Admin - Remove a property override (falls back to the default)
+ */
+router.delete('/splits/property/:propertyId', authenticateToken, isAdmin, async (req, res) => {
+    try {
+        const [result] = await pool.query(
+            'DELETE FROM commission_split_rules WHERE property_id = ?',
+            [req.params.propertyId]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'No split override for this property'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Property split override removed'
+        });
+    } catch (error) {
+        console.error('Delete property split error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove property split'
+        });
+    }
+});
+
+const planValidators = [
+    body('name').trim().notEmpty().withMessage('Plan name is required'),
+    body('description').optional({ nullable: true }).trim(),
+    body('isActive').optional().isBoolean(),
+    body('tiers').isArray({ min: 1 }).withMessage('A plan needs at least one tier'),
+    body('overrides').optional().isArray(),
+    body('overrides.*.propertyType').isIn(['house', 'condo', 'townhouse', 'lot', 'commercial']),
+    body('bonuses').optional().isArray()
+];
+
+/**
+ * Validate a plan request body, sending the error response if invalid
+ * Returns true if the request can continue
+ */
+const checkPlanBody = (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+        return false;
+    }
+
+    const planError = validatePlan(req.body);
+    if (planError) {
+        res.status(400).json({
+            success: false,
+            message: planError
+        });
+        return false;
+    }
+
+    return true;
+};
+
+/**
+ * GET /api/commissions/plans
+ * Admin - Get all commission plans with their rules and assigned agent count
+ */
+router.get('/plans', authenticateToken, isAdmin, async (req, res) => {
+    try {
+        const [rows] = await pool.query(
+            `SELECT cp.id, COUNT(u.id) as agent_count
+             FROM commission_plans cp
+             LEFT JOIN users u ON u.commission_plan_id = cp.id
+             GROUP BY cp.id, cp.name
+             ORDER BY cp.name`
+        );
+
+        const plans = [];
+        for (const row of rows) {
+            plans.push({ ...await getPlan(row.id), agentCount: row.agent_count });
+        }
+
+        res.json({
+            success: true,
+            plans
+        });
+    } catch (error) {
+        console.error('Get commission plans error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch commission plans'
+        });
+    }
+});
+
+/**
+ * GET /api/commissions/plans/:id
+ * Admin - Get a single commission plan
+ */
+router.get('/plans/:id', authenticateToken, isAdmin, async (req, res) => {
+    try {
+        const plan = await getPlan(req.params.id);
+
+        if (!plan) {
+            return res.status(404).json({
+                success: false,
+                message: 'Commission plan not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            plan
+        });
+    } catch (error) {
+        console.error('Get commission plan error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch commission plan'
+        });
+    }
+});
+
+/**
+ * POST /api/commissions/plans
+ * Admin - Create a commission plan
+ */
+router.post('/plans', authenticateToken, isAdmin, planValidators, async (req, res) => {
+    try {
+        if (!checkPlanBody(req, res)) return;
+
+        const { name, description, isActive } = req.body;
+
+        const [existing] = await pool.query('SELECT id FROM commission_plans WHERE name = ?', [name]);
+        if (existing.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'A plan with this name already exists'
+            });
+        }
+
+        const [result] = await pool.query(
+            'INSERT INTO commission_plans (name, description, is_active) VALUES (?, ?, ?)',
+            [name, description || null, isActive !== false]
+        );
+
+        await savePlanRules(result.insertId, req.body);
+
+        res.status(201).json({
+            success: true,
+            message: 'Commission plan created',
+            planId: result.insertId
+        });
+    } catch (error) {
+        console.error('Create commission plan error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create commission plan'
+        });
+    }
+});
+
+/**
+ * PUT /api/commissions/plans/:id
+ * Admin - Update a commission plan (tiers, overrides and bonuses are replaced)
+ * Sales already recorded keep the commission they were computed with
+ */
+router.put('/plans/:id', authenticateToken, isAdmin, planValidators, async (req, res) => {
+    try {
+        if (!checkPlanBody(req, res)) return;
+
+        const { id } = req.params;
+        const { name, description, isActive } = req.body;
+
+        const [existing] = await pool.query(
+            'SELECT id FROM commission_plans WHERE id = ? OR name = ?',
+            [id, name]
+        );
+        if (!existing.some(p => String(p.id) === String(id))) {
+            return res.status(404).json({
+                success: false,
+                message: 'Commission plan not found'
+            });
+        }
+        if (existing.some(p => String(p.id) !== String(id))) {
+            return res.status(400).json({
+                success: false,
+                message: 'A plan with this name already exists'
+            });
+        }
+
+        await pool.query(
+            'UPDATE commission_plans SET name = ?, description = ?, is_active = ? WHERE id = ?',
+            [name, description || null, isActive !== false, id]
+        );
+
+        await savePlanRules(id, req.body);
+
+        res.json({
+            success: true,
+            message: 'Commission plan updated'
+        });
+    } catch (error) {
+        console.error('Update commission plan error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update commission plan'
+        });
+    }
+});
+
+/**
+ * DELETE /api/commissions/plans/:id
+ * Admin - Delete a commission plan (assigned agents go back to their flat rate)
+ */
+router.delete('/plans/:id', authenticateToken, isAdmin, async (req, res) => {
+    try {
+        const [result] = await pool.query('DELETE FROM commission_plans WHERE id = ?', [req.params.id]);
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Commission plan not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Commission plan deleted'
+        });
+    } catch (error) {
+        console.error('Delete commission plan error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete commission plan'
+        });
+    }
+});
+
+/**
+ * GET /api/commissions/balances
+ * Admin - Earned, paid and outstanding commission per agent
+ */
+router.get('/balances', authenticateToken, isAdmin, async (req, res) => {
+    try {
+        const balances = await getAgentBalances();
+
+        res.json({
+            success: true,
+            balances,
+            summary: {
+                totalEarned: balances.reduce((sum, b) => sum + b.earned, 0),
+                totalPaid: balances.reduce((sum, b) => sum + b.paid, 0),
+                totalOutstanding: balances.reduce((sum, b) => sum + b.outstanding, 0)
+            }
+        });
+    } catch (error) {
+        console.error('Get commission balances error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch commission balances'
+        });
+    }
+});
+
+/**
+ * GET /api/commissions/payouts
+ * Admin - List payouts (optionally for one agent)
+ */
+router.get('/payouts', authenticateToken, isAdmin, async (req, res) => {
+    try {
+        const { agentId, startDate, endDate } = req.query;
+
+        let whereClause = 'WHERE 1=1';
+        const params = [];
+
+        if (agentId) {
+            whereClause += ' AND cp.agent_id = ?';
+            params.push(agentId);
+        }
+
+        if (startDate) {
+            whereClause += ' AND cp.payout_date >= ?';
+            params.push(startDate);
+        }
+
+        if (endDate) {
+            whereClause += ' AND cp.payout_date <= ?';
+            params.push(endDate);
+        }
+
+        const [payouts] = await pool.query(
+            `SELECT cp.*,
+                    CONCAT(a.first_name, ' ', a.last_name) as agent_name,
+                    CONCAT(r.first_name, ' ', r.last_name) as recorded_by_name
+             FROM commission_payouts cp
+             JOIN users a ON a.id = cp.agent_id
+             LEFT JOIN users r ON r.id = cp.recorded_by_user_id
+             ${whereClause}
+             ORDER BY cp.payout_date DESC, cp.id DESC`,
+            params
+        );
+
+        res.json({
+            success: true,
+            payouts: payouts.map(formatPayout)
+        });
+    } catch (error) {
+        console.error('Get payouts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch payouts'
+        });
+    }
+});
+
+/**
+ * POST /api/commissions/payouts
+ * Admin - Record a payout against an agent's earned commission
+ * The amount is the gross commission settled; withholding tax is deducted from it
+ */
+router.post('/payouts', authenticateToken, isAdmin, [
+    body('agentId').isInt({ min: 1 }),
+    body('payoutDate').isISO8601(),
+    body('amount').isFloat({ gt: 0 }),
+    body('withholdingTax').optional().isFloat({ min: 0 }),
+    body('reference').optional().trim().isLength({ max: 100 }),
+    body('notes').optional().trim()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { agentId, payoutDate, amount, withholdingTax = 0, reference, notes } = req.body;
+
+        const [balance] = await getAgentBalances([agentId]);
+        if (!balance) {
+            return res.status(404).json({
+                success: false,
+                message: 'Agent not found'
+            });
+        }
+
+        if (parseFloat(withholdingTax) > parseFloat(amount)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Withholding tax cannot exceed the payout amount'
+            });
+        }
+
+        // Allow for rounding in the stored split amounts
+        if (parseFloat(amount) > balance.outstanding + 0.005) {
+            return res.status(400).json({
+                success: false,
+                message: `Payout exceeds outstanding commission (${balance.outstanding.toFixed(2)})`
+            });
+        }
+
+        const [result] = await pool.query(
+            `INSERT INTO commission_payouts
+             (agent_id, payout_date, amount, withholding_tax, reference, notes, recorded_by_user_id)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [agentId, new Date(payoutDate).toISOString().slice(0, 10), amount, withholdingTax,
+             reference || null, notes || null, req.user.id]
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Payout recorded',
+            payoutId: result.insertId,
+            outstanding: balance.outstanding - parseFloat(amount)
+        });
+    } catch (error) {
+        console.error('Record payout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to record payout'
+        });
+    }
+});
+
+/**
+ * DELETE /api/commissions/payouts/:id
+ * Admin - Remove a payout recorded in error
+ */
+router.delete('/payouts/:id', authenticateToken, isAdmin, async (req, res) => {
+    try {
+        const [result] = await pool.query('DELETE FROM commission_payouts WHERE id = ?', [req.params.id]);
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Payout not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Payout removed'
+        });
+    } catch (error) {
+        console.error('Delete payout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove payout'
+        });
+    }
+});
+
+/**
+ * GET /api/commissions/my-ledger
+ * Agent - Own commission ledger with running balance
+ */
+router.get('/my-ledger', authenticateToken, isAgentOrAdmin, async (req, res) => {
+    try {
+        const ledger = await getLedger(req.user.id);
+        const [balance] = await getAgentBalances([req.user.id]);
+
+        res.json({
+            success: true,
+            ledger,
+            balance: balance || { earned: 0, paid: 0, outstanding: 0 }
+        });
+    } catch (error) {
+        console.error('Get ledger error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch commission ledger'
+        });
+    }
+});
+
+/**
+ * GET /api/commissions/my-statement?month=YYYY-MM
+ * Agent - Download own monthly commission statement as CSV
+ */
+router.get('/my-statement', authenticateToken, isAgentOrAdmin, [
+    query('month').matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('Month must be YYYY-MM')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const statement = await buildStatement(req.user.id, req.query.month);
+        const formatDate = (date) => new Date(date).toLocaleDateString('en-CA');
+
+        const headers = ['Date', 'Type', 'Description', 'Reference', 'Commission Earned', 'Payout', 'Withholding Tax', 'Net Paid', 'Balance'];
+        const rows = statement.entries.map(e => [
+            formatDate(e.date),
+            e.type,
+            `"${e.description.replace(/"/g, '""')}"`,
+            `"${e.reference || ''}"`,
+            e.credit.toFixed(2),
+            e.debit.toFixed(2),
+            e.withholdingTax.toFixed(2),
+            (e.debit - e.withholdingTax).toFixed(2),
+            e.balance.toFixed(2)
+        ]);
+
+        const csv = [
+            `"Commission Statement - ${req.user.firstName} ${req.user.lastName} - ${statement.month}"`,
+            `Opening Balance,${statement.openingBalance.toFixed(2)}`,
+            '',
+            headers.join(','),
+            ...rows.map(r => r.join(',')),
+            '',
+            `Total Earned,${statement.totalEarned.toFixed(2)}`,
+            `Total Paid,${statement.totalPaid.toFixed(2)}`,
+            `Total Withholding Tax,${statement.totalWithholdingTax.toFixed(2)}`,
+            `Closing Balance,${statement.closingBalance.toFixed(2)}`
+        ].join('\n');
+
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename=commission-statement-${statement.month}.csv`);
+        res.send(csv);
+    } catch (error) {
+        console.error('Get statement error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate statement'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,230 @@
+/**
+ * Contacts Routes
+ * Customers across all their viewing requests, offers and notes
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const { pool } = require('../config/database');
+const { authenticateToken, isAdmin, isAgentOrAdmin } = require('../middleware/auth');
+const {
+    REPEAT_NO_SHOW_COUNT,
+    RELIABILITY_LEVELS,
+    normalizePhone,
+    formatContact,
+    canViewContact,
+    getContactHistory
+} = require('../utils/contacts');
+
+/**
+ * GET /api/contacts
+ * Admin/Agent - Contacts with request counts, most recently active first
+ * Agents only see customers who have had a request assigned to them
+ * flagged=true limits the list to repeat no-shows and contacts with a reliability restriction
+ */
+router.get('/', authenticateToken, isAgentOrAdmin, [
+    query('search').optional().trim().isLength({ max: 255 }),
+    query('flagged').optional().isBoolean(),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { search, flagged, page = 1, limit = 20 } = req.query;
+        const offset = (parseInt(page) - 1) * parseInt(limit);
+
+        let whereClause = 'WHERE 1=1';
+        const params = [];
+
+        if (req.user.role === 'agent') {
+            whereClause += ' AND c.id IN (SELECT contact_id FROM appointments WHERE assigned_agent_id = ?)';
+            params.push(req.user.id);
+        }
+
+        if (search) {
+            const phoneDigits = normalizePhone(search);
+            whereClause += ' AND (c.name LIKE ? OR c.email LIKE ?' + (phoneDigits ? ' OR c.phone_normalized LIKE ?' : '') + ')';
+            params.push(`%${search}%`, `%${search}%`);
+            if (phoneDigits) params.push(`%${phoneDigits}%`);
+        }
+
+        if (flagged === 'true') {
+            whereClause += " AND (c.no_show_count >= ? OR c.reliability <> 'normal')";
+            params.push(REPEAT_NO_SHOW_COUNT);
+        }
+
+        const [countResult] = await pool.query(
+            `SELECT COUNT(*) as total FROM contacts c ${whereClause}`,
+            params
+        );
+        const total = countResult[0].total;
+
+        const [contacts] = await pool.query(
+            `SELECT c.*,
+                (SELECT COUNT(*) FROM appointments a WHERE a.contact_id = c.id) as request_count,
+                (SELECT COUNT(*) FROM appointments a WHERE a.contact_id = c.id AND a.status = 'completed') as viewing_count,
+                (SELECT COUNT(*) FROM offers o WHERE o.contact_id = c.id) as offer_count
+             FROM contacts c
+             ${whereClause}
+             ORDER BY c.last_activity_at DESC, c.id DESC
+             LIMIT ? OFFSET ?`,
+            [...params, parseInt(limit), offset]
+        );
+
+        res.json({
+            success: true,
+            contacts: contacts.map(formatContact),
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / parseInt(limit))
+            }
+        });
+    } catch (error) {
+        console.error('Get contacts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch contacts'
+        });
+    }
+});
+
+/**
+ * GET /api/contacts/:id
+ * Admin/Agent - One contact with their full history
+ */
+router.get('/:id', authenticateToken, isAgentOrAdmin, async (req, res) => {
+    try {
+        const contact = await canViewContact(req.params.id, req.user)
+            ? await getContactHistory(req.params.id, req.user)
+            : null;
+
+        if (!contact) {
+            return res.status(404).json({
+                success: false,
+                message: 'Contact not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            contact
+        });
+    } catch (error) {
+        console.error('Get contact error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch contact'
+        });
+    }
+});
+
+/**
+ * POST /api/contacts/:id/notes
+ * Admin/Agent - Add a note to a contact
+ */
+router.post('/:id/notes', authenticateToken, isAgentOrAdmin, [
+    body('note').trim().notEmpty().isLength({ max: 2000 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const [contacts] = await pool.query('SELECT id FROM contacts WHERE id = ?', [req.params.id]);
+
+        if (contacts.length === 0 || !(await canViewContact(contacts[0].id, req.user))) {
+            return res.status(404).json({
+                success: false,
+                message: 'Contact not found'
+            });
+        }
+
+        const [result] = await pool.query(
+            'INSERT INTO contact_notes (contact_id, user_id, note) VALUES (?, ?, ?)',
+            [contacts[0].id, req.user.id, req.body.note]
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Note added',
+            noteId: result.insertId
+        });
+    } catch (error) {
+        console.error('Add contact note error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add note'
+        });
+    }
+});
+
+/**
+ * PUT /api/contacts/:id/reliability
+ * Admin - Require phone confirmation for a contact's requests, block them, or clear the restriction
+ */
+router.put('/:id/reliability', authenticateToken, isAdmin, [
+    body('reliability').isIn(RELIABILITY_LEVELS),
+    body('notes').optional().trim().isLength({ max: 2000 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { reliability, notes } = req.body;
+
+        const [result] = await pool.query(
+            `UPDATE contacts SET reliability = ?, reliability_notes = ?,
+             reliability_updated_by_user_id = ?, reliability_updated_at = NOW()
+             WHERE id = ?`,
+            [reliability, notes || null, req.user.id, req.params.id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Contact not found'
+            });
+        }
+
+        const messages = {
+            normal: 'Contact restriction cleared',
+            confirm_phone: 'New requests from this contact need phone confirmation',
+            blocked: 'Contact blocked from new requests'
+        };
+
+        res.json({
+            success: true,
+            message: messages[reliability]
+        });
+    } catch (error) {
+        console.error('Update contact reliability error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update contact'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,174 @@
+/**
+ * Emails Routes
+ * Delivery log for the notification outbox (admin only)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const { pool } = require('../config/database');
+const { authenticateToken, isAdmin } = require('../middleware/auth');
+const { EMAIL_TRANSPORT, formatEmail, requeueEmail } = require('../utils/email');
+
+/**
+ * GET /api/emails
+ * Admin - Outbox messages, newest first, with counts per status
+ */
+router.get('/', authenticateToken, isAdmin, [
+    query('status').optional().isIn(['pending', 'sending', 'sent', 'failed']),
+    query('search').optional().trim().isLength({ max: 255 }),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { status, search, page = 1, limit = 20 } = req.query;
+        const offset = (parseInt(page) - 1) * parseInt(limit);
+
+        let whereClause = 'WHERE 1=1';
+        const params = [];
+
+        if (status) {
+            whereClause += ' AND status = ?';
+            params.push(status);
+        }
+
+        if (search) {
+            whereClause += ' AND (to_address LIKE ? OR subject LIKE ?)';
+            params.push(`%${search}%`, `%${search}%`);
+        }
+
+        const [countResult] = await pool.query(
+            `SELECT COUNT(*) as total FROM email_outbox ${whereClause}`,
+            params
+        );
+        const total = countResult[0].total;
+
+        const [emails] = await pool.query(
+            `SELECT id, to_address, subject, options, status, attempts, max_attempts, next_attempt_at,
+                    last_error, delivery_ref, sent_at, created_at
+             FROM email_outbox
+             ${whereClause}
+             ORDER BY created_at DESC, id DESC
+             LIMIT ? OFFSET ?`,
+            [...params, parseInt(limit), offset]
+        );
+
+        const [counts] = await pool.query(
+            'SELECT status, COUNT(*) as count FROM email_outbox GROUP BY status'
+        );
+
+        res.json({
+            success: true,
+            transport: EMAIL_TRANSPORT,
+            emails: emails.map(e => formatEmail(e)),
+            counts: counts.reduce((acc, c) => {
+                acc[c.status] = c.count;
+                return acc;
+            }, { pending: 0, sending: 0, sent: 0, failed: 0 }),
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / parseInt(limit))
+            }
+        });
+    } catch (error) {
+        console.error('Get emails error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch emails'
+        });
+    }
+});
+
+/**
+ * GET /api/emails/:id
+ * Admin - One message including its body
+ */
+router.get('/:id', authenticateToken, isAdmin, async (req, res) => {
+    try {
+        const [emails] = await pool.query('SELECT * FROM email_outbox WHERE id = ?', [req.params.id]);
+
+        if (emails.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Email not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            email: formatEmail(emails[0], { withBody: true })
+        });
+    } catch (error) {
+        console.error('Get email error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch email'
+        });
+    }
+});
+
+/**
+ * POST /api/emails/resend-failed
+ * Admin - Queue every failed message again
+ */
+router.post('/resend-failed', authenticateToken, isAdmin, async (req, res) => {
+    try {
+        const [result] = await pool.query(
+            `UPDATE email_outbox SET status = 'pending', attempts = 0, next_attempt_at = NOW(), last_error = NULL
+             WHERE status = 'failed'`
+        );
+
+        res.json({
+            success: true,
+            message: `${result.affectedRows} email(s) queued for resending`,
+            count: result.affectedRows
+        });
+    } catch (error) {
+        console.error('Resend failed emails error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to resend emails'
+        });
+    }
+});
+
+/**
+ * POST /api/emails/:id/resend
+ * Admin - Queue a failed (or already sent) message again
+ */
+router.post('/:id/resend', authenticateToken, isAdmin, async (req, res) => {
+    try {
+        const requeued = await requeueEmail(req.params.id);
+
+        if (!requeued) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only failed or sent emails can be resent'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Email queued for resending'
+        });
+    } catch (error) {
+        console.error('Resend email error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to resend email'
+        });
+    }
+});
+
+module.exports = router;
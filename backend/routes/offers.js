@@ -0,0 +1,542 @@
+/**
+ * Offers Routes
+ * Buyer offers, counter-offers and negotiation between viewing and sale
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { pool } = require('../config/database');
+const { authenticateToken, isAgentOrAdmin } = require('../middleware/auth');
+const { addOfferEvent, createOffer } = require('../utils/offers');
+const { findContact } = require('../utils/contacts');
+const { findOtherBuyerReservation, recordSale } = require('../utils/sales');
+const { getPropertyAccess } = require('../middleware/propertyAccess');
+
+const OPEN_STATUSES = ['pending', 'countered'];
+
+/**
+ * Format an offer row for API responses
+ */
+const formatOffer = (o) => ({
+    id: o.id,
+    propertyId: o.property_id,
+    propertyTitle: o.property_title,
+    propertyPrice: o.property_price ? parseFloat(o.property_price) : null,
+    propertyStatus: o.property_status,
+    appointmentId: o.appointment_id,
+    buyerName: o.buyer_name,
+    buyerEmail: o.buyer_email,
+    buyerPhone: o.buyer_phone,
+    initialAmount: parseFloat(o.initial_amount),
+    currentAmount: parseFloat(o.current_amount),
+    currentTerms: o.current_terms,
+    status: o.status,
+    agentId: o.agent_id,
+    agentName: o.agent_name,
+    closedAt: o.closed_at,
+    createdAt: o.created_at,
+    updatedAt: o.updated_at
+});
+
+/**
+ * Load an offer the current user may act on
+ * Agents only see offers they are handling; admins see all
+ */
+const findOffer = async (id, user) => {
+    let query = `SELECT o.*, p.title as property_title, p.price as property_price, p.status as property_status,
+                        CONCAT(u.first_name, ' ', u.last_name) as agent_name
+                 FROM offers o
+                 JOIN properties p ON p.id = o.property_id
+                 LEFT JOIN users u ON u.id = o.agent_id
+                 WHERE o.id = ?`;
+    const params = [id];
+
+    if (user.role === 'agent') {
+        query += ' AND o.agent_id = ?';
+        params.push(user.id);
+    }
+
+    const [offers] = await pool.query(query, params);
+    return offers[0] || null;
+};
+
+/**
+ * GET /api/offers
+ * Admin/Agent - List offers (agents see their own)
+ */
+router.get('/', authenticateToken, isAgentOrAdmin, async (req, res) => {
+    try {
+        const { status, propertyId, appointmentId } = req.query;
+
+        let whereClause = 'WHERE 1=1';
+        const params = [];
+
+        if (req.user.role === 'agent') {
+            whereClause += ' AND o.agent_id = ?';
+            params.push(req.user.id);
+        }
+
+        if (status) {
+            whereClause += ' AND o.status = ?';
+            params.push(status);
+        }
+
+        if (propertyId) {
+            whereClause += ' AND o.property_id = ?';
+            params.push(propertyId);
+        }
+
+        if (appointmentId) {
+            whereClause += ' AND o.appointment_id = ?';
+            params.push(appointmentId);
+        }
+
+        const [offers] = await pool.query(
+            `SELECT o.*, p.title as property_title, p.price as property_price, p.status as property_status,
+                    CONCAT(u.first_name, ' ', u.last_name) as agent_name
+             FROM offers o
+             JOIN properties p ON p.id = o.property_id
+             LEFT JOIN users u ON u.id = o.agent_id
+             ${whereClause}
+             ORDER BY
+                CASE WHEN o.status IN ('pending', 'countered') THEN 1 ELSE 2 END,
+                o.updated_at DESC`,
+            params
+        );
+
+        res.json({
+            success: true,
+            offers: offers.map(formatOffer)
+        });
+    } catch (error) {
+        console.error('Get offers error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch offers'
+        });
+    }
+});
+
+/**
+ * GET /api/offers/:id
+ * Admin/Agent - Get offer with full negotiation thread
+ */
+router.get('/:id', authenticateToken, isAgentOrAdmin, async (req, res) => {
+    try {
+        const offer = await findOffer(req.params.id, req.user);
+
+        if (!offer) {
+            return res.status(404).json({
+                success: false,
+                message: 'Offer not found'
+            });
+        }
+
+        const [events] = await pool.query(
+            `SELECT e.*, CONCAT(u.first_name, ' ', u.last_name) as created_by_name
+             FROM offer_events e
+             LEFT JOIN users u ON u.id = e.created_by_user_id
+             WHERE e.offer_id = ?
+             ORDER BY e.created_at ASC, e.id ASC`,
+            [offer.id]
+        );
+
+        res.json({
+            success: true,
+            offer: {
+                ...formatOffer(offer),
+                thread: events.map(e => ({
+                    id: e.id,
+                    eventType: e.event_type,
+                    party: e.party,
+                    amount: e.amount !== null ? parseFloat(e.amount) : null,
+                    terms: e.terms,
+                    message: e.message,
+                    createdByName: e.created_by_name,
+                    createdAt: e.created_at
+                }))
+            }
+        });
+    } catch (error) {
+        console.error('Get offer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch offer'
+        });
+    }
+});
+
+/**
+ * POST /api/offers
+ * Agent - Record a buyer's offer on a property
+ * Buyer details default to the linked appointment's customer
+ * Agents need sell access to the listing, and a linked appointment must be assigned to them
+ */
+router.post('/', authenticateToken, isAgentOrAdmin, [
+    body('propertyId').isInt({ min: 1 }),
+    body('appointmentId').optional({ nullable: true }).isInt({ min: 1 }),
+    body('buyerName').optional().trim().isLength({ max: 200 }),
+    body('buyerEmail').optional({ checkFalsy: true }).isEmail().normalizeEmail(),
+    body('buyerPhone').optional().trim().isLength({ max: 20 }),
+    body('amount').isFloat({ min: 0 }),
+    body('terms').optional().trim(),
+    body('message').optional().trim()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { propertyId, appointmentId, amount, terms, message } = req.body;
+        let { buyerName, buyerEmail, buyerPhone } = req.body;
+
+        const access = await getPropertyAccess(propertyId, req.user);
+        if (!access.exists) {
+            return res.status(404).json({
+                success: false,
+                message: 'Property not found'
+            });
+        }
+
+        if (!access.canSell) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only record offers on listings you co-list or have shown to a customer'
+            });
+        }
+
+        const [properties] = await pool.query('SELECT status FROM properties WHERE id = ?', [propertyId]);
+
+        if (properties[0].status === 'sold') {
+            return res.status(400).json({
+                success: false,
+                message: 'Property is already sold'
+            });
+        }
+
+        let agentId = req.user.role === 'agent' ? req.user.id : null;
+        let contactId = null;
+
+        if (appointmentId) {
+            const [appointments] = await pool.query(
+                'SELECT * FROM appointments WHERE id = ? AND property_id = ?',
+                [appointmentId, propertyId]
+            );
+
+            if (appointments.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Appointment not found for this property'
+                });
+            }
+
+            const appointment = appointments[0];
+            if (req.user.role === 'agent' && appointment.assigned_agent_id !== req.user.id) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Appointment is not assigned to you'
+                });
+            }
+
+            buyerName = buyerName || appointment.customer_name;
+            buyerEmail = buyerEmail || appointment.customer_email;
+            buyerPhone = buyerPhone || appointment.customer_phone;
+            agentId = agentId || appointment.assigned_agent_id;
+            contactId = appointment.contact_id;
+        }
+
+        if (!buyerName) {
+            return res.status(400).json({
+                success: false,
+                message: 'Buyer name is required when no appointment is linked'
+            });
+        }
+
+        // Offers without a viewing still join the buyer's history when they are already a contact
+        if (!contactId) {
+            const contact = await findContact({ email: buyerEmail, phone: buyerPhone });
+            contactId = contact ? contact.id : null;
+        }
+
+        const offerId = await createOffer({
+            propertyId,
+            appointmentId,
+            contactId,
+            buyerName,
+            buyerEmail,
+            buyerPhone,
+            amount,
+            terms,
+            message,
+            agentId,
+            userId: req.user.id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Offer recorded successfully',
+            offerId
+        });
+    } catch (error) {
+        console.error('Create offer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to record offer'
+        });
+    }
+});
+
+/**
+ * POST /api/offers/:id/counter
+ * Agent - Add a counter-offer from the buyer or the seller
+ */
+router.post('/:id/counter', authenticateToken, isAgentOrAdmin, [
+    body('party').isIn(['buyer', 'seller']),
+    body('amount').isFloat({ min: 0 }),
+    body('terms').optional().trim(),
+    body('message').optional().trim()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { party, amount, terms, message } = req.body;
+        const offer = await findOffer(req.params.id, req.user);
+
+        if (!offer) {
+            return res.status(404).json({
+                success: false,
+                message: 'Offer not found'
+            });
+        }
+
+        if (!OPEN_STATUSES.includes(offer.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Offer is already ${offer.status}`
+            });
+        }
+
+        await pool.query(
+            `UPDATE offers SET
+             status = 'countered',
+             current_amount = ?,
+             current_terms = COALESCE(?, current_terms)
+             WHERE id = ?`,
+            [amount, terms || null, offer.id]
+        );
+
+        await addOfferEvent(offer.id, {
+            eventType: 'counter',
+            party,
+            amount,
+            terms,
+            message,
+            userId: req.user.id
+        });
+
+        res.json({
+            success: true,
+            message: 'Counter-offer recorded'
+        });
+    } catch (error) {
+        console.error('Counter offer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to record counter-offer'
+        });
+    }
+});
+
+/**
+ * PUT /api/offers/:id/accept
+ * Agent - Accept the offer at its current amount and mark the property sold
+ * Needs the same sell access to the listing as marking it sold directly
+ */
+router.put('/:id/accept', authenticateToken, isAgentOrAdmin, [
+    body('soldDate').optional().isISO8601(),
+    body('message').optional().trim()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { soldDate, message } = req.body;
+        const offer = await findOffer(req.params.id, req.user);
+
+        if (!offer) {
+            return res.status(404).json({
+                success: false,
+                message: 'Offer not found'
+            });
+        }
+
+        if (!OPEN_STATUSES.includes(offer.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Offer is already ${offer.status}`
+            });
+        }
+
+        const access = await getPropertyAccess(offer.property_id, req.user);
+        if (!access.canSell) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only sell listings you co-list or have shown to a customer'
+            });
+        }
+
+        if (offer.property_status === 'sold') {
+            return res.status(400).json({
+                success: false,
+                message: 'Property is already sold'
+            });
+        }
+
+        // A deposit holder keeps the property until their reservation is cancelled
+        const reservation = await findOtherBuyerReservation(offer.property_id, {
+            buyerName: offer.buyer_name,
+            buyerEmail: offer.buyer_email,
+            buyerPhone: offer.buyer_phone
+        });
+
+        if (reservation) {
+            return res.status(409).json({
+                success: false,
+                message: `Property is reserved for ${reservation.buyer_name} (${reservation.reference_number}). Cancel the reservation before accepting another buyer's offer.`
+            });
+        }
+
+        // Conditional update so a concurrent accept/withdraw can't both win
+        const [result] = await pool.query(
+            `UPDATE offers SET status = 'accepted', closed_at = NOW()
+             WHERE id = ? AND status IN ('pending', 'countered')`,
+            [offer.id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'Offer was updated by someone else, please reload'
+            });
+        }
+
+        await addOfferEvent(offer.id, {
+            eventType: 'accepted',
+            party: 'seller',
+            amount: offer.current_amount,
+            terms: offer.current_terms,
+            message,
+            userId: req.user.id
+        });
+
+        // Hand the accepted price and buyer over to the mark-sold flow
+        await recordSale(offer.property_id, offer.agent_id || req.user.id, {
+            salePrice: offer.current_amount,
+            soldDate,
+            buyerName: offer.buyer_name
+        });
+
+        res.json({
+            success: true,
+            message: 'Offer accepted and property marked as sold',
+            salePrice: parseFloat(offer.current_amount),
+            buyerName: offer.buyer_name
+        });
+    } catch (error) {
+        console.error('Accept offer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to accept offer'
+        });
+    }
+});
+
+/**
+ * Build a handler that closes an open offer with the given status
+ */
+const closeOffer = (status, party, label) => async (req, res) => {
+    try {
+        const { message } = req.body;
+        const offer = await findOffer(req.params.id, req.user);
+
+        if (!offer) {
+            return res.status(404).json({
+                success: false,
+                message: 'Offer not found'
+            });
+        }
+
+        if (!OPEN_STATUSES.includes(offer.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Offer is already ${offer.status}`
+            });
+        }
+
+        // Conditional update so a concurrent accept can't be overwritten
+        const [result] = await pool.query(
+            `UPDATE offers SET status = ?, closed_at = NOW()
+             WHERE id = ? AND status IN ('pending', 'countered')`,
+            [status, offer.id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'Offer was updated by someone else, please reload'
+            });
+        }
+
+        await addOfferEvent(offer.id, {
+            eventType: status,
+            party,
+            amount: offer.current_amount,
+            message,
+            userId: req.user.id
+        });
+
+        res.json({
+            success: true,
+            message: `Offer ${status}`
+        });
+    } catch (error) {
+        console.error(`${label} offer error:`, error);
+        res.status(500).json({
+            success: false,
+            message: `Failed to ${label.toLowerCase()} offer`
+        });
+    }
+};
+
+/**
+ * PUT /api/offers/:id/reject
+ * Agent - Seller rejects the offer
+ */
+router.put('/:id/reject', authenticateToken, isAgentOrAdmin, closeOffer('rejected', 'seller', 'Reject'));
+
+/**
+ * PUT /api/offers/:id/withdraw
+ * Agent - Buyer withdraws the offer
+ */
+router.put('/:id/withdraw', authenticateToken, isAgentOrAdmin, closeOffer('withdrawn', 'buyer', 'Withdraw'));
+
+module.exports = router;
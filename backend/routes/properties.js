@@ -11,7 +11,12 @@ const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 const { body, query, validationResult } = require('express-validator');
 const { pool } = require('../config/database');
-const { authenticateToken, isAdmin, isAgentOrAdmin } = require('../middleware/auth');
+const { authenticateToken, optionalAuth, isAdmin, isAgentOrAdmin } = require('../middleware/auth');
+const { requirePropertyAccess } = require('../middleware/propertyAccess');
+const { findOtherBuyerReservation, recordSale, voidSale } = require('../utils/sales');
+const { getSplitsByProperty } = require('../utils/commissions');
+const { getAgentBalances } = require('../utils/payouts');
+const { LIVE_LISTING_SQL, isLive, formatListingWorkflow } = require('../utils/listings');
 
 // Configure multer for image uploads
 const storage = multer.diskStorage({
@@ -43,11 +48,32 @@ const upload = multer({
     }
 });
 
+// Asking price before the first recorded change, and before the latest change
+const PRICE_HISTORY_COLUMNS = `
+    (SELECT h.old_price FROM property_price_history h WHERE h.property_id = p.id
+     ORDER BY h.changed_at, h.id LIMIT 1) as first_asking_price,
+    (SELECT h.old_price FROM property_price_history h WHERE h.property_id = p.id
+     ORDER BY h.changed_at DESC, h.id DESC LIMIT 1) as previous_price`;
+
+/**
+ * Original asking price, previous price and reduced flag for a property row
+ */
+const formatPriceHistoryFields = (p) => {
+    const price = parseFloat(p.price);
+    const previousPrice = p.previous_price !== null ? parseFloat(p.previous_price) : null;
+    return {
+        originalPrice: p.first_asking_price !== null ? parseFloat(p.first_asking_price) : price,
+        previousPrice,
+        priceReduced: previousPrice !== null && price < previousPrice
+    };
+};
+
 /**
  * GET /api/properties
- * Public - Get all available properties
+ * Public - Get all available properties (live listings only)
+ * Agents/admins signed in also see drafts, listings in review and scheduled ones
  */
-router.get('/', async (req, res) => {
+router.get('/', optionalAuth, async (req, res) => {
     try {
         const {
             page = 1,
@@ -59,13 +85,22 @@ router.get('/', async (req, res) => {
             bedrooms,
             status = 'available',
             featured,
-            search
+            search,
+            listingStatus
         } = req.query;
 
         const offset = (parseInt(page) - 1) * parseInt(limit);
         let whereClause = 'WHERE 1=1';
         const params = [];
 
+        const isStaff = req.user && ['agent', 'admin'].includes(req.user.role);
+        if (!isStaff) {
+            whereClause += ` AND ${LIVE_LISTING_SQL}`;
+        } else if (listingStatus) {
+            whereClause += ' AND p.listing_status = ?';
+            params.push(listingStatus);
+        }
+
         if (status) {
             whereClause += ' AND p.status = ?';
             params.push(status);
@@ -117,7 +152,8 @@ router.get('/', async (req, res) => {
         const [properties] = await pool.query(
             `SELECT p.*, 
                     pp.filename as primary_photo,
-                    CONCAT(u.first_name, ' ', u.last_name) as listed_by_name
+                    CONCAT(u.first_name, ' ', u.last_name) as listed_by_name,
+                    ${PRICE_HISTORY_COLUMNS}
              FROM properties p
              LEFT JOIN property_photos pp ON pp.property_id = p.id AND pp.is_primary = TRUE
              LEFT JOIN users u ON u.id = p.listed_by_agent_id
@@ -139,6 +175,7 @@ router.get('/', async (req, res) => {
                 province: p.province,
                 zipCode: p.zip_code,
                 price: parseFloat(p.price),
+                ...formatPriceHistoryFields(p),
                 bedrooms: p.bedrooms,
                 bathrooms: p.bathrooms,
                 floorArea: p.floor_area ? parseFloat(p.floor_area) : null,
@@ -149,6 +186,7 @@ router.get('/', async (req, res) => {
                 isFeatured: p.is_featured,
                 primaryPhoto: p.primary_photo,
                 listedByName: p.listed_by_name,
+                ...(isStaff ? { listedByAgentId: p.listed_by_agent_id, ...formatListingWorkflow(p) } : {}),
                 createdAt: p.created_at
             })),
             pagination: {
@@ -167,11 +205,98 @@ router.get('/', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/properties/my-sales
+ * Agent - Get my sales with my listing and selling commission shares
+ */
+router.get('/my-sales', authenticateToken, isAgentOrAdmin, async (req, res) => {
+    try {
+        const { startDate, endDate } = req.query;
+
+        let whereClause = "WHERE p.status = 'sold' AND s.agent_id = ?";
+        const params = [req.user.id];
+
+        if (startDate) {
+            whereClause += ' AND p.sold_date >= ?';
+            params.push(startDate);
+        }
+
+        if (endDate) {
+            whereClause += ' AND p.sold_date <= ?';
+            params.push(endDate);
+        }
+
+        // Get agent commission rate and plan
+        const [agent] = await pool.query(
+            `SELECT u.commission_rate, cp.name as commission_plan_name
+             FROM users u
+             LEFT JOIN commission_plans cp ON cp.id = u.commission_plan_id AND cp.is_active = TRUE
+             WHERE u.id = ?`,
+            [req.user.id]
+        );
+        const commissionRate = agent.length > 0 ? parseFloat(agent[0].commission_rate) : 0.03;
+        const commissionPlanName = agent.length > 0 ? agent[0].commission_plan_name : null;
+
+        const [sales] = await pool.query(
+            `SELECT p.id, p.title, p.city, p.sale_price, p.sale_commission_rate, p.sale_commission_tier,
+                    p.sold_date, p.price as original_price, p.buyer_name,
+                    GROUP_CONCAT(s.role ORDER BY s.role) as roles,
+                    SUM(s.share) as share,
+                    SUM(s.amount) as commission
+             FROM properties p
+             JOIN sale_commission_splits s ON s.property_id = p.id
+             ${whereClause}
+             GROUP BY p.id, p.title, p.city, p.sale_price, p.sale_commission_rate, p.sale_commission_tier,
+                      p.sold_date, p.price, p.buyer_name
+             ORDER BY p.sold_date DESC`,
+            params
+        );
+
+        const formatted = sales.map(s => ({
+            id: s.id,
+            title: s.title,
+            city: s.city,
+            originalPrice: parseFloat(s.original_price),
+            salePrice: parseFloat(s.sale_price),
+            soldDate: s.sold_date,
+            buyerName: s.buyer_name,
+            commissionRate: s.sale_commission_rate !== null ? parseFloat(s.sale_commission_rate) : null,
+            commissionTier: s.sale_commission_tier,
+            roles: s.roles ? s.roles.split(',') : [],
+            share: parseFloat(s.share),
+            commission: parseFloat(s.commission)
+        }));
+
+        // Calculate totals
+        const totalSales = formatted.length;
+        const totalValue = formatted.reduce((sum, s) => sum + s.salePrice, 0);
+        const totalCommission = formatted.reduce((sum, s) => sum + s.commission, 0);
+
+        res.json({
+            success: true,
+            commissionRate,
+            commissionPlanName,
+            sales: formatted,
+            summary: {
+                totalSales,
+                totalValue,
+                totalCommission
+            }
+        });
+    } catch (error) {
+        console.error('Get my sales error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch sales'
+        });
+    }
+});
+
 /**
  * GET /api/properties/:id
- * Public - Get single property with all photos
+ * Public - Get single property with all photos (live listings only, unless signed in)
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
     try {
         const { id } = req.params;
 
@@ -179,7 +304,8 @@ router.get('/:id', async (req, res) => {
             `SELECT p.*, 
                     CONCAT(u.first_name, ' ', u.last_name) as listed_by_name,
                     u.email as listed_by_email,
-                    u.phone as listed_by_phone
+                    u.phone as listed_by_phone,
+                    ${PRICE_HISTORY_COLUMNS}
              FROM properties p
              LEFT JOIN users u ON u.id = p.listed_by_agent_id
              WHERE p.id = ?`,
@@ -194,6 +320,14 @@ router.get('/:id', async (req, res) => {
         }
 
         const property = properties[0];
+        const isStaff = req.user && ['agent', 'admin'].includes(req.user.role);
+
+        if (!isStaff && !isLive(property)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Property not found'
+            });
+        }
 
         // Get all photos
         const [photos] = await pool.query(
@@ -214,6 +348,7 @@ router.get('/:id', async (req, res) => {
                 province: property.province,
                 zipCode: property.zip_code,
                 price: parseFloat(property.price),
+                ...formatPriceHistoryFields(property),
                 bedrooms: property.bedrooms,
                 bathrooms: property.bathrooms,
                 floorArea: property.floor_area ? parseFloat(property.floor_area) : null,
@@ -231,6 +366,7 @@ router.get('/:id', async (req, res) => {
                     originalName: p.original_name,
                     isPrimary: p.is_primary
                 })),
+                ...(isStaff ? { listedByAgentId: property.listed_by_agent_id, ...formatListingWorkflow(property) } : {}),
                 createdAt: property.created_at
             }
         });
@@ -243,6 +379,62 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/properties/:id/price-history
+ * Public - Asking price changes, oldest first
+ * Who made each change is only shown to agents and admins
+ */
+router.get('/:id/price-history', optionalAuth, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const [properties] = await pool.query(
+            `SELECT p.price, p.created_at, p.listing_status, p.publish_at, ${PRICE_HISTORY_COLUMNS}
+             FROM properties p WHERE p.id = ?`,
+            [id]
+        );
+
+        const isStaff = req.user && ['agent', 'admin'].includes(req.user.role);
+        if (properties.length === 0 || (!isStaff && !isLive(properties[0]))) {
+            return res.status(404).json({
+                success: false,
+                message: 'Property not found'
+            });
+        }
+
+        const [history] = await pool.query(
+            `SELECT h.*, CONCAT(u.first_name, ' ', u.last_name) as changed_by_name
+             FROM property_price_history h
+             LEFT JOIN users u ON u.id = h.changed_by_user_id
+             WHERE h.property_id = ?
+             ORDER BY h.changed_at, h.id`,
+            [id]
+        );
+
+        const property = properties[0];
+
+        res.json({
+            success: true,
+            currentPrice: parseFloat(property.price),
+            ...formatPriceHistoryFields(property),
+            listedAt: property.created_at,
+            history: history.map(h => ({
+                id: h.id,
+                oldPrice: parseFloat(h.old_price),
+                newPrice: parseFloat(h.new_price),
+                ...(isStaff ? { changedBy: h.changed_by_name } : {}),
+                changedAt: h.changed_at
+            }))
+        });
+    } catch (error) {
+        console.error('Get price history error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch price history'
+        });
+    }
+});
+
 /**
  * POST /api/properties
  * Admin/Agent - Create new property
@@ -285,7 +477,7 @@ router.post('/', authenticateToken, isAgentOrAdmin, [
 
         res.status(201).json({
             success: true,
-            message: 'Property created successfully',
+            message: 'Property created as a draft',
             propertyId: result.insertId
         });
     } catch (error) {
@@ -301,7 +493,7 @@ router.post('/', authenticateToken, isAgentOrAdmin, [
  * PUT /api/properties/:id
  * Admin/Agent - Update property
  */
-router.put('/:id', authenticateToken, isAgentOrAdmin, async (req, res) => {
+router.put('/:id', authenticateToken, isAgentOrAdmin, requirePropertyAccess('edit'), async (req, res) => {
     try {
         const { id } = req.params;
         const {
@@ -310,7 +502,7 @@ router.put('/:id', authenticateToken, isAgentOrAdmin, async (req, res) => {
         } = req.body;
 
         // Verify property exists
-        const [existing] = await pool.query('SELECT id FROM properties WHERE id = ?', [id]);
+        const [existing] = await pool.query('SELECT id, status, price FROM properties WHERE id = ?', [id]);
         if (existing.length === 0) {
             return res.status(404).json({
                 success: false,
@@ -318,6 +510,31 @@ router.put('/:id', authenticateToken, isAgentOrAdmin, async (req, res) => {
             });
         }
 
+        if (price !== undefined && (isNaN(parseFloat(price)) || parseFloat(price) < 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Price must be a positive number'
+            });
+        }
+
+        // Reservations carry buyer and deposit details, so they have their own endpoints
+        if (status !== undefined && status !== existing[0].status &&
+            (status === 'reserved' || existing[0].status === 'reserved')) {
+            return res.status(400).json({
+                success: false,
+                message: 'Use the reservation endpoints to reserve or release a property'
+            });
+        }
+
+        // Sales carry agent, price and commission details, so they have their own endpoints too
+        if (status !== undefined && status !== existing[0].status &&
+            (status === 'sold' || existing[0].status === 'sold')) {
+            return res.status(400).json({
+                success: false,
+                message: 'Use mark-sold or void-sale to change a sale'
+            });
+        }
+
         const updates = [];
         const values = [];
 
@@ -364,6 +581,14 @@ router.put('/:id', authenticateToken, isAgentOrAdmin, async (req, res) => {
             values
         );
 
+        if (price !== undefined && parseFloat(price) !== parseFloat(existing[0].price)) {
+            await pool.query(
+                `INSERT INTO property_price_history (property_id, old_price, new_price, changed_by_user_id)
+                 VALUES (?, ?, ?, ?)`,
+                [id, existing[0].price, price, req.user.id]
+            );
+        }
+
         res.json({
             success: true,
             message: 'Property updated successfully'
@@ -426,7 +651,7 @@ router.delete('/:id', authenticateToken, isAdmin, async (req, res) => {
  * POST /api/properties/:id/photos
  * Admin/Agent - Upload photos
  */
-router.post('/:id/photos', authenticateToken, isAgentOrAdmin, upload.array('photos', 10), async (req, res) => {
+router.post('/:id/photos', authenticateToken, isAgentOrAdmin, requirePropertyAccess('edit'), upload.array('photos', 10), async (req, res) => {
     try {
         const { id } = req.params;
 
@@ -489,7 +714,7 @@ router.post('/:id/photos', authenticateToken, isAgentOrAdmin, upload.array('phot
  * DELETE /api/properties/:id/photos/:photoId
  * Admin/Agent - Delete photo
  */
-router.delete('/:id/photos/:photoId', authenticateToken, isAgentOrAdmin, async (req, res) => {
+router.delete('/:id/photos/:photoId', authenticateToken, isAgentOrAdmin, requirePropertyAccess('edit'), async (req, res) => {
     try {
         const { id, photoId } = req.params;
 
@@ -540,13 +765,44 @@ router.delete('/:id/photos/:photoId', authenticateToken, isAgentOrAdmin, async (
 });
 
 /**
- * PUT /api/properties/:id/mark-sold
- * Agent - Mark property as sold
+ * PUT /api/properties/:id/submit
+ * Agent - Submit a draft (or returned) listing for admin review
  */
-router.put('/:id/mark-sold', authenticateToken, isAgentOrAdmin, [
-    body('salePrice').isFloat({ min: 0 }),
-    body('soldDate').optional().isISO8601(),
-    body('buyerName').optional().trim().isLength({ max: 200 })
+router.put('/:id/submit', authenticateToken, isAgentOrAdmin, requirePropertyAccess('edit'), async (req, res) => {
+    try {
+        const [result] = await pool.query(
+            `UPDATE properties SET listing_status = 'in_review', submitted_at = NOW()
+             WHERE id = ? AND listing_status IN ('draft', 'returned')`,
+            [req.params.id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only draft or returned listings can be submitted for review'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Listing submitted for review'
+        });
+    } catch (error) {
+        console.error('Submit listing error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to submit listing'
+        });
+    }
+});
+
+/**
+ * PUT /api/properties/:id/approve
+ * Admin - Publish a listing, optionally scheduled for a future go-live date
+ */
+router.put('/:id/approve', authenticateToken, isAdmin, [
+    body('publishAt').optional({ nullable: true }).isISO8601(),
+    body('comments').optional().trim()
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -558,205 +814,947 @@ router.put('/:id/mark-sold', authenticateToken, isAgentOrAdmin, [
             });
         }
 
-        const { id } = req.params;
-        const { salePrice, soldDate, buyerName } = req.body;
-
-        // Format the sold date properly
-        const formatDate = (dateStr) => {
-            if (!dateStr) {
-                return new Date().toISOString().slice(0, 10);
-            }
-            // Validate it's a proper date string
-            const date = new Date(dateStr);
-            if (isNaN(date.getTime())) {
-                return new Date().toISOString().slice(0, 10);
-            }
-            return date.toISOString().slice(0, 10);
-        };
-
-        const formattedSoldDate = formatDate(soldDate);
+        const { publishAt, comments } = req.body;
 
-        // Verify property exists and is available
-        const [existing] = await pool.query(
-            'SELECT status FROM properties WHERE id = ?',
-            [id]
+        const [result] = await pool.query(
+            `UPDATE properties SET listing_status = 'published', publish_at = ?,
+             review_comments = ?, reviewed_by_user_id = ?, reviewed_at = NOW()
+             WHERE id = ? AND listing_status != 'published'`,
+            [publishAt ? new Date(publishAt) : null, comments || null, req.user.id, req.params.id]
         );
 
-        if (existing.length === 0) {
-            return res.status(404).json({
+        if (result.affectedRows === 0) {
+            return res.status(400).json({
                 success: false,
-                message: 'Property not found'
+                message: 'Property not found or already published'
             });
         }
 
-        if (existing[0].status === 'sold') {
+        res.json({
+            success: true,
+            message: publishAt && new Date(publishAt) > new Date()
+                ? `Listing approved; goes live ${new Date(publishAt).toLocaleString('en-PH')}`
+                : 'Listing published'
+        });
+    } catch (error) {
+        console.error('Approve listing error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to approve listing'
+        });
+    }
+});
+
+/**
+ * PUT /api/properties/:id/return
+ * Admin - Send a listing in review back to the agent with comments
+ */
+router.put('/:id/return', authenticateToken, isAdmin, [
+    body('comments').trim().notEmpty().withMessage('Comments are required when returning a listing')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
             return res.status(400).json({
                 success: false,
-                message: 'Property is already sold'
+                message: 'Validation failed',
+                errors: errors.array()
             });
         }
 
-        await pool.query(
-            `UPDATE properties SET 
-             status = 'sold',
-             sold_by_agent_id = ?,
-             sold_date = ?,
-             sale_price = ?,
-             buyer_name = ?
-             WHERE id = ?`,
-            [req.user.id, formattedSoldDate, salePrice, buyerName || null, id]
+        const [result] = await pool.query(
+            `UPDATE properties SET listing_status = 'returned',
+             review_comments = ?, reviewed_by_user_id = ?, reviewed_at = NOW()
+             WHERE id = ? AND listing_status = 'in_review'`,
+            [req.body.comments, req.user.id, req.params.id]
         );
 
+        if (result.affectedRows === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only listings in review can be returned'
+            });
+        }
+
         res.json({
             success: true,
-            message: 'Property marked as sold'
+            message: 'Listing returned to agent'
         });
     } catch (error) {
-        console.error('Mark sold error:', error);
+        console.error('Return listing error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to mark property as sold'
+            message: 'Failed to return listing'
         });
     }
 });
 
 /**
- * GET /api/properties/sold/all
- * Admin - Get all sold properties (sales report)
+ * Find an active agent by ID, or null
  */
-router.get('/sold/all', authenticateToken, isAdmin, async (req, res) => {
-    try {
-        const { startDate, endDate, agentId } = req.query;
+const findActiveAgent = async (agentId) => {
+    const [agents] = await pool.query(
+        `SELECT id, CONCAT(first_name, ' ', last_name) as name FROM users
+         WHERE id = ? AND role = 'agent' AND is_active = TRUE`,
+        [agentId]
+    );
+    return agents[0] || null;
+};
 
-        let whereClause = "WHERE p.status = 'sold'";
-        const params = [];
+/**
+ * Check that the user is the listing agent or an admin (co-listers can't grant access)
+ * Sends the error response and returns false otherwise
+ */
+const checkListingOwner = async (req, res) => {
+    const [properties] = await pool.query(
+        'SELECT listed_by_agent_id FROM properties WHERE id = ?',
+        [req.params.id]
+    );
+
+    if (properties.length === 0) {
+        res.status(404).json({
+            success: false,
+            message: 'Property not found'
+        });
+        return false;
+    }
 
-        if (startDate) {
-            whereClause += ' AND p.sold_date >= ?';
-            params.push(startDate);
-        }
+    if (req.user.role !== 'admin' && properties[0].listed_by_agent_id !== req.user.id) {
+        res.status(403).json({
+            success: false,
+            message: 'Only the listing agent or an admin can manage co-listing access'
+        });
+        return false;
+    }
 
-        if (endDate) {
-            whereClause += ' AND p.sold_date <= ?';
-            params.push(endDate);
-        }
+    return true;
+};
 
-        if (agentId) {
-            whereClause += ' AND p.sold_by_agent_id = ?';
-            params.push(agentId);
-        }
+/**
+ * GET /api/properties/:id/agents
+ * Agent/Admin - Listing agent and co-listing agents
+ */
+router.get('/:id/agents', authenticateToken, isAgentOrAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
 
-        const [sales] = await pool.query(
-            `SELECT p.id, p.title, p.city, p.sale_price, p.sold_date, p.buyer_name,
-                    u.id as agent_id, CONCAT(u.first_name, ' ', u.last_name) as agent_name,
-                    u.commission_rate,
-                    (p.sale_price * u.commission_rate) as commission
+        const [properties] = await pool.query(
+            `SELECT p.listed_by_agent_id, CONCAT(u.first_name, ' ', u.last_name) as listed_by_name
              FROM properties p
-             JOIN users u ON p.sold_by_agent_id = u.id
-             ${whereClause}
-             ORDER BY p.sold_date DESC`,
-            params
+             LEFT JOIN users u ON u.id = p.listed_by_agent_id
+             WHERE p.id = ?`,
+            [id]
         );
 
-        // Calculate totals
-        const totalSales = sales.length;
-        const totalValue = sales.reduce((sum, s) => sum + parseFloat(s.sale_price), 0);
-        const totalCommission = sales.reduce((sum, s) => sum + parseFloat(s.commission), 0);
+        if (properties.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Property not found'
+            });
+        }
+
+        const [coListers] = await pool.query(
+            `SELECT pa.agent_id, pa.created_at, CONCAT(u.first_name, ' ', u.last_name) as agent_name
+             FROM property_agents pa
+             JOIN users u ON u.id = pa.agent_id
+             WHERE pa.property_id = ?
+             ORDER BY pa.created_at`,
+            [id]
+        );
 
         res.json({
             success: true,
-            sales: sales.map(s => ({
-                id: s.id,
-                title: s.title,
-                city: s.city,
-                salePrice: parseFloat(s.sale_price),
-                soldDate: s.sold_date,
-                buyerName: s.buyer_name,
-                agentId: s.agent_id,
-                agentName: s.agent_name,
-                commissionRate: parseFloat(s.commission_rate),
-                commission: parseFloat(s.commission)
-            })),
-            summary: {
-                totalSales,
-                totalValue,
-                totalCommission
-            }
+            listingAgent: {
+                id: properties[0].listed_by_agent_id,
+                name: properties[0].listed_by_name
+            },
+            coListers: coListers.map(c => ({
+                agentId: c.agent_id,
+                agentName: c.agent_name,
+                grantedAt: c.created_at
+            }))
         });
     } catch (error) {
-        console.error('Get sales report error:', error);
+        console.error('Get listing agents error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to fetch sales report'
+            message: 'Failed to fetch listing agents'
         });
     }
 });
 
 /**
- * GET /api/properties/my-sales
- * Agent - Get my sales with commission
+ * PUT /api/properties/:id/owner
+ * Admin - Transfer a listing to another agent
  */
-router.get('/my-sales', authenticateToken, isAgentOrAdmin, async (req, res) => {
+router.put('/:id/owner', authenticateToken, isAdmin, [
+    body('agentId').isInt({ min: 1 }),
+    body('keepPreviousAsCoLister').optional().isBoolean()
+], async (req, res) => {
     try {
-        const { startDate, endDate } = req.query;
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
 
-        let whereClause = "WHERE p.status = 'sold' AND p.sold_by_agent_id = ?";
-        const params = [req.user.id];
+        const { id } = req.params;
+        const { agentId, keepPreviousAsCoLister } = req.body;
 
-        if (startDate) {
-            whereClause += ' AND p.sold_date >= ?';
-            params.push(startDate);
+        const [properties] = await pool.query('SELECT listed_by_agent_id FROM properties WHERE id = ?', [id]);
+        if (properties.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Property not found'
+            });
         }
 
-        if (endDate) {
-            whereClause += ' AND p.sold_date <= ?';
-            params.push(endDate);
+        const agent = await findActiveAgent(agentId);
+        if (!agent) {
+            return res.status(400).json({
+                success: false,
+                message: 'Agent not found or inactive'
+            });
         }
 
-        // Get agent commission rate
-        const [agent] = await pool.query(
-            'SELECT commission_rate FROM users WHERE id = ?',
-            [req.user.id]
+        const previousOwnerId = properties[0].listed_by_agent_id;
+
+        await pool.query('UPDATE properties SET listed_by_agent_id = ? WHERE id = ?', [agentId, id]);
+
+        // The new owner no longer needs a co-listing grant
+        await pool.query('DELETE FROM property_agents WHERE property_id = ? AND agent_id = ?', [id, agentId]);
+
+        if (keepPreviousAsCoLister && previousOwnerId && previousOwnerId !== parseInt(agentId)) {
+            await pool.query(
+                'INSERT IGNORE INTO property_agents (property_id, agent_id, granted_by_user_id) VALUES (?, ?, ?)',
+                [id, previousOwnerId, req.user.id]
+            );
+        }
+
+        res.json({
+            success: true,
+            message: `Listing transferred to ${agent.name}`
+        });
+    } catch (error) {
+        console.error('Transfer listing error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to transfer listing'
+        });
+    }
+});
+
+/**
+ * POST /api/properties/:id/co-listers
+ * Listing agent/Admin - Grant another agent co-listing access
+ */
+router.post('/:id/co-listers', authenticateToken, isAgentOrAdmin, [
+    body('agentId').isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        if (!await checkListingOwner(req, res)) return;
+
+        const { id } = req.params;
+        const { agentId } = req.body;
+
+        const agent = await findActiveAgent(agentId);
+        if (!agent) {
+            return res.status(400).json({
+                success: false,
+                message: 'Agent not found or inactive'
+            });
+        }
+
+        const [properties] = await pool.query('SELECT listed_by_agent_id FROM properties WHERE id = ?', [id]);
+        if (properties[0].listed_by_agent_id === parseInt(agentId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'This agent is already the listing agent'
+            });
+        }
+
+        await pool.query(
+            'INSERT IGNORE INTO property_agents (property_id, agent_id, granted_by_user_id) VALUES (?, ?, ?)',
+            [id, agentId, req.user.id]
         );
-        const commissionRate = agent.length > 0 ? parseFloat(agent[0].commission_rate) : 0.03;
+
+        res.status(201).json({
+            success: true,
+            message: `${agent.name} can now edit this listing`
+        });
+    } catch (error) {
+        console.error('Add co-lister error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to grant co-listing access'
+        });
+    }
+});
+
+/**
+ * DELETE /api/properties/:id/co-listers/:agentId
+ * Listing agent/Admin - Revoke co-listing access
+ */
+router.delete('/:id/co-listers/:agentId', authenticateToken, isAgentOrAdmin, async (req, res) => {
+    try {
+        if (!await checkListingOwner(req, res)) return;
+
+        const [result] = await pool.query(
+            'DELETE FROM property_agents WHERE property_id = ? AND agent_id = ?',
+            [req.params.id, req.params.agentId]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Agent is not a co-lister on this property'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Co-listing access removed'
+        });
+    } catch (error) {
+        console.error('Remove co-lister error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove co-listing access'
+        });
+    }
+});
+
+/**
+ * PUT /api/properties/:id/mark-sold
+ * Agent - Mark property as sold
+ */
+router.put('/:id/mark-sold', authenticateToken, isAgentOrAdmin, requirePropertyAccess('sell'), [
+    body('salePrice').isFloat({ min: 0 }),
+    body('soldDate').optional().isISO8601(),
+    body('buyerName').optional().trim().isLength({ max: 200 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const { salePrice, soldDate, buyerName } = req.body;
+
+        // Verify property exists and is available
+        const [existing] = await pool.query(
+            'SELECT status FROM properties WHERE id = ?',
+            [id]
+        );
+
+        if (existing.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Property not found'
+            });
+        }
+
+        if (existing[0].status === 'sold') {
+            return res.status(400).json({
+                success: false,
+                message: 'Property is already sold'
+            });
+        }
+
+        // Selling to someone other than the deposit holder needs their reservation cancelled first
+        const reservation = buyerName ? await findOtherBuyerReservation(id, { buyerName }) : null;
+
+        if (reservation) {
+            return res.status(409).json({
+                success: false,
+                message: `Property is reserved for ${reservation.buyer_name} (${reservation.reference_number}). Cancel the reservation before selling to another buyer.`
+            });
+        }
+
+        await recordSale(id, req.user.id, { salePrice, soldDate, buyerName });
+
+        res.json({
+            success: true,
+            message: 'Property marked as sold'
+        });
+    } catch (error) {
+        console.error('Mark sold error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to mark property as sold'
+        });
+    }
+});
+
+/**
+ * GET /api/properties/:id/reservation
+ * Admin/Agent - Get the active reservation and reservation history
+ */
+router.get('/:id/reservation', authenticateToken, isAgentOrAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const [reservations] = await pool.query(
+            `SELECT r.*, CONCAT(u.first_name, ' ', u.last_name) as reserved_by_name
+             FROM property_reservations r
+             LEFT JOIN users u ON u.id = r.reserved_by_agent_id
+             WHERE r.property_id = ?
+             ORDER BY r.created_at DESC`,
+            [id]
+        );
+
+        const formatted = reservations.map(r => ({
+            id: r.id,
+            propertyId: r.property_id,
+            buyerName: r.buyer_name,
+            buyerEmail: r.buyer_email,
+            buyerPhone: r.buyer_phone,
+            depositAmount: parseFloat(r.deposit_amount),
+            referenceNumber: r.reference_number,
+            expiryDate: r.expiry_date,
+            status: r.status,
+            notes: r.notes,
+            reservedByAgentId: r.reserved_by_agent_id,
+            reservedByName: r.reserved_by_name,
+            closedAt: r.closed_at,
+            createdAt: r.created_at
+        }));
+
+        res.json({
+            success: true,
+            reservation: formatted.find(r => r.status === 'active') || null,
+            history: formatted
+        });
+    } catch (error) {
+        console.error('Get reservation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch reservation'
+        });
+    }
+});
+
+/**
+ * POST /api/properties/:id/reserve
+ * Agent - Reserve an available property for a buyer with a deposit
+ */
+router.post('/:id/reserve', authenticateToken, isAgentOrAdmin, requirePropertyAccess('sell'), [
+    body('buyerName').trim().notEmpty().isLength({ max: 200 }),
+    body('buyerEmail').optional({ checkFalsy: true }).isEmail().normalizeEmail(),
+    body('buyerPhone').optional().trim().isLength({ max: 20 }),
+    body('depositAmount').isFloat({ min: 0 }),
+    body('referenceNumber').trim().notEmpty().isLength({ max: 100 }),
+    body('expiryDate').isISO8601(),
+    body('notes').optional().trim()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const { buyerName, buyerEmail, buyerPhone, depositAmount, referenceNumber, expiryDate, notes } = req.body;
+
+        const formattedExpiry = new Date(expiryDate).toISOString().slice(0, 10);
+        if (formattedExpiry < new Date().toISOString().slice(0, 10)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Expiry date cannot be in the past'
+            });
+        }
+
+        const [existing] = await pool.query('SELECT status FROM properties WHERE id = ?', [id]);
+        if (existing.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Property not found'
+            });
+        }
+
+        // Conditional update so two agents can't reserve the same property
+        const [result] = await pool.query(
+            "UPDATE properties SET status = 'reserved' WHERE id = ? AND status = 'available'",
+            [id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Property is ${existing[0].status} and cannot be reserved`
+            });
+        }
+
+        try {
+            const [insert] = await pool.query(
+                `INSERT INTO property_reservations
+                 (property_id, buyer_name, buyer_email, buyer_phone, deposit_amount,
+                  reference_number, expiry_date, notes, reserved_by_agent_id)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [id, buyerName, buyerEmail || null, buyerPhone || null, depositAmount,
+                 referenceNumber, formattedExpiry, notes || null, req.user.id]
+            );
+
+            res.status(201).json({
+                success: true,
+                message: 'Property reserved successfully',
+                reservationId: insert.insertId
+            });
+        } catch (insertError) {
+            // Release the hold if the reservation record could not be created
+            await pool.query(
+                "UPDATE properties SET status = 'available' WHERE id = ? AND status = 'reserved'",
+                [id]
+            );
+
+            if (insertError.code === 'ER_DUP_ENTRY') {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Reference number is already in use'
+                });
+            }
+            throw insertError;
+        }
+    } catch (error) {
+        console.error('Reserve property error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reserve property'
+        });
+    }
+});
+
+/**
+ * PUT /api/properties/:id/reservation/cancel
+ * Agent - Cancel the active reservation and release the property
+ */
+router.put('/:id/reservation/cancel', authenticateToken, isAgentOrAdmin, requirePropertyAccess('sell'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { reason } = req.body;
+
+        const [result] = await pool.query(
+            `UPDATE property_reservations SET 
+             status = 'cancelled',
+             closed_at = NOW(),
+             notes = CONCAT(COALESCE(notes, ''), '\nCancelled: ', ?)
+             WHERE property_id = ? AND status = 'active'`,
+            [reason || 'No reason provided', id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'No active reservation for this property'
+            });
+        }
+
+        await pool.query(
+            "UPDATE properties SET status = 'available' WHERE id = ? AND status = 'reserved'",
+            [id]
+        );
+
+        res.json({
+            success: true,
+            message: 'Reservation cancelled'
+        });
+    } catch (error) {
+        console.error('Cancel reservation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to cancel reservation'
+        });
+    }
+});
+
+/**
+ * PUT /api/properties/:id/reservation/convert
+ * Agent - Convert the active reservation into a sale
+ */
+router.put('/:id/reservation/convert', authenticateToken, isAgentOrAdmin, requirePropertyAccess('sell'), [
+    body('salePrice').isFloat({ min: 0 }),
+    body('soldDate').optional().isISO8601()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const { salePrice, soldDate } = req.body;
+
+        const [reservations] = await pool.query(
+            `SELECT r.id FROM property_reservations r
+             JOIN properties p ON p.id = r.property_id
+             WHERE r.property_id = ? AND r.status = 'active' AND p.status = 'reserved'`,
+            [id]
+        );
+
+        if (reservations.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'No active reservation for this property'
+            });
+        }
+
+        const buyerName = await recordSale(id, req.user.id, { salePrice, soldDate });
+
+        res.json({
+            success: true,
+            message: 'Reservation converted to sale',
+            buyerName
+        });
+    } catch (error) {
+        console.error('Convert reservation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to convert reservation'
+        });
+    }
+});
+
+/**
+ * PUT /api/properties/:id/void-sale
+ * Admin - Reverse a recorded sale
+ * The sale is kept in voided_sales for audit and drops out of commission reports
+ */
+router.put('/:id/void-sale', authenticateToken, isAdmin, [
+    body('reason').trim().notEmpty().withMessage('A reason is required to void a sale'),
+    body('restoreStatus').optional().isIn(['available', 'reserved']),
+    body('expiryDate').optional().isISO8601()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const { reason, restoreStatus = 'available', expiryDate } = req.body;
+
+        const [existing] = await pool.query('SELECT status FROM properties WHERE id = ?', [id]);
+        if (existing.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Property not found'
+            });
+        }
+
+        if (existing[0].status !== 'sold') {
+            return res.status(400).json({
+                success: false,
+                message: 'Property is not sold'
+            });
+        }
+
+        // Going back to reserved reopens the reservation the sale came from
+        let reservationId = null;
+        if (restoreStatus === 'reserved') {
+            const [reservations] = await pool.query(
+                `SELECT id, expiry_date FROM property_reservations
+                 WHERE property_id = ? AND status = 'converted'
+                 ORDER BY closed_at DESC, id DESC LIMIT 1`,
+                [id]
+            );
+
+            if (reservations.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'This sale did not come from a reservation; restore it to available instead'
+                });
+            }
+
+            const newExpiry = expiryDate ? new Date(expiryDate) : new Date(reservations[0].expiry_date);
+            if (newExpiry < new Date(new Date().toDateString())) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'The reservation has expired; provide a new expiryDate'
+                });
+            }
+
+            reservationId = reservations[0].id;
+        }
+
+        const voidedSaleId = await voidSale(id, {
+            reason,
+            restoreStatus,
+            reservationId,
+            expiryDate: expiryDate ? new Date(expiryDate).toISOString().slice(0, 10) : null,
+            userId: req.user.id
+        });
+
+        if (!voidedSaleId) {
+            return res.status(409).json({
+                success: false,
+                message: 'Property is no longer sold'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Sale voided; property is ${restoreStatus} again`,
+            voidedSaleId
+        });
+    } catch (error) {
+        console.error('Void sale error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to void sale'
+        });
+    }
+});
+
+/**
+ * Build the WHERE clause shared by the sales report and export
+ * Agent filter matches sales where the agent earned a listing or selling share
+ */
+const buildSalesFilter = ({ startDate, endDate, agentId }) => {
+    let whereClause = "WHERE p.status = 'sold'";
+    const params = [];
+
+    if (startDate) {
+        whereClause += ' AND p.sold_date >= ?';
+        params.push(startDate);
+    }
+
+    if (endDate) {
+        whereClause += ' AND p.sold_date <= ?';
+        params.push(endDate);
+    }
+
+    if (agentId) {
+        whereClause += ' AND EXISTS (SELECT 1 FROM sale_commission_splits s WHERE s.property_id = p.id AND s.agent_id = ?)';
+        params.push(agentId);
+    }
+
+    return { whereClause, params };
+};
+
+/**
+ * Discount analysis for sold properties: original vs final asking price vs sale price
+ * Returns an object keyed by property ID
+ */
+const getDiscounts = async (sales) => {
+    if (sales.length === 0) {
+        return {};
+    }
+
+    const [firstPrices] = await pool.query(
+        `SELECT h.property_id, h.old_price
+         FROM property_price_history h
+         WHERE h.property_id IN (?)
+         AND h.id = (SELECT MIN(h2.id) FROM property_price_history h2 WHERE h2.property_id = h.property_id)`,
+        [sales.map(s => s.id)]
+    );
+    const originalById = Object.fromEntries(firstPrices.map(r => [r.property_id, parseFloat(r.old_price)]));
+
+    const percentOff = (from, to) => from > 0 ? Math.round((from - to) / from * 10000) / 100 : 0;
+
+    return Object.fromEntries(sales.map(s => {
+        const finalAskingPrice = parseFloat(s.price);
+        const originalAskingPrice = originalById[s.id] ?? finalAskingPrice;
+        const salePrice = parseFloat(s.sale_price);
+        return [s.id, {
+            originalAskingPrice,
+            finalAskingPrice,
+            discountFromOriginalPercent: percentOff(originalAskingPrice, salePrice),
+            discountFromFinalPercent: percentOff(finalAskingPrice, salePrice)
+        }];
+    }));
+};
+
+/**
+ * Sum split lines by role
+ */
+const sumSplits = (splits, role) => splits
+    .filter(line => line.role === role)
+    .reduce((sum, line) => sum + line.amount, 0);
+
+/**
+ * GET /api/properties/sold/all
+ * Admin - Get all sold properties (sales report)
+ */
+router.get('/sold/all', authenticateToken, isAdmin, async (req, res) => {
+    try {
+        const { whereClause, params } = buildSalesFilter(req.query);
 
         const [sales] = await pool.query(
-            `SELECT p.id, p.title, p.city, p.sale_price, p.sold_date, p.price as original_price, p.buyer_name
+            `SELECT p.id, p.title, p.city, p.price, p.sale_price, p.sale_commission_rate, p.sale_commission_tier,
+                    p.sale_commission_bonus, p.sold_date, p.buyer_name,
+                    u.id as agent_id, CONCAT(u.first_name, ' ', u.last_name) as agent_name,
+                    l.id as listing_agent_id, CONCAT(l.first_name, ' ', l.last_name) as listing_agent_name
              FROM properties p
+             JOIN users u ON p.sold_by_agent_id = u.id
+             LEFT JOIN users l ON p.listed_by_agent_id = l.id
              ${whereClause}
              ORDER BY p.sold_date DESC`,
             params
         );
 
-        // Calculate totals
-        const totalSales = sales.length;
-        const totalValue = sales.reduce((sum, s) => sum + parseFloat(s.sale_price), 0);
-        const totalCommission = totalValue * commissionRate;
+        const splitsByProperty = await getSplitsByProperty(sales.map(s => s.id));
+        const discounts = await getDiscounts(sales);
+
+        // Per-agent shares across all listed sales
+        const agentTotals = {};
+        for (const sale of sales) {
+            for (const line of splitsByProperty[sale.id] || []) {
+                if (!line.agentId) continue;
+                if (!agentTotals[line.agentId]) {
+                    agentTotals[line.agentId] = {
+                        agentId: line.agentId,
+                        agentName: line.agentName,
+                        listingCommission: 0,
+                        sellingCommission: 0,
+                        bonusCommission: 0,
+                        totalCommission: 0
+                    };
+                }
+                agentTotals[line.agentId][`${line.role}Commission`] += line.amount;
+                agentTotals[line.agentId].totalCommission += line.amount;
+            }
+        }
 
-        res.json({
-            success: true,
-            commissionRate,
-            sales: sales.map(s => ({
+        const formatted = sales.map(s => {
+            const splits = splitsByProperty[s.id] || [];
+            return {
                 id: s.id,
                 title: s.title,
                 city: s.city,
-                originalPrice: parseFloat(s.original_price),
                 salePrice: parseFloat(s.sale_price),
                 soldDate: s.sold_date,
                 buyerName: s.buyer_name,
-                commission: parseFloat(s.sale_price) * commissionRate
-            })),
+                agentId: s.agent_id,
+                agentName: s.agent_name,
+                listingAgentId: s.listing_agent_id,
+                listingAgentName: s.listing_agent_name,
+                commissionRate: s.sale_commission_rate !== null ? parseFloat(s.sale_commission_rate) : null,
+                commissionTier: s.sale_commission_tier,
+                commissionBonus: s.sale_commission_bonus !== null ? parseFloat(s.sale_commission_bonus) : 0,
+                commission: splits.reduce((sum, line) => sum + line.amount, 0),
+                listingCommission: sumSplits(splits, 'listing'),
+                sellingCommission: sumSplits(splits, 'selling'),
+                houseCommission: sumSplits(splits, 'house'),
+                ...discounts[s.id],
+                splits
+            };
+        });
+
+        // Calculate totals
+        const totalSales = formatted.length;
+        const totalValue = formatted.reduce((sum, s) => sum + s.salePrice, 0);
+        const totalCommission = formatted.reduce((sum, s) => sum + s.commission, 0);
+        const totalHouseCommission = formatted.reduce((sum, s) => sum + s.houseCommission, 0);
+
+        // Paid vs outstanding is each agent's balance to date, not limited to the date filter
+        const balances = await getAgentBalances(Object.keys(agentTotals).map(Number));
+        for (const balance of balances) {
+            agentTotals[balance.agentId].paid = balance.paid;
+            agentTotals[balance.agentId].outstanding = balance.outstanding;
+        }
+
+        res.json({
+            success: true,
+            sales: formatted,
             summary: {
                 totalSales,
                 totalValue,
-                totalCommission
+                totalCommission,
+                totalAgentCommission: totalCommission - totalHouseCommission,
+                totalHouseCommission,
+                averageDiscountFromOriginal: formatted.length > 0
+                    ? formatted.reduce((sum, s) => sum + s.discountFromOriginalPercent, 0) / formatted.length
+                    : 0,
+                averageDiscountFromFinal: formatted.length > 0
+                    ? formatted.reduce((sum, s) => sum + s.discountFromFinalPercent, 0) / formatted.length
+                    : 0,
+                totalPaid: balances.reduce((sum, b) => sum + b.paid, 0),
+                totalOutstanding: balances.reduce((sum, b) => sum + b.outstanding, 0),
+                byAgent: Object.values(agentTotals).sort((a, b) => b.totalCommission - a.totalCommission)
             }
         });
     } catch (error) {
-        console.error('Get my sales error:', error);
+        console.error('Get sales report error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to fetch sales'
+            message: 'Failed to fetch sales report'
+        });
+    }
+});
+
+/**
+ * GET /api/properties/sold/voided
+ * Admin - Voided sales history (audit)
+ */
+router.get('/sold/voided', authenticateToken, isAdmin, async (req, res) => {
+    try {
+        const [voided] = await pool.query(
+            `SELECT v.*, p.title, p.city,
+                    CONCAT(a.first_name, ' ', a.last_name) as agent_name,
+                    CONCAT(u.first_name, ' ', u.last_name) as voided_by_name
+             FROM voided_sales v
+             JOIN properties p ON p.id = v.property_id
+             LEFT JOIN users a ON a.id = v.sold_by_agent_id
+             LEFT JOIN users u ON u.id = v.voided_by_user_id
+             ORDER BY v.voided_at DESC`
+        );
+
+        res.json({
+            success: true,
+            voidedSales: voided.map(v => ({
+                id: v.id,
+                propertyId: v.property_id,
+                title: v.title,
+                city: v.city,
+                agentId: v.sold_by_agent_id,
+                agentName: v.agent_name,
+                soldDate: v.sold_date,
+                salePrice: v.sale_price !== null ? parseFloat(v.sale_price) : null,
+                commissionRate: v.sale_commission_rate !== null ? parseFloat(v.sale_commission_rate) : null,
+                commissionTier: v.sale_commission_tier,
+                commissionBonus: v.sale_commission_bonus !== null ? parseFloat(v.sale_commission_bonus) : 0,
+                buyerName: v.buyer_name,
+                splits: v.commission_splits ? JSON.parse(v.commission_splits) : [],
+                reason: v.reason,
+                restoredStatus: v.restored_status,
+                voidedBy: v.voided_by_name,
+                voidedAt: v.voided_at
+            }))
+        });
+    } catch (error) {
+        console.error('Get voided sales error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch voided sales'
         });
     }
 });
@@ -767,57 +1765,63 @@ router.get('/my-sales', authenticateToken, isAgentOrAdmin, async (req, res) => {
  */
 router.get('/sold/export', authenticateToken, isAdmin, async (req, res) => {
     try {
-        const { startDate, endDate, agentId } = req.query;
-
-        let whereClause = "WHERE p.status = 'sold'";
-        const params = [];
-
-        if (startDate) {
-            whereClause += ' AND p.sold_date >= ?';
-            params.push(startDate);
-        }
-
-        if (endDate) {
-            whereClause += ' AND p.sold_date <= ?';
-            params.push(endDate);
-        }
-
-        if (agentId) {
-            whereClause += ' AND p.sold_by_agent_id = ?';
-            params.push(agentId);
-        }
+        const { whereClause, params } = buildSalesFilter(req.query);
 
         const [sales] = await pool.query(
             `SELECT p.id, p.title, p.address, p.city, p.property_type,
-                    p.price as listing_price, p.sale_price, p.sold_date, p.buyer_name,
+                    p.price as listing_price, p.sale_price, p.sale_commission_rate, p.sale_commission_tier,
+                    p.sale_commission_bonus, p.sold_date, p.buyer_name,
                     u.id as agent_id, CONCAT(u.first_name, ' ', u.last_name) as agent_name,
-                    u.email as agent_email, u.commission_rate,
-                    (p.sale_price * u.commission_rate) as commission
+                    u.email as agent_email,
+                    CONCAT(l.first_name, ' ', l.last_name) as listing_agent_name
              FROM properties p
              JOIN users u ON p.sold_by_agent_id = u.id
+             LEFT JOIN users l ON p.listed_by_agent_id = l.id
              ${whereClause}
              ORDER BY p.sold_date DESC`,
             params
         );
 
+        const splitsByProperty = await getSplitsByProperty(sales.map(s => s.id));
+        const discounts = await getDiscounts(sales.map(s => ({ ...s, price: s.listing_price })));
+
         // Generate CSV
-        const headers = ['Property ID', 'Title', 'Address', 'City', 'Type', 'Listing Price', 'Sale Price', 'Sale Date', 'Buyer Name', 'Agent ID', 'Agent Name', 'Agent Email', 'Commission Rate', 'Commission'];
-        const rows = sales.map(s => [
-            s.id,
-            `"${s.title}"`,
-            `"${s.address}"`,
-            `"${s.city}"`,
-            s.property_type,
-            s.listing_price,
-            s.sale_price,
-            s.sold_date,
-            `"${s.buyer_name || ''}"`,
-            s.agent_id,
-            `"${s.agent_name}"`,
-            s.agent_email,
-            s.commission_rate,
-            s.commission
-        ]);
+        const headers = ['Property ID', 'Title', 'Address', 'City', 'Type', 'Original Asking Price', 'Listing Price', 'Sale Price',
+            'Discount From Original (%)', 'Discount From Final (%)', 'Sale Date', 'Buyer Name',
+            'Agent ID', 'Agent Name', 'Agent Email', 'Commission Rate', 'Commission Tier', 'Commission Bonus', 'Commission',
+            'Listing Agent', 'Listing Share', 'Listing Commission', 'Selling Share', 'Selling Commission', 'House Share', 'House Commission'];
+        const rows = sales.map(s => {
+            const splits = splitsByProperty[s.id] || [];
+            const shareFor = (role) => splits.filter(line => line.role === role).reduce((sum, line) => sum + line.share, 0);
+            return [
+                s.id,
+                `"${s.title}"`,
+                `"${s.address}"`,
+                `"${s.city}"`,
+                s.property_type,
+                discounts[s.id].originalAskingPrice,
+                s.listing_price,
+                s.sale_price,
+                discounts[s.id].discountFromOriginalPercent,
+                discounts[s.id].discountFromFinalPercent,
+                s.sold_date,
+                `"${s.buyer_name || ''}"`,
+                s.agent_id,
+                `"${s.agent_name}"`,
+                s.agent_email,
+                s.sale_commission_rate ?? '',
+                `"${s.sale_commission_tier || ''}"`,
+                s.sale_commission_bonus ?? '',
+                splits.reduce((sum, line) => sum + line.amount, 0).toFixed(2),
+                `"${s.listing_agent_name || ''}"`,
+                shareFor('listing'),
+                sumSplits(splits, 'listing').toFixed(2),
+                shareFor('selling'),
+                sumSplits(splits, 'selling').toFixed(2),
+                shareFor('house'),
+                sumSplits(splits, 'house').toFixed(2)
+            ];
+        });
 
         const csv = [headers.join(','), ...rows.map(r => r.join(','))].join('\n');
 
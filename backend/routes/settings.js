@@ -0,0 +1,506 @@
+/**
+ * Settings Routes
+ * Office-wide configuration (admin only)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { pool } = require('../config/database');
+const { authenticateToken, isAdmin } = require('../middleware/auth');
+const { ASSIGNMENT_STRATEGIES, getAssignmentStrategies } = require('../utils/assignment');
+const { getSlaSettings } = require('../utils/sla');
+const { getLeadScoringSettings, rescoreOpenAppointments } = require('../utils/leadScoring');
+const {
+    LOCALES,
+    TEMPLATE_KEYS,
+    renderParts,
+    findTemplateErrors,
+    getTemplate,
+    listTemplates
+} = require('../utils/emailTemplates');
+
+/**
+ * GET /api/settings/assignment
+ * Admin - Auto-assignment strategies and agent territories
+ */
+router.get('/assignment', authenticateToken, isAdmin, async (req, res) => {
+    try {
+        const [agents] = await pool.query(
+            `SELECT u.id, u.first_name, u.last_name, u.is_active,
+                    GROUP_CONCAT(t.city ORDER BY t.city SEPARATOR '\n') as cities
+             FROM users u
+             LEFT JOIN agent_territories t ON t.agent_id = u.id
+             WHERE u.role = 'agent'
+             GROUP BY u.id, u.first_name, u.last_name, u.is_active
+             ORDER BY u.first_name, u.last_name`
+        );
+
+        res.json({
+            success: true,
+            strategies: await getAssignmentStrategies(),
+            territories: agents.map(a => ({
+                agentId: a.id,
+                agentName: `${a.first_name} ${a.last_name}`,
+                isActive: !!a.is_active,
+                cities: a.cities ? a.cities.split('\n') : []
+            }))
+        });
+    } catch (error) {
+        console.error('Get assignment settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch assignment settings'
+        });
+    }
+});
+
+/**
+ * PUT /api/settings/assignment
+ * Admin - Turn strategies on or off and set the order they are tried in
+ */
+router.put('/assignment', authenticateToken, isAdmin, [
+    body('strategies').isArray({ min: 1 }),
+    body('strategies.*.strategy').isIn(ASSIGNMENT_STRATEGIES),
+    body('strategies.*.isEnabled').isBoolean(),
+    body('strategies.*.priority').isInt({ min: 1, max: 100 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        for (const { strategy, isEnabled, priority } of req.body.strategies) {
+            await pool.query(
+                `INSERT INTO assignment_strategies (strategy, is_enabled, priority, updated_by_user_id)
+                 VALUES (?, ?, ?, ?)
+                 ON DUPLICATE KEY UPDATE is_enabled = VALUES(is_enabled), priority = VALUES(priority),
+                 updated_by_user_id = VALUES(updated_by_user_id)`,
+                [strategy, isEnabled, priority, req.user.id]
+            );
+        }
+
+        res.json({
+            success: true,
+            message: 'Assignment rules saved',
+            strategies: await getAssignmentStrategies()
+        });
+    } catch (error) {
+        console.error('Update assignment settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to save assignment rules'
+        });
+    }
+});
+
+/**
+ * PUT /api/settings/assignment/territories/:agentId
+ * Admin - Replace the cities an agent covers
+ */
+router.put('/assignment/territories/:agentId', authenticateToken, isAdmin, [
+    body('cities').isArray(),
+    body('cities.*').isString().trim().notEmpty().isLength({ max: 100 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { agentId } = req.params;
+
+        const [agents] = await pool.query(
+            "SELECT id FROM users WHERE id = ? AND role = 'agent'",
+            [agentId]
+        );
+
+        if (agents.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Agent not found'
+            });
+        }
+
+        // City matching is case-insensitive, so drop duplicates the same way
+        const cities = [...new Map(req.body.cities.map(city => [city.toLowerCase(), city])).values()];
+
+        await pool.query('DELETE FROM agent_territories WHERE agent_id = ?', [agentId]);
+
+        if (cities.length > 0) {
+            await pool.query(
+                'INSERT INTO agent_territories (agent_id, city) VALUES ?',
+                [cities.map(city => [agentId, city])]
+            );
+        }
+
+        res.json({
+            success: true,
+            message: 'Territory saved',
+            cities
+        });
+    } catch (error) {
+        console.error('Update territory error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to save territory'
+        });
+    }
+});
+
+/**
+ * GET /api/settings/sla
+ * Admin - Response time targets for viewing requests
+ */
+router.get('/sla', authenticateToken, isAdmin, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            settings: await getSlaSettings()
+        });
+    } catch (error) {
+        console.error('Get SLA settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch SLA settings'
+        });
+    }
+});
+
+/**
+ * PUT /api/settings/sla
+ * Admin - Update response time targets and escalation
+ */
+router.put('/sla', authenticateToken, isAdmin, [
+    body('isEnabled').isBoolean(),
+    body('pendingHours').isInt({ min: 1, max: 168 }),
+    body('assignedHours').isInt({ min: 1, max: 168 }),
+    body('reassignOverdue').isBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { isEnabled, pendingHours, assignedHours, reassignOverdue } = req.body;
+
+        await pool.query(
+            `INSERT INTO sla_settings (id, is_enabled, pending_hours, assigned_hours, reassign_overdue, updated_by_user_id)
+             VALUES (1, ?, ?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE is_enabled = VALUES(is_enabled), pending_hours = VALUES(pending_hours),
+             assigned_hours = VALUES(assigned_hours), reassign_overdue = VALUES(reassign_overdue),
+             updated_by_user_id = VALUES(updated_by_user_id)`,
+            [isEnabled, pendingHours, assignedHours, reassignOverdue, req.user.id]
+        );
+
+        res.json({
+            success: true,
+            message: 'SLA settings saved',
+            settings: await getSlaSettings()
+        });
+    } catch (error) {
+        console.error('Update SLA settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to save SLA settings'
+        });
+    }
+});
+
+/**
+ * GET /api/settings/lead-scoring
+ * Admin - Weights behind the request lead score
+ */
+router.get('/lead-scoring', authenticateToken, isAdmin, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            settings: await getLeadScoringSettings()
+        });
+    } catch (error) {
+        console.error('Get lead scoring settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch lead scoring settings'
+        });
+    }
+});
+
+/**
+ * PUT /api/settings/lead-scoring
+ * Admin - Update the weights and rescore every open request
+ */
+router.put('/lead-scoring', authenticateToken, isAdmin, [
+    body('intentWeight').isInt({ min: 0, max: 100 }),
+    body('messageWeight').isInt({ min: 0, max: 100 }),
+    body('repeatWeight').isInt({ min: 0, max: 100 }),
+    body('priceWeight').isInt({ min: 0, max: 100 }),
+    body('noShowPenalty').isInt({ min: 0, max: 100 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const weights = {
+            intentWeight: parseInt(req.body.intentWeight),
+            messageWeight: parseInt(req.body.messageWeight),
+            repeatWeight: parseInt(req.body.repeatWeight),
+            priceWeight: parseInt(req.body.priceWeight),
+            noShowPenalty: parseInt(req.body.noShowPenalty)
+        };
+
+        if (weights.intentWeight + weights.messageWeight + weights.repeatWeight + weights.priceWeight === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'At least one scoring weight must be above zero'
+            });
+        }
+
+        await pool.query(
+            `INSERT INTO lead_scoring_settings
+             (id, intent_weight, message_weight, repeat_weight, price_weight, no_show_penalty, updated_by_user_id)
+             VALUES (1, ?, ?, ?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE intent_weight = VALUES(intent_weight), message_weight = VALUES(message_weight),
+             repeat_weight = VALUES(repeat_weight), price_weight = VALUES(price_weight),
+             no_show_penalty = VALUES(no_show_penalty), updated_by_user_id = VALUES(updated_by_user_id)`,
+            [weights.intentWeight, weights.messageWeight, weights.repeatWeight, weights.priceWeight,
+             weights.noShowPenalty, req.user.id]
+        );
+
+        const rescored = await rescoreOpenAppointments(weights);
+
+        res.json({
+            success: true,
+            message: `Lead scoring saved; ${rescored} open request(s) rescored`,
+            settings: await getLeadScoringSettings(),
+            rescored
+        });
+    } catch (error) {
+        console.error('Update lead scoring settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to save lead scoring settings'
+        });
+    }
+});
+
+/**
+ * Whether :key and :locale name an existing template
+ */
+const isKnownTemplate = ({ key, locale }) => TEMPLATE_KEYS.includes(key) && LOCALES.includes(locale);
+
+const templateNotFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Email template not found'
+});
+
+/**
+ * Subject and bodies of an edited email template
+ */
+const templatePartsValidation = [
+    body('subject').isString().trim().notEmpty().isLength({ max: 255 }),
+    body('html').isString().notEmpty().isLength({ max: 100000 }),
+    body('text').isString().notEmpty().isLength({ max: 100000 })
+];
+
+/**
+ * GET /api/settings/email-templates
+ * Admin - Every email template and which languages have been customized
+ */
+router.get('/email-templates', authenticateToken, isAdmin, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            locales: LOCALES,
+            templates: await listTemplates()
+        });
+    } catch (error) {
+        console.error('Get email templates error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch email templates'
+        });
+    }
+});
+
+/**
+ * GET /api/settings/email-templates/:key/:locale
+ * Admin - One template with its variables and built-in default
+ */
+router.get('/email-templates/:key/:locale', authenticateToken, isAdmin, async (req, res) => {
+    try {
+        if (!isKnownTemplate(req.params)) {
+            return templateNotFound(res);
+        }
+
+        res.json({
+            success: true,
+            template: await getTemplate(req.params.key, req.params.locale)
+        });
+    } catch (error) {
+        console.error('Get email template error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch email template'
+        });
+    }
+});
+
+/**
+ * PUT /api/settings/email-templates/:key/:locale
+ * Admin - Save an edited template
+ */
+router.put('/email-templates/:key/:locale', authenticateToken, isAdmin, templatePartsValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        if (!isKnownTemplate(req.params)) {
+            return templateNotFound(res);
+        }
+
+        const { key, locale } = req.params;
+        const { subject, html, text } = req.body;
+
+        const templateErrors = findTemplateErrors(key, { subject, html, text });
+        if (templateErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: templateErrors.join('; '),
+                errors: templateErrors
+            });
+        }
+
+        await pool.query(
+            `INSERT INTO email_templates (template_key, locale, subject, html_body, text_body, updated_by_user_id)
+             VALUES (?, ?, ?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE subject = VALUES(subject), html_body = VALUES(html_body),
+             text_body = VALUES(text_body), updated_by_user_id = VALUES(updated_by_user_id)`,
+            [key, locale, subject, html, text, req.user.id]
+        );
+
+        res.json({
+            success: true,
+            message: 'Email template saved',
+            template: await getTemplate(key, locale)
+        });
+    } catch (error) {
+        console.error('Update email template error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to save email template'
+        });
+    }
+});
+
+/**
+ * DELETE /api/settings/email-templates/:key/:locale
+ * Admin - Discard edits and go back to the built-in template
+ */
+router.delete('/email-templates/:key/:locale', authenticateToken, isAdmin, async (req, res) => {
+    try {
+        if (!isKnownTemplate(req.params)) {
+            return templateNotFound(res);
+        }
+
+        const { key, locale } = req.params;
+
+        await pool.query(
+            'DELETE FROM email_templates WHERE template_key = ? AND locale = ?',
+            [key, locale]
+        );
+
+        res.json({
+            success: true,
+            message: 'Email template reset to default',
+            template: await getTemplate(key, locale)
+        });
+    } catch (error) {
+        console.error('Reset email template error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reset email template'
+        });
+    }
+});
+
+/**
+ * POST /api/settings/email-templates/:key/:locale/preview
+ * Admin - Render a template with sample data; unsaved edits can be sent in the body
+ */
+router.post('/email-templates/:key/:locale/preview', authenticateToken, isAdmin, [
+    body('subject').optional().isString(),
+    body('html').optional().isString(),
+    body('text').optional().isString()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        if (!isKnownTemplate(req.params)) {
+            return templateNotFound(res);
+        }
+
+        const { key, locale } = req.params;
+        const template = await getTemplate(key, locale);
+        const parts = {
+            subject: req.body.subject ?? template.subject,
+            html: req.body.html ?? template.html,
+            text: req.body.text ?? template.text
+        };
+
+        const templateErrors = findTemplateErrors(key, parts);
+        if (templateErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: templateErrors.join('; '),
+                errors: templateErrors
+            });
+        }
+
+        res.json({
+            success: true,
+            preview: renderParts(parts, template.sample)
+        });
+    } catch (error) {
+        console.error('Preview email template error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to preview email template'
+        });
+    }
+});
+
+module.exports = router;
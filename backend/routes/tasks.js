@@ -0,0 +1,390 @@
+/**
+ * Tasks Routes
+ * Agent follow-up tasks linked to viewings and customers
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const { pool } = require('../config/database');
+const { authenticateToken, isAgentOrAdmin } = require('../middleware/auth');
+const { TASK_SELECT_SQL, formatTask, findTask, createTask } = require('../utils/tasks');
+const { findContact } = require('../utils/contacts');
+
+/**
+ * GET /api/tasks
+ * Admin/Agent - List tasks (agents see their own) with open/overdue counts
+ */
+router.get('/', authenticateToken, isAgentOrAdmin, [
+    query('status').optional().isIn(['open', 'completed']),
+    query('overdue').optional().isBoolean(),
+    query('agentId').optional().isInt({ min: 1 }),
+    query('appointmentId').optional().isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { status, overdue, agentId, appointmentId } = req.query;
+
+        let scopeClause = 'WHERE 1=1';
+        const scopeParams = [];
+
+        if (req.user.role === 'agent') {
+            scopeClause += ' AND t.agent_id = ?';
+            scopeParams.push(req.user.id);
+        } else if (agentId) {
+            scopeClause += ' AND t.agent_id = ?';
+            scopeParams.push(agentId);
+        }
+
+        let whereClause = scopeClause;
+        const params = [...scopeParams];
+
+        if (status) {
+            whereClause += ' AND t.status = ?';
+            params.push(status);
+        }
+
+        if (overdue === 'true') {
+            whereClause += " AND t.status = 'open' AND t.due_date < CURDATE()";
+        }
+
+        if (appointmentId) {
+            whereClause += ' AND t.appointment_id = ?';
+            params.push(appointmentId);
+        }
+
+        // Open tasks by due date first, then the most recently completed
+        const [tasks] = await pool.query(
+            `${TASK_SELECT_SQL}
+             ${whereClause}
+             ORDER BY
+                CASE WHEN t.status = 'open' THEN 1 ELSE 2 END,
+                CASE WHEN t.status = 'open' THEN t.due_date END ASC,
+                t.completed_at DESC,
+                t.id DESC`,
+            params
+        );
+
+        const [counts] = await pool.query(
+            `SELECT
+                SUM(t.status = 'open') as open_count,
+                SUM(t.status = 'open' AND t.due_date < CURDATE()) as overdue_count,
+                SUM(t.status = 'open' AND t.due_date = CURDATE()) as due_today_count,
+                SUM(t.status = 'completed') as completed_count
+             FROM tasks t
+             ${scopeClause}`,
+            scopeParams
+        );
+
+        res.json({
+            success: true,
+            tasks: tasks.map(formatTask),
+            counts: {
+                open: parseInt(counts[0].open_count) || 0,
+                overdue: parseInt(counts[0].overdue_count) || 0,
+                dueToday: parseInt(counts[0].due_today_count) || 0,
+                completed: parseInt(counts[0].completed_count) || 0
+            }
+        });
+    } catch (error) {
+        console.error('Get tasks error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch tasks'
+        });
+    }
+});
+
+/**
+ * POST /api/tasks
+ * Admin/Agent - Create a task by hand
+ * Linked to a viewing when appointmentId is given (customer and property are copied from it);
+ * agents create tasks for themselves, admins pick the agent or default to the viewing's agent
+ */
+router.post('/', authenticateToken, isAgentOrAdmin, [
+    body('title').trim().notEmpty().isLength({ max: 200 }),
+    body('dueDate').isISO8601(),
+    body('notes').optional().trim().isLength({ max: 2000 }),
+    body('appointmentId').optional({ nullable: true }).isInt({ min: 1 }),
+    body('agentId').optional({ nullable: true }).isInt({ min: 1 }),
+    body('customerName').optional().trim().isLength({ max: 200 }),
+    body('customerEmail').optional({ checkFalsy: true }).isEmail().normalizeEmail(),
+    body('customerPhone').optional().trim().isLength({ max: 20 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { title, dueDate, notes, appointmentId } = req.body;
+        let { customerName, customerEmail, customerPhone } = req.body;
+        let agentId = req.user.role === 'agent' ? req.user.id : req.body.agentId;
+        let propertyId = null;
+        let contactId = null;
+
+        if (appointmentId) {
+            let sql = 'SELECT * FROM appointments WHERE id = ?';
+            const params = [appointmentId];
+
+            if (req.user.role === 'agent') {
+                sql += ' AND assigned_agent_id = ?';
+                params.push(req.user.id);
+            }
+
+            const [appointments] = await pool.query(sql, params);
+
+            if (appointments.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Appointment not found'
+                });
+            }
+
+            const appointment = appointments[0];
+            agentId = agentId || appointment.assigned_agent_id;
+            propertyId = appointment.property_id;
+            contactId = appointment.contact_id;
+            customerName = appointment.customer_name;
+            customerEmail = appointment.customer_email;
+            customerPhone = appointment.customer_phone;
+        }
+
+        if (!agentId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please choose the agent for this task'
+            });
+        }
+
+        const [agents] = await pool.query(
+            "SELECT id FROM users WHERE id = ? AND role = 'agent' AND is_active = TRUE",
+            [agentId]
+        );
+
+        if (agents.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Agent not found or inactive'
+            });
+        }
+
+        if (!contactId && (customerEmail || customerPhone)) {
+            const contact = await findContact({ email: customerEmail, phone: customerPhone });
+            contactId = contact ? contact.id : null;
+        }
+
+        const taskId = await createTask({
+            agentId,
+            appointmentId,
+            propertyId,
+            contactId,
+            customerName,
+            customerEmail,
+            customerPhone,
+            title,
+            notes,
+            dueDate: dueDate.slice(0, 10),
+            userId: req.user.id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Task created',
+            task: await findTask(taskId, req.user)
+        });
+    } catch (error) {
+        console.error('Create task error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create task'
+        });
+    }
+});
+
+/**
+ * PUT /api/tasks/:id
+ * Admin/Agent - Edit the title, due date or notes
+ */
+router.put('/:id', authenticateToken, isAgentOrAdmin, [
+    body('title').trim().notEmpty().isLength({ max: 200 }),
+    body('dueDate').isISO8601(),
+    body('notes').optional().trim().isLength({ max: 2000 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const task = await findTask(req.params.id, req.user);
+
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                message: 'Task not found'
+            });
+        }
+
+        const { title, dueDate, notes } = req.body;
+
+        await pool.query(
+            'UPDATE tasks SET title = ?, due_date = ?, notes = ? WHERE id = ?',
+            [title, dueDate.slice(0, 10), notes || null, task.id]
+        );
+
+        res.json({
+            success: true,
+            message: 'Task updated',
+            task: await findTask(task.id, req.user)
+        });
+    } catch (error) {
+        console.error('Update task error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update task'
+        });
+    }
+});
+
+/**
+ * PUT /api/tasks/:id/complete
+ * Admin/Agent - Mark a task as done with optional notes
+ */
+router.put('/:id/complete', authenticateToken, isAgentOrAdmin, [
+    body('completionNotes').optional().trim().isLength({ max: 2000 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const task = await findTask(req.params.id, req.user);
+
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                message: 'Task not found'
+            });
+        }
+
+        const [result] = await pool.query(
+            `UPDATE tasks SET status = 'completed', completed_at = NOW(), completion_notes = ?
+             WHERE id = ? AND status = 'open'`,
+            [req.body.completionNotes || null, task.id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Task is already completed'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Task completed',
+            task: await findTask(task.id, req.user)
+        });
+    } catch (error) {
+        console.error('Complete task error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to complete task'
+        });
+    }
+});
+
+/**
+ * PUT /api/tasks/:id/reopen
+ * Admin/Agent - Undo a completion
+ */
+router.put('/:id/reopen', authenticateToken, isAgentOrAdmin, async (req, res) => {
+    try {
+        const task = await findTask(req.params.id, req.user);
+
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                message: 'Task not found'
+            });
+        }
+
+        await pool.query(
+            "UPDATE tasks SET status = 'open', completed_at = NULL, completion_notes = NULL WHERE id = ?",
+            [task.id]
+        );
+
+        res.json({
+            success: true,
+            message: 'Task reopened',
+            task: await findTask(task.id, req.user)
+        });
+    } catch (error) {
+        console.error('Reopen task error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reopen task'
+        });
+    }
+});
+
+/**
+ * DELETE /api/tasks/:id
+ * Admin/Agent - Delete a task created by hand (follow-ups from outcomes are completed instead)
+ */
+router.delete('/:id', authenticateToken, isAgentOrAdmin, async (req, res) => {
+    try {
+        const task = await findTask(req.params.id, req.user);
+
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                message: 'Task not found'
+            });
+        }
+
+        if (task.source !== 'manual') {
+            return res.status(400).json({
+                success: false,
+                message: 'Follow-ups from viewing outcomes cannot be deleted; complete them instead'
+            });
+        }
+
+        await pool.query('DELETE FROM tasks WHERE id = ?', [task.id]);
+
+        res.json({
+            success: true,
+            message: 'Task deleted'
+        });
+    } catch (error) {
+        console.error('Delete task error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete task'
+        });
+    }
+});
+
+module.exports = router;
@@ -9,6 +9,7 @@ const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
 const { pool } = require('../config/database');
 const { authenticateToken, isAdmin } = require('../middleware/auth');
+const { recordRateChange } = require('../utils/commissions');
 
 /**
  * GET /api/users
@@ -22,19 +23,22 @@ router.get('/', authenticateToken, isAdmin, async (req, res) => {
         const params = [];
 
         if (role) {
-            whereClause += ' AND role = ?';
+            whereClause += ' AND u.role = ?';
             params.push(role);
         }
 
         if (active !== undefined) {
-            whereClause += ' AND is_active = ?';
+            whereClause += ' AND u.is_active = ?';
             params.push(active === 'true');
         }
 
         const [users] = await pool.query(
-            `SELECT id, email, first_name, last_name, phone, role, commission_rate, is_active, created_at
-             FROM users ${whereClause}
-             ORDER BY role, first_name`,
+            `SELECT u.id, u.email, u.first_name, u.last_name, u.phone, u.role, u.commission_rate,
+                    u.commission_plan_id, cp.name as commission_plan_name, u.is_active, u.created_at
+             FROM users u
+             LEFT JOIN commission_plans cp ON cp.id = u.commission_plan_id
+             ${whereClause}
+             ORDER BY u.role, u.first_name`,
             params
         );
 
@@ -48,6 +52,8 @@ router.get('/', authenticateToken, isAdmin, async (req, res) => {
                 phone: u.phone,
                 role: u.role,
                 commissionRate: parseFloat(u.commission_rate),
+                commissionPlanId: u.commission_plan_id,
+                commissionPlanName: u.commission_plan_name,
                 isActive: u.is_active,
                 createdAt: u.created_at
             }))
@@ -113,8 +119,11 @@ router.get('/:id', authenticateToken, isAdmin, async (req, res) => {
         const { id } = req.params;
 
         const [users] = await pool.query(
-            `SELECT id, email, first_name, last_name, phone, role, commission_rate, is_active, created_at
-             FROM users WHERE id = ?`,
+            `SELECT u.id, u.email, u.first_name, u.last_name, u.phone, u.role, u.commission_rate,
+                    u.commission_plan_id, cp.name as commission_plan_name, u.is_active, u.created_at
+             FROM users u
+             LEFT JOIN commission_plans cp ON cp.id = u.commission_plan_id
+             WHERE u.id = ?`,
             [id]
         );
 
@@ -132,12 +141,13 @@ router.get('/:id', authenticateToken, isAdmin, async (req, res) => {
         if (user.role === 'agent') {
             const [salesStats] = await pool.query(
                 `SELECT 
-                    COUNT(*) as total_sales,
-                    COALESCE(SUM(sale_price), 0) as total_value,
-                    COALESCE(SUM(sale_price * ?), 0) as total_commission
-                 FROM properties 
-                 WHERE sold_by_agent_id = ? AND status = 'sold'`,
-                [user.commission_rate, id]
+                    COUNT(DISTINCT CASE WHEN s.role = 'selling' THEN p.id END) as total_sales,
+                    COALESCE(SUM(CASE WHEN s.role = 'selling' THEN p.sale_price ELSE 0 END), 0) as total_value,
+                    COALESCE(SUM(s.amount), 0) as total_commission
+                 FROM sale_commission_splits s
+                 JOIN properties p ON p.id = s.property_id
+                 WHERE s.agent_id = ? AND p.status = 'sold'`,
+                [id]
             );
 
             const [appointmentStats] = await pool.query(
@@ -169,6 +179,8 @@ router.get('/:id', authenticateToken, isAdmin, async (req, res) => {
                 phone: user.phone,
                 role: user.role,
                 commissionRate: parseFloat(user.commission_rate),
+                commissionPlanId: user.commission_plan_id,
+                commissionPlanName: user.commission_plan_name,
                 isActive: user.is_active,
                 createdAt: user.created_at,
                 stats
@@ -194,6 +206,8 @@ router.put('/:id', authenticateToken, isAdmin, [
     body('phone').optional().trim(),
     body('role').optional().isIn(['agent', 'admin']),
     body('commissionRate').optional().isFloat({ min: 0, max: 1 }),
+    body('commissionRateEffectiveFrom').optional().isISO8601(),
+    body('commissionPlanId').optional({ nullable: true }).isInt({ min: 1 }),
     body('isActive').optional().isBoolean()
 ], async (req, res) => {
     try {
@@ -207,7 +221,7 @@ router.put('/:id', authenticateToken, isAdmin, [
         }
 
         const { id } = req.params;
-        const { firstName, lastName, email, phone, role, commissionRate, isActive } = req.body;
+        const { firstName, lastName, email, phone, role, commissionRate, commissionRateEffectiveFrom, isActive } = req.body;
 
         // Verify user exists
         const [existing] = await pool.query('SELECT id FROM users WHERE id = ?', [id]);
@@ -218,6 +232,20 @@ router.put('/:id', authenticateToken, isAdmin, [
             });
         }
 
+        // Plan must exist and be active to be assigned (null removes the plan)
+        if (req.body.commissionPlanId) {
+            const [plans] = await pool.query(
+                'SELECT id FROM commission_plans WHERE id = ? AND is_active = TRUE',
+                [req.body.commissionPlanId]
+            );
+            if (plans.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Commission plan not found or inactive'
+                });
+            }
+        }
+
         // Check email uniqueness if changing email
         if (email) {
             const [emailCheck] = await pool.query(
@@ -241,7 +269,7 @@ router.put('/:id', authenticateToken, isAdmin, [
             email: 'email',
             phone: 'phone',
             role: 'role',
-            commissionRate: 'commission_rate',
+            commissionPlanId: 'commission_plan_id',
             isActive: 'is_active'
         };
 
@@ -252,18 +280,25 @@ router.put('/:id', authenticateToken, isAdmin, [
             }
         }
 
-        if (updates.length === 0) {
+        if (updates.length === 0 && commissionRate === undefined) {
             return res.status(400).json({
                 success: false,
                 message: 'No fields to update'
             });
         }
 
-        values.push(id);
-        await pool.query(
-            `UPDATE users SET ${updates.join(', ')} WHERE id = ?`,
-            values
-        );
+        if (updates.length > 0) {
+            values.push(id);
+            await pool.query(
+                `UPDATE users SET ${updates.join(', ')} WHERE id = ?`,
+                values
+            );
+        }
+
+        // Rate changes are dated so past sales keep the rate they were made at
+        if (commissionRate !== undefined) {
+            await recordRateChange(id, commissionRate, commissionRateEffectiveFrom, req.user.id);
+        }
 
         res.json({
             success: true,
@@ -278,6 +313,42 @@ router.put('/:id', authenticateToken, isAdmin, [
     }
 });
 
+/**
+ * GET /api/users/:id/commission-rates
+ * Admin - Get an agent's dated commission rate history
+ */
+router.get('/:id/commission-rates', authenticateToken, isAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const [history] = await pool.query(
+            `SELECT h.*, CONCAT(u.first_name, ' ', u.last_name) as changed_by_name
+             FROM commission_rate_history h
+             LEFT JOIN users u ON u.id = h.changed_by_user_id
+             WHERE h.agent_id = ?
+             ORDER BY h.effective_from DESC, h.id DESC`,
+            [id]
+        );
+
+        res.json({
+            success: true,
+            history: history.map(h => ({
+                id: h.id,
+                commissionRate: parseFloat(h.commission_rate),
+                effectiveFrom: h.effective_from,
+                changedByName: h.changed_by_name,
+                createdAt: h.created_at
+            }))
+        });
+    } catch (error) {
+        console.error('Get commission rate history error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch commission rate history'
+        });
+    }
+});
+
 /**
  * PUT /api/users/:id/password
  * Admin - Reset user password
@@ -386,6 +457,7 @@ router.get('/reports/performance', authenticateToken, isAdmin, async (req, res)
             params.push(startDate, endDate);
         }
 
+        // Commission comes from the split lines recorded at sale time
         const [performance] = await pool.query(
             `SELECT 
                 u.id,
@@ -393,13 +465,15 @@ router.get('/reports/performance', authenticateToken, isAdmin, async (req, res)
                 u.last_name,
                 u.email,
                 u.commission_rate,
-                COUNT(DISTINCT p.id) as properties_sold,
-                COALESCE(SUM(p.sale_price), 0) as total_sales,
-                COALESCE(SUM(p.sale_price * u.commission_rate), 0) as total_commission,
+                COUNT(DISTINCT CASE WHEN s.role = 'selling' THEN p.id END) as properties_sold,
+                COALESCE(SUM(CASE WHEN s.role = 'selling' THEN p.sale_price ELSE 0 END), 0) as total_sales,
+                COALESCE(SUM(s.amount), 0) as total_commission,
                 (SELECT COUNT(*) FROM appointments WHERE assigned_agent_id = u.id) as total_appointments,
                 (SELECT COUNT(*) FROM appointments WHERE assigned_agent_id = u.id AND status = 'completed') as completed_appointments
              FROM users u
-             LEFT JOIN properties p ON p.sold_by_agent_id = u.id AND p.status = 'sold' ${dateFilter}
+             LEFT JOIN (sale_commission_splits s
+                        JOIN properties p ON p.id = s.property_id AND p.status = 'sold' ${dateFilter})
+                    ON s.agent_id = u.id
              WHERE u.role = 'agent' AND u.is_active = TRUE
              GROUP BY u.id, u.first_name, u.last_name, u.email, u.commission_rate
              ORDER BY total_sales DESC`,
@@ -10,12 +10,24 @@ const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
 const { testConnection } = require('./config/database');
+const { startReservationExpiryJob } = require('./jobs/reservationExpiry');
+const { startSlaEscalationJob } = require('./jobs/slaEscalation');
+const { startViewingRemindersJob } = require('./jobs/viewingReminders');
+const { startEmailOutboxJob } = require('./jobs/emailOutbox');
+const { startCommissionRateJob } = require('./jobs/commissionRates');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const propertiesRoutes = require('./routes/properties');
 const appointmentsRoutes = require('./routes/appointments');
 const usersRoutes = require('./routes/users');
+const offersRoutes = require('./routes/offers');
+const commissionsRoutes = require('./routes/commissions');
+const availabilityRoutes = require('./routes/availability');
+const settingsRoutes = require('./routes/settings');
+const emailsRoutes = require('./routes/emails');
+const tasksRoutes = require('./routes/tasks');
+const contactsRoutes = require('./routes/contacts');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -69,14 +81,21 @@ app.get('/api/health', (req, res) => {
     });
 });
 
+// Apply form limiter to appointment creation (must run before the router handles the request)
+app.post('/api/appointments', formLimiter);
+
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/properties', propertiesRoutes);
 app.use('/api/appointments', appointmentsRoutes);
 app.use('/api/users', usersRoutes);
-
-// Apply form limiter to appointment creation
-app.use('/api/appointments', formLimiter);
+app.use('/api/offers', offersRoutes);
+app.use('/api/commissions', commissionsRoutes);
+app.use('/api/availability', availabilityRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/emails', emailsRoutes);
+app.use('/api/tasks', tasksRoutes);
+app.use('/api/contacts', contactsRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -117,6 +136,13 @@ const startServer = async () => {
     if (!dbConnected) {
         console.warn('⚠️  Starting server without database connection');
         console.warn('   Make sure MySQL is running and configured correctly');
+    } else {
+        // Background jobs
+        startReservationExpiryJob();
+        startSlaEscalationJob();
+        startViewingRemindersJob();
+        startEmailOutboxJob();
+        startCommissionRateJob();
     }
 
     app.listen(PORT, () => {
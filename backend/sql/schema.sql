@@ -2,10 +2,51 @@
 -- Compatible with MySQL 5.7+
 
 -- Drop tables if they exist (for clean reinstall)
+DROP VIEW IF EXISTS agent_commissions;
+DROP VIEW IF EXISTS monthly_sales_report;
+DROP TABLE IF EXISTS contact_notes;
+DROP TABLE IF EXISTS tasks;
+DROP TABLE IF EXISTS email_templates;
+DROP TABLE IF EXISTS email_outbox;
+DROP TABLE IF EXISTS appointment_reminders;
+DROP TABLE IF EXISTS sla_breaches;
+DROP TABLE IF EXISTS sla_settings;
+DROP TABLE IF EXISTS lead_scoring_settings;
+DROP TABLE IF EXISTS appointment_assignments;
+DROP TABLE IF EXISTS agent_territories;
+DROP TABLE IF EXISTS assignment_strategies;
+DROP TABLE IF EXISTS holidays;
+DROP TABLE IF EXISTS agent_time_off;
+DROP TABLE IF EXISTS agent_availability;
+DROP TABLE IF EXISTS property_agents;
+DROP TABLE IF EXISTS property_price_history;
+DROP TABLE IF EXISTS voided_sales;
+DROP TABLE IF EXISTS commission_payouts;
+DROP TABLE IF EXISTS commission_plan_bonuses;
+DROP TABLE IF EXISTS commission_plan_overrides;
+DROP TABLE IF EXISTS commission_plan_tiers;
+DROP TABLE IF EXISTS commission_rate_history;
+DROP TABLE IF EXISTS sale_commission_splits;
+DROP TABLE IF EXISTS commission_split_rules;
+DROP TABLE IF EXISTS offer_events;
+DROP TABLE IF EXISTS offers;
+DROP TABLE IF EXISTS property_reservations;
 DROP TABLE IF EXISTS property_photos;
 DROP TABLE IF EXISTS appointments;
+DROP TABLE IF EXISTS contacts;
 DROP TABLE IF EXISTS properties;
 DROP TABLE IF EXISTS users;
+DROP TABLE IF EXISTS commission_plans;
+
+-- Commission Plans table (tiered plans assignable to agents; agents without a plan use their flat rate)
+CREATE TABLE commission_plans (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    description TEXT,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
 
 -- Users table (agents and admins only - customers don't have accounts)
 CREATE TABLE users (
@@ -17,9 +58,12 @@ CREATE TABLE users (
     phone VARCHAR(20),
     role ENUM('agent', 'admin') NOT NULL DEFAULT 'agent',
     commission_rate DECIMAL(5, 4) NOT NULL DEFAULT 0.0300,
+    commission_plan_id INT,
+    calendar_feed_token VARCHAR(64) UNIQUE, -- private webcal feed of the agent's viewings
     is_active BOOLEAN DEFAULT TRUE,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (commission_plan_id) REFERENCES commission_plans(id) ON DELETE SET NULL,
     INDEX idx_email (email),
     INDEX idx_role (role)
 );
@@ -46,13 +90,24 @@ CREATE TABLE properties (
     sold_by_agent_id INT,
     sold_date DATE,
     sale_price DECIMAL(15, 2),
+    sale_commission_rate DECIMAL(5, 4),
+    sale_commission_tier VARCHAR(255),
+    sale_commission_bonus DECIMAL(15, 2),
     buyer_name VARCHAR(200),
     is_featured BOOLEAN DEFAULT FALSE,
+    listing_status ENUM('draft', 'in_review', 'returned', 'published') NOT NULL DEFAULT 'draft',
+    publish_at DATETIME,
+    submitted_at TIMESTAMP NULL,
+    review_comments TEXT,
+    reviewed_by_user_id INT,
+    reviewed_at TIMESTAMP NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (listed_by_agent_id) REFERENCES users(id) ON DELETE SET NULL,
     FOREIGN KEY (sold_by_agent_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (reviewed_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
     INDEX idx_status (status),
+    INDEX idx_listing_status (listing_status),
     INDEX idx_city (city),
     INDEX idx_property_type (property_type),
     INDEX idx_price (price),
@@ -72,17 +127,209 @@ CREATE TABLE property_photos (
     INDEX idx_property_id (property_id)
 );
 
+-- Commission Rate History table (dated rate changes per agent)
+-- The rate in effect on a sale's date is snapshotted onto the sale at mark-sold time.
+CREATE TABLE commission_rate_history (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    agent_id INT NOT NULL,
+    commission_rate DECIMAL(5, 4) NOT NULL,
+    effective_from DATE NOT NULL,
+    changed_by_user_id INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (agent_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (changed_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_agent_effective (agent_id, effective_from)
+);
+
+-- Commission Plan Tiers table (marginal rates by cumulative sales in the calendar year)
+CREATE TABLE commission_plan_tiers (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    plan_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    min_annual_sales DECIMAL(15, 2) NOT NULL DEFAULT 0.00,
+    rate DECIMAL(5, 4) NOT NULL,
+    FOREIGN KEY (plan_id) REFERENCES commission_plans(id) ON DELETE CASCADE,
+    INDEX idx_plan_id (plan_id)
+);
+
+-- Commission Plan Overrides table (flat rate for a property type, replaces the tiers)
+CREATE TABLE commission_plan_overrides (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    plan_id INT NOT NULL,
+    property_type ENUM('house', 'condo', 'townhouse', 'lot', 'commercial') NOT NULL,
+    rate DECIMAL(5, 4) NOT NULL,
+    FOREIGN KEY (plan_id) REFERENCES commission_plans(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_plan_type (plan_id, property_type)
+);
+
+-- Commission Plan Bonuses table (fixed bonus paid on the sale that reaches an annual quota)
+CREATE TABLE commission_plan_bonuses (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    plan_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    quota_amount DECIMAL(15, 2) NOT NULL,
+    bonus_amount DECIMAL(15, 2) NOT NULL,
+    FOREIGN KEY (plan_id) REFERENCES commission_plans(id) ON DELETE CASCADE,
+    INDEX idx_plan_id (plan_id)
+);
+
+-- Commission Payouts table (payments made against an agent's earned commission)
+CREATE TABLE commission_payouts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    agent_id INT NOT NULL,
+    payout_date DATE NOT NULL,
+    amount DECIMAL(15, 2) NOT NULL,
+    withholding_tax DECIMAL(15, 2) NOT NULL DEFAULT 0.00,
+    reference VARCHAR(100),
+    notes TEXT,
+    recorded_by_user_id INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (agent_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (recorded_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_agent_id (agent_id),
+    INDEX idx_payout_date (payout_date)
+);
+
+-- Property Agents table (co-listing agents who may edit a listing besides its owner)
+CREATE TABLE property_agents (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    property_id INT NOT NULL,
+    agent_id INT NOT NULL,
+    granted_by_user_id INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE,
+    FOREIGN KEY (agent_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (granted_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE KEY unique_property_agent (property_id, agent_id)
+);
+
+-- Property Price History table (every asking price change)
+CREATE TABLE property_price_history (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    property_id INT NOT NULL,
+    old_price DECIMAL(15, 2) NOT NULL,
+    new_price DECIMAL(15, 2) NOT NULL,
+    changed_by_user_id INT,
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE,
+    FOREIGN KEY (changed_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_property_id (property_id)
+);
+
+-- Voided Sales table (audit copy of sales that were reversed)
+CREATE TABLE voided_sales (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    property_id INT NOT NULL,
+    sold_by_agent_id INT,
+    sold_date DATE,
+    sale_price DECIMAL(15, 2),
+    sale_commission_rate DECIMAL(5, 4),
+    sale_commission_tier VARCHAR(255),
+    sale_commission_bonus DECIMAL(15, 2),
+    buyer_name VARCHAR(200),
+    commission_splits TEXT,
+    reason TEXT NOT NULL,
+    restored_status ENUM('available', 'reserved') NOT NULL,
+    voided_by_user_id INT,
+    voided_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE,
+    FOREIGN KEY (sold_by_agent_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (voided_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_property_id (property_id)
+);
+
+-- Commission Split Rules table
+-- A row with NULL property_id is the global default; other rows override it per property.
+-- Shares are fractions of the gross commission and must add up to 1.
+CREATE TABLE commission_split_rules (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    property_id INT UNIQUE,
+    listing_share DECIMAL(5, 4) NOT NULL DEFAULT 0.0000,
+    selling_share DECIMAL(5, 4) NOT NULL DEFAULT 1.0000,
+    house_share DECIMAL(5, 4) NOT NULL DEFAULT 0.0000,
+    updated_by_user_id INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE,
+    FOREIGN KEY (updated_by_user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Global default split (everything to the selling agent until configured)
+INSERT INTO commission_split_rules (property_id, listing_share, selling_share, house_share)
+VALUES (NULL, 0.0000, 1.0000, 0.0000);
+
+-- Sale Commission Splits table (per-sale commission lines, recorded at mark-sold time)
+CREATE TABLE sale_commission_splits (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    property_id INT NOT NULL,
+    agent_id INT,
+    role ENUM('listing', 'selling', 'house', 'bonus') NOT NULL,
+    share DECIMAL(5, 4) NOT NULL,
+    gross_rate DECIMAL(5, 4) NOT NULL,
+    amount DECIMAL(15, 2) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE,
+    FOREIGN KEY (agent_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_property_id (property_id),
+    INDEX idx_agent_id (agent_id)
+);
+
+-- Property Reservations table (deposit holds on the 'reserved' status)
+CREATE TABLE property_reservations (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    property_id INT NOT NULL,
+    buyer_name VARCHAR(200) NOT NULL,
+    buyer_email VARCHAR(255),
+    buyer_phone VARCHAR(20),
+    deposit_amount DECIMAL(15, 2) NOT NULL,
+    reference_number VARCHAR(100) NOT NULL UNIQUE,
+    expiry_date DATE NOT NULL,
+    status ENUM('active', 'converted', 'expired', 'cancelled') NOT NULL DEFAULT 'active',
+    notes TEXT,
+    reserved_by_agent_id INT,
+    closed_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE,
+    FOREIGN KEY (reserved_by_agent_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_property_id (property_id),
+    INDEX idx_status_expiry (status, expiry_date)
+);
+
+-- Contacts table (one row per customer, matched on every viewing request by email or phone)
+CREATE TABLE contacts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(200) NOT NULL,
+    email VARCHAR(255), -- trimmed and lowercased
+    phone VARCHAR(20),
+    phone_normalized VARCHAR(20), -- digits only, local numbers as 63XXXXXXXXXX
+    last_activity_at DATETIME NULL, -- latest viewing request
+    no_show_count INT NOT NULL DEFAULT 0, -- viewings completed with the 'no_show' outcome
+    reliability ENUM('normal', 'confirm_phone', 'blocked') NOT NULL DEFAULT 'normal', -- set by admins
+    reliability_notes TEXT,
+    reliability_updated_by_user_id INT,
+    reliability_updated_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (reliability_updated_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE KEY unique_email (email),
+    INDEX idx_phone_normalized (phone_normalized),
+    INDEX idx_last_activity (last_activity_at)
+);
+
 -- Appointments table (customer viewing requests)
 CREATE TABLE appointments (
     id INT AUTO_INCREMENT PRIMARY KEY,
     property_id INT NOT NULL,
+    contact_id INT,
     
-    -- Customer information (no account required)
+    -- Customer information (no account required; kept as entered on this request)
     customer_name VARCHAR(200) NOT NULL,
     customer_email VARCHAR(255) NOT NULL,
     customer_phone VARCHAR(20) NOT NULL,
     customer_intent ENUM('buy', 'rent', 'invest', 'inquire') NOT NULL DEFAULT 'inquire',
     customer_message TEXT,
+    customer_locale ENUM('en', 'fil') NOT NULL DEFAULT 'en', -- language of the customer's emails
     
     -- Priority queue (auto-assigned)
     priority_number INT,
@@ -90,37 +337,318 @@ CREATE TABLE appointments (
     -- Assignment and scheduling
     assigned_agent_id INT,
     assigned_at TIMESTAMP NULL,
+    assignment_rule ENUM('manual', 'listing_agent', 'territory', 'least_loaded', 'round_robin', 'sla_escalation') NULL,
     
     -- Schedule (agent fills after calling customer)
     scheduled_date DATE,
     scheduled_time TIME,
+    scheduled_at TIMESTAMP NULL, -- when the viewing was first scheduled (SLA response time)
+    duration_minutes INT NOT NULL DEFAULT 60,
+    travel_buffer_minutes INT NOT NULL DEFAULT 0, -- agent travel time blocked before the viewing
+    calendar_sequence INT NOT NULL DEFAULT 0, -- iCalendar SEQUENCE, bumped on every change to the invite
     
     -- Status tracking
-    status ENUM('pending', 'assigned', 'scheduled', 'completed', 'cancelled') NOT NULL DEFAULT 'pending',
+    -- quarantined: held by the spam checks for admin review; spam: rejected by an admin
+    status ENUM('quarantined', 'pending', 'assigned', 'scheduled', 'completed', 'cancelled', 'spam') NOT NULL DEFAULT 'pending',
     outcome ENUM('interested', 'offer_made', 'not_interested', 'no_show', 'needs_followup') NULL,
     outcome_notes TEXT,
     agent_notes TEXT,
     admin_notes TEXT,
     completed_at DATETIME NULL,
+    sla_flagged_at DATETIME NULL, -- first time the request missed a response time target
+    phone_confirmed_at DATETIME NULL, -- agent confirmed the request by phone (required for 'confirm_phone' contacts)
+    phone_confirmed_by_user_id INT,
+    
+    -- Lead score (0-100, recalculated when the weights change or the customer misses a viewing)
+    lead_score TINYINT UNSIGNED NULL,
+    lead_score_factors JSON NULL, -- the parts behind the score, for display
     
     -- Spam prevention
     recaptcha_score DECIMAL(3, 2),
     ip_address VARCHAR(45),
+    form_fill_seconds INT, -- time between showing the form and submitting it
+    spam_reasons JSON NULL, -- why the request was quarantined (see utils/spamProtection.js)
+    reviewed_by_user_id INT, -- admin who released or rejected a quarantined request
+    reviewed_at DATETIME NULL,
     
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     
     FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE,
+    FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE SET NULL,
     FOREIGN KEY (assigned_agent_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (phone_confirmed_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (reviewed_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
     INDEX idx_status (status),
+    INDEX idx_contact_id (contact_id),
     INDEX idx_assigned_agent (assigned_agent_id),
     INDEX idx_property_id (property_id),
     INDEX idx_priority (priority_number),
-    INDEX idx_scheduled (scheduled_date, scheduled_time),
-    -- UNIQUE constraint to prevent double-booking
-    -- Note: MySQL allows multiple NULL values in unique constraints, so pending 
-    -- appointments (with NULL scheduled_date/time) won't conflict with each other
-    UNIQUE KEY unique_property_schedule (property_id, scheduled_date, scheduled_time)
+    INDEX idx_lead_score (lead_score),
+    INDEX idx_ip_created (ip_address, created_at), -- per-IP throttle
+    INDEX idx_email_created (customer_email, created_at), -- per-email throttle
+    -- Double-booking is prevented by overlap checks run under a per-property/per-agent
+    -- GET_LOCK when scheduling (withBookingLock in utils/availability.js)
+    INDEX idx_scheduled (scheduled_date, scheduled_time)
+);
+
+-- Agent Availability table (weekly working hours; agents without rows use the office default)
+CREATE TABLE agent_availability (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    agent_id INT NOT NULL,
+    weekday TINYINT NOT NULL, -- 0 = Sunday ... 6 = Saturday
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    FOREIGN KEY (agent_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_agent_weekday (agent_id, weekday)
+);
+
+-- Agent Time Off table (leave and other blocks when an agent cannot take viewings)
+CREATE TABLE agent_time_off (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    agent_id INT NOT NULL,
+    start_at DATETIME NOT NULL,
+    end_at DATETIME NOT NULL,
+    reason VARCHAR(255),
+    created_by_user_id INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (agent_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_agent_period (agent_id, start_at, end_at)
+);
+
+-- Holidays table (office-wide days with no viewings)
+CREATE TABLE holidays (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    holiday_date DATE NOT NULL UNIQUE,
+    name VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Assignment Strategies table (auto-assignment rules for new viewing requests, tried in priority order)
+CREATE TABLE assignment_strategies (
+    strategy ENUM('listing_agent', 'territory', 'least_loaded', 'round_robin') PRIMARY KEY,
+    is_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+    priority INT NOT NULL,
+    updated_by_user_id INT,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (updated_by_user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- All strategies start disabled (requests wait for manual assignment until configured)
+INSERT INTO assignment_strategies (strategy, is_enabled, priority) VALUES
+('listing_agent', FALSE, 1),
+('territory', FALSE, 2),
+('least_loaded', FALSE, 3),
+('round_robin', FALSE, 4);
+
+-- Agent Territories table (cities an agent covers, used by the territory strategy)
+CREATE TABLE agent_territories (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    agent_id INT NOT NULL,
+    city VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (agent_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_agent_city (agent_id, city),
+    INDEX idx_city (city)
+);
+
+-- Appointment Assignments table (audit trail of every assignment and the rule that picked the agent)
+CREATE TABLE appointment_assignments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    appointment_id INT NOT NULL,
+    agent_id INT,
+    previous_agent_id INT,
+    rule ENUM('manual', 'listing_agent', 'territory', 'least_loaded', 'round_robin', 'sla_escalation') NOT NULL,
+    assigned_by_user_id INT, -- NULL for automatic assignments
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE CASCADE,
+    FOREIGN KEY (agent_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (previous_agent_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (assigned_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_appointment_id (appointment_id),
+    INDEX idx_agent_created (agent_id, created_at)
+);
+
+-- SLA Settings table (single row: response time targets for viewing requests)
+CREATE TABLE sla_settings (
+    id INT PRIMARY KEY,
+    is_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    pending_hours INT NOT NULL DEFAULT 4, -- time allowed to assign an agent
+    assigned_hours INT NOT NULL DEFAULT 24, -- time allowed for the agent to schedule the viewing
+    reassign_overdue BOOLEAN NOT NULL DEFAULT FALSE, -- hand overdue requests to another agent
+    updated_by_user_id INT,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (updated_by_user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+INSERT INTO sla_settings (id) VALUES (1);
+
+-- Lead Scoring Settings table (single row: weights for the request lead score, see utils/leadScoring.js)
+CREATE TABLE lead_scoring_settings (
+    id INT PRIMARY KEY,
+    intent_weight INT NOT NULL DEFAULT 30, -- buy/invest over rent over inquire
+    message_weight INT NOT NULL DEFAULT 20, -- length and specifics of the customer's message
+    repeat_weight INT NOT NULL DEFAULT 20, -- earlier requests from the same contact
+    price_weight INT NOT NULL DEFAULT 30, -- asking price band of the property
+    no_show_penalty INT NOT NULL DEFAULT 40, -- points taken off for past no-shows
+    updated_by_user_id INT,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (updated_by_user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+INSERT INTO lead_scoring_settings (id) VALUES (1);
+
+-- SLA Breaches table (each missed response time; agent_id is the agent who held an 'assigned' request)
+CREATE TABLE sla_breaches (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    appointment_id INT NOT NULL,
+    stage ENUM('pending', 'assigned') NOT NULL,
+    agent_id INT,
+    threshold_hours INT NOT NULL,
+    action ENUM('flagged', 'reassigned') NOT NULL DEFAULT 'flagged',
+    reassigned_to_agent_id INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE CASCADE,
+    FOREIGN KEY (agent_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (reassigned_to_agent_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_appointment_id (appointment_id),
+    INDEX idx_agent_created (agent_id, created_at)
+);
+
+-- Appointment Reminders table (reminder emails already sent, one row per viewing start time)
+CREATE TABLE appointment_reminders (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    appointment_id INT NOT NULL,
+    recipient ENUM('customer', 'agent') NOT NULL,
+    hours_before INT NOT NULL,
+    starts_at DATETIME NOT NULL, -- viewing start the reminder was for; rescheduling gets new reminders
+    sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_reminder (appointment_id, recipient, hours_before, starts_at)
+);
+
+-- Email Outbox table (every notification email; delivered by the outbox worker with retries)
+CREATE TABLE email_outbox (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    to_address VARCHAR(255) NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    html MEDIUMTEXT NOT NULL,
+    text_body MEDIUMTEXT, -- plain-text alternative
+    options JSON, -- extra nodemailer fields, e.g. icalEvent
+    status ENUM('pending', 'sending', 'sent', 'failed') NOT NULL DEFAULT 'pending',
+    attempts INT NOT NULL DEFAULT 0,
+    max_attempts INT NOT NULL DEFAULT 5,
+    next_attempt_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    locked_at DATETIME NULL,
+    last_error TEXT,
+    delivery_ref VARCHAR(500), -- SMTP message id, or file path for the file transport
+    sent_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_status_next (status, next_attempt_at),
+    INDEX idx_created (created_at)
+);
+
+-- Email Templates table (admin edits; templates without a row use the built-in defaults)
+CREATE TABLE email_templates (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    template_key VARCHAR(50) NOT NULL,
+    locale ENUM('en', 'fil') NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    html_body MEDIUMTEXT NOT NULL,
+    text_body MEDIUMTEXT NOT NULL,
+    updated_by_user_id INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (updated_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE KEY unique_template_locale (template_key, locale)
+);
+
+-- Tasks table (agent follow-ups; created from viewing outcomes or by hand)
+CREATE TABLE tasks (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    agent_id INT NOT NULL,
+    appointment_id INT,
+    property_id INT,
+    contact_id INT,
+    customer_name VARCHAR(200),
+    customer_email VARCHAR(255),
+    customer_phone VARCHAR(20),
+    title VARCHAR(200) NOT NULL,
+    notes TEXT,
+    due_date DATE NOT NULL,
+    source ENUM('interested', 'needs_followup', 'manual') NOT NULL DEFAULT 'manual', -- outcome that created it
+    status ENUM('open', 'completed') NOT NULL DEFAULT 'open',
+    completed_at DATETIME NULL,
+    completion_notes TEXT,
+    created_by_user_id INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (agent_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE SET NULL,
+    FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE SET NULL,
+    FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE SET NULL,
+    FOREIGN KEY (created_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_agent_status_due (agent_id, status, due_date),
+    INDEX idx_appointment (appointment_id),
+    INDEX idx_contact (contact_id)
+);
+
+-- Contact Notes table (notes agents and admins keep on a customer)
+CREATE TABLE contact_notes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    contact_id INT NOT NULL,
+    user_id INT,
+    note TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_contact_created (contact_id, created_at)
+);
+
+-- Offers table (buyer offers made on a property, usually after a viewing)
+CREATE TABLE offers (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    property_id INT NOT NULL,
+    appointment_id INT,
+    contact_id INT,
+    buyer_name VARCHAR(200) NOT NULL,
+    buyer_email VARCHAR(255),
+    buyer_phone VARCHAR(20),
+    initial_amount DECIMAL(15, 2) NOT NULL,
+    current_amount DECIMAL(15, 2) NOT NULL,
+    current_terms TEXT,
+    status ENUM('pending', 'countered', 'accepted', 'rejected', 'withdrawn') NOT NULL DEFAULT 'pending',
+    agent_id INT,
+    closed_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE,
+    FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE SET NULL,
+    FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE SET NULL,
+    FOREIGN KEY (agent_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_property_id (property_id),
+    INDEX idx_appointment_id (appointment_id),
+    INDEX idx_contact_id (contact_id),
+    INDEX idx_agent_id (agent_id),
+    INDEX idx_status (status)
+);
+
+-- Offer Events table (negotiation thread for each offer)
+CREATE TABLE offer_events (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    offer_id INT NOT NULL,
+    event_type ENUM('offer', 'counter', 'accepted', 'rejected', 'withdrawn') NOT NULL,
+    party ENUM('buyer', 'seller') NOT NULL,
+    amount DECIMAL(15, 2),
+    terms TEXT,
+    message TEXT,
+    created_by_user_id INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (offer_id) REFERENCES offers(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_offer_id (offer_id)
 );
 
 -- Trigger to auto-assign priority number
@@ -137,25 +665,25 @@ BEGIN
 END//
 DELIMITER ;
 
--- Trigger to recalculate priorities when appointment is cancelled
+-- Trigger to recalculate priorities when appointment is cancelled (or rejected as spam)
 DELIMITER //
 CREATE TRIGGER after_appointment_cancel
 AFTER UPDATE ON appointments
 FOR EACH ROW
 BEGIN
     -- When an appointment is cancelled, recalculate priorities for remaining appointments
-    IF OLD.status != 'cancelled' AND NEW.status = 'cancelled' THEN
+    IF OLD.status NOT IN ('cancelled', 'spam') AND NEW.status IN ('cancelled', 'spam') THEN
         -- Update priority numbers for appointments with higher priority
         UPDATE appointments 
         SET priority_number = priority_number - 1 
         WHERE property_id = NEW.property_id 
         AND priority_number > NEW.priority_number
-        AND status != 'cancelled';
+        AND status NOT IN ('cancelled', 'spam');
     END IF;
 END//
 DELIMITER ;
 
--- Commission calculation view
+-- Commission calculation view (each agent's recorded share, listing and selling side)
 CREATE VIEW agent_commissions AS
 SELECT 
     u.id AS agent_id,
@@ -163,26 +691,30 @@ SELECT
     u.last_name,
     u.email,
     u.commission_rate,
-    COUNT(p.id) AS total_sales,
-    COALESCE(SUM(p.sale_price), 0) AS total_sales_value,
-    COALESCE(SUM(p.sale_price * u.commission_rate), 0) AS total_commission
+    COUNT(DISTINCT CASE WHEN s.role = 'selling' THEN s.property_id END) AS total_sales,
+    COUNT(DISTINCT CASE WHEN s.role = 'listing' THEN s.property_id END) AS total_listings_sold,
+    COALESCE(SUM(CASE WHEN s.role = 'selling' THEN p.sale_price ELSE 0 END), 0) AS total_sales_value,
+    COALESCE(SUM(s.amount), 0) AS total_commission
 FROM users u
-LEFT JOIN properties p ON p.sold_by_agent_id = u.id AND p.status = 'sold'
+LEFT JOIN (sale_commission_splits s
+           JOIN properties p ON p.id = s.property_id AND p.status = 'sold')
+       ON s.agent_id = u.id
 WHERE u.role = 'agent'
 GROUP BY u.id, u.first_name, u.last_name, u.email, u.commission_rate;
 
--- Monthly sales report view
+-- Monthly sales report view (uses the commission recorded on each sale)
 CREATE VIEW monthly_sales_report AS
 SELECT 
     YEAR(p.sold_date) AS sale_year,
     MONTH(p.sold_date) AS sale_month,
     u.id AS agent_id,
     CONCAT(u.first_name, ' ', u.last_name) AS agent_name,
-    COUNT(p.id) AS properties_sold,
-    SUM(p.sale_price) AS total_sales,
-    SUM(p.sale_price * u.commission_rate) AS total_commission
+    COUNT(DISTINCT CASE WHEN s.role = 'selling' THEN p.id END) AS properties_sold,
+    SUM(CASE WHEN s.role = 'selling' THEN p.sale_price ELSE 0 END) AS total_sales,
+    SUM(s.amount) AS total_commission
 FROM properties p
-JOIN users u ON p.sold_by_agent_id = u.id
+JOIN sale_commission_splits s ON s.property_id = p.id
+JOIN users u ON s.agent_id = u.id
 WHERE p.status = 'sold' AND p.sold_date IS NOT NULL
 GROUP BY YEAR(p.sold_date), MONTH(p.sold_date), u.id, u.first_name, u.last_name
 ORDER BY sale_year DESC, sale_month DESC, total_sales DESC;
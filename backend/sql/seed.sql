@@ -6,6 +6,20 @@
 INSERT INTO users (email, password_hash, first_name, last_name, phone, role) VALUES
 ('admin@company.com', '$2a$10$rZ5xGV5VQgTPV3YO0VaKr.F6xHJYDl5LrXmSFN0jBKnGXTmwLYZHa', 'System', 'Admin', '+63-917-123-4567', 'admin');
 
+-- Sample tiered commission plan (not assigned to anyone by default)
+INSERT INTO commission_plans (name, description) VALUES
+('Growth Tier', '3% up to PHP 10M in yearly sales, 4% above. PHP 50,000 bonus at PHP 20M.');
+
+INSERT INTO commission_plan_tiers (plan_id, name, min_annual_sales, rate) VALUES
+(1, 'Base', 0.00, 0.0300),
+(1, 'Above PHP 10M', 10000000.00, 0.0400);
+
+INSERT INTO commission_plan_overrides (plan_id, property_type, rate) VALUES
+(1, 'lot', 0.0250);
+
+INSERT INTO commission_plan_bonuses (plan_id, name, quota_amount, bonus_amount) VALUES
+(1, 'PHP 20M quota', 20000000.00, 50000.00);
+
 -- Insert agent users (password: agent123)
 -- Note: Password hash is for 'agent123' - generated with bcrypt
 INSERT INTO users (email, password_hash, first_name, last_name, phone, role, commission_rate) VALUES
@@ -13,6 +27,26 @@ INSERT INTO users (email, password_hash, first_name, last_name, phone, role, com
 ('agent2@company.com', '$2a$10$rQMHPBWOBbLxWRYdGvzDu.YjV7xNMBWVGtGS.PJ2TUH7lPFGQ0X0K', 'Juan', 'Dela Cruz', '+63-918-345-6789', 'agent', 0.0300),
 ('agent3@company.com', '$2a$10$rQMHPBWOBbLxWRYdGvzDu.YjV7xNMBWVGtGS.PJ2TUH7lPFGQ0X0K', 'Ana', 'Reyes', '+63-919-456-7890', 'agent', 0.0350);
 
+-- Starting commission rates for each agent
+INSERT INTO commission_rate_history (agent_id, commission_rate, effective_from) VALUES
+(2, 0.0300, '2025-01-01'),
+(3, 0.0300, '2025-01-01'),
+(4, 0.0350, '2025-01-01');
+
+-- Ana works Tuesday to Saturday; the other agents keep the office default hours
+INSERT INTO agent_availability (agent_id, weekday, start_time, end_time) VALUES
+(4, 2, '10:00:00', '19:00:00'),
+(4, 3, '10:00:00', '19:00:00'),
+(4, 4, '10:00:00', '19:00:00'),
+(4, 5, '10:00:00', '19:00:00'),
+(4, 6, '10:00:00', '19:00:00');
+
+-- Office holidays
+INSERT INTO holidays (holiday_date, name) VALUES
+('2026-12-25', 'Christmas Day'),
+('2026-12-30', 'Rizal Day'),
+('2027-01-01', 'New Year''s Day');
+
 -- Insert sample properties
 INSERT INTO properties (title, description, property_type, address, city, province, zip_code, price, bedrooms, bathrooms, floor_area, lot_area, year_built, features, status, listed_by_agent_id, is_featured) VALUES
 ('Modern 3-Bedroom House in Makati', 'Beautiful modern house with spacious living areas, updated kitchen, and private garden. Located in a prestigious village with 24/7 security.', 'house', '123 Palm Village', 'Makati City', 'Metro Manila', '1230', 12500000.00, 3, 2, 180.00, 250.00, 2020, '["Swimming Pool", "Garage", "Garden", "Security"]', 'available', 2, TRUE),
@@ -28,22 +62,73 @@ INSERT INTO properties (title, description, property_type, address, city, provin
 ('Studio Condo near UST', 'Ideal for students or young professionals. Fully furnished studio unit near universities and commercial areas.', 'condo', 'España Boulevard', 'Manila', 'Metro Manila', '1008', 2800000.00, 1, 1, 28.00, NULL, 2019, '["Furnished", "Near Universities"]', 'available', 2, FALSE);
 
 -- Insert sold properties for commission tracking
-INSERT INTO properties (title, description, property_type, address, city, province, zip_code, price, bedrooms, bathrooms, floor_area, lot_area, year_built, features, status, listed_by_agent_id, sold_by_agent_id, sold_date, sale_price, is_featured) VALUES
-('Charming 2BR in San Juan', 'Renovated 2-bedroom home with modern amenities in quiet neighborhood.', 'house', '234 N. Domingo St', 'San Juan City', 'Metro Manila', '1500', 8500000.00, 2, 2, 120.00, 150.00, 2010, '["Renovated", "Garden"]', 'sold', 2, 2, '2025-12-15', 8500000.00, FALSE),
+INSERT INTO properties (title, description, property_type, address, city, province, zip_code, price, bedrooms, bathrooms, floor_area, lot_area, year_built, features, status, listed_by_agent_id, sold_by_agent_id, sold_date, sale_price, sale_commission_rate, is_featured) VALUES
+('Charming 2BR in San Juan', 'Renovated 2-bedroom home with modern amenities in quiet neighborhood.', 'house', '234 N. Domingo St', 'San Juan City', 'Metro Manila', '1500', 8500000.00, 2, 2, 120.00, 150.00, 2010, '["Renovated", "Garden"]', 'sold', 2, 2, '2025-12-15', 8500000.00, 0.0300, FALSE),
+
+('Premium Condo in Rockwell', 'High-end 3-bedroom unit with premium finishes and Makati skyline views.', 'condo', 'The Proscenium, Rockwell', 'Makati City', 'Metro Manila', '1210', 12000000.00, 3, 2, 150.00, NULL, 2021, '["Luxury", "Views", "Parking"]', 'sold', 3, 3, '2025-12-10', 12000000.00, 0.0300, FALSE),
+
+('Family Home in Antipolo', 'Spacious family home with mountain views and cool climate. Great for weekend getaways.', 'house', '567 Sumulong Highway', 'Antipolo City', 'Rizal', '1870', 6500000.00, 3, 2, 200.00, 350.00, 2008, '["Mountain View", "Garden", "Cool Climate"]', 'sold', 4, 4, '2025-11-28', 6800000.00, 0.0350, FALSE);
 
-('Premium Condo in Rockwell', 'High-end 3-bedroom unit with premium finishes and Makati skyline views.', 'condo', 'The Proscenium, Rockwell', 'Makati City', 'Metro Manila', '1210', 12000000.00, 3, 2, 150.00, NULL, 2021, '["Luxury", "Views", "Parking"]', 'sold', 3, 3, '2025-12-10', 12000000.00, FALSE),
+-- Commission split lines for the sold properties (default split: 100% to selling agent)
+INSERT INTO sale_commission_splits (property_id, agent_id, role, share, gross_rate, amount) VALUES
+(7, 2, 'selling', 1.0000, 0.0300, 255000.00),
+(8, 3, 'selling', 1.0000, 0.0300, 360000.00),
+(9, 4, 'selling', 1.0000, 0.0350, 238000.00);
 
-('Family Home in Antipolo', 'Spacious family home with mountain views and cool climate. Great for weekend getaways.', 'house', '567 Sumulong Highway', 'Antipolo City', 'Rizal', '1870', 6500000.00, 3, 2, 200.00, 350.00, 2008, '["Mountain View", "Garden", "Cool Climate"]', 'sold', 4, 4, '2025-11-28', 6800000.00, FALSE);
+-- Sample listings are already live
+UPDATE properties SET listing_status = 'published', reviewed_by_user_id = 1, reviewed_at = NOW();
+
+-- Sample asking price reductions
+INSERT INTO property_price_history (property_id, old_price, new_price, changed_by_user_id, changed_at) VALUES
+(1, 13500000.00, 12500000.00, 2, NOW()),
+(8, 12800000.00, 12000000.00, 3, '2025-11-20 10:00:00');
+
+-- Insert sample contacts (one per customer)
+INSERT INTO contacts (name, email, phone, phone_normalized, last_activity_at) VALUES
+('Robert Garcia', 'robert.garcia@email.com', '+63-920-111-2222', '639201112222', NOW()),
+('Christine Lim', 'christine.lim@email.com', '+63-921-333-4444', '639213334444', NOW()),
+('Michael Tan', 'michael.tan@email.com', '+63-922-555-6666', '639225556666', NOW());
+
+INSERT INTO contact_notes (contact_id, user_id, note) VALUES
+(3, 2, 'Prefers calls after 6 PM on weekdays.');
 
 -- Insert sample appointments
-INSERT INTO appointments (property_id, customer_name, customer_email, customer_phone, customer_message, status, assigned_agent_id, assigned_at) VALUES
-(1, 'Robert Garcia', 'robert.garcia@email.com', '+63-920-111-2222', 'Interested in viewing this property. Available on weekends.', 'assigned', 2, NOW()),
-(2, 'Christine Lim', 'christine.lim@email.com', '+63-921-333-4444', 'Looking for a condo near my office. Please contact me.', 'pending', NULL, NULL),
-(3, 'Michael Tan', 'michael.tan@email.com', '+63-922-555-6666', 'First-time homebuyer. Need more information about financing options.', 'scheduled', 2, NOW());
+INSERT INTO appointments (property_id, customer_name, customer_email, customer_phone, customer_intent, customer_message, status, assigned_agent_id, assigned_at) VALUES
+(1, 'Robert Garcia', 'robert.garcia@email.com', '+63-920-111-2222', 'buy', 'Interested in viewing this property. Available on weekends.', 'assigned', 2, NOW()),
+(2, 'Christine Lim', 'christine.lim@email.com', '+63-921-333-4444', 'rent', 'Looking for a condo near my office. Please contact me.', 'pending', NULL, NULL),
+(3, 'Michael Tan', 'michael.tan@email.com', '+63-922-555-6666', 'buy', 'First-time homebuyer. Need more information about financing options.', 'scheduled', 2, NOW());
+
+UPDATE appointments SET contact_id = id;
+
+-- Lead scores with the default weights (new requests are scored by the API)
+UPDATE appointments SET lead_score = 67, lead_score_factors = '{"intent":1,"message":0.7,"repeat":0,"price":0.75,"noShows":0,"previousRequests":0,"noShowCount":0}' WHERE id = 1;
+UPDATE appointments SET lead_score = 56, lead_score_factors = '{"intent":0.6,"message":0.4,"repeat":0,"price":1,"noShows":0,"previousRequests":0,"noShowCount":0}' WHERE id = 2;
+UPDATE appointments SET lead_score = 59, lead_score_factors = '{"intent":1,"message":0.7,"repeat":0,"price":0.5,"noShows":0,"previousRequests":0,"noShowCount":0}' WHERE id = 3;
+
+-- Sample assignments were made by the admin
+UPDATE appointments SET assignment_rule = 'manual' WHERE assigned_agent_id IS NOT NULL;
+INSERT INTO appointment_assignments (appointment_id, agent_id, rule, assigned_by_user_id) VALUES
+(1, 2, 'manual', 1),
+(3, 2, 'manual', 1);
+
+-- Auto-assignment: listing agent first, then territory, then fewest open appointments
+UPDATE assignment_strategies SET is_enabled = TRUE WHERE strategy IN ('listing_agent', 'territory', 'least_loaded');
+
+INSERT INTO agent_territories (agent_id, city) VALUES
+(2, 'Makati City'),
+(2, 'Quezon City'),
+(3, 'Taguig City'),
+(3, 'Muntinlupa City'),
+(4, 'Pasig City');
 
 -- Update the scheduled appointment
 UPDATE appointments SET scheduled_date = DATE_ADD(CURDATE(), INTERVAL 3 DAY), scheduled_time = '14:00:00' WHERE id = 3;
 
+-- Sample follow-up tasks (one overdue)
+INSERT INTO tasks (agent_id, appointment_id, property_id, contact_id, customer_name, customer_email, customer_phone, title, notes, due_date, source, created_by_user_id) VALUES
+(2, 3, 3, 3, 'Michael Tan', 'michael.tan@email.com', '+63-922-555-6666', 'Send financing options before the viewing', 'First-time buyer; include Pag-IBIG and bank loan estimates.', DATE_ADD(CURDATE(), INTERVAL 1 DAY), 'manual', 2),
+(2, 1, 1, 1, 'Robert Garcia', 'robert.garcia@email.com', '+63-920-111-2222', 'Call to confirm a weekend viewing slot', NULL, DATE_SUB(CURDATE(), INTERVAL 1 DAY), 'manual', 2);
+
 -- Insert sample property photos
 INSERT INTO property_photos (property_id, filename, original_name, is_primary, sort_order) VALUES
 (1, 'property-1-main.jpg', 'modern-house-exterior.jpg', TRUE, 1),
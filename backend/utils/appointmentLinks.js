@@ -0,0 +1,56 @@
+/**
+ * Appointment Links
+ * Signed, expiring links that let customers manage their viewing without an account
+ */
+
+const jwt = require('jsonwebtoken');
+const { jwtSecret } = require('../middleware/auth');
+require('dotenv').config();
+
+// Separate key so a link token can never pass as a login token (and vice versa)
+const LINK_SECRET = `${jwtSecret}:appointment-links`;
+const LINK_TTL_DAYS = parseInt(process.env.APPOINTMENT_LINK_TTL_DAYS) || 14;
+const CUSTOMER_APP_URL = (process.env.CUSTOMER_APP_URL || 'http://localhost:8080').replace(/\/$/, '');
+
+/**
+ * Sign a token for an appointment row, tied to the customer's email
+ */
+const createManageToken = (appointment) => jwt.sign(
+    { appointmentId: appointment.id, email: appointment.customer_email },
+    LINK_SECRET,
+    { expiresIn: `${LINK_TTL_DAYS}d` }
+);
+
+/**
+ * Public page URL for managing an appointment
+ */
+const buildManageUrl = (appointment) =>
+    `${CUSTOMER_APP_URL}/appointment.html?token=${encodeURIComponent(createManageToken(appointment))}`;
+
+/**
+ * Decode a link token
+ * Returns { appointmentId, email }, or null if the token is invalid or expired
+ */
+const verifyManageToken = (token) => {
+    try {
+        const { appointmentId, email } = jwt.verify(token, LINK_SECRET);
+        return { appointmentId, email };
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Email template variables for the manage link
+ */
+const manageLinkVars = (appointment) => ({
+    manageUrl: buildManageUrl(appointment),
+    linkValidDays: LINK_TTL_DAYS
+});
+
+module.exports = {
+    createManageToken,
+    buildManageUrl,
+    verifyManageToken,
+    manageLinkVars
+};
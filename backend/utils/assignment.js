@@ -0,0 +1,232 @@
+/**
+ * Assignment Helpers
+ * Automatic agent assignment for new viewing requests and the assignment audit trail
+ */
+
+const { pool } = require('../config/database');
+const { sendTemplateEmail } = require('./emailTemplates');
+
+// Auto-assignment strategies, in their default order
+const ASSIGNMENT_STRATEGIES = ['listing_agent', 'territory', 'least_loaded', 'round_robin'];
+
+// Every rule an assignment can be recorded under
+const ASSIGNMENT_RULE_LABELS = {
+    manual: 'Assigned manually by an admin',
+    listing_agent: 'Listing agent',
+    territory: 'City territory',
+    least_loaded: 'Fewest open appointments',
+    round_robin: 'Round robin',
+    sla_escalation: 'Reassigned after the response time was missed'
+};
+
+// Open work that counts towards an agent's load
+const OPEN_STATUSES_SQL = "('assigned', 'scheduled')";
+
+/**
+ * Format a strategy row
+ */
+const formatStrategy = (s) => ({
+    strategy: s.strategy,
+    label: ASSIGNMENT_RULE_LABELS[s.strategy],
+    isEnabled: !!s.is_enabled,
+    priority: s.priority,
+    updatedAt: s.updated_at
+});
+
+/**
+ * Get all strategies in the order they are tried
+ * Strategies without a row are listed as disabled
+ */
+const getAssignmentStrategies = async () => {
+    const [rows] = await pool.query('SELECT * FROM assignment_strategies ORDER BY priority, strategy');
+
+    const strategies = rows.map(formatStrategy);
+    ASSIGNMENT_STRATEGIES.forEach((strategy, index) => {
+        if (!strategies.some(s => s.strategy === strategy)) {
+            strategies.push(formatStrategy({ strategy, is_enabled: false, priority: index + 1 }));
+        }
+    });
+
+    return strategies;
+};
+
+/**
+ * Active agents (except the excluded one) with their open appointment count
+ * and last assignment time
+ */
+const loadedAgentsSql = (extraWhere = '') => `
+    SELECT u.id,
+           (SELECT COUNT(*) FROM appointments a
+            WHERE a.assigned_agent_id = u.id AND a.status IN ${OPEN_STATUSES_SQL}) as open_count,
+           (SELECT MAX(aa.created_at) FROM appointment_assignments aa
+            WHERE aa.agent_id = u.id) as last_assigned_at
+    FROM users u
+    WHERE u.role = 'agent' AND u.is_active = TRUE AND u.id <> ? ${extraWhere}
+`;
+
+/**
+ * Strategy implementations; each returns an agent id or null
+ * excludeId is 0 when no agent is excluded
+ */
+const strategyPickers = {
+    listing_agent: async (property, excludeId) => {
+        if (!property.listed_by_agent_id || property.listed_by_agent_id === excludeId) return null;
+
+        const [agents] = await pool.query(
+            "SELECT id FROM users WHERE id = ? AND role = 'agent' AND is_active = TRUE",
+            [property.listed_by_agent_id]
+        );
+        return agents.length > 0 ? agents[0].id : null;
+    },
+
+    // Least loaded agent covering the city, then whoever has waited longest
+    territory: async (property, excludeId) => {
+        const [agents] = await pool.query(
+            `${loadedAgentsSql('AND u.id IN (SELECT agent_id FROM agent_territories WHERE city = ?)')}
+             ORDER BY open_count ASC, last_assigned_at IS NOT NULL, last_assigned_at ASC, u.id ASC
+             LIMIT 1`,
+            [excludeId, property.city]
+        );
+        return agents.length > 0 ? agents[0].id : null;
+    },
+
+    least_loaded: async (property, excludeId) => {
+        const [agents] = await pool.query(
+            `${loadedAgentsSql()}
+             ORDER BY open_count ASC, last_assigned_at IS NOT NULL, last_assigned_at ASC, u.id ASC
+             LIMIT 1`,
+            [excludeId]
+        );
+        return agents.length > 0 ? agents[0].id : null;
+    },
+
+    round_robin: async (property, excludeId) => {
+        const [agents] = await pool.query(
+            `${loadedAgentsSql()}
+             ORDER BY last_assigned_at IS NOT NULL, last_assigned_at ASC, u.id ASC
+             LIMIT 1`,
+            [excludeId]
+        );
+        return agents.length > 0 ? agents[0].id : null;
+    }
+};
+
+/**
+ * Try the enabled strategies in priority order for a property
+ * excludeAgentId skips an agent (e.g. the one who missed the response time)
+ * Returns { agentId, rule } from the first strategy that finds an agent, or null
+ */
+const pickAgent = async (propertyId, { excludeAgentId = null } = {}) => {
+    const [properties] = await pool.query(
+        'SELECT id, city, listed_by_agent_id FROM properties WHERE id = ?',
+        [propertyId]
+    );
+
+    if (properties.length === 0) return null;
+
+    const strategies = (await getAssignmentStrategies()).filter(s => s.isEnabled);
+
+    for (const { strategy } of strategies) {
+        const agentId = await strategyPickers[strategy](properties[0], excludeAgentId || 0);
+        if (agentId) {
+            return { agentId, rule: strategy };
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Assign an appointment and record it in the audit trail
+ * assignedByUserId is null for automatic assignments
+ * Only pending or assigned requests are changed; pass expectedAgentId (null for unassigned) to also
+ * require the current agent. Returns false, without an audit row, when the request moved on meanwhile
+ */
+const recordAssignment = async ({ appointmentId, agentId, rule, assignedByUserId = null, expectedAgentId }) => {
+    const [current] = await pool.query(
+        'SELECT assigned_agent_id FROM appointments WHERE id = ?',
+        [appointmentId]
+    );
+
+    if (current.length === 0) return false;
+
+    const previousAgentId = expectedAgentId === undefined ? current[0].assigned_agent_id : expectedAgentId;
+
+    const [result] = await pool.query(
+        `UPDATE appointments SET
+         assigned_agent_id = ?,
+         assigned_at = NOW(),
+         assignment_rule = ?,
+         status = 'assigned'
+         WHERE id = ? AND status IN ('pending', 'assigned') AND assigned_agent_id <=> ?`,
+        [agentId, rule, appointmentId, previousAgentId]
+    );
+
+    if (result.affectedRows !== 1) return false;
+
+    await pool.query(
+        `INSERT INTO appointment_assignments
+         (appointment_id, agent_id, previous_agent_id, rule, assigned_by_user_id)
+         VALUES (?, ?, ?, ?, ?)`,
+        [appointmentId, agentId, previousAgentId, rule, assignedByUserId]
+    );
+
+    return true;
+};
+
+/**
+ * Tell an agent about a newly assigned request and which rule picked them
+ * appointment needs property_title, property_address and the customer fields
+ */
+const sendAssignmentEmail = async (agent, appointment, rule) => {
+    await sendTemplateEmail(agent.email, 'agent_viewing_assigned', {
+        agentFirstName: agent.first_name,
+        propertyTitle: appointment.property_title,
+        propertyAddress: appointment.property_address,
+        customerName: appointment.customer_name,
+        customerPhone: appointment.customer_phone,
+        customerEmail: appointment.customer_email,
+        assignmentRule: ASSIGNMENT_RULE_LABELS[rule]
+    });
+};
+
+/**
+ * Assignment history for an appointment, oldest first
+ */
+const getAssignmentHistory = async (appointmentId) => {
+    const [rows] = await pool.query(
+        `SELECT aa.*, CONCAT(u.first_name, ' ', u.last_name) as agent_name,
+                CONCAT(p.first_name, ' ', p.last_name) as previous_agent_name,
+                CONCAT(b.first_name, ' ', b.last_name) as assigned_by_name
+         FROM appointment_assignments aa
+         LEFT JOIN users u ON u.id = aa.agent_id
+         LEFT JOIN users p ON p.id = aa.previous_agent_id
+         LEFT JOIN users b ON b.id = aa.assigned_by_user_id
+         WHERE aa.appointment_id = ?
+         ORDER BY aa.created_at ASC, aa.id ASC`,
+        [appointmentId]
+    );
+
+    return rows.map(r => ({
+        id: r.id,
+        agentId: r.agent_id,
+        agentName: r.agent_name,
+        previousAgentId: r.previous_agent_id,
+        previousAgentName: r.previous_agent_id ? r.previous_agent_name : null,
+        rule: r.rule,
+        ruleLabel: ASSIGNMENT_RULE_LABELS[r.rule],
+        assignedByUserId: r.assigned_by_user_id,
+        assignedByName: r.assigned_by_user_id ? r.assigned_by_name : null,
+        createdAt: r.created_at
+    }));
+};
+
+module.exports = {
+    ASSIGNMENT_STRATEGIES,
+    ASSIGNMENT_RULE_LABELS,
+    getAssignmentStrategies,
+    pickAgent,
+    recordAssignment,
+    sendAssignmentEmail,
+    getAssignmentHistory
+};
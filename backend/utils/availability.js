@@ -0,0 +1,403 @@
+/**
+ * Availability Helpers
+ * Agent working hours, time off, office holidays and booking conflicts
+ */
+
+const { pool } = require('../config/database');
+
+// Office hours for agents who have not set their own: Monday to Saturday, 9am to 6pm
+const DEFAULT_WEEKLY_HOURS = [1, 2, 3, 4, 5, 6].map(weekday => ({
+    weekday,
+    startTime: '09:00:00',
+    endTime: '18:00:00'
+}));
+
+// Viewing length when the agent does not give one
+const DEFAULT_DURATION_MINUTES = 60;
+
+// How long a booking waits for another booking of the same property or agent to finish
+const BOOKING_LOCK_TIMEOUT_SECONDS = 10;
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Normalize H:MM or HH:MM(:SS) to HH:MM:SS so times compare as strings
+ */
+const normalizeTime = (time) => {
+    const [hours, minutes, seconds = '00'] = String(time).split(':');
+    return `${hours.padStart(2, '0')}:${minutes}:${seconds}`;
+};
+
+/**
+ * Minutes since midnight for an HH:MM(:SS) time
+ */
+const toMinutes = (time) => {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/**
+ * HH:MM:SS for minutes since midnight
+ */
+const fromMinutes = (total) =>
+    `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}:00`;
+
+/**
+ * YYYY-MM-DD for a Date in server local time
+ */
+const toDateString = (d) =>
+    `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+
+/**
+ * Day of the week (0 = Sunday) for a YYYY-MM-DD date
+ */
+const getWeekday = (date) => new Date(`${date}T00:00:00`).getDay();
+
+/**
+ * Format a time off row
+ */
+const formatTimeOff = (t) => ({
+    id: t.id,
+    agentId: t.agent_id,
+    startAt: t.start_at,
+    endAt: t.end_at,
+    reason: t.reason,
+    createdAt: t.created_at
+});
+
+/**
+ * Format a holiday row
+ */
+const formatHoliday = (h) => ({
+    id: h.id,
+    date: h.holiday_date,
+    name: h.name
+});
+
+/**
+ * An agent's weekly hours, or the office default if none are set
+ */
+const getWeeklyHours = async (agentId) => {
+    const [rows] = await pool.query(
+        'SELECT weekday, start_time, end_time FROM agent_availability WHERE agent_id = ? ORDER BY weekday',
+        [agentId]
+    );
+
+    if (rows.length === 0) {
+        return { isDefault: true, hours: DEFAULT_WEEKLY_HOURS };
+    }
+
+    return {
+        isDefault: false,
+        hours: rows.map(r => ({
+            weekday: r.weekday,
+            startTime: r.start_time,
+            endTime: r.end_time
+        }))
+    };
+};
+
+/**
+ * Replace an agent's weekly hours (one window per weekday)
+ * An empty list puts the agent back on the office default
+ */
+const saveWeeklyHours = async (agentId, hours) => {
+    await pool.query('DELETE FROM agent_availability WHERE agent_id = ?', [agentId]);
+
+    for (const day of hours) {
+        await pool.query(
+            'INSERT INTO agent_availability (agent_id, weekday, start_time, end_time) VALUES (?, ?, ?, ?)',
+            [agentId, day.weekday, normalizeTime(day.startTime), normalizeTime(day.endTime)]
+        );
+    }
+};
+
+/**
+ * Check a weekly hours body: valid weekdays, no duplicates, start before end
+ * Returns an error message, or null if the hours are valid
+ */
+const validateWeeklyHours = (hours) => {
+    if (!Array.isArray(hours)) {
+        return 'Hours must be a list';
+    }
+
+    const timePattern = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/;
+    for (const day of hours) {
+        if (!Number.isInteger(day.weekday) || day.weekday < 0 || day.weekday > 6) {
+            return 'Weekday must be 0 (Sunday) to 6 (Saturday)';
+        }
+        if (!timePattern.test(day.startTime || '') || !timePattern.test(day.endTime || '')) {
+            return 'Start and end times must be HH:MM';
+        }
+        if (normalizeTime(day.startTime) >= normalizeTime(day.endTime)) {
+            return `${WEEKDAY_NAMES[day.weekday]} must start before it ends`;
+        }
+    }
+
+    const weekdays = hours.map(day => day.weekday);
+    if (new Set(weekdays).size !== weekdays.length) {
+        return 'Only one set of hours per weekday';
+    }
+
+    return null;
+};
+
+/**
+ * Check whether an agent can take a viewing at a date (YYYY-MM-DD) and time
+ * The whole viewing must fit inside the agent's hours and miss any time off
+ * Returns the reason the agent is unavailable, or null if the slot is free
+ */
+const checkAgentAvailability = async (agentId, date, time, durationMinutes = DEFAULT_DURATION_MINUTES) => {
+    const slotTime = normalizeTime(time);
+    const slotEnd = fromMinutes(toMinutes(slotTime) + durationMinutes);
+
+    const [holidays] = await pool.query('SELECT name FROM holidays WHERE holiday_date = ?', [date]);
+    if (holidays.length > 0) {
+        return `${date} is an office holiday (${holidays[0].name})`;
+    }
+
+    const [timeOff] = await pool.query(
+        `SELECT reason FROM agent_time_off
+         WHERE agent_id = ? AND start_at < DATE_ADD(?, INTERVAL ? MINUTE) AND end_at > ?
+         LIMIT 1`,
+        [agentId, `${date} ${slotTime}`, durationMinutes, `${date} ${slotTime}`]
+    );
+    if (timeOff.length > 0) {
+        return `The agent is on time off${timeOff[0].reason ? ` (${timeOff[0].reason})` : ''}`;
+    }
+
+    const weekday = getWeekday(date);
+    const { hours } = await getWeeklyHours(agentId);
+    const day = hours.find(h => h.weekday === weekday);
+
+    if (!day) {
+        return `The agent does not work on ${WEEKDAY_NAMES[weekday]}s`;
+    }
+    if (slotTime < day.startTime || slotEnd > day.endTime) {
+        return `The agent works ${day.startTime.slice(0, 5)}-${day.endTime.slice(0, 5)} on ${WEEKDAY_NAMES[weekday]}s`;
+    }
+
+    return null;
+};
+
+// Start and end of a booked viewing, and the start of the agent's block including travel
+const VIEWING_START_SQL = 'TIMESTAMP(a.scheduled_date, a.scheduled_time)';
+const VIEWING_END_SQL = `DATE_ADD(${VIEWING_START_SQL}, INTERVAL a.duration_minutes MINUTE)`;
+const AGENT_BLOCK_START_SQL = `DATE_SUB(${VIEWING_START_SQL}, INTERVAL a.travel_buffer_minutes MINUTE)`;
+
+/**
+ * Find a viewing that overlaps a proposed slot: another viewing of the same
+ * property, or anything else the agent has booked, counting travel buffers
+ * on the agent's side
+ * Returns the conflicting appointment, or null
+ */
+const findBookingConflict = async ({
+    appointmentId,
+    propertyId,
+    agentId,
+    date,
+    time,
+    durationMinutes = DEFAULT_DURATION_MINUTES,
+    travelBufferMinutes = 0
+}) => {
+    const start = `${date} ${normalizeTime(time)}`;
+
+    const [conflicts] = await pool.query(
+        `SELECT a.id, a.property_id, a.assigned_agent_id, a.customer_name,
+                a.scheduled_date, a.scheduled_time, a.duration_minutes, a.travel_buffer_minutes, a.status,
+                p.title as property_title,
+                CONCAT(u.first_name, ' ', u.last_name) as agent_name
+         FROM appointments a
+         JOIN properties p ON p.id = a.property_id
+         LEFT JOIN users u ON u.id = a.assigned_agent_id
+         WHERE a.id != ?
+         AND a.scheduled_date IS NOT NULL
+         AND a.status IN ('scheduled', 'completed')
+         AND (
+             (a.property_id = ?
+              AND ${VIEWING_START_SQL} < DATE_ADD(?, INTERVAL ? MINUTE)
+              AND ${VIEWING_END_SQL} > ?)
+             OR
+             (a.assigned_agent_id = ?
+              AND ${AGENT_BLOCK_START_SQL} < DATE_ADD(?, INTERVAL ? MINUTE)
+              AND ${VIEWING_END_SQL} > DATE_SUB(?, INTERVAL ? MINUTE))
+         )
+         ORDER BY a.property_id = ? DESC, ${VIEWING_START_SQL}
+         LIMIT 1`,
+        [appointmentId,
+         propertyId, start, durationMinutes, start,
+         agentId, start, durationMinutes, start, travelBufferMinutes,
+         propertyId]
+    );
+
+    if (conflicts.length === 0) {
+        return null;
+    }
+
+    const c = conflicts[0];
+    return {
+        id: c.id,
+        propertyId: c.property_id,
+        propertyTitle: c.property_title,
+        agentId: c.assigned_agent_id,
+        agentName: c.agent_name,
+        customerName: c.customer_name,
+        scheduledDate: c.scheduled_date,
+        scheduledTime: c.scheduled_time,
+        endTime: fromMinutes(toMinutes(c.scheduled_time) + c.duration_minutes),
+        durationMinutes: c.duration_minutes,
+        travelBufferMinutes: c.travel_buffer_minutes,
+        status: c.status,
+        sameProperty: c.property_id === parseInt(propertyId)
+    };
+};
+
+/**
+ * Open start times for a viewing over the next few days, starting today
+ * Uses the same rules as scheduling: the agent's hours, time off, holidays,
+ * overlapping viewings at the property and the agent's other viewings with travel
+ * Returns one entry per day with its open times (HH:MM), or why the day is closed
+ */
+const findAvailableSlots = async ({
+    appointmentId,
+    propertyId,
+    agentId,
+    days,
+    durationMinutes = DEFAULT_DURATION_MINUTES,
+    travelBufferMinutes = 0,
+    stepMinutes = 30
+}) => {
+    const now = new Date();
+    const dates = [];
+    for (let i = 0; i < days; i++) {
+        dates.push(toDateString(new Date(now.getFullYear(), now.getMonth(), now.getDate() + i)));
+    }
+    const firstDate = dates[0];
+    const lastDate = dates[dates.length - 1];
+
+    const { hours } = await getWeeklyHours(agentId);
+
+    const [holidays] = await pool.query(
+        `SELECT DATE_FORMAT(holiday_date, '%Y-%m-%d') as day, name FROM holidays
+         WHERE holiday_date BETWEEN ? AND ?`,
+        [firstDate, lastDate]
+    );
+
+    const [timeOff] = await pool.query(
+        `SELECT start_at, end_at FROM agent_time_off
+         WHERE agent_id = ? AND start_at < DATE_ADD(?, INTERVAL 1 DAY) AND end_at > ?`,
+        [agentId, lastDate, firstDate]
+    );
+
+    const [bookings] = await pool.query(
+        `SELECT a.property_id, a.assigned_agent_id, DATE_FORMAT(a.scheduled_date, '%Y-%m-%d') as day,
+                a.scheduled_time, a.duration_minutes, a.travel_buffer_minutes
+         FROM appointments a
+         WHERE a.id != ?
+         AND a.status IN ('scheduled', 'completed')
+         AND a.scheduled_date BETWEEN ? AND ?
+         AND (a.property_id = ? OR a.assigned_agent_id = ?)`,
+        [appointmentId, firstDate, lastDate, propertyId, agentId]
+    );
+
+    const nowMinutes = now.getHours() * 60 + now.getMinutes();
+
+    return dates.map(date => {
+        const weekday = getWeekday(date);
+        const holiday = holidays.find(h => h.day === date);
+        if (holiday) {
+            return { date, weekday, slots: [], unavailableReason: `Holiday (${holiday.name})` };
+        }
+
+        const day = hours.find(h => h.weekday === weekday);
+        if (!day) {
+            return { date, weekday, slots: [], unavailableReason: 'Day off' };
+        }
+
+        const dayBookings = bookings
+            .filter(b => b.day === date)
+            .map(b => ({
+                sameProperty: b.property_id === parseInt(propertyId),
+                sameAgent: b.assigned_agent_id === parseInt(agentId),
+                start: toMinutes(b.scheduled_time),
+                end: toMinutes(b.scheduled_time) + b.duration_minutes,
+                buffer: b.travel_buffer_minutes
+            }));
+
+        const slots = [];
+        const dayEnd = toMinutes(day.endTime);
+        for (let start = toMinutes(day.startTime); start + durationMinutes <= dayEnd; start += stepMinutes) {
+            const end = start + durationMinutes;
+
+            if (date === firstDate && start <= nowMinutes) {
+                continue;
+            }
+
+            const clashes = dayBookings.some(b =>
+                (b.sameProperty && b.start < end && b.end > start) ||
+                (b.sameAgent && b.start - b.buffer < end && b.end > start - travelBufferMinutes)
+            );
+            if (clashes) {
+                continue;
+            }
+
+            const slotStart = new Date(`${date}T${fromMinutes(start)}`);
+            const slotEnd = new Date(`${date}T${fromMinutes(end)}`);
+            if (timeOff.some(t => new Date(t.start_at) < slotEnd && new Date(t.end_at) > slotStart)) {
+                continue;
+            }
+
+            slots.push(fromMinutes(start).slice(0, 5));
+        }
+
+        return {
+            date,
+            weekday,
+            slots,
+            unavailableReason: slots.length === 0 ? 'Fully booked' : null
+        };
+    });
+};
+
+/**
+ * Run fn while holding named locks on a property's and an agent's bookings
+ * The conflict check and the update that books the slot must both run inside fn, so two
+ * bookings of the same property or agent (e.g. an agent and a customer's link) can't interleave
+ */
+const withBookingLock = async ({ propertyId, agentId }, fn) => {
+    const connection = await pool.getConnection();
+
+    try {
+        // Always property first, then agent, so two bookings never wait on each other
+        for (const name of [`booking:property:${propertyId}`, `booking:agent:${agentId}`]) {
+            const [rows] = await connection.query('SELECT GET_LOCK(?, ?) as acquired', [name, BOOKING_LOCK_TIMEOUT_SECONDS]);
+            if (rows[0].acquired !== 1) {
+                throw new Error(`Timed out waiting for booking lock ${name}`);
+            }
+        }
+
+        return await fn();
+    } finally {
+        await connection.query('SELECT RELEASE_ALL_LOCKS()').catch(() => {});
+        connection.release();
+    }
+};
+
+module.exports = {
+    DEFAULT_WEEKLY_HOURS,
+    DEFAULT_DURATION_MINUTES,
+    WEEKDAY_NAMES,
+    normalizeTime,
+    toMinutes,
+    fromMinutes,
+    toDateString,
+    formatTimeOff,
+    formatHoliday,
+    getWeeklyHours,
+    saveWeeklyHours,
+    validateWeeklyHours,
+    checkAgentAvailability,
+    findBookingConflict,
+    withBookingLock,
+    findAvailableSlots
+};
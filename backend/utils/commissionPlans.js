@@ -0,0 +1,215 @@
+/**
+ * Commission Plan Engine
+ * Tiered rates by cumulative yearly sales, property type overrides and quota bonuses
+ */
+
+const { pool } = require('../config/database');
+const { getEffectiveRate } = require('./commissions');
+
+/**
+ * Load a plan with its tiers, overrides and bonuses
+ * Returns null if the plan does not exist
+ */
+const getPlan = async (planId) => {
+    const [plans] = await pool.query('SELECT * FROM commission_plans WHERE id = ?', [planId]);
+    if (plans.length === 0) {
+        return null;
+    }
+
+    const [tiers] = await pool.query(
+        'SELECT * FROM commission_plan_tiers WHERE plan_id = ? ORDER BY min_annual_sales',
+        [planId]
+    );
+    const [overrides] = await pool.query(
+        'SELECT * FROM commission_plan_overrides WHERE plan_id = ? ORDER BY property_type',
+        [planId]
+    );
+    const [bonuses] = await pool.query(
+        'SELECT * FROM commission_plan_bonuses WHERE plan_id = ? ORDER BY quota_amount',
+        [planId]
+    );
+
+    const plan = plans[0];
+    return {
+        id: plan.id,
+        name: plan.name,
+        description: plan.description,
+        isActive: !!plan.is_active,
+        tiers: tiers.map(t => ({
+            name: t.name,
+            minAnnualSales: parseFloat(t.min_annual_sales),
+            rate: parseFloat(t.rate)
+        })),
+        overrides: overrides.map(o => ({
+            propertyType: o.property_type,
+            rate: parseFloat(o.rate)
+        })),
+        bonuses: bonuses.map(b => ({
+            name: b.name,
+            quotaAmount: parseFloat(b.quota_amount),
+            bonusAmount: parseFloat(b.bonus_amount)
+        })),
+        createdAt: plan.created_at,
+        updatedAt: plan.updated_at
+    };
+};
+
+/**
+ * Check a plan body: at least one tier starting at zero with unique thresholds,
+ * rates between 0 and 1, and no duplicate property type overrides
+ * Returns an error message, or null if the plan is valid
+ */
+const validatePlan = ({ tiers = [], overrides = [], bonuses = [] }) => {
+    if (!Array.isArray(tiers) || tiers.length === 0) {
+        return 'A plan needs at least one tier';
+    }
+
+    const thresholds = tiers.map(t => Number(t.minAnnualSales));
+    if (thresholds.some(t => isNaN(t) || t < 0)) {
+        return 'Tier thresholds must be zero or more';
+    }
+    if (!thresholds.includes(0)) {
+        return 'One tier must start at 0';
+    }
+    if (new Set(thresholds).size !== thresholds.length) {
+        return 'Tier thresholds must be unique';
+    }
+
+    const rates = [...tiers, ...overrides].map(r => Number(r.rate));
+    if (rates.some(rate => isNaN(rate) || rate < 0 || rate > 1)) {
+        return 'Rates must be between 0 and 1';
+    }
+    if (tiers.some(t => !t.name)) {
+        return 'Every tier needs a name';
+    }
+
+    const types = overrides.map(o => o.propertyType);
+    if (new Set(types).size !== types.length) {
+        return 'Only one override per property type';
+    }
+
+    if (bonuses.some(b => !b.name || !(Number(b.quotaAmount) > 0) || !(Number(b.bonusAmount) > 0))) {
+        return 'Bonuses need a name, a quota and an amount above 0';
+    }
+
+    return null;
+};
+
+/**
+ * Replace a plan's tiers, overrides and bonuses
+ */
+const savePlanRules = async (planId, { tiers = [], overrides = [], bonuses = [] }) => {
+    await pool.query('DELETE FROM commission_plan_tiers WHERE plan_id = ?', [planId]);
+    await pool.query('DELETE FROM commission_plan_overrides WHERE plan_id = ?', [planId]);
+    await pool.query('DELETE FROM commission_plan_bonuses WHERE plan_id = ?', [planId]);
+
+    for (const tier of tiers) {
+        await pool.query(
+            'INSERT INTO commission_plan_tiers (plan_id, name, min_annual_sales, rate) VALUES (?, ?, ?, ?)',
+            [planId, tier.name, tier.minAnnualSales, tier.rate]
+        );
+    }
+
+    for (const override of overrides) {
+        await pool.query(
+            'INSERT INTO commission_plan_overrides (plan_id, property_type, rate) VALUES (?, ?, ?)',
+            [planId, override.propertyType, override.rate]
+        );
+    }
+
+    for (const bonus of bonuses) {
+        await pool.query(
+            'INSERT INTO commission_plan_bonuses (plan_id, name, quota_amount, bonus_amount) VALUES (?, ?, ?, ?)',
+            [planId, bonus.name, bonus.quotaAmount, bonus.bonusAmount]
+        );
+    }
+};
+
+/**
+ * Apply tiers marginally: each part of the sale earns the rate of the tier
+ * the agent's cumulative yearly sales are in at that point
+ */
+const applyTiers = (tiers, salesBefore, salePrice) => {
+    let amount = 0;
+    const applied = [];
+
+    tiers.forEach((tier, index) => {
+        const next = tiers[index + 1];
+        const start = Math.max(tier.minAnnualSales, salesBefore);
+        const end = Math.min(next ? next.minAnnualSales : Infinity, salesBefore + salePrice);
+
+        if (end > start) {
+            amount += (end - start) * tier.rate;
+            applied.push(tier.name);
+        }
+    });
+
+    return { amount, tier: applied.join(' → ') };
+};
+
+/**
+ * Compute the commission on a sale for the selling agent
+ * Agents with an active plan go through the plan engine; everyone else gets
+ * their flat rate in effect on the sale date
+ * Returns the gross commission, the effective rate, the tier label and any bonus
+ */
+const computeSaleCommission = async (agentId, propertyId, salePrice, saleDate) => {
+    const price = parseFloat(salePrice);
+
+    const [agents] = await pool.query(
+        `SELECT u.commission_plan_id FROM users u
+         JOIN commission_plans cp ON cp.id = u.commission_plan_id AND cp.is_active = TRUE
+         WHERE u.id = ?`,
+        [agentId]
+    );
+
+    if (agents.length === 0) {
+        const rate = await getEffectiveRate(agentId, saleDate);
+        return { grossCommission: price * rate, rate, tier: null, bonus: 0 };
+    }
+
+    const plan = await getPlan(agents[0].commission_plan_id);
+
+    // Cumulative sales already closed by this agent earlier in the same year
+    const [totals] = await pool.query(
+        `SELECT COALESCE(SUM(sale_price), 0) as total FROM properties
+         WHERE sold_by_agent_id = ? AND status = 'sold' AND id != ?
+         AND YEAR(sold_date) = YEAR(?) AND sold_date <= ?`,
+        [agentId, propertyId, saleDate, saleDate]
+    );
+    const salesBefore = parseFloat(totals[0].total);
+
+    const [properties] = await pool.query('SELECT property_type FROM properties WHERE id = ?', [propertyId]);
+    const override = properties.length > 0
+        ? plan.overrides.find(o => o.propertyType === properties[0].property_type)
+        : null;
+
+    let result;
+    if (override) {
+        result = {
+            amount: price * override.rate,
+            tier: `${override.propertyType} override`
+        };
+    } else {
+        result = applyTiers(plan.tiers, salesBefore, price);
+    }
+
+    // A bonus is paid on the sale that takes the agent past its quota
+    const bonus = plan.bonuses
+        .filter(b => salesBefore < b.quotaAmount && salesBefore + price >= b.quotaAmount)
+        .reduce((sum, b) => sum + b.bonusAmount, 0);
+
+    return {
+        grossCommission: result.amount,
+        rate: price > 0 ? result.amount / price : 0,
+        tier: `${plan.name}: ${result.tier}`,
+        bonus
+    };
+};
+
+module.exports = {
+    getPlan,
+    validatePlan,
+    savePlanRules,
+    computeSaleCommission
+};
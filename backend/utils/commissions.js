@@ -0,0 +1,192 @@
+/**
+ * Commission Helpers
+ * Split rules between listing agent, selling agent and the house
+ */
+
+const { pool } = require('../config/database');
+
+// Used if the global default row is missing
+const FALLBACK_SPLIT = { listingShare: 0, sellingShare: 1, houseShare: 0 };
+
+/**
+ * Format a split rule row
+ */
+const formatSplitRule = (r) => ({
+    id: r.id,
+    propertyId: r.property_id,
+    listingShare: parseFloat(r.listing_share),
+    sellingShare: parseFloat(r.selling_share),
+    houseShare: parseFloat(r.house_share),
+    updatedAt: r.updated_at
+});
+
+/**
+ * Check that shares are non-negative and add up to 1
+ */
+const isValidSplit = ({ listingShare, sellingShare, houseShare }) => {
+    const shares = [listingShare, sellingShare, houseShare].map(Number);
+    if (shares.some(share => isNaN(share) || share < 0 || share > 1)) {
+        return false;
+    }
+    return Math.abs(shares.reduce((sum, share) => sum + share, 0) - 1) < 0.0001;
+};
+
+/**
+ * Get the split rule that applies to a property (override, else global default)
+ */
+const getSplitRule = async (propertyId) => {
+    const [rules] = await pool.query(
+        `SELECT * FROM commission_split_rules
+         WHERE property_id = ? OR property_id IS NULL
+         ORDER BY property_id IS NULL`,
+        [propertyId]
+    );
+
+    return rules.length > 0 ? formatSplitRule(rules[0]) : { ...FALLBACK_SPLIT };
+};
+
+/**
+ * Get an agent's commission rate in effect on a date (YYYY-MM-DD)
+ * Dates before the agent's first history entry use that starting rate, never today's rate
+ */
+const getEffectiveRate = async (agentId, date) => {
+    const [history] = await pool.query(
+        `SELECT commission_rate FROM commission_rate_history
+         WHERE agent_id = ? AND effective_from <= ?
+         ORDER BY effective_from DESC, id DESC
+         LIMIT 1`,
+        [agentId, date]
+    );
+
+    if (history.length > 0) {
+        return parseFloat(history[0].commission_rate);
+    }
+
+    const [first] = await pool.query(
+        `SELECT commission_rate FROM commission_rate_history
+         WHERE agent_id = ?
+         ORDER BY effective_from ASC, id ASC
+         LIMIT 1`,
+        [agentId]
+    );
+
+    if (first.length > 0) {
+        return parseFloat(first[0].commission_rate);
+    }
+
+    // Agents are given a starting entry on creation (and by the commission rate job), so this is a last resort
+    const [agents] = await pool.query('SELECT commission_rate FROM users WHERE id = ?', [agentId]);
+    return agents.length > 0 ? parseFloat(agents[0].commission_rate) : 0.03;
+};
+
+/**
+ * Add a dated commission rate change for an agent
+ * The user record keeps the current rate, so it is only updated once the change is in effect;
+ * future-dated changes are applied by the commission rate job (jobs/commissionRates.js)
+ */
+const recordRateChange = async (agentId, commissionRate, effectiveFrom, userId) => {
+    const today = new Date().toISOString().slice(0, 10);
+    const effectiveDate = effectiveFrom ? new Date(effectiveFrom).toISOString().slice(0, 10) : today;
+
+    await pool.query(
+        `INSERT INTO commission_rate_history (agent_id, commission_rate, effective_from, changed_by_user_id)
+         VALUES (?, ?, ?, ?)`,
+        [agentId, commissionRate, effectiveDate, userId || null]
+    );
+
+    if (effectiveDate <= today) {
+        await pool.query(
+            'UPDATE users SET commission_rate = ? WHERE id = ?',
+            [await getEffectiveRate(agentId, today), agentId]
+        );
+    }
+
+    return effectiveDate;
+};
+
+/**
+ * Record the commission split lines for a sold property
+ * The gross commission comes from the plan engine (or the flat rate snapshot);
+ * a plan bonus goes to the selling agent on its own line and is not split
+ */
+const recordCommissionSplits = async (propertyId, sellingAgentId, { grossCommission, grossRate, bonus = 0 }) => {
+    const [properties] = await pool.query(
+        'SELECT listed_by_agent_id FROM properties WHERE id = ?',
+        [propertyId]
+    );
+    const listingAgentId = properties.length > 0 ? properties[0].listed_by_agent_id : null;
+
+    const rule = await getSplitRule(propertyId);
+
+    // With no listing agent on record, the listing side goes to the house
+    const lines = [
+        { role: 'listing', agentId: listingAgentId, share: listingAgentId ? rule.listingShare : 0 },
+        { role: 'selling', agentId: sellingAgentId, share: rule.sellingShare },
+        { role: 'house', agentId: null, share: rule.houseShare + (listingAgentId ? 0 : rule.listingShare) }
+    ].filter(line => line.share > 0);
+
+    // Replace any lines left over from an earlier sale of the same property
+    await pool.query('DELETE FROM sale_commission_splits WHERE property_id = ?', [propertyId]);
+
+    for (const line of lines) {
+        await pool.query(
+            `INSERT INTO sale_commission_splits (property_id, agent_id, role, share, gross_rate, amount)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [propertyId, line.agentId, line.role, line.share, grossRate,
+             Math.round(grossCommission * line.share * 100) / 100]
+        );
+    }
+
+    if (bonus > 0) {
+        await pool.query(
+            `INSERT INTO sale_commission_splits (property_id, agent_id, role, share, gross_rate, amount)
+             VALUES (?, ?, 'bonus', 0, ?, ?)`,
+            [propertyId, sellingAgentId, grossRate, bonus]
+        );
+    }
+
+    return lines;
+};
+
+/**
+ * Load split lines for a set of sold properties, grouped by property ID
+ */
+const getSplitsByProperty = async (propertyIds) => {
+    if (propertyIds.length === 0) {
+        return {};
+    }
+
+    const [splits] = await pool.query(
+        `SELECT s.*, CONCAT(u.first_name, ' ', u.last_name) as agent_name
+         FROM sale_commission_splits s
+         LEFT JOIN users u ON u.id = s.agent_id
+         WHERE s.property_id IN (?)
+         ORDER BY FIELD(s.role, 'listing', 'selling', 'house', 'bonus')`,
+        [propertyIds]
+    );
+
+    return splits.reduce((acc, s) => {
+        if (!acc[s.property_id]) {
+            acc[s.property_id] = [];
+        }
+        acc[s.property_id].push({
+            role: s.role,
+            agentId: s.agent_id,
+            agentName: s.agent_name,
+            share: parseFloat(s.share),
+            grossRate: parseFloat(s.gross_rate),
+            amount: parseFloat(s.amount)
+        });
+        return acc;
+    }, {});
+};
+
+module.exports = {
+    formatSplitRule,
+    isValidSplit,
+    getSplitRule,
+    getEffectiveRate,
+    recordRateChange,
+    recordCommissionSplits,
+    getSplitsByProperty
+};
@@ -0,0 +1,288 @@
+/**
+ * Contact Helpers
+ * One contact per customer, matched on every viewing request by email or phone,
+ * so repeat requests from the same buyer share one history
+ */
+
+const { pool } = require('../config/database');
+
+// No-shows at which a customer's new requests are flagged
+const REPEAT_NO_SHOW_COUNT = 2;
+
+// normal, confirm_phone (an agent must confirm each request by phone before scheduling), blocked (no new requests)
+const RELIABILITY_LEVELS = ['normal', 'confirm_phone', 'blocked'];
+
+/**
+ * Lowercased, trimmed email (null if blank)
+ */
+const normalizeEmail = (email) => {
+    const normalized = String(email || '').trim().toLowerCase();
+    return normalized || null;
+};
+
+/**
+ * Digits-only phone with local numbers in international form
+ * 0917 123 4567, 917-123-4567 and +63 917 123 4567 all become 639171234567
+ * Returns null when there are too few digits to identify anyone
+ */
+const normalizePhone = (phone) => {
+    const digits = String(phone || '').replace(/\D/g, '');
+
+    if (digits.length < 7) return null;
+    if (/^0\d{10}$/.test(digits)) return `63${digits.slice(1)}`;
+    if (/^9\d{9}$/.test(digits)) return `63${digits}`;
+
+    return digits;
+};
+
+/**
+ * Format a contact row (request/offer counts when the query includes them)
+ */
+const formatContact = (c) => ({
+    id: c.id,
+    name: c.name,
+    email: c.email,
+    phone: c.phone,
+    requestCount: c.request_count !== undefined ? parseInt(c.request_count) || 0 : undefined,
+    viewingCount: c.viewing_count !== undefined ? parseInt(c.viewing_count) || 0 : undefined,
+    offerCount: c.offer_count !== undefined ? parseInt(c.offer_count) || 0 : undefined,
+    noShowCount: c.no_show_count,
+    isRepeatNoShow: c.no_show_count >= REPEAT_NO_SHOW_COUNT,
+    reliability: c.reliability,
+    reliabilityNotes: c.reliability_notes,
+    reliabilityUpdatedAt: c.reliability_updated_at,
+    lastActivityAt: c.last_activity_at,
+    createdAt: c.created_at
+});
+
+// Contact columns for appointment queries (appointments aliased as a); use with contactFlags
+const CONTACT_FLAGS_SQL = `
+    (SELECT no_show_count FROM contacts WHERE id = a.contact_id) as contact_no_show_count,
+    (SELECT reliability FROM contacts WHERE id = a.contact_id) as contact_reliability
+`;
+
+/**
+ * Reliability flags for an appointment row selected with CONTACT_FLAGS_SQL
+ */
+const contactFlags = (a) => ({
+    contactNoShowCount: a.contact_no_show_count || 0,
+    isRepeatNoShow: (a.contact_no_show_count || 0) >= REPEAT_NO_SHOW_COUNT,
+    contactReliability: a.contact_reliability || 'normal',
+    phoneConfirmedAt: a.phone_confirmed_at,
+    needsPhoneConfirmation: a.contact_reliability === 'confirm_phone' && !a.phone_confirmed_at
+});
+
+/**
+ * Existing contact for an email or phone, preferring an email match
+ */
+const findContact = async ({ email, phone }) => {
+    const normalizedEmail = normalizeEmail(email);
+    const normalizedPhone = normalizePhone(phone);
+
+    if (!normalizedEmail && !normalizedPhone) return null;
+
+    const [contacts] = await pool.query(
+        `SELECT * FROM contacts
+         WHERE email = ? OR phone_normalized = ?
+         ORDER BY (email = ?) DESC, id ASC
+         LIMIT 1`,
+        [normalizedEmail, normalizedPhone, normalizedEmail]
+    );
+
+    return contacts[0] || null;
+};
+
+/**
+ * Contact for a new viewing request: the existing one for this email or phone, or a new one
+ * A match takes the name as entered this time and fills in an email or phone it was missing
+ * Returns the contact ID
+ */
+const matchOrCreateContact = async ({ name, email, phone }) => {
+    const normalizedEmail = normalizeEmail(email);
+    const normalizedPhone = normalizePhone(phone);
+
+    const existing = await findContact({ email, phone });
+
+    if (existing) {
+        await pool.query(
+            `UPDATE contacts SET
+                name = ?,
+                email = COALESCE(email, ?),
+                phone = COALESCE(phone, ?),
+                phone_normalized = COALESCE(phone_normalized, ?),
+                last_activity_at = NOW()
+             WHERE id = ?`,
+            [name, normalizedEmail, phone || null, normalizedPhone, existing.id]
+        );
+        return existing.id;
+    }
+
+    try {
+        const [result] = await pool.query(
+            `INSERT INTO contacts (name, email, phone, phone_normalized, last_activity_at)
+             VALUES (?, ?, ?, ?, NOW())`,
+            [name, normalizedEmail, phone || null, normalizedPhone]
+        );
+        return result.insertId;
+    } catch (error) {
+        // Two requests with the same email at once: the other one created the contact
+        if (error.code === 'ER_DUP_ENTRY') {
+            const contact = await findContact({ email, phone });
+            if (contact) return contact.id;
+        }
+        throw error;
+    }
+};
+
+/**
+ * Recount a contact's no-shows from their completed viewings
+ * Counted rather than incremented, so completing a viewing twice does not double it
+ */
+const updateNoShowCount = async (contactId) => {
+    if (!contactId) return;
+
+    await pool.query(
+        `UPDATE contacts SET no_show_count = (
+            SELECT COUNT(*) FROM appointments WHERE contact_id = ? AND outcome = 'no_show'
+         ) WHERE id = ?`,
+        [contactId, contactId]
+    );
+};
+
+/**
+ * Whether the user may see a contact
+ * Agents see customers who have had a viewing request assigned to them; admins see all
+ */
+const canViewContact = async (contactId, user) => {
+    if (user.role === 'admin') return true;
+
+    const [rows] = await pool.query(
+        'SELECT 1 FROM appointments WHERE contact_id = ? AND assigned_agent_id = ? LIMIT 1',
+        [contactId, user.id]
+    );
+
+    return rows.length > 0;
+};
+
+/**
+ * A contact with every viewing request, offer, follow-up task and note
+ * Tasks are limited to the agent's own for agents
+ * Returns null if the contact does not exist
+ */
+const getContactHistory = async (contactId, user) => {
+    const [contacts] = await pool.query('SELECT * FROM contacts WHERE id = ?', [contactId]);
+    if (contacts.length === 0) return null;
+
+    const [appointments] = await pool.query(
+        `SELECT a.*, DATE_FORMAT(a.scheduled_date, '%Y-%m-%d') as scheduled_day,
+                p.title as property_title, p.price as property_price, p.city as property_city,
+                CONCAT(u.first_name, ' ', u.last_name) as agent_name
+         FROM appointments a
+         JOIN properties p ON p.id = a.property_id
+         LEFT JOIN users u ON u.id = a.assigned_agent_id
+         WHERE a.contact_id = ?
+         ORDER BY a.created_at DESC, a.id DESC`,
+        [contactId]
+    );
+
+    const [offers] = await pool.query(
+        `SELECT o.*, p.title as property_title, CONCAT(u.first_name, ' ', u.last_name) as agent_name
+         FROM offers o
+         JOIN properties p ON p.id = o.property_id
+         LEFT JOIN users u ON u.id = o.agent_id
+         WHERE o.contact_id = ?
+            OR o.appointment_id IN (SELECT id FROM appointments WHERE contact_id = ?)
+         ORDER BY o.created_at DESC, o.id DESC`,
+        [contactId, contactId]
+    );
+
+    let taskQuery = `SELECT t.*, DATE_FORMAT(t.due_date, '%Y-%m-%d') as due_day, p.title as property_title
+         FROM tasks t
+         LEFT JOIN properties p ON p.id = t.property_id
+         WHERE (t.contact_id = ? OR t.appointment_id IN (SELECT id FROM appointments WHERE contact_id = ?))`;
+    const taskParams = [contactId, contactId];
+
+    if (user.role === 'agent') {
+        taskQuery += ' AND t.agent_id = ?';
+        taskParams.push(user.id);
+    }
+
+    const [tasks] = await pool.query(`${taskQuery} ORDER BY t.status = 'open' DESC, t.due_date DESC`, taskParams);
+
+    const [notes] = await pool.query(
+        `SELECT n.*, CONCAT(u.first_name, ' ', u.last_name) as author_name
+         FROM contact_notes n
+         LEFT JOIN users u ON u.id = n.user_id
+         WHERE n.contact_id = ?
+         ORDER BY n.created_at DESC, n.id DESC`,
+        [contactId]
+    );
+
+    return {
+        ...formatContact(contacts[0]),
+        appointments: appointments.map(a => ({
+            id: a.id,
+            propertyId: a.property_id,
+            propertyTitle: a.property_title,
+            propertyPrice: parseFloat(a.property_price),
+            propertyCity: a.property_city,
+            customerName: a.customer_name,
+            customerEmail: a.customer_email,
+            customerPhone: a.customer_phone,
+            customerIntent: a.customer_intent,
+            customerMessage: a.customer_message,
+            status: a.status,
+            outcome: a.outcome,
+            outcomeNotes: a.outcome_notes,
+            agentNotes: a.agent_notes,
+            agentId: a.assigned_agent_id,
+            agentName: a.agent_name,
+            scheduledDate: a.scheduled_day,
+            scheduledTime: a.scheduled_time,
+            completedAt: a.completed_at,
+            createdAt: a.created_at
+        })),
+        offers: offers.map(o => ({
+            id: o.id,
+            propertyId: o.property_id,
+            propertyTitle: o.property_title,
+            appointmentId: o.appointment_id,
+            initialAmount: parseFloat(o.initial_amount),
+            currentAmount: parseFloat(o.current_amount),
+            status: o.status,
+            agentName: o.agent_name,
+            closedAt: o.closed_at,
+            createdAt: o.created_at
+        })),
+        tasks: tasks.map(t => ({
+            id: t.id,
+            appointmentId: t.appointment_id,
+            propertyTitle: t.property_title,
+            title: t.title,
+            dueDate: t.due_day,
+            status: t.status,
+            completedAt: t.completed_at
+        })),
+        notes: notes.map(n => ({
+            id: n.id,
+            note: n.note,
+            authorName: n.author_name,
+            createdAt: n.created_at
+        }))
+    };
+};
+
+module.exports = {
+    REPEAT_NO_SHOW_COUNT,
+    RELIABILITY_LEVELS,
+    CONTACT_FLAGS_SQL,
+    contactFlags,
+    normalizeEmail,
+    normalizePhone,
+    formatContact,
+    findContact,
+    matchOrCreateContact,
+    updateNoShowCount,
+    canViewContact,
+    getContactHistory
+};
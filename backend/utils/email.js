@@ -0,0 +1,200 @@
+/**
+ * Email Helpers
+ * Notification emails go through a persistent outbox (email_outbox) and are delivered
+ * by the outbox worker with retries, so a slow or failing mail server never blocks a request
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { pool } = require('../config/database');
+require('dotenv').config();
+
+// 'smtp' for real delivery, 'file' to write .eml files for development
+const EMAIL_TRANSPORT = process.env.EMAIL_TRANSPORT || (process.env.SMTP_USER ? 'smtp' : 'file');
+const EMAIL_FILE_DIR = path.resolve(__dirname, '..', process.env.EMAIL_FILE_DIR || 'mail-outbox');
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 5;
+const BATCH_SIZE = 20;
+
+// Messages stuck in 'sending' this long (e.g. the server stopped mid-send) are retried
+const STALE_SENDING_MINUTES = 10;
+
+const transporter = EMAIL_TRANSPORT === 'file'
+    ? nodemailer.createTransport({ streamTransport: true, buffer: true })
+    : nodemailer.createTransport({
+        host: process.env.SMTP_HOST || 'smtp.ethereal.email',
+        port: process.env.SMTP_PORT || 587,
+        secure: false,
+        auth: {
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASS
+        }
+    });
+
+/**
+ * Minutes to wait before the next attempt: 2, 4, 8 ... capped at 2 hours
+ */
+const retryDelayMinutes = (attempts) => Math.min(2 ** attempts, 120);
+
+/**
+ * Format an outbox row (body only when asked for, it can be large)
+ */
+const formatEmail = (e, { withBody = false } = {}) => ({
+    id: e.id,
+    to: e.to_address,
+    subject: e.subject,
+    status: e.status,
+    attempts: e.attempts,
+    maxAttempts: e.max_attempts,
+    nextAttemptAt: e.next_attempt_at,
+    lastError: e.last_error,
+    deliveryRef: e.delivery_ref,
+    hasCalendarInvite: !!(e.options && e.options.icalEvent),
+    sentAt: e.sent_at,
+    createdAt: e.created_at,
+    ...(withBody ? { html: e.html, text: e.text_body } : {})
+});
+
+/**
+ * Queue a notification email
+ * extra.text is the plain-text alternative; the rest of extra is merged into the
+ * nodemailer message (e.g. icalEvent for calendar invites)
+ * Never throws: a failed notification must not fail the request that triggered it
+ */
+const sendNotificationEmail = async (to, subject, html, extra = {}) => {
+    const { text = null, ...options } = extra;
+
+    try {
+        await pool.query(
+            `INSERT INTO email_outbox (to_address, subject, html, text_body, options, max_attempts)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [to, subject, html, text, Object.keys(options).length > 0 ? JSON.stringify(options) : null, MAX_ATTEMPTS]
+        );
+    } catch (error) {
+        console.error('Email queue error:', error);
+    }
+};
+
+/**
+ * Send the same email to every active admin
+ */
+const sendAdminEmail = async (subject, html, extra = {}) => {
+    const [admins] = await pool.query(
+        "SELECT email FROM users WHERE role = 'admin' AND is_active = TRUE"
+    );
+
+    for (const admin of admins) {
+        await sendNotificationEmail(admin.email, subject, html, extra);
+    }
+};
+
+/**
+ * Hand one message to the transport
+ * Returns the SMTP message id, or the file path for the file transport
+ */
+const deliverEmail = async (email) => {
+    const info = await transporter.sendMail({
+        from: process.env.EMAIL_FROM || 'noreply@realestate.com',
+        to: email.to_address,
+        subject: email.subject,
+        html: email.html,
+        ...(email.text_body ? { text: email.text_body } : {}),
+        ...(email.options || {})
+    });
+
+    if (EMAIL_TRANSPORT === 'file') {
+        await fs.promises.mkdir(EMAIL_FILE_DIR, { recursive: true });
+        const file = path.join(EMAIL_FILE_DIR, `${email.id}-${Date.now()}.eml`);
+        await fs.promises.writeFile(file, info.message);
+        return file;
+    }
+
+    return info.messageId;
+};
+
+/**
+ * Deliver queued messages that are due
+ * Each message is claimed with a conditional update so overlapping runs never send it twice
+ * Returns { sent, failed } counts for this run
+ */
+const processOutbox = async () => {
+    await pool.query(
+        `UPDATE email_outbox SET status = 'pending'
+         WHERE status = 'sending' AND locked_at < DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+        [STALE_SENDING_MINUTES]
+    );
+
+    const [due] = await pool.query(
+        `SELECT * FROM email_outbox
+         WHERE status = 'pending' AND next_attempt_at <= NOW()
+         ORDER BY next_attempt_at ASC, id ASC
+         LIMIT ?`,
+        [BATCH_SIZE]
+    );
+
+    const result = { sent: 0, failed: 0 };
+
+    for (const email of due) {
+        const [claim] = await pool.query(
+            `UPDATE email_outbox SET status = 'sending', locked_at = NOW(), attempts = attempts + 1
+             WHERE id = ? AND status = 'pending'`,
+            [email.id]
+        );
+
+        if (claim.affectedRows === 0) continue;
+
+        const attempts = email.attempts + 1;
+
+        try {
+            const deliveryRef = await deliverEmail(email);
+
+            await pool.query(
+                `UPDATE email_outbox SET status = 'sent', sent_at = NOW(), last_error = NULL,
+                 delivery_ref = ?, locked_at = NULL
+                 WHERE id = ?`,
+                [deliveryRef ? String(deliveryRef).slice(0, 500) : null, email.id]
+            );
+            result.sent++;
+        } catch (error) {
+            const giveUp = attempts >= email.max_attempts;
+
+            await pool.query(
+                `UPDATE email_outbox SET status = ?, last_error = ?, locked_at = NULL,
+                 next_attempt_at = DATE_ADD(NOW(), INTERVAL ? MINUTE)
+                 WHERE id = ?`,
+                [giveUp ? 'failed' : 'pending', error.message, retryDelayMinutes(attempts), email.id]
+            );
+
+            if (giveUp) {
+                console.error(`Email ${email.id} to ${email.to_address} failed after ${attempts} attempts:`, error.message);
+                result.failed++;
+            }
+        }
+    }
+
+    return result;
+};
+
+/**
+ * Put a message back in the queue for immediate delivery with a fresh set of attempts
+ * Returns false if the message is not in a state that can be resent
+ */
+const requeueEmail = async (id) => {
+    const [result] = await pool.query(
+        `UPDATE email_outbox SET status = 'pending', attempts = 0, next_attempt_at = NOW(), last_error = NULL
+         WHERE id = ? AND status IN ('failed', 'sent')`,
+        [id]
+    );
+
+    return result.affectedRows > 0;
+};
+
+module.exports = {
+    EMAIL_TRANSPORT,
+    EMAIL_FILE_DIR,
+    formatEmail,
+    sendNotificationEmail,
+    sendAdminEmail,
+    processOutbox,
+    requeueEmail
+};
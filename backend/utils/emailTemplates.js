@@ -0,0 +1,898 @@
+/**
+ * Email Templates
+ * Named notification templates with English and Filipino variants. The built-in defaults
+ * below can be overridden per locale by admins (email_templates table).
+ *
+ * Template syntax:
+ *   {{name}}               variable; HTML-escaped in the HTML body, as-is in the subject and text body
+ *   {{#name}}...{{/name}}  shown when name is set; repeated for each item when name is a list
+ *   {{^name}}...{{/name}}  shown when name is empty
+ */
+
+const { pool } = require('../config/database');
+const { sendNotificationEmail, sendAdminEmail } = require('./email');
+require('dotenv').config();
+
+const LOCALES = ['en', 'fil'];
+const DEFAULT_LOCALE = 'en';
+
+// Available to every template
+const GLOBAL_VARIABLES = {
+    officePhone: 'Office phone number (OFFICE_PHONE)'
+};
+
+const getGlobalValues = () => ({
+    officePhone: process.env.OFFICE_PHONE || ''
+});
+
+// Variables shared by the customer emails that carry the manage link
+const MANAGE_LINK_VARIABLES = {
+    manageUrl: 'Link for the customer to view, reschedule or cancel',
+    linkValidDays: 'Days the manage link stays valid'
+};
+
+const MANAGE_LINK_SAMPLE = {
+    manageUrl: 'http://localhost:8080/appointment.html?token=sample',
+    linkValidDays: 14
+};
+
+/**
+ * Built-in templates
+ * Customer emails ship in English and Filipino; staff emails in English only,
+ * and a Filipino version falls back to English until an admin writes one
+ */
+const DEFAULT_TEMPLATES = {
+    customer_request_received: {
+        label: 'Customer - Viewing request received',
+        variables: {
+            customerName: 'Customer name',
+            propertyTitle: 'Property title',
+            ...MANAGE_LINK_VARIABLES
+        },
+        sample: {
+            customerName: 'Maria Santos',
+            propertyTitle: 'Modern 3BR House in Quezon City',
+            ...MANAGE_LINK_SAMPLE
+        },
+        en: {
+            subject: 'Viewing Request Received - Real Estate Simplified',
+            html: `<h2>Thank you for your viewing request!</h2>
+<p>Dear {{customerName}},</p>
+<p>We have received your request to view <strong>{{propertyTitle}}</strong>.</p>
+<p>One of our agents will contact you within 24 hours to schedule a viewing.</p>
+<p>You can view, reschedule or cancel your viewing here: <a href="{{manageUrl}}">Manage my viewing</a> (link valid for {{linkValidDays}} days).</p>
+{{#officePhone}}<p>If you have any urgent questions, please call us at {{officePhone}}.</p>{{/officePhone}}
+<br>
+<p>Best regards,<br>Real Estate Simplified Team</p>`,
+            text: `Thank you for your viewing request!
+
+Dear {{customerName}},
+
+We have received your request to view {{propertyTitle}}.
+One of our agents will contact you within 24 hours to schedule a viewing.
+
+Manage your viewing (link valid for {{linkValidDays}} days):
+{{manageUrl}}
+{{#officePhone}}
+If you have any urgent questions, please call us at {{officePhone}}.
+{{/officePhone}}
+Best regards,
+Real Estate Simplified Team`
+        },
+        fil: {
+            subject: 'Natanggap ang Inyong Request - Real Estate Simplified',
+            html: `<h2>Salamat sa inyong viewing request!</h2>
+<p>Mahal na {{customerName}},</p>
+<p>Natanggap namin ang inyong request na makita ang <strong>{{propertyTitle}}</strong>.</p>
+<p>Tatawagan kayo ng isa sa aming mga agent sa loob ng 24 oras para i-schedule ang viewing.</p>
+<p>Maaari ninyong tingnan, ilipat o kanselahin ang inyong viewing dito: <a href="{{manageUrl}}">Pamahalaan ang aking viewing</a> (valid ang link nang {{linkValidDays}} araw).</p>
+{{#officePhone}}<p>Kung may agarang tanong, tumawag sa {{officePhone}}.</p>{{/officePhone}}
+<br>
+<p>Lubos na gumagalang,<br>Real Estate Simplified Team</p>`,
+            text: `Salamat sa inyong viewing request!
+
+Mahal na {{customerName}},
+
+Natanggap namin ang inyong request na makita ang {{propertyTitle}}.
+Tatawagan kayo ng isa sa aming mga agent sa loob ng 24 oras para i-schedule ang viewing.
+
+Pamahalaan ang inyong viewing (valid ang link nang {{linkValidDays}} araw):
+{{manageUrl}}
+{{#officePhone}}
+Kung may agarang tanong, tumawag sa {{officePhone}}.
+{{/officePhone}}
+Lubos na gumagalang,
+Real Estate Simplified Team`
+        }
+    },
+
+    customer_viewing_scheduled: {
+        label: 'Customer - Viewing scheduled',
+        variables: {
+            customerName: 'Customer name',
+            propertyTitle: 'Property title',
+            scheduledDate: 'Viewing date',
+            scheduledTime: 'Viewing time',
+            durationMinutes: 'Viewing length in minutes',
+            ...MANAGE_LINK_VARIABLES
+        },
+        sample: {
+            customerName: 'Maria Santos',
+            propertyTitle: 'Modern 3BR House in Quezon City',
+            scheduledDate: '2025-03-14',
+            scheduledTime: '10:00',
+            durationMinutes: 60,
+            ...MANAGE_LINK_SAMPLE
+        },
+        en: {
+            subject: 'Viewing Scheduled - Real Estate Simplified',
+            html: `<h2>Your Viewing is Scheduled!</h2>
+<p>Dear {{customerName}},</p>
+<p>Your viewing for <strong>{{propertyTitle}}</strong> has been scheduled:</p>
+<ul>
+    <li><strong>Date:</strong> {{scheduledDate}}</li>
+    <li><strong>Time:</strong> {{scheduledTime}} (about {{durationMinutes}} minutes)</li>
+</ul>
+<p>Please arrive 5 minutes early.</p>
+<p>You can view, reschedule or cancel your viewing here: <a href="{{manageUrl}}">Manage my viewing</a> (link valid for {{linkValidDays}} days).</p>
+<br>
+<p>Best regards,<br>Real Estate Simplified Team</p>`,
+            text: `Your Viewing is Scheduled!
+
+Dear {{customerName}},
+
+Your viewing for {{propertyTitle}} has been scheduled:
+- Date: {{scheduledDate}}
+- Time: {{scheduledTime}} (about {{durationMinutes}} minutes)
+
+Please arrive 5 minutes early.
+
+Manage your viewing (link valid for {{linkValidDays}} days):
+{{manageUrl}}
+
+Best regards,
+Real Estate Simplified Team`
+        },
+        fil: {
+            subject: 'Naka-schedule na ang Viewing - Real Estate Simplified',
+            html: `<h2>Naka-schedule na ang inyong viewing!</h2>
+<p>Mahal na {{customerName}},</p>
+<p>Naka-schedule na ang inyong viewing ng <strong>{{propertyTitle}}</strong>:</p>
+<ul>
+    <li><strong>Petsa:</strong> {{scheduledDate}}</li>
+    <li><strong>Oras:</strong> {{scheduledTime}} (mga {{durationMinutes}} minuto)</li>
+</ul>
+<p>Mangyaring dumating nang 5 minuto bago ang oras.</p>
+<p>Maaari ninyong tingnan, ilipat o kanselahin ang inyong viewing dito: <a href="{{manageUrl}}">Pamahalaan ang aking viewing</a> (valid ang link nang {{linkValidDays}} araw).</p>
+<br>
+<p>Lubos na gumagalang,<br>Real Estate Simplified Team</p>`,
+            text: `Naka-schedule na ang inyong viewing!
+
+Mahal na {{customerName}},
+
+Naka-schedule na ang inyong viewing ng {{propertyTitle}}:
+- Petsa: {{scheduledDate}}
+- Oras: {{scheduledTime}} (mga {{durationMinutes}} minuto)
+
+Mangyaring dumating nang 5 minuto bago ang oras.
+
+Pamahalaan ang inyong viewing (valid ang link nang {{linkValidDays}} araw):
+{{manageUrl}}
+
+Lubos na gumagalang,
+Real Estate Simplified Team`
+        }
+    },
+
+    customer_viewing_rescheduled: {
+        label: 'Customer - Viewing rescheduled',
+        variables: {
+            customerName: 'Customer name',
+            propertyTitle: 'Property title',
+            scheduledDate: 'New viewing date',
+            scheduledTime: 'New viewing time',
+            ...MANAGE_LINK_VARIABLES
+        },
+        sample: {
+            customerName: 'Maria Santos',
+            propertyTitle: 'Modern 3BR House in Quezon City',
+            scheduledDate: '2025-03-15',
+            scheduledTime: '14:00',
+            ...MANAGE_LINK_SAMPLE
+        },
+        en: {
+            subject: 'Viewing Rescheduled - Real Estate Simplified',
+            html: `<h2>Your Viewing Has Been Moved</h2>
+<p>Dear {{customerName}},</p>
+<p>Your viewing for <strong>{{propertyTitle}}</strong> is now on:</p>
+<ul>
+    <li><strong>Date:</strong> {{scheduledDate}}</li>
+    <li><strong>Time:</strong> {{scheduledTime}}</li>
+</ul>
+<p>You can view, reschedule or cancel your viewing here: <a href="{{manageUrl}}">Manage my viewing</a> (link valid for {{linkValidDays}} days).</p>
+<br>
+<p>Best regards,<br>Real Estate Simplified Team</p>`,
+            text: `Your Viewing Has Been Moved
+
+Dear {{customerName}},
+
+Your viewing for {{propertyTitle}} is now on:
+- Date: {{scheduledDate}}
+- Time: {{scheduledTime}}
+
+Manage your viewing (link valid for {{linkValidDays}} days):
+{{manageUrl}}
+
+Best regards,
+Real Estate Simplified Team`
+        },
+        fil: {
+            subject: 'Nailipat ang Viewing - Real Estate Simplified',
+            html: `<h2>Nailipat na ang inyong viewing</h2>
+<p>Mahal na {{customerName}},</p>
+<p>Ang inyong viewing ng <strong>{{propertyTitle}}</strong> ay nakatakda na sa:</p>
+<ul>
+    <li><strong>Petsa:</strong> {{scheduledDate}}</li>
+    <li><strong>Oras:</strong> {{scheduledTime}}</li>
+</ul>
+<p>Maaari ninyong tingnan, ilipat o kanselahin ang inyong viewing dito: <a href="{{manageUrl}}">Pamahalaan ang aking viewing</a> (valid ang link nang {{linkValidDays}} araw).</p>
+<br>
+<p>Lubos na gumagalang,<br>Real Estate Simplified Team</p>`,
+            text: `Nailipat na ang inyong viewing
+
+Mahal na {{customerName}},
+
+Ang inyong viewing ng {{propertyTitle}} ay nakatakda na sa:
+- Petsa: {{scheduledDate}}
+- Oras: {{scheduledTime}}
+
+Pamahalaan ang inyong viewing (valid ang link nang {{linkValidDays}} araw):
+{{manageUrl}}
+
+Lubos na gumagalang,
+Real Estate Simplified Team`
+        }
+    },
+
+    customer_viewing_cancelled: {
+        label: 'Customer - Viewing cancelled',
+        variables: {
+            customerName: 'Customer name',
+            propertyTitle: 'Property title',
+            scheduledDate: 'Viewing date',
+            scheduledTime: 'Viewing time',
+            cancelledByOffice: 'Set when an agent or admin cancelled (not the customer)'
+        },
+        sample: {
+            customerName: 'Maria Santos',
+            propertyTitle: 'Modern 3BR House in Quezon City',
+            scheduledDate: '2025-03-14',
+            scheduledTime: '10:00',
+            cancelledByOffice: true
+        },
+        en: {
+            subject: 'Viewing Cancelled - Real Estate Simplified',
+            html: `<h2>Your Viewing Has Been Cancelled</h2>
+<p>Dear {{customerName}},</p>
+<p>Your viewing of <strong>{{propertyTitle}}</strong> on {{scheduledDate}} {{scheduledTime}} has been cancelled.</p>
+{{#cancelledByOffice}}<p>We will be in touch to arrange another time if you are still interested.</p>{{/cancelledByOffice}}
+<br>
+<p>Best regards,<br>Real Estate Simplified Team</p>`,
+            text: `Your Viewing Has Been Cancelled
+
+Dear {{customerName}},
+
+Your viewing of {{propertyTitle}} on {{scheduledDate}} {{scheduledTime}} has been cancelled.
+{{#cancelledByOffice}}We will be in touch to arrange another time if you are still interested.
+{{/cancelledByOffice}}
+Best regards,
+Real Estate Simplified Team`
+        },
+        fil: {
+            subject: 'Kinansela ang Viewing - Real Estate Simplified',
+            html: `<h2>Kinansela ang inyong viewing</h2>
+<p>Mahal na {{customerName}},</p>
+<p>Kinansela ang inyong viewing ng <strong>{{propertyTitle}}</strong> sa {{scheduledDate}} {{scheduledTime}}.</p>
+{{#cancelledByOffice}}<p>Makikipag-ugnayan kami para sa ibang oras kung interesado pa kayo.</p>{{/cancelledByOffice}}
+<br>
+<p>Lubos na gumagalang,<br>Real Estate Simplified Team</p>`,
+            text: `Kinansela ang inyong viewing
+
+Mahal na {{customerName}},
+
+Kinansela ang inyong viewing ng {{propertyTitle}} sa {{scheduledDate}} {{scheduledTime}}.
+{{#cancelledByOffice}}Makikipag-ugnayan kami para sa ibang oras kung interesado pa kayo.
+{{/cancelledByOffice}}
+Lubos na gumagalang,
+Real Estate Simplified Team`
+        }
+    },
+
+    customer_viewing_reminder: {
+        label: 'Customer - Viewing reminder',
+        variables: {
+            customerName: 'Customer name',
+            propertyTitle: 'Property title',
+            propertyAddress: 'Property street address',
+            propertyCity: 'Property city',
+            scheduledDate: 'Viewing date',
+            scheduledTime: 'Viewing time',
+            agentName: 'Assigned agent name',
+            agentPhone: 'Assigned agent phone (may be empty)',
+            isDayBefore: 'Set for reminders 24 hours or more ahead',
+            ...MANAGE_LINK_VARIABLES
+        },
+        sample: {
+            customerName: 'Maria Santos',
+            propertyTitle: 'Modern 3BR House in Quezon City',
+            propertyAddress: '123 Sample Street',
+            propertyCity: 'Quezon City',
+            scheduledDate: '2025-03-14',
+            scheduledTime: '10:00',
+            agentName: 'Juan Dela Cruz',
+            agentPhone: '+63-917-000-0000',
+            isDayBefore: true,
+            ...MANAGE_LINK_SAMPLE
+        },
+        en: {
+            subject: 'Reminder: Viewing {{#isDayBefore}}Tomorrow{{/isDayBefore}}{{^isDayBefore}}Soon{{/isDayBefore}} - Real Estate Simplified',
+            html: `<h2>Your Viewing Is Coming Up</h2>
+<p>Dear {{customerName}},</p>
+<p>This is a reminder of your viewing of <strong>{{propertyTitle}}</strong>:</p>
+<ul>
+    <li><strong>Date &amp; Time:</strong> {{scheduledDate}} at {{scheduledTime}}</li>
+    <li><strong>Address:</strong> {{propertyAddress}}, {{propertyCity}}</li>
+    <li><strong>Agent:</strong> {{agentName}}{{#agentPhone}} ({{agentPhone}}){{/agentPhone}}</li>
+</ul>
+<p>You can view, reschedule or cancel your viewing here: <a href="{{manageUrl}}">Manage my viewing</a> (link valid for {{linkValidDays}} days).</p>
+<br>
+<p>Best regards,<br>Real Estate Simplified Team</p>`,
+            text: `Your Viewing Is Coming Up
+
+Dear {{customerName}},
+
+This is a reminder of your viewing of {{propertyTitle}}:
+- Date & Time: {{scheduledDate}} at {{scheduledTime}}
+- Address: {{propertyAddress}}, {{propertyCity}}
+- Agent: {{agentName}}{{#agentPhone}} ({{agentPhone}}){{/agentPhone}}
+
+Manage your viewing (link valid for {{linkValidDays}} days):
+{{manageUrl}}
+
+Best regards,
+Real Estate Simplified Team`
+        },
+        fil: {
+            subject: 'Paalala: Viewing {{#isDayBefore}}Bukas{{/isDayBefore}}{{^isDayBefore}}Malapit Na{{/isDayBefore}} - Real Estate Simplified',
+            html: `<h2>Malapit na ang inyong viewing</h2>
+<p>Mahal na {{customerName}},</p>
+<p>Paalala ito tungkol sa inyong viewing ng <strong>{{propertyTitle}}</strong>:</p>
+<ul>
+    <li><strong>Petsa at Oras:</strong> {{scheduledDate}}, {{scheduledTime}}</li>
+    <li><strong>Address:</strong> {{propertyAddress}}, {{propertyCity}}</li>
+    <li><strong>Agent:</strong> {{agentName}}{{#agentPhone}} ({{agentPhone}}){{/agentPhone}}</li>
+</ul>
+<p>Maaari ninyong tingnan, ilipat o kanselahin ang inyong viewing dito: <a href="{{manageUrl}}">Pamahalaan ang aking viewing</a> (valid ang link nang {{linkValidDays}} araw).</p>
+<br>
+<p>Lubos na gumagalang,<br>Real Estate Simplified Team</p>`,
+            text: `Malapit na ang inyong viewing
+
+Mahal na {{customerName}},
+
+Paalala ito tungkol sa inyong viewing ng {{propertyTitle}}:
+- Petsa at Oras: {{scheduledDate}}, {{scheduledTime}}
+- Address: {{propertyAddress}}, {{propertyCity}}
+- Agent: {{agentName}}{{#agentPhone}} ({{agentPhone}}){{/agentPhone}}
+
+Pamahalaan ang inyong viewing (valid ang link nang {{linkValidDays}} araw):
+{{manageUrl}}
+
+Lubos na gumagalang,
+Real Estate Simplified Team`
+        }
+    },
+
+    agent_viewing_assigned: {
+        label: 'Agent - New request assigned',
+        variables: {
+            agentFirstName: 'Agent first name',
+            propertyTitle: 'Property title',
+            propertyAddress: 'Property street address',
+            customerName: 'Customer name',
+            customerPhone: 'Customer phone',
+            customerEmail: 'Customer email',
+            assignmentRule: 'Why the agent was picked'
+        },
+        sample: {
+            agentFirstName: 'Juan',
+            propertyTitle: 'Modern 3BR House in Quezon City',
+            propertyAddress: '123 Sample Street',
+            customerName: 'Maria Santos',
+            customerPhone: '+63-917-111-2222',
+            customerEmail: 'maria@example.com',
+            assignmentRule: 'City territory'
+        },
+        en: {
+            subject: 'New Viewing Request Assigned - Real Estate Simplified',
+            html: `<h2>New Viewing Request Assigned</h2>
+<p>Dear {{agentFirstName}},</p>
+<p>You have been assigned a new viewing request:</p>
+<ul>
+    <li><strong>Property:</strong> {{propertyTitle}}</li>
+    <li><strong>Address:</strong> {{propertyAddress}}</li>
+    <li><strong>Customer:</strong> {{customerName}}</li>
+    <li><strong>Phone:</strong> {{customerPhone}}</li>
+    <li><strong>Email:</strong> {{customerEmail}}</li>
+    <li><strong>Assignment rule:</strong> {{assignmentRule}}</li>
+</ul>
+<p>Please contact the customer within 24 hours to schedule a viewing.</p>
+<br>
+<p>Best regards,<br>Real Estate Simplified</p>`,
+            text: `New Viewing Request Assigned
+
+Dear {{agentFirstName}},
+
+You have been assigned a new viewing request:
+- Property: {{propertyTitle}}
+- Address: {{propertyAddress}}
+- Customer: {{customerName}}
+- Phone: {{customerPhone}}
+- Email: {{customerEmail}}
+- Assignment rule: {{assignmentRule}}
+
+Please contact the customer within 24 hours to schedule a viewing.
+
+Best regards,
+Real Estate Simplified`
+        }
+    },
+
+    agent_viewing_scheduled: {
+        label: 'Agent - Viewing scheduled (calendar copy)',
+        variables: {
+            customerName: 'Customer name',
+            customerPhone: 'Customer phone',
+            propertyTitle: 'Property title',
+            scheduledDate: 'Viewing date',
+            scheduledTime: 'Viewing time'
+        },
+        sample: {
+            customerName: 'Maria Santos',
+            customerPhone: '+63-917-111-2222',
+            propertyTitle: 'Modern 3BR House in Quezon City',
+            scheduledDate: '2025-03-14',
+            scheduledTime: '10:00'
+        },
+        en: {
+            subject: 'Viewing Scheduled: {{propertyTitle}} - Real Estate Simplified',
+            html: `<h2>Viewing Scheduled</h2>
+<p>{{customerName}} ({{customerPhone}}) is viewing <strong>{{propertyTitle}}</strong>
+on {{scheduledDate}} at {{scheduledTime}}. The attached invite adds it to your calendar.</p>`,
+            text: `Viewing Scheduled
+
+{{customerName}} ({{customerPhone}}) is viewing {{propertyTitle}} on {{scheduledDate}} at {{scheduledTime}}.
+The attached invite adds it to your calendar.`
+        }
+    },
+
+    agent_viewing_rescheduled: {
+        label: 'Agent - Viewing rescheduled by customer',
+        variables: {
+            agentFirstName: 'Agent first name',
+            customerName: 'Customer name',
+            customerPhone: 'Customer phone',
+            propertyTitle: 'Property title',
+            previousSchedule: 'Previous date and time',
+            scheduledDate: 'New viewing date',
+            scheduledTime: 'New viewing time'
+        },
+        sample: {
+            agentFirstName: 'Juan',
+            customerName: 'Maria Santos',
+            customerPhone: '+63-917-111-2222',
+            propertyTitle: 'Modern 3BR House in Quezon City',
+            previousSchedule: '2025-03-14 10:00',
+            scheduledDate: '2025-03-15',
+            scheduledTime: '14:00'
+        },
+        en: {
+            subject: 'Viewing Rescheduled by Customer - Real Estate Simplified',
+            html: `<h2>Viewing Rescheduled</h2>
+<p>Dear {{agentFirstName}},</p>
+<p>{{customerName}} has moved their viewing of <strong>{{propertyTitle}}</strong>:</p>
+<ul>
+    <li><strong>Was:</strong> {{previousSchedule}}</li>
+    <li><strong>Now:</strong> {{scheduledDate}} {{scheduledTime}}</li>
+    <li><strong>Phone:</strong> {{customerPhone}}</li>
+</ul>
+<br>
+<p>Best regards,<br>Real Estate Simplified</p>`,
+            text: `Viewing Rescheduled
+
+Dear {{agentFirstName}},
+
+{{customerName}} has moved their viewing of {{propertyTitle}}:
+- Was: {{previousSchedule}}
+- Now: {{scheduledDate}} {{scheduledTime}}
+- Phone: {{customerPhone}}
+
+Best regards,
+Real Estate Simplified`
+        }
+    },
+
+    agent_viewing_cancelled: {
+        label: 'Agent - Viewing cancelled',
+        variables: {
+            agentFirstName: 'Agent first name',
+            customerName: 'Customer name',
+            propertyTitle: 'Property title',
+            scheduledDate: 'Viewing date (empty if it was never scheduled)',
+            scheduledTime: 'Viewing time',
+            cancelledByCustomer: 'Set when the customer cancelled from their manage link',
+            reason: 'Cancellation reason given by the customer'
+        },
+        sample: {
+            agentFirstName: 'Juan',
+            customerName: 'Maria Santos',
+            propertyTitle: 'Modern 3BR House in Quezon City',
+            scheduledDate: '2025-03-14',
+            scheduledTime: '10:00',
+            cancelledByCustomer: true,
+            reason: 'Found another property'
+        },
+        en: {
+            subject: '{{#cancelledByCustomer}}Viewing Cancelled by Customer{{/cancelledByCustomer}}{{^cancelledByCustomer}}Viewing Cancelled: {{propertyTitle}}{{/cancelledByCustomer}} - Real Estate Simplified',
+            html: `<h2>Viewing Cancelled</h2>
+<p>Dear {{agentFirstName}},</p>
+<p>{{#cancelledByCustomer}}{{customerName}} has cancelled their viewing of{{/cancelledByCustomer}}{{^cancelledByCustomer}}The viewing with {{customerName}} at{{/cancelledByCustomer}} <strong>{{propertyTitle}}</strong>{{#scheduledDate}} on {{scheduledDate}} {{scheduledTime}}{{/scheduledDate}}{{^cancelledByCustomer}} has been cancelled{{/cancelledByCustomer}}.</p>
+{{#reason}}<p><strong>Reason:</strong> {{reason}}</p>{{/reason}}
+<br>
+<p>Best regards,<br>Real Estate Simplified</p>`,
+            text: `Viewing Cancelled
+
+Dear {{agentFirstName}},
+
+{{#cancelledByCustomer}}{{customerName}} has cancelled their viewing of{{/cancelledByCustomer}}{{^cancelledByCustomer}}The viewing with {{customerName}} at{{/cancelledByCustomer}} {{propertyTitle}}{{#scheduledDate}} on {{scheduledDate}} {{scheduledTime}}{{/scheduledDate}}{{^cancelledByCustomer}} has been cancelled{{/cancelledByCustomer}}.
+{{#reason}}Reason: {{reason}}
+{{/reason}}
+Best regards,
+Real Estate Simplified`
+        }
+    },
+
+    agent_viewing_reminder: {
+        label: 'Agent - Viewing reminder',
+        variables: {
+            agentFirstName: 'Agent first name',
+            propertyTitle: 'Property title',
+            propertyAddress: 'Property street address',
+            scheduledDate: 'Viewing date',
+            scheduledTime: 'Viewing time',
+            customerName: 'Customer name',
+            customerPhone: 'Customer phone'
+        },
+        sample: {
+            agentFirstName: 'Juan',
+            propertyTitle: 'Modern 3BR House in Quezon City',
+            propertyAddress: '123 Sample Street',
+            scheduledDate: '2025-03-14',
+            scheduledTime: '10:00',
+            customerName: 'Maria Santos',
+            customerPhone: '+63-917-111-2222'
+        },
+        en: {
+            subject: 'Reminder: Viewing at {{scheduledTime}} - {{propertyTitle}}',
+            html: `<h2>Upcoming Viewing</h2>
+<p>Dear {{agentFirstName}},</p>
+<ul>
+    <li><strong>Date &amp; Time:</strong> {{scheduledDate}} at {{scheduledTime}}</li>
+    <li><strong>Property:</strong> {{propertyTitle}}, {{propertyAddress}}</li>
+    <li><strong>Customer:</strong> {{customerName}} ({{customerPhone}})</li>
+</ul>
+<p>Please confirm with the customer if you have not spoken recently.</p>
+<br>
+<p>Best regards,<br>Real Estate Simplified</p>`,
+            text: `Upcoming Viewing
+
+Dear {{agentFirstName}},
+
+- Date & Time: {{scheduledDate}} at {{scheduledTime}}
+- Property: {{propertyTitle}}, {{propertyAddress}}
+- Customer: {{customerName}} ({{customerPhone}})
+
+Please confirm with the customer if you have not spoken recently.
+
+Best regards,
+Real Estate Simplified`
+        }
+    },
+
+    admin_sla_overdue: {
+        label: 'Admin - Overdue requests summary',
+        variables: {
+            count: 'Number of overdue requests',
+            appointments: 'List of overdue requests (use as a section)',
+            id: 'Appointment id (inside appointments)',
+            propertyTitle: 'Property title (inside appointments)',
+            customerName: 'Customer name (inside appointments)',
+            customerPhone: 'Customer phone (inside appointments)',
+            isPending: 'Set when no agent was assigned (inside appointments)',
+            agentName: 'Agent who held the request (inside appointments)',
+            thresholdHours: 'Response time target in hours (inside appointments)',
+            reassignedToName: 'New agent, if reassigned (inside appointments)'
+        },
+        sample: {
+            count: 2,
+            appointments: [
+                {
+                    id: 12, propertyTitle: 'Modern 3BR House in Quezon City', customerName: 'Maria Santos',
+                    customerPhone: '+63-917-111-2222', isPending: true, agentName: '', thresholdHours: 4,
+                    reassignedToName: 'Juan Dela Cruz'
+                },
+                {
+                    id: 15, propertyTitle: 'Condo Unit in Makati', customerName: 'Jose Reyes',
+                    customerPhone: '+63-918-333-4444', isPending: false, agentName: 'Ana Garcia', thresholdHours: 24,
+                    reassignedToName: ''
+                }
+            ]
+        },
+        en: {
+            subject: '{{count}} Overdue Viewing Request(s) - Real Estate Simplified',
+            html: `<h2>Viewing Requests Past Their Response Time</h2>
+<ul>
+    {{#appointments}}<li>
+        <strong>#{{id}} {{propertyTitle}}</strong> - {{customerName}} ({{customerPhone}})<br>
+        {{#isPending}}No agent assigned after {{thresholdHours}} hours.{{/isPending}}{{^isPending}}{{agentName}} has not scheduled it after {{thresholdHours}} hours.{{/isPending}}
+        {{#reassignedToName}}Reassigned to {{reassignedToName}}.{{/reassignedToName}}{{^reassignedToName}}Flagged for follow-up.{{/reassignedToName}}
+    </li>
+    {{/appointments}}
+</ul>
+<p>See the overdue queue on the admin dashboard.</p>`,
+            text: `Viewing Requests Past Their Response Time
+{{#appointments}}
+- #{{id}} {{propertyTitle}} - {{customerName}} ({{customerPhone}})
+  {{#isPending}}No agent assigned after {{thresholdHours}} hours.{{/isPending}}{{^isPending}}{{agentName}} has not scheduled it after {{thresholdHours}} hours.{{/isPending}} {{#reassignedToName}}Reassigned to {{reassignedToName}}.{{/reassignedToName}}{{^reassignedToName}}Flagged for follow-up.{{/reassignedToName}}
+{{/appointments}}
+See the overdue queue on the admin dashboard.`
+        }
+    }
+};
+
+const TEMPLATE_KEYS = Object.keys(DEFAULT_TEMPLATES);
+
+const TAG_PATTERN = /\{\{\s*([#^/]?)\s*(\w+)\s*\}\}/g;
+
+/**
+ * Parse template source into nodes: { text }, { variable } and { section, inverted, children }
+ * Throws on unbalanced sections
+ */
+const parseTemplate = (source) => {
+    const root = { children: [] };
+    const stack = [root];
+    let last = 0;
+
+    for (const match of source.matchAll(TAG_PATTERN)) {
+        const [tag, type, name] = match;
+        const parent = stack[stack.length - 1];
+
+        if (match.index > last) {
+            parent.children.push({ text: source.slice(last, match.index) });
+        }
+        last = match.index + tag.length;
+
+        if (type === '#' || type === '^') {
+            const section = { section: name, inverted: type === '^', children: [] };
+            parent.children.push(section);
+            stack.push(section);
+        } else if (type === '/') {
+            if (parent.section !== name) {
+                throw new Error(`{{/${name}}} does not close an open section`);
+            }
+            stack.pop();
+        } else {
+            parent.children.push({ variable: name });
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new Error(`{{#${stack[stack.length - 1].section}}} is never closed`);
+    }
+
+    if (last < source.length) {
+        root.children.push({ text: source.slice(last) });
+    }
+
+    return root.children;
+};
+
+const escapeHtml = (value) => value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const isEmptyValue = (value) =>
+    value === undefined || value === null || value === false || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+
+/**
+ * Render parsed nodes in one pass, so values containing {{...}} are never expanded
+ */
+const renderNodes = (nodes, scope, escape) => nodes.map(node => {
+    if (node.text !== undefined) return node.text;
+
+    if (node.variable) {
+        const value = scope[node.variable];
+        return value === undefined || value === null ? '' : escape(String(value));
+    }
+
+    const value = scope[node.section];
+
+    if (node.inverted) {
+        return isEmptyValue(value) ? renderNodes(node.children, scope, escape) : '';
+    }
+
+    if (isEmptyValue(value)) return '';
+
+    if (Array.isArray(value)) {
+        return value.map(item => renderNodes(node.children, { ...scope, ...item }, escape)).join('');
+    }
+
+    return renderNodes(node.children, scope, escape);
+}).join('');
+
+/**
+ * Render a template's parts with the given variables
+ */
+const renderParts = (parts, vars) => {
+    const scope = { ...getGlobalValues(), ...vars };
+    const raw = value => value;
+
+    return {
+        // Subjects are a single header line
+        subject: renderNodes(parseTemplate(parts.subject), scope, raw).replace(/\s+/g, ' ').trim(),
+        html: renderNodes(parseTemplate(parts.html), scope, escapeHtml),
+        text: renderNodes(parseTemplate(parts.text), scope, raw)
+    };
+};
+
+/**
+ * Problems with edited template parts: unbalanced sections and unknown variables
+ * Returns a list of messages, empty when the parts are valid
+ */
+const findTemplateErrors = (key, parts) => {
+    const known = { ...GLOBAL_VARIABLES, ...DEFAULT_TEMPLATES[key].variables };
+    const errors = [];
+
+    const collectNames = (nodes, names) => {
+        nodes.forEach(node => {
+            const name = node.variable || node.section;
+            if (name) names.add(name);
+            if (node.children) collectNames(node.children, names);
+        });
+        return names;
+    };
+
+    for (const part of ['subject', 'html', 'text']) {
+        try {
+            const unknown = [...collectNames(parseTemplate(parts[part]), new Set())]
+                .filter(name => !Object.prototype.hasOwnProperty.call(known, name));
+
+            if (unknown.length > 0) {
+                errors.push(`${part}: unknown variable(s) ${unknown.map(name => `{{${name}}}`).join(', ')}`);
+            }
+        } catch (error) {
+            errors.push(`${part}: ${error.message}`);
+        }
+    }
+
+    return errors;
+};
+
+/**
+ * Template source for a key and locale
+ * Order: saved locale version, default locale version, saved English, default English
+ */
+const getTemplate = async (key, locale = DEFAULT_LOCALE) => {
+    const definition = DEFAULT_TEMPLATES[key];
+    if (!definition) {
+        throw new Error(`Unknown email template: ${key}`);
+    }
+
+    const [rows] = await pool.query(
+        'SELECT * FROM email_templates WHERE template_key = ? AND locale IN (?, ?)',
+        [key, locale, DEFAULT_LOCALE]
+    );
+
+    const saved = (loc) => {
+        const row = rows.find(r => r.locale === loc);
+        return row ? { subject: row.subject, html: row.html_body, text: row.text_body } : null;
+    };
+
+    const parts = saved(locale) || definition[locale] || saved(DEFAULT_LOCALE) || definition[DEFAULT_LOCALE];
+    const isCustomized = rows.some(r => r.locale === locale);
+
+    return {
+        key,
+        locale,
+        label: definition.label,
+        ...parts,
+        isCustomized,
+        // True when no version exists for the locale and English is used instead
+        isFallback: !isCustomized && !definition[locale],
+        defaults: definition[locale] || definition[DEFAULT_LOCALE],
+        variables: { ...GLOBAL_VARIABLES, ...definition.variables },
+        sample: definition.sample
+    };
+};
+
+/**
+ * Every template with the locales that have been customized
+ */
+const listTemplates = async () => {
+    const [rows] = await pool.query(
+        'SELECT template_key, locale, updated_at FROM email_templates'
+    );
+
+    return TEMPLATE_KEYS.map(key => ({
+        key,
+        label: DEFAULT_TEMPLATES[key].label,
+        locales: LOCALES.map(locale => {
+            const row = rows.find(r => r.template_key === key && r.locale === locale);
+            return {
+                locale,
+                hasDefault: !!DEFAULT_TEMPLATES[key][locale],
+                isCustomized: !!row,
+                updatedAt: row ? row.updated_at : null
+            };
+        })
+    }));
+};
+
+/**
+ * Render a template to { subject, html, text }
+ */
+const renderEmailTemplate = async (key, vars, locale = DEFAULT_LOCALE) => {
+    const template = await getTemplate(key, LOCALES.includes(locale) ? locale : DEFAULT_LOCALE);
+    return renderParts(template, vars);
+};
+
+/**
+ * Render a template and queue it for one recipient
+ * extra is passed through to the outbox (e.g. icalEvent). Never throws, like sendNotificationEmail
+ */
+const sendTemplateEmail = async (to, key, vars, { locale = DEFAULT_LOCALE, extra = {} } = {}) => {
+    try {
+        const email = await renderEmailTemplate(key, vars, locale);
+        await sendNotificationEmail(to, email.subject, email.html, { ...extra, text: email.text });
+    } catch (error) {
+        console.error(`Email template ${key} error:`, error);
+    }
+};
+
+/**
+ * Render a template once and queue it for every active admin
+ */
+const sendAdminTemplateEmail = async (key, vars) => {
+    try {
+        const email = await renderEmailTemplate(key, vars);
+        await sendAdminEmail(email.subject, email.html, { text: email.text });
+    } catch (error) {
+        console.error(`Email template ${key} error:`, error);
+    }
+};
+
+module.exports = {
+    LOCALES,
+    DEFAULT_LOCALE,
+    TEMPLATE_KEYS,
+    renderParts,
+    findTemplateErrors,
+    getTemplate,
+    listTemplates,
+    renderEmailTemplate,
+    sendTemplateEmail,
+    sendAdminTemplateEmail
+};
@@ -0,0 +1,109 @@
+/**
+ * iCalendar Helpers
+ * .ics invites for viewings and the agents' subscribable feeds (RFC 5545)
+ */
+
+const crypto = require('crypto');
+require('dotenv').config();
+
+const PRODUCT_ID = '-//Real Estate Simplified//Viewings//EN';
+const UID_DOMAIN = 'realestate-simplified';
+const API_PUBLIC_URL = (process.env.API_PUBLIC_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+/**
+ * Escape text values (backslash, semicolon, comma and newlines)
+ */
+const escapeText = (value) => String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold content lines longer than 75 characters
+ */
+const foldLine = (line) => {
+    const parts = [];
+    for (let i = 0; i < line.length; i += 74) {
+        parts.push((i === 0 ? '' : ' ') + line.slice(i, i + 74));
+    }
+    return parts.join('\r\n');
+};
+
+/**
+ * UTC timestamp (YYYYMMDDTHHMMSSZ) for a Date
+ */
+const formatUtc = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Build one VEVENT for a viewing
+ * Expects scheduledDate as YYYY-MM-DD and scheduledTime as HH:MM(:SS) in server local time
+ */
+const buildViewingEvent = (viewing, { cancelled = false } = {}) => {
+    const start = new Date(`${viewing.scheduledDate}T${viewing.scheduledTime}`);
+    const end = new Date(start.getTime() + viewing.durationMinutes * 60 * 1000);
+
+    const description = [
+        `Customer: ${viewing.customerName} (${viewing.customerPhone})`,
+        viewing.agentName ? `Agent: ${viewing.agentName}` : null,
+        viewing.manageUrl ? `Reschedule or cancel: ${viewing.manageUrl}` : null
+    ].filter(Boolean).join('\n');
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:appointment-${viewing.id}@${UID_DOMAIN}`,
+        `SEQUENCE:${viewing.sequence || 0}`,
+        `DTSTAMP:${formatUtc(new Date())}`,
+        `DTSTART:${formatUtc(start)}`,
+        `DTEND:${formatUtc(end)}`,
+        `SUMMARY:${escapeText(`Property viewing: ${viewing.propertyTitle}`)}`,
+        `LOCATION:${escapeText([viewing.propertyAddress, viewing.propertyCity].filter(Boolean).join(', '))}`,
+        `DESCRIPTION:${escapeText(description)}`,
+        viewing.agentEmail ? `ORGANIZER;CN=${escapeText(viewing.agentName)}:mailto:${viewing.agentEmail}` : null,
+        `ATTENDEE;CN=${escapeText(viewing.customerName)};ROLE=REQ-PARTICIPANT:mailto:${viewing.customerEmail}`,
+        `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+        'END:VEVENT'
+    ].filter(Boolean);
+};
+
+/**
+ * Wrap events in a VCALENDAR
+ * method is REQUEST (new or updated invite), CANCEL or PUBLISH (subscribed feeds)
+ */
+const buildCalendar = (eventLines, { method = 'PUBLISH', name = null } = {}) => [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    name ? `X-WR-CALNAME:${escapeText(name)}` : null,
+    ...eventLines,
+    'END:VCALENDAR'
+].filter(Boolean).map(foldLine).join('\r\n') + '\r\n';
+
+/**
+ * A single-viewing invite; updates are REQUESTs with a higher SEQUENCE
+ */
+const buildViewingInvite = (viewing, method = 'REQUEST') => buildCalendar(
+    buildViewingEvent(viewing, { cancelled: method === 'CANCEL' }),
+    { method }
+);
+
+/**
+ * Random token for an agent's private feed URL
+ */
+const generateFeedToken = () => crypto.randomBytes(24).toString('hex');
+
+/**
+ * webcal:// URL for an agent's feed token
+ */
+const buildFeedUrl = (token) =>
+    `${API_PUBLIC_URL.replace(/^https?:/, 'webcal:')}/api/appointments/feed/${token}.ics`;
+
+module.exports = {
+    buildViewingEvent,
+    buildCalendar,
+    buildViewingInvite,
+    generateFeedToken,
+    buildFeedUrl
+};
@@ -0,0 +1,206 @@
+/**
+ * Lead Scoring Helpers
+ * A 0-100 score for each viewing request from the customer's intent, their message,
+ * repeat interest, the property's price band and past no-shows, with admin-set weights
+ */
+
+const { pool } = require('../config/database');
+
+// Used if the settings row is missing
+const DEFAULT_LEAD_SCORING_SETTINGS = {
+    intentWeight: 30,
+    messageWeight: 20,
+    repeatWeight: 20,
+    priceWeight: 30,
+    noShowPenalty: 40
+};
+
+// Requests whose score can still change how the office treats them
+const OPEN_STATUSES = ['pending', 'assigned', 'scheduled'];
+
+// Score bands shown to admins
+const SCORE_BANDS = {
+    hot: { min: 70, max: 100 },
+    warm: { min: 40, max: 69 },
+    cold: { min: 0, max: 39 }
+};
+
+const INTENT_FACTORS = {
+    buy: 1,
+    invest: 1,
+    rent: 0.6,
+    inquire: 0.2
+};
+
+// Asking price upper bounds (PHP) and the factor for each band; anything above the last is 1
+const PRICE_BANDS = [
+    { upTo: 3000000, factor: 0.25 },
+    { upTo: 8000000, factor: 0.5 },
+    { upTo: 15000000, factor: 0.75 }
+];
+
+// Words that show the customer has thought about budget, financing or timing
+const SPECIFIC_MESSAGE_PATTERN = /\b(budget|financ\w*|loan|pag-?ibig|cash|pre-?approved|down ?payment|move|moving|weekend|weekday|schedule|visit|available|asap|month)\b/i;
+
+/**
+ * Format the settings row
+ */
+const formatLeadScoringSettings = (s) => ({
+    intentWeight: s.intent_weight,
+    messageWeight: s.message_weight,
+    repeatWeight: s.repeat_weight,
+    priceWeight: s.price_weight,
+    noShowPenalty: s.no_show_penalty,
+    updatedAt: s.updated_at
+});
+
+/**
+ * Get the current scoring weights
+ */
+const getLeadScoringSettings = async () => {
+    const [rows] = await pool.query('SELECT * FROM lead_scoring_settings WHERE id = 1');
+    return rows.length > 0 ? formatLeadScoringSettings(rows[0]) : { ...DEFAULT_LEAD_SCORING_SETTINGS };
+};
+
+/**
+ * Message quality from 0 to 1: length, and whether it mentions budget, financing or timing
+ * Links and all-caps messages count as low quality
+ */
+const messageFactor = (message) => {
+    const text = String(message || '').trim();
+    if (!text) return 0;
+    if (/https?:\/\/|www\./i.test(text)) return 0;
+    if (text.length > 10 && text === text.toUpperCase() && /[A-Z]/.test(text)) return 0.1;
+
+    let factor = 0;
+    if (text.length >= 20) factor += 0.4;
+    if (text.length >= 80) factor += 0.3;
+    if (SPECIFIC_MESSAGE_PATTERN.test(text)) factor += 0.3;
+
+    return Math.min(factor, 1);
+};
+
+/**
+ * Price band factor from 0.25 (entry level) to 1 (premium)
+ */
+const priceFactor = (price) => {
+    const amount = parseFloat(price) || 0;
+    const band = PRICE_BANDS.find(b => amount <= b.upTo);
+    return band ? band.factor : 1;
+};
+
+/**
+ * Score a request from its factors
+ * Positive factors are weighted and scaled to 0-100; no-shows subtract up to the penalty
+ * Returns { score, factors } where factors keeps each part for display
+ */
+const computeLeadScore = ({ intent, message, previousRequests, price, noShows }, weights) => {
+    const factors = {
+        intent: INTENT_FACTORS[intent] ?? INTENT_FACTORS.inquire,
+        message: messageFactor(message),
+        repeat: Math.min(previousRequests, 2) / 2,
+        price: priceFactor(price),
+        noShows: Math.min(noShows, 2) / 2
+    };
+
+    const totalWeight = weights.intentWeight + weights.messageWeight + weights.repeatWeight + weights.priceWeight;
+    if (totalWeight === 0) return { score: 0, factors };
+
+    const earned = factors.intent * weights.intentWeight
+        + factors.message * weights.messageWeight
+        + factors.repeat * weights.repeatWeight
+        + factors.price * weights.priceWeight;
+
+    const score = Math.round(100 * earned / totalWeight - factors.noShows * weights.noShowPenalty);
+
+    return {
+        score: Math.max(0, Math.min(100, score)),
+        factors: {
+            ...factors,
+            previousRequests,
+            noShowCount: noShows
+        }
+    };
+};
+
+/**
+ * Recalculate and store the score of the matching requests
+ * whereSql filters appointments aliased as a; returns the number scored
+ */
+const rescoreAppointments = async (whereSql, params = [], weights = null) => {
+    const settings = weights || await getLeadScoringSettings();
+
+    // Earlier requests and no-shows are counted across the customer's contact
+    const [rows] = await pool.query(
+        `SELECT a.id, a.customer_intent, a.customer_message, p.price,
+            (SELECT COUNT(*) FROM appointments prev
+             WHERE prev.contact_id = a.contact_id AND prev.id < a.id) as previous_requests,
+            (SELECT COUNT(*) FROM appointments ns
+             WHERE ns.contact_id = a.contact_id AND ns.id <> a.id AND ns.outcome = 'no_show') as no_shows
+         FROM appointments a
+         JOIN properties p ON p.id = a.property_id
+         WHERE ${whereSql}`,
+        params
+    );
+
+    for (const row of rows) {
+        const { score, factors } = computeLeadScore({
+            intent: row.customer_intent,
+            message: row.customer_message,
+            previousRequests: parseInt(row.previous_requests) || 0,
+            price: row.price,
+            noShows: parseInt(row.no_shows) || 0
+        }, settings);
+
+        await pool.query(
+            'UPDATE appointments SET lead_score = ?, lead_score_factors = ? WHERE id = ?',
+            [score, JSON.stringify(factors), row.id]
+        );
+    }
+
+    return rows.length;
+};
+
+/**
+ * Score one request
+ */
+const scoreAppointment = (appointmentId) => rescoreAppointments('a.id = ?', [appointmentId]);
+
+/**
+ * Rescore a customer's open requests (e.g. after a no-show)
+ */
+const rescoreContactAppointments = (contactId) => {
+    if (!contactId) return 0;
+    return rescoreAppointments(
+        `a.contact_id = ? AND a.status IN (${OPEN_STATUSES.map(() => '?').join(', ')})`,
+        [contactId, ...OPEN_STATUSES]
+    );
+};
+
+/**
+ * Rescore every open request (after the weights change)
+ */
+const rescoreOpenAppointments = (weights) => rescoreAppointments(
+    `a.status IN (${OPEN_STATUSES.map(() => '?').join(', ')})`,
+    OPEN_STATUSES,
+    weights
+);
+
+/**
+ * Score band label for a score
+ */
+const scoreBand = (score) => {
+    if (score === null || score === undefined) return null;
+    return Object.keys(SCORE_BANDS).find(band => score >= SCORE_BANDS[band].min) || 'cold';
+};
+
+module.exports = {
+    DEFAULT_LEAD_SCORING_SETTINGS,
+    SCORE_BANDS,
+    getLeadScoringSettings,
+    computeLeadScore,
+    scoreAppointment,
+    rescoreContactAppointments,
+    rescoreOpenAppointments,
+    scoreBand
+};
@@ -0,0 +1,31 @@
+/**
+ * Listing Helpers
+ * Draft, review and publish workflow states
+ */
+
+// A listing is live once published and past its scheduled go-live time (if any)
+const LIVE_LISTING_SQL = "p.listing_status = 'published' AND (p.publish_at IS NULL OR p.publish_at <= NOW())";
+
+/**
+ * Check whether a property row is visible to the public
+ */
+const isLive = (property) => property.listing_status === 'published' &&
+    (!property.publish_at || new Date(property.publish_at) <= new Date());
+
+/**
+ * Workflow fields for agent/admin responses
+ */
+const formatListingWorkflow = (p) => ({
+    listingStatus: p.listing_status,
+    isLive: isLive(p),
+    publishAt: p.publish_at,
+    submittedAt: p.submitted_at,
+    reviewComments: p.review_comments,
+    reviewedAt: p.reviewed_at
+});
+
+module.exports = {
+    LIVE_LISTING_SQL,
+    isLive,
+    formatListingWorkflow
+};
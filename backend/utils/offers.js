@@ -0,0 +1,48 @@
+/**
+ * Offer Helpers
+ * Shared offer creation and negotiation thread logic
+ */
+
+const { pool } = require('../config/database');
+
+/**
+ * Append an entry to an offer's negotiation thread
+ */
+const addOfferEvent = async (offerId, { eventType, party, amount, terms, message, userId }) => {
+    await pool.query(
+        `INSERT INTO offer_events (offer_id, event_type, party, amount, terms, message, created_by_user_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [offerId, eventType, party, amount ?? null, terms || null, message || null, userId || null]
+    );
+};
+
+/**
+ * Create an offer and open its negotiation thread
+ * Returns the new offer ID
+ */
+const createOffer = async ({ propertyId, appointmentId, contactId, buyerName, buyerEmail, buyerPhone, amount, terms, message, agentId, userId }) => {
+    const [result] = await pool.query(
+        `INSERT INTO offers 
+         (property_id, appointment_id, contact_id, buyer_name, buyer_email, buyer_phone,
+          initial_amount, current_amount, current_terms, agent_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [propertyId, appointmentId || null, contactId || null, buyerName, buyerEmail || null, buyerPhone || null,
+         amount, amount, terms || null, agentId || null]
+    );
+
+    await addOfferEvent(result.insertId, {
+        eventType: 'offer',
+        party: 'buyer',
+        amount,
+        terms,
+        message,
+        userId
+    });
+
+    return result.insertId;
+};
+
+module.exports = {
+    addOfferEvent,
+    createOffer
+};
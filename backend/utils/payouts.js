@@ -0,0 +1,147 @@
+/**
+ * Payout Helpers
+ * Earned commission vs payouts recorded against it
+ */
+
+const { pool } = require('../config/database');
+
+/**
+ * Format a payout row
+ */
+const formatPayout = (p) => ({
+    id: p.id,
+    agentId: p.agent_id,
+    agentName: p.agent_name,
+    payoutDate: p.payout_date,
+    amount: parseFloat(p.amount),
+    withholdingTax: parseFloat(p.withholding_tax),
+    netAmount: parseFloat(p.amount) - parseFloat(p.withholding_tax),
+    reference: p.reference,
+    notes: p.notes,
+    recordedBy: p.recorded_by_name,
+    createdAt: p.created_at
+});
+
+/**
+ * Earned, paid and outstanding commission per agent
+ * Pass agent IDs to limit the result, or nothing for every agent
+ */
+const getAgentBalances = async (agentIds = null) => {
+    let whereClause = "WHERE u.role = 'agent'";
+    const params = [];
+
+    if (agentIds) {
+        if (agentIds.length === 0) {
+            return [];
+        }
+        whereClause += ' AND u.id IN (?)';
+        params.push(agentIds);
+    }
+
+    const [rows] = await pool.query(
+        `SELECT u.id, CONCAT(u.first_name, ' ', u.last_name) as agent_name,
+                (SELECT COALESCE(SUM(s.amount), 0)
+                 FROM sale_commission_splits s
+                 JOIN properties p ON p.id = s.property_id AND p.status = 'sold'
+                 WHERE s.agent_id = u.id) as earned,
+                (SELECT COALESCE(SUM(cp.amount), 0)
+                 FROM commission_payouts cp
+                 WHERE cp.agent_id = u.id) as paid
+         FROM users u
+         ${whereClause}
+         ORDER BY u.first_name`,
+        params
+    );
+
+    return rows.map(r => ({
+        agentId: r.id,
+        agentName: r.agent_name,
+        earned: parseFloat(r.earned),
+        paid: parseFloat(r.paid),
+        outstanding: parseFloat(r.earned) - parseFloat(r.paid)
+    }));
+};
+
+/**
+ * An agent's ledger: commission earned on sales and payouts, oldest first,
+ * with a running balance after each entry
+ */
+const getLedger = async (agentId) => {
+    const [earnings] = await pool.query(
+        `SELECT p.id as property_id, p.title, p.sold_date as entry_date,
+                GROUP_CONCAT(s.role ORDER BY s.role) as roles,
+                SUM(s.amount) as amount
+         FROM sale_commission_splits s
+         JOIN properties p ON p.id = s.property_id AND p.status = 'sold'
+         WHERE s.agent_id = ?
+         GROUP BY p.id, p.title, p.sold_date`,
+        [agentId]
+    );
+
+    const [payouts] = await pool.query(
+        `SELECT * FROM commission_payouts WHERE agent_id = ?`,
+        [agentId]
+    );
+
+    const entries = [
+        ...earnings.map(e => ({
+            type: 'commission',
+            date: e.entry_date,
+            description: `${e.title} (${e.roles})`,
+            propertyId: e.property_id,
+            credit: parseFloat(e.amount),
+            debit: 0,
+            withholdingTax: 0,
+            reference: null
+        })),
+        ...payouts.map(p => ({
+            type: 'payout',
+            date: p.payout_date,
+            description: p.notes ? `Payout - ${p.notes}` : 'Payout',
+            payoutId: p.id,
+            credit: 0,
+            debit: parseFloat(p.amount),
+            withholdingTax: parseFloat(p.withholding_tax),
+            reference: p.reference
+        }))
+    ].sort((a, b) => new Date(a.date) - new Date(b.date) || a.debit - b.debit);
+
+    let balance = 0;
+    return entries.map(entry => {
+        balance += entry.credit - entry.debit;
+        return { ...entry, balance: Math.round(balance * 100) / 100 };
+    });
+};
+
+/**
+ * Monthly statement for an agent: opening balance, the month's entries and closing balance
+ * Month is YYYY-MM
+ */
+const buildStatement = async (agentId, month) => {
+    const ledger = await getLedger(agentId);
+    const monthStart = new Date(`${month}-01T00:00:00`);
+    const monthEnd = new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 1);
+
+    const before = ledger.filter(e => new Date(e.date) < monthStart);
+    const entries = ledger.filter(e => new Date(e.date) >= monthStart && new Date(e.date) < monthEnd);
+
+    const openingBalance = before.length > 0 ? before[before.length - 1].balance : 0;
+    const closingBalance = entries.length > 0 ? entries[entries.length - 1].balance : openingBalance;
+
+    return {
+        month,
+        openingBalance,
+        entries,
+        totalEarned: entries.reduce((sum, e) => sum + e.credit, 0),
+        totalPaid: entries.reduce((sum, e) => sum + e.debit, 0),
+        totalWithholdingTax: entries.reduce((sum, e) => sum + e.withholdingTax, 0),
+        closingBalance
+    };
+};
+
+module.exports = {
+    formatPayout,
+    getAgentBalances,
+    getLedger,
+    buildStatement
+};
@@ -0,0 +1,175 @@
+/**
+ * Sales Helpers
+ * Shared mark-sold and void logic used by properties, reservations and offers
+ */
+
+const { pool } = require('../config/database');
+const { recordCommissionSplits, getSplitsByProperty } = require('./commissions');
+const { computeSaleCommission } = require('./commissionPlans');
+const { normalizeEmail, normalizePhone } = require('./contacts');
+
+/**
+ * Format a sale date as YYYY-MM-DD, defaulting to today
+ */
+const formatSoldDate = (dateStr) => {
+    if (!dateStr) {
+        return new Date().toISOString().slice(0, 10);
+    }
+    // Validate it's a proper date string
+    const date = new Date(dateStr);
+    if (isNaN(date.getTime())) {
+        return new Date().toISOString().slice(0, 10);
+    }
+    return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Active reservation on a property held by someone other than the given buyer, or null
+ * The buyer matches the reservation by email, phone or (when neither is on both) name
+ */
+const findOtherBuyerReservation = async (propertyId, { buyerName, buyerEmail, buyerPhone }) => {
+    const [reservations] = await pool.query(
+        "SELECT * FROM property_reservations WHERE property_id = ? AND status = 'active'",
+        [propertyId]
+    );
+    const reservation = reservations[0];
+    if (!reservation) return null;
+
+    const email = normalizeEmail(buyerEmail);
+    const phone = normalizePhone(buyerPhone);
+    const reservedEmail = normalizeEmail(reservation.buyer_email);
+    const reservedPhone = normalizePhone(reservation.buyer_phone);
+
+    if (email && reservedEmail) return email === reservedEmail ? null : reservation;
+    if (phone && reservedPhone) return phone === reservedPhone ? null : reservation;
+
+    const sameName = String(buyerName || '').trim().toLowerCase() === String(reservation.buyer_name).trim().toLowerCase();
+    return sameName ? null : reservation;
+};
+
+/**
+ * Record a sale on a property and close any active reservation or open offers
+ * Returns the buyer name that was stored
+ */
+const recordSale = async (propertyId, agentId, { salePrice, soldDate, buyerName }) => {
+    const [reservations] = await pool.query(
+        "SELECT id, buyer_name FROM property_reservations WHERE property_id = ? AND status = 'active'",
+        [propertyId]
+    );
+    const reservation = reservations[0];
+
+    // Carry the reserved buyer over unless a different one was given
+    const finalBuyerName = buyerName || (reservation ? reservation.buyer_name : null);
+
+    // Snapshot the commission on the sale date so later rate or plan changes don't rewrite it
+    const saleDate = formatSoldDate(soldDate);
+    const commission = await computeSaleCommission(agentId, propertyId, salePrice, saleDate);
+
+    await pool.query(
+        `UPDATE properties SET 
+         status = 'sold',
+         sold_by_agent_id = ?,
+         sold_date = ?,
+         sale_price = ?,
+         sale_commission_rate = ?,
+         sale_commission_tier = ?,
+         sale_commission_bonus = ?,
+         buyer_name = ?
+         WHERE id = ?`,
+        [agentId, saleDate, salePrice, commission.rate, commission.tier, commission.bonus || null,
+         finalBuyerName, propertyId]
+    );
+
+    await recordCommissionSplits(propertyId, agentId, {
+        grossCommission: commission.grossCommission,
+        grossRate: commission.rate,
+        bonus: commission.bonus
+    });
+
+    if (reservation) {
+        await pool.query(
+            "UPDATE property_reservations SET status = 'converted', closed_at = NOW() WHERE id = ?",
+            [reservation.id]
+        );
+    }
+
+    // Any offers still under negotiation lapse once the property is sold
+    await pool.query(
+        `UPDATE offers SET status = 'rejected', closed_at = NOW()
+         WHERE property_id = ? AND status IN ('pending', 'countered')`,
+        [propertyId]
+    );
+
+    return finalBuyerName;
+};
+
+/**
+ * Void a recorded sale: copy it to voided_sales, clear the sale fields and
+ * commission lines, and put the property back to 'available' or 'reserved'
+ * Restoring to 'reserved' reopens the reservation the sale was converted from
+ * Returns the voided sale ID, or null if the property was no longer sold
+ */
+const voidSale = async (propertyId, { reason, restoreStatus, reservationId, expiryDate, userId }) => {
+    const [properties] = await pool.query(
+        `SELECT id, sold_by_agent_id, sold_date, sale_price, sale_commission_rate,
+                sale_commission_tier, sale_commission_bonus, buyer_name
+         FROM properties WHERE id = ? AND status = 'sold'`,
+        [propertyId]
+    );
+    if (properties.length === 0) {
+        return null;
+    }
+    const sale = properties[0];
+
+    // Only one request can move the property out of 'sold'
+    const [result] = await pool.query(
+        `UPDATE properties SET
+         status = ?,
+         sold_by_agent_id = NULL,
+         sold_date = NULL,
+         sale_price = NULL,
+         sale_commission_rate = NULL,
+         sale_commission_tier = NULL,
+         sale_commission_bonus = NULL,
+         buyer_name = NULL
+         WHERE id = ? AND status = 'sold'`,
+        [restoreStatus, propertyId]
+    );
+    if (result.affectedRows === 0) {
+        return null;
+    }
+
+    const splits = (await getSplitsByProperty([propertyId]))[propertyId] || [];
+
+    const [voided] = await pool.query(
+        `INSERT INTO voided_sales
+         (property_id, sold_by_agent_id, sold_date, sale_price, sale_commission_rate,
+          sale_commission_tier, sale_commission_bonus, buyer_name, commission_splits,
+          reason, restored_status, voided_by_user_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [propertyId, sale.sold_by_agent_id, sale.sold_date, sale.sale_price, sale.sale_commission_rate,
+         sale.sale_commission_tier, sale.sale_commission_bonus, sale.buyer_name, JSON.stringify(splits),
+         reason, restoreStatus, userId]
+    );
+
+    // Without split lines the sale drops out of commission reports and balances
+    await pool.query('DELETE FROM sale_commission_splits WHERE property_id = ?', [propertyId]);
+
+    if (restoreStatus === 'reserved') {
+        await pool.query(
+            `UPDATE property_reservations SET status = 'active', closed_at = NULL,
+             expiry_date = COALESCE(?, expiry_date)
+             WHERE id = ?`,
+            [expiryDate || null, reservationId]
+        );
+    }
+
+    return voided.insertId;
+};
+
+module.exports = {
+    formatSoldDate,
+    findOtherBuyerReservation,
+    recordSale,
+    voidSale
+};
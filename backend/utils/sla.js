@@ -0,0 +1,129 @@
+/**
+ * SLA Helpers
+ * Response time targets for viewing requests, the overdue queue and per-agent compliance
+ */
+
+const { pool } = require('../config/database');
+
+// Used if the settings row is missing
+const DEFAULT_SLA_SETTINGS = {
+    isEnabled: true,
+    pendingHours: 4,
+    assignedHours: 24,
+    reassignOverdue: false
+};
+
+/**
+ * Format the settings row
+ */
+const formatSlaSettings = (s) => ({
+    isEnabled: !!s.is_enabled,
+    pendingHours: s.pending_hours,
+    assignedHours: s.assigned_hours,
+    reassignOverdue: !!s.reassign_overdue,
+    updatedAt: s.updated_at
+});
+
+/**
+ * Get the current SLA settings
+ */
+const getSlaSettings = async () => {
+    const [rows] = await pool.query('SELECT * FROM sla_settings WHERE id = 1');
+    return rows.length > 0 ? formatSlaSettings(rows[0]) : { ...DEFAULT_SLA_SETTINGS };
+};
+
+/**
+ * Where clause for requests past their target:
+ * pending too long without an agent, or assigned too long without a schedule
+ * Takes [pendingHours, assignedHours] as parameters
+ */
+const OVERDUE_SQL = `(
+    (a.status = 'pending' AND a.created_at < DATE_SUB(NOW(), INTERVAL ? HOUR))
+    OR (a.status = 'assigned' AND a.assigned_at < DATE_SUB(NOW(), INTERVAL ? HOUR))
+)`;
+
+/**
+ * Open requests currently past their target, most overdue first
+ */
+const getOverdueAppointments = async (settings) => {
+    const [rows] = await pool.query(
+        `SELECT a.id, a.property_id, a.status, a.customer_name, a.customer_email, a.customer_phone,
+                a.assigned_agent_id, a.assignment_rule, a.created_at, a.assigned_at, a.sla_flagged_at,
+                p.title as property_title, p.city as property_city,
+                CONCAT(u.first_name, ' ', u.last_name) as agent_name,
+                TIMESTAMPDIFF(MINUTE,
+                    IF(a.status = 'pending', a.created_at, a.assigned_at), NOW()) as minutes_waiting
+         FROM appointments a
+         JOIN properties p ON p.id = a.property_id
+         LEFT JOIN users u ON u.id = a.assigned_agent_id
+         WHERE ${OVERDUE_SQL}
+         ORDER BY minutes_waiting DESC`,
+        [settings.pendingHours, settings.assignedHours]
+    );
+
+    return rows.map(a => {
+        const thresholdHours = a.status === 'pending' ? settings.pendingHours : settings.assignedHours;
+        return {
+            id: a.id,
+            propertyId: a.property_id,
+            propertyTitle: a.property_title,
+            propertyCity: a.property_city,
+            customerName: a.customer_name,
+            customerEmail: a.customer_email,
+            customerPhone: a.customer_phone,
+            status: a.status,
+            assignedAgentId: a.assigned_agent_id,
+            assignedAgentName: a.assigned_agent_id ? a.agent_name : null,
+            assignmentRule: a.assignment_rule,
+            createdAt: a.created_at,
+            assignedAt: a.assigned_at,
+            slaFlaggedAt: a.sla_flagged_at,
+            thresholdHours,
+            hoursWaiting: Math.round(a.minutes_waiting / 6) / 10,
+            hoursOverdue: Math.round((a.minutes_waiting - thresholdHours * 60) / 6) / 10
+        };
+    });
+};
+
+/**
+ * Per-agent compliance with the 'assigned' target over a date range (YYYY-MM-DD, inclusive)
+ * Assignments come from the audit trail; each breach counts against the agent who held the request
+ */
+const getAgentSlaStats = async ({ startDate, endDate }) => {
+    const [rows] = await pool.query(
+        `SELECT u.id, u.first_name, u.last_name,
+                (SELECT COUNT(*) FROM appointment_assignments aa
+                 WHERE aa.agent_id = u.id AND DATE(aa.created_at) BETWEEN ? AND ?) as assignments,
+                (SELECT COUNT(*) FROM sla_breaches b
+                 WHERE b.agent_id = u.id AND b.stage = 'assigned' AND DATE(b.created_at) BETWEEN ? AND ?) as breaches,
+                (SELECT AVG(TIMESTAMPDIFF(MINUTE, a.assigned_at, a.scheduled_at)) FROM appointments a
+                 WHERE a.assigned_agent_id = u.id AND a.scheduled_at IS NOT NULL
+                 AND a.scheduled_at >= a.assigned_at
+                 AND DATE(a.scheduled_at) BETWEEN ? AND ?) as avg_minutes_to_schedule,
+                (SELECT COUNT(*) FROM appointments a
+                 WHERE a.assigned_agent_id = u.id AND a.status = 'assigned') as open_assigned
+         FROM users u
+         WHERE u.role = 'agent'
+         ORDER BY u.first_name, u.last_name`,
+        [startDate, endDate, startDate, endDate, startDate, endDate]
+    );
+
+    return rows.map(r => ({
+        agentId: r.id,
+        agentName: `${r.first_name} ${r.last_name}`,
+        assignments: r.assignments,
+        breaches: r.breaches,
+        // A breach can fall in the range while its assignment was made before it; clamp at 0%
+        complianceRate: r.assignments > 0 ? Math.max(0, 1 - r.breaches / r.assignments) : null,
+        avgHoursToSchedule: r.avg_minutes_to_schedule !== null
+            ? Math.round(parseFloat(r.avg_minutes_to_schedule) / 6) / 10
+            : null,
+        openAssigned: r.open_assigned
+    }));
+};
+
+module.exports = {
+    getSlaSettings,
+    getOverdueAppointments,
+    getAgentSlaStats
+};
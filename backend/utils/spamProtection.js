@@ -0,0 +1,183 @@
+/**
+ * Spam Protection
+ * Local checks for the public viewing request form that work without reCAPTCHA:
+ * signed form tokens with a minimum fill time, a honeypot field, disposable email and
+ * phone format checks, and per-IP/per-email throttles
+ * Suspicious requests are quarantined for an admin to review instead of being rejected
+ */
+
+const jwt = require('jsonwebtoken');
+const { pool } = require('../config/database');
+const { jwtSecret } = require('../middleware/auth');
+const { normalizePhone } = require('./contacts');
+require('dotenv').config();
+
+// Separate key so a form token can never pass as a login or appointment link token
+const FORM_TOKEN_SECRET = `${jwtSecret}:form-tokens`;
+const FORM_TOKEN_TTL_HOURS = 4;
+
+const MIN_FILL_SECONDS = parseInt(process.env.SPAM_MIN_FILL_SECONDS) || 4;
+const MAX_REQUESTS_PER_IP_PER_HOUR = parseInt(process.env.SPAM_MAX_REQUESTS_PER_IP_PER_HOUR) || 5;
+const MAX_REQUESTS_PER_EMAIL_PER_DAY = parseInt(process.env.SPAM_MAX_REQUESTS_PER_EMAIL_PER_DAY) || 5;
+
+// Hidden form field that people never see; bots fill in every field they find
+const HONEYPOT_FIELD = 'website';
+
+// Ascending and descending digit runs (wrapping past 9/0) that a made-up number is taken from
+const SEQUENTIAL_DIGITS = ['0123456789'.repeat(3), '9876543210'.repeat(3)];
+
+// reCAPTCHA scores below this are quarantined (below 0.3 is rejected outright)
+const LOW_RECAPTCHA_SCORE = 0.5;
+
+// Throwaway inbox providers; SPAM_DISPOSABLE_DOMAINS adds more (comma-separated)
+const DISPOSABLE_EMAIL_DOMAINS = new Set([
+    '10minutemail.com',
+    'dispostable.com',
+    'emailondeck.com',
+    'fakeinbox.com',
+    'getnada.com',
+    'guerrillamail.com',
+    'guerrillamail.net',
+    'mailinator.com',
+    'maildrop.cc',
+    'mailnesia.com',
+    'mintemail.com',
+    'mohmal.com',
+    'moakt.com',
+    'sharklasers.com',
+    'spamgourmet.com',
+    'temp-mail.org',
+    'tempail.com',
+    'tempmail.com',
+    'throwawaymail.com',
+    'trashmail.com',
+    'yopmail.com',
+    ...(process.env.SPAM_DISPOSABLE_DOMAINS || '').split(',').map(d => d.trim().toLowerCase()).filter(Boolean)
+]);
+
+// Why a request was quarantined, as shown to admins
+const SPAM_REASONS = {
+    honeypot: 'Hidden field was filled in',
+    too_fast: 'Form was submitted faster than a person can type',
+    disposable_email: 'Disposable email address',
+    suspicious_phone: 'Phone number looks made up',
+    links_in_message: 'Message contains links',
+    low_recaptcha: 'Low reCAPTCHA score'
+};
+
+/**
+ * Signed token handed out with the request form, recording when it was shown
+ */
+const createFormToken = (propertyId) => jwt.sign(
+    { purpose: 'viewing-request', propertyId: parseInt(propertyId) },
+    FORM_TOKEN_SECRET,
+    { expiresIn: `${FORM_TOKEN_TTL_HOURS}h` }
+);
+
+/**
+ * Seconds between showing the form and submitting it
+ * Returns null if the token is missing, invalid, expired or for another property
+ */
+const getFormFillSeconds = (token, propertyId) => {
+    if (!token) return null;
+
+    try {
+        const payload = jwt.verify(token, FORM_TOKEN_SECRET);
+        if (payload.purpose !== 'viewing-request' || payload.propertyId !== parseInt(propertyId)) return null;
+        return Math.max(0, Math.floor(Date.now() / 1000) - payload.iat);
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Whether the email's domain (or a parent domain) is a throwaway inbox provider
+ */
+const isDisposableEmail = (email) => {
+    const parts = String(email || '').toLowerCase().split('@')[1]?.split('.') || [];
+
+    for (let i = 0; i < parts.length - 1; i++) {
+        if (DISPOSABLE_EMAIL_DOMAINS.has(parts.slice(i).join('.'))) return true;
+    }
+
+    return false;
+};
+
+/**
+ * Problem with a phone number: 'invalid' (cannot be dialled), 'suspicious' (placeholder-like), or null
+ * Philippine numbers must be a 10-digit mobile (9XX) or a 9-digit landline with area code
+ */
+const getPhoneProblem = (phone) => {
+    if (/[a-z]/i.test(phone)) return 'invalid';
+
+    const digits = String(phone || '').replace(/\D/g, '');
+    if (digits.length < 9 || digits.length > 15) return 'invalid';
+
+    const normalized = normalizePhone(phone);
+    const isPhilippine = normalized.startsWith('63');
+    if (isPhilippine && !/^(9\d{9}|[2-8]\d{8})$/.test(normalized.slice(2))) return 'invalid';
+
+    // Seven or more of the same digit, or a subscriber number that is one long run like 123456789
+    // (only the whole number: real mobiles such as 0917 123 4567 contain short runs)
+    const subscriber = isPhilippine ? normalized.slice(2) : digits;
+    if (/(\d)\1{6,}/.test(digits) || SEQUENTIAL_DIGITS.some(run => run.includes(subscriber))) return 'suspicious';
+
+    return null;
+};
+
+/**
+ * Throttle message if this IP or email has sent too many requests recently, otherwise null
+ * Counted from stored requests (quarantined ones included), so limits survive a restart
+ */
+const checkThrottles = async (ipAddress, email) => {
+    const [byIp] = await pool.query(
+        `SELECT COUNT(*) as count FROM appointments
+         WHERE ip_address = ? AND created_at > DATE_SUB(NOW(), INTERVAL 1 HOUR)`,
+        [ipAddress]
+    );
+
+    if (byIp[0].count >= MAX_REQUESTS_PER_IP_PER_HOUR) {
+        return 'Too many viewing requests from your network. Please try again in an hour.';
+    }
+
+    const [byEmail] = await pool.query(
+        `SELECT COUNT(*) as count FROM appointments
+         WHERE customer_email = ? AND created_at > DATE_SUB(NOW(), INTERVAL 1 DAY)`,
+        [email]
+    );
+
+    if (byEmail[0].count >= MAX_REQUESTS_PER_EMAIL_PER_DAY) {
+        return 'You have sent several viewing requests today. Please wait for our agents to contact you.';
+    }
+
+    return null;
+};
+
+/**
+ * Reasons to quarantine a request (empty if it looks genuine)
+ */
+const getSpamReasons = ({ honeypot, fillSeconds, email, phone, message, recaptchaScore }) => {
+    const reasons = [];
+
+    if (honeypot) reasons.push('honeypot');
+    if (fillSeconds < MIN_FILL_SECONDS) reasons.push('too_fast');
+    if (isDisposableEmail(email)) reasons.push('disposable_email');
+    if (getPhoneProblem(phone) === 'suspicious') reasons.push('suspicious_phone');
+    if (/https?:\/\/|www\.|\[url/i.test(message || '')) reasons.push('links_in_message');
+    if (recaptchaScore !== null && recaptchaScore !== undefined && recaptchaScore < LOW_RECAPTCHA_SCORE) {
+        reasons.push('low_recaptcha');
+    }
+
+    return reasons;
+};
+
+module.exports = {
+    HONEYPOT_FIELD,
+    SPAM_REASONS,
+    createFormToken,
+    getFormFillSeconds,
+    isDisposableEmail,
+    getPhoneProblem,
+    checkThrottles,
+    getSpamReasons
+};
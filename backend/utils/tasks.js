@@ -0,0 +1,125 @@
+/**
+ * Task Helpers
+ * Agent follow-up tasks, including the ones created automatically from viewing outcomes
+ */
+
+const { pool } = require('../config/database');
+const { toDateString } = require('./availability');
+
+// Outcomes that leave the agent with something to do, and how soon it is due
+const FOLLOW_UP_OUTCOMES = {
+    interested: { days: 1, title: 'Follow up with interested customer' },
+    needs_followup: { days: 2, title: 'Follow up after viewing' }
+};
+
+/**
+ * Format a task row (joined with the property title and agent name)
+ */
+const formatTask = (t) => ({
+    id: t.id,
+    agentId: t.agent_id,
+    agentName: t.agent_name,
+    appointmentId: t.appointment_id,
+    propertyId: t.property_id,
+    propertyTitle: t.property_title,
+    contactId: t.contact_id,
+    customerName: t.customer_name,
+    customerEmail: t.customer_email,
+    customerPhone: t.customer_phone,
+    title: t.title,
+    notes: t.notes,
+    dueDate: t.due_day,
+    source: t.source,
+    status: t.status,
+    isOverdue: t.status === 'open' && t.due_day < toDateString(new Date()),
+    isDueToday: t.status === 'open' && t.due_day === toDateString(new Date()),
+    completedAt: t.completed_at,
+    completionNotes: t.completion_notes,
+    createdAt: t.created_at
+});
+
+// Columns for formatTask
+const TASK_SELECT_SQL = `
+    SELECT t.*, DATE_FORMAT(t.due_date, '%Y-%m-%d') as due_day,
+           p.title as property_title, CONCAT(u.first_name, ' ', u.last_name) as agent_name
+    FROM tasks t
+    LEFT JOIN properties p ON p.id = t.property_id
+    LEFT JOIN users u ON u.id = t.agent_id
+`;
+
+/**
+ * Load a task the current user may act on
+ * Agents only see their own tasks; admins see all
+ */
+const findTask = async (id, user) => {
+    let query = `${TASK_SELECT_SQL} WHERE t.id = ?`;
+    const params = [id];
+
+    if (user.role === 'agent') {
+        query += ' AND t.agent_id = ?';
+        params.push(user.id);
+    }
+
+    const [tasks] = await pool.query(query, params);
+    return tasks[0] ? formatTask(tasks[0]) : null;
+};
+
+/**
+ * Create a task
+ * Returns the new task ID
+ */
+const createTask = async ({ agentId, appointmentId, propertyId, contactId, customerName, customerEmail, customerPhone, title, notes, dueDate, source = 'manual', userId }) => {
+    const [result] = await pool.query(
+        `INSERT INTO tasks
+         (agent_id, appointment_id, property_id, contact_id, customer_name, customer_email, customer_phone,
+          title, notes, due_date, source, created_by_user_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [agentId, appointmentId || null, propertyId || null, contactId || null, customerName || null, customerEmail || null,
+         customerPhone || null, title, notes || null, dueDate, source, userId || null]
+    );
+
+    return result.insertId;
+};
+
+/**
+ * Follow-up task for a completed viewing, if the outcome calls for one
+ * dueDate (YYYY-MM-DD) overrides the default for the outcome
+ * Skipped when the viewing already has an open follow-up, so completing twice does not duplicate it
+ * Returns the task ID, or null if no task was created
+ */
+const createFollowUpTask = async (appointment, outcome, { dueDate, notes, userId } = {}) => {
+    const followUp = FOLLOW_UP_OUTCOMES[outcome];
+    if (!followUp || !appointment.assigned_agent_id) return null;
+
+    const [existing] = await pool.query(
+        "SELECT id FROM tasks WHERE appointment_id = ? AND source <> 'manual' AND status = 'open'",
+        [appointment.id]
+    );
+    if (existing.length > 0) return null;
+
+    const now = new Date();
+
+    return createTask({
+        agentId: appointment.assigned_agent_id,
+        appointmentId: appointment.id,
+        propertyId: appointment.property_id,
+        contactId: appointment.contact_id,
+        customerName: appointment.customer_name,
+        customerEmail: appointment.customer_email,
+        customerPhone: appointment.customer_phone,
+        title: `${followUp.title}: ${appointment.customer_name}`.slice(0, 200),
+        notes,
+        dueDate: dueDate || toDateString(new Date(now.getFullYear(), now.getMonth(), now.getDate() + followUp.days)),
+        source: outcome,
+        userId
+    });
+};
+
+module.exports = {
+    FOLLOW_UP_OUTCOMES,
+    TASK_SELECT_SQL,
+    formatTask,
+    findTask,
+    createTask,
+    createFollowUpTask
+};
@@ -93,6 +93,13 @@ const API = {
         return this.get(`/properties/${id}`);
     },
 
+    /**
+     * Get asking price history
+     */
+    getPriceHistory(id) {
+        return this.get(`/properties/${id}/price-history`);
+    },
+
     /**
      * Get featured properties
      */
@@ -102,11 +109,46 @@ const API = {
 
     // ============ Appointments ============
 
+    /**
+     * Get a signed token for the viewing request form
+     */
+    getFormToken(propertyId) {
+        return this.get(`/appointments/form-token?propertyId=${propertyId}`);
+    },
+
     /**
      * Submit viewing request
      */
     submitViewingRequest(data) {
         return this.post('/appointments', data);
+    },
+
+    /**
+     * Get an appointment from a signed email link
+     */
+    getManagedAppointment(token) {
+        return this.get(`/appointments/manage?token=${encodeURIComponent(token)}`);
+    },
+
+    /**
+     * Get open times to move an appointment to
+     */
+    getRescheduleSlots(token) {
+        return this.get(`/appointments/manage/slots?token=${encodeURIComponent(token)}`);
+    },
+
+    /**
+     * Move an appointment to a new slot
+     */
+    rescheduleAppointment(token, scheduledDate, scheduledTime) {
+        return this.put('/appointments/manage/reschedule', { token, scheduledDate, scheduledTime });
+    },
+
+    /**
+     * Cancel an appointment
+     */
+    cancelAppointment(token, reason) {
+        return this.put('/appointments/manage/cancel', { token, reason });
     }
 };
 
@@ -0,0 +1,194 @@
+/**
+ * Real Estate Simplified - Manage Viewing Page
+ * Opened from the signed link in viewing emails
+ */
+
+let manageToken = null;
+let selectedSlot = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+    const urlParams = new URLSearchParams(window.location.search);
+    manageToken = urlParams.get('token');
+
+    if (!manageToken) {
+        showError();
+        return;
+    }
+
+    loadAppointment();
+});
+
+/**
+ * Load the appointment the link points to
+ */
+async function loadAppointment() {
+    try {
+        const response = await API.getManagedAppointment(manageToken);
+        displayAppointment(response.appointment);
+    } catch (error) {
+        console.error('Error loading appointment:', error);
+        showError(error.message);
+    }
+}
+
+/**
+ * Display appointment details and the actions still available
+ */
+function displayAppointment(appointment) {
+    const statusLabels = {
+        'pending': ['Request received', 'bg-info'],
+        'assigned': ['Agent assigned', 'bg-primary'],
+        'scheduled': ['Scheduled', 'bg-success'],
+        'completed': ['Completed', 'bg-secondary'],
+        'cancelled': ['Cancelled', 'bg-danger']
+    };
+    const [label, badgeClass] = statusLabels[appointment.status] || [appointment.status, 'bg-secondary'];
+
+    document.getElementById('appointment-property').textContent = appointment.propertyTitle;
+    document.getElementById('appointment-address').textContent = `${appointment.propertyAddress}, ${appointment.propertyCity}`;
+    document.getElementById('appointment-customer').textContent = appointment.customerName;
+
+    const status = document.getElementById('appointment-status');
+    status.textContent = label;
+    status.className = `badge ${badgeClass}`;
+
+    const schedule = document.getElementById('appointment-schedule');
+    if (appointment.status === 'cancelled') {
+        schedule.textContent = 'This viewing has been cancelled.';
+    } else if (appointment.scheduledDate) {
+        schedule.textContent = `Your viewing${appointment.agentName ? ` with ${appointment.agentName}` : ''} is on ${formatSlotDate(appointment.scheduledDate)} at ${formatSlotTime(appointment.scheduledTime)} (about ${appointment.durationMinutes} minutes).`;
+    } else if (appointment.agentName) {
+        schedule.textContent = `${appointment.agentName} will contact you to schedule your viewing, or you can pick a time below.`;
+    } else {
+        schedule.textContent = 'We will assign an agent to your request shortly.';
+    }
+
+    document.getElementById('cancel-card').classList.toggle('d-none', !appointment.canCancel);
+    document.getElementById('reschedule-card').classList.toggle('d-none', !appointment.canReschedule);
+    document.getElementById('cancel-btn').onclick = cancelViewing;
+    document.getElementById('reschedule-btn').onclick = rescheduleViewing;
+
+    if (appointment.canReschedule) {
+        loadSlots();
+    }
+
+    document.getElementById('loading-state').classList.add('d-none');
+    document.getElementById('appointment-content').classList.remove('d-none');
+}
+
+/**
+ * Load open times for the next two weeks
+ */
+async function loadSlots() {
+    const container = document.getElementById('reschedule-slots');
+    selectedSlot = null;
+    document.getElementById('reschedule-btn').disabled = true;
+
+    try {
+        const response = await API.getRescheduleSlots(manageToken);
+        const days = (response.days || []).filter(day => day.slots.length > 0);
+
+        if (days.length === 0) {
+            container.innerHTML = '<p class="text-muted mb-0">There are no open times in the next two weeks. Please contact us to arrange a time.</p>';
+            return;
+        }
+
+        container.innerHTML = days.map(day => `
+            <div class="slot-day">
+                <div class="slot-day-label">${formatSlotDate(day.date)}</div>
+                <div class="d-flex flex-wrap gap-2">
+                    ${day.slots.map(slot => `
+                        <button type="button" class="btn btn-sm btn-outline-primary slot-btn" data-date="${day.date}" data-time="${slot}">
+                            ${formatSlotTime(slot)}
+                        </button>
+                    `).join('')}
+                </div>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.slot-btn').forEach(btn => {
+            btn.onclick = () => {
+                container.querySelectorAll('.slot-btn').forEach(b => b.classList.remove('active'));
+                btn.classList.add('active');
+                selectedSlot = { date: btn.dataset.date, time: btn.dataset.time };
+                document.getElementById('reschedule-btn').disabled = false;
+            };
+        });
+    } catch (error) {
+        container.innerHTML = `<p class="text-danger mb-0">${error.message || 'Failed to load open times'}</p>`;
+    }
+}
+
+/**
+ * Move the viewing to the selected slot
+ */
+async function rescheduleViewing() {
+    if (!selectedSlot) return;
+
+    const btn = document.getElementById('reschedule-btn');
+    btn.disabled = true;
+
+    try {
+        const response = await API.rescheduleAppointment(manageToken, selectedSlot.date, selectedSlot.time);
+        Utils.showToast(response.message, 'success');
+        loadAppointment();
+    } catch (error) {
+        Utils.showToast(error.message || 'Failed to reschedule', 'error');
+        // The slot may have just been taken; show what is still open
+        loadSlots();
+    }
+}
+
+/**
+ * Cancel the viewing
+ */
+async function cancelViewing() {
+    const reason = document.getElementById('cancel-reason').value.trim();
+
+    if (!reason) {
+        Utils.showToast('Please tell us why you are cancelling', 'error');
+        return;
+    }
+
+    if (!confirm('Cancel this viewing?')) return;
+
+    try {
+        const response = await API.cancelAppointment(manageToken, reason);
+        Utils.showToast(response.message, 'success');
+        loadAppointment();
+    } catch (error) {
+        Utils.showToast(error.message || 'Failed to cancel', 'error');
+    }
+}
+
+/**
+ * Format a YYYY-MM-DD date without shifting it across time zones
+ */
+function formatSlotDate(date) {
+    return new Date(`${date}T00:00:00`).toLocaleDateString('en-PH', {
+        weekday: 'long',
+        month: 'long',
+        day: 'numeric'
+    });
+}
+
+/**
+ * Format HH:MM(:SS) as 12-hour time
+ */
+function formatSlotTime(time) {
+    const [hours, minutes] = time.split(':');
+    const h = parseInt(hours);
+    return `${h % 12 || 12}:${minutes} ${h >= 12 ? 'PM' : 'AM'}`;
+}
+
+/**
+ * Show error state
+ */
+function showError(message) {
+    document.getElementById('loading-state').classList.add('d-none');
+    document.getElementById('appointment-content').classList.add('d-none');
+    document.getElementById('error-state').classList.remove('d-none');
+    if (message) {
+        document.getElementById('error-message').textContent = message;
+    }
+}
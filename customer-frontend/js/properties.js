@@ -97,6 +97,7 @@ function createPropertyCard(property) {
             <div class="card property-card h-100 border-0 shadow-sm">
                 <div class="card-img-wrapper">
                     ${property.isFeatured ? '<span class="badge bg-warning badge-featured">Featured</span>' : ''}
+                    ${property.priceReduced ? '<span class="badge bg-danger badge-price-reduced"><i class="bi bi-arrow-down"></i> Price reduced</span>' : ''}
                     <img src="${imageUrl}" class="card-img-top" alt="${property.title}"
                          onerror="this.src='${Utils.getPlaceholderImage()}'">
                 </div>
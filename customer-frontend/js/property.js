@@ -57,6 +57,10 @@ function displayProperty(property) {
     
     // Price and location
     document.getElementById('property-price').textContent = Utils.formatPrice(property.price);
+    if (property.priceReduced) {
+        document.getElementById('property-original-price').textContent = Utils.formatPrice(property.previousPrice);
+        document.getElementById('price-reduced').classList.remove('d-none');
+    }
     document.getElementById('property-location').textContent = `${property.address}, ${property.city}${property.province ? ', ' + property.province : ''}`;
     
     // Description
@@ -71,6 +75,9 @@ function displayProperty(property) {
     // Features
     displayFeatures(property.features);
     
+    // Price history
+    loadPriceHistory();
+    
     // Agent info
     if (property.listedByName) {
         document.getElementById('agent-name').textContent = property.listedByName;
@@ -181,6 +188,72 @@ function displaySpecs(property) {
     `).join('');
 }
 
+/**
+ * Load asking price history (only shown once the price has changed)
+ */
+async function loadPriceHistory() {
+    try {
+        const response = await API.getPriceHistory(propertyId);
+        
+        if (!response.history || response.history.length === 0) {
+            return;
+        }
+        
+        // Starting price at listing, then each change
+        const points = [
+            { date: response.listedAt, price: response.history[0].oldPrice },
+            ...response.history.map(h => ({ date: h.changedAt, price: h.newPrice }))
+        ];
+        
+        displayPriceChart(points);
+        
+        document.getElementById('price-history-list').innerHTML = response.history.slice().reverse().map(h => `
+            <li class="mb-1">
+                <i class="bi ${h.newPrice < h.oldPrice ? 'bi-arrow-down text-success' : 'bi-arrow-up text-danger'} me-1"></i>
+                ${Utils.formatDate(h.changedAt)}: ${Utils.formatPrice(h.oldPrice)} → ${Utils.formatPrice(h.newPrice)}
+            </li>
+        `).join('');
+        
+        document.getElementById('price-history-card').classList.remove('d-none');
+    } catch (error) {
+        console.error('Error loading price history:', error);
+    }
+}
+
+/**
+ * Draw the price history as a simple SVG line chart
+ */
+function displayPriceChart(points) {
+    const width = 600;
+    const height = 160;
+    const padding = 30;
+    
+    const prices = points.map(p => p.price);
+    const min = Math.min(...prices);
+    const max = Math.max(...prices);
+    const range = max - min || 1;
+    
+    const coords = points.map((p, index) => ({
+        x: padding + index * (width - padding * 2) / Math.max(points.length - 1, 1),
+        y: height - padding - (p.price - min) / range * (height - padding * 2),
+        ...p
+    }));
+    
+    document.getElementById('price-history-chart').innerHTML = `
+        <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+            <polyline class="chart-line" points="${coords.map(c => `${c.x},${c.y}`).join(' ')}"></polyline>
+            ${coords.map(c => `
+                <circle class="chart-point" cx="${c.x}" cy="${c.y}" r="4">
+                    <title>${Utils.formatDate(c.date)}: ${Utils.formatPrice(c.price)}</title>
+                </circle>
+                <text class="chart-label" x="${c.x}" y="${height - 8}" text-anchor="middle">
+                    ${new Date(c.date).toLocaleDateString('en-PH', { month: 'short', year: '2-digit' })}
+                </text>
+            `).join('')}
+        </svg>
+    `;
+}
+
 /**
  * Display property features
  */
@@ -217,6 +290,18 @@ function setupViewingForm() {
     const form = document.getElementById('viewing-form');
     const submitBtn = document.getElementById('submit-btn');
     const successMessage = document.getElementById('success-message');
+
+    // Signed when the form is shown so the server can tell how long it took to fill in
+    let formToken = null;
+    const loadFormToken = async () => {
+        try {
+            const response = await API.getFormToken(propertyId);
+            formToken = response.formToken;
+        } catch (error) {
+            console.error('Error loading form token:', error);
+        }
+    };
+    loadFormToken();
     
     form.addEventListener('submit', async (e) => {
         e.preventDefault();
@@ -227,6 +312,7 @@ function setupViewingForm() {
         const phone = document.getElementById('customer-phone').value.trim();
         const intent = document.getElementById('customer-intent').value;
         const message = document.getElementById('customer-message').value.trim();
+        const locale = document.getElementById('customer-locale').value;
         
         if (!name || !email || !phone || !intent) {
             Utils.showToast('Please fill in all required fields.', 'error');
@@ -238,6 +324,13 @@ function setupViewingForm() {
         submitBtn.innerHTML = '<span class="spinner-border spinner-border-sm me-2"></span>Submitting...';
         
         try {
+            if (!formToken) {
+                await loadFormToken();
+            }
+            if (!formToken) {
+                throw new Error('The request form could not be loaded. Please reload the page and try again.');
+            }
+
             // Get reCAPTCHA token if available
             let recaptchaToken = null;
             if (typeof grecaptcha !== 'undefined' && window.RECAPTCHA_SITE_KEY) {
@@ -255,7 +348,10 @@ function setupViewingForm() {
                 customerPhone: phone,
                 customerIntent: intent,
                 customerMessage: message,
-                recaptchaToken: recaptchaToken
+                customerLocale: locale,
+                recaptchaToken: recaptchaToken,
+                formToken: formToken,
+                website: form.elements.website.value
             });
             
             // Show success